@@ -5,7 +5,10 @@ import { StatusBar } from 'expo-status-bar';
 import AppNavigator from './src/navigation/AppNavigator';
 import { I18nProvider } from './src/i18n';
 import { AuthProvider } from './src/auth/AuthContext';
+import { OutboxProvider } from './src/offline/OutboxContext';
 import { ThemeProvider, useThemeContext } from './src/theme/ThemeContext';
+// Defines the background location tasks; they must exist before the app renders
+import './src/notifications/proximityAlerts';
 
 // Adaptive status bar component
 const AdaptiveStatusBar = () => {
@@ -26,11 +29,13 @@ function MainApp() {
 export default function App() {
   return (
     <AuthProvider>
-      <I18nProvider>
-        <ThemeProvider>
-          <MainApp />
-        </ThemeProvider>
-      </I18nProvider>
+      <OutboxProvider>
+        <I18nProvider>
+          <ThemeProvider>
+            <MainApp />
+          </ThemeProvider>
+        </I18nProvider>
+      </OutboxProvider>
     </AuthProvider>
   );
 }
@@ -0,0 +1,299 @@
+// Shared API client used by AuthContext and every screen.
+// Resolves the base URL, injects the bearer token, applies timeouts,
+// throws typed errors and normalizes the backend's response envelopes.
+
+// Configure your API base. In Expo, prefer EXPO_PUBLIC_API_BASE.
+const RAW_BASE = process.env.EXPO_PUBLIC_API_BASE || 'http://127.0.0.1:8000';
+export const API_BASE_URL = RAW_BASE.replace(/\/$/, '');
+
+// Alternative storage prefixes tried when an image fails to load
+export const STORAGE_PATHS = [
+  '/storage/',
+  '/',
+  '/public/storage/',
+];
+
+const DEFAULT_TIMEOUT_MS = 12000;
+export const UPLOAD_TIMEOUT_MS = 60000;
+
+console.log('[API] BASE_URL =', API_BASE_URL);
+
+// Base class for every error thrown by the client
+export class ApiError extends Error {
+  constructor(message, { status = null, data = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+  }
+}
+
+// The request never got a response: offline, DNS, timeout or cancelled by the caller
+export class NetworkError extends ApiError {
+  constructor(message, { timeout = false, canceled = false } = {}) {
+    super(message);
+    this.name = 'NetworkError';
+    this.network = true;
+    this.timeout = timeout;
+    this.canceled = canceled;
+  }
+}
+
+// The server answered with a non-2xx status
+export class HttpError extends ApiError {
+  constructor(message, { status, data } = {}) {
+    super(message, { status, data });
+    this.name = 'HttpError';
+  }
+}
+
+// 422 with Laravel-style { errors: { field: [messages] } }
+export class ValidationError extends HttpError {
+  constructor(message, { status = 422, data } = {}) {
+    super(message, { status, data });
+    this.name = 'ValidationError';
+    this.errors = data?.errors || {};
+  }
+
+  // First message for a field, or for any field when none is given
+  firstError(field) {
+    const pick = (messages) => (Array.isArray(messages) ? messages[0] : messages) || null;
+    if (field) return pick(this.errors[field]);
+    const first = Object.values(this.errors)[0];
+    return first ? pick(first) : null;
+  }
+
+  // All messages as "field: message" lines
+  toLines() {
+    return Object.entries(this.errors)
+      .map(([field, messages]) => `${field}: ${Array.isArray(messages) ? messages.join(', ') : messages}`)
+      .join('\n');
+  }
+}
+
+export const isCanceled = (err) => err instanceof NetworkError && err.canceled;
+
+// AuthContext registers a getter so requests pick up the current token automatically
+let tokenProvider = () => null;
+
+export const setTokenProvider = (provider) => {
+  tokenProvider = typeof provider === 'function' ? provider : () => null;
+};
+
+// AuthContext also registers how to refresh an expired token and what to do when that fails.
+// refreshToken() resolves with the new token (or throws); onSessionExpired() logs the user out.
+let sessionHandlers = { refreshToken: null, onSessionExpired: null };
+
+export const setSessionHandlers = (handlers) => {
+  sessionHandlers = {
+    refreshToken: handlers?.refreshToken || null,
+    onSessionExpired: handlers?.onSessionExpired || null,
+  };
+};
+
+// Single in-flight refresh shared by every request that hit a 401 meanwhile
+let refreshPromise = null;
+
+const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      try {
+        if (!sessionHandlers.refreshToken) throw new Error('No refresh handler');
+        const next = await sessionHandlers.refreshToken();
+        if (!next) throw new Error('Refresh returned no token');
+        console.log('[API] Token refreshed');
+        return next;
+      } catch (e) {
+        console.log('[API] Token refresh failed', e?.message || e);
+        sessionHandlers.onSessionExpired?.();
+        throw e;
+      } finally {
+        refreshPromise = null;
+      }
+    })();
+  }
+  return refreshPromise;
+};
+
+export const buildUrl = (path, params) => {
+  const url = /^https?:\/\//i.test(path) ? path : `${API_BASE_URL}${path.startsWith('/') ? path : `/${path}`}`;
+  if (!params) return url;
+  const query = Object.entries(params)
+    .filter(([, v]) => v !== undefined && v !== null && v !== '')
+    .map(([k, v]) => `${encodeURIComponent(k)}=${encodeURIComponent(v)}`)
+    .join('&');
+  if (!query) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}${query}`;
+};
+
+const parseBody = async (res) => {
+  let text = '';
+  try {
+    text = await res.text();
+  } catch {
+    return null;
+  }
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+/**
+ * Perform an API request and return the parsed JSON body.
+ *
+ * Options: method, params (query string), json (serialized body), body (raw, e.g. FormData),
+ * headers, token (overrides the provider), auth (false to skip the Authorization header),
+ * timeoutMs and signal (an AbortSignal to cancel from the caller).
+ *
+ * A 401 on a request that used the provider's token triggers one token refresh; the request
+ * is then replayed with the new token. If the refresh fails the session handler logs out.
+ */
+export async function request(path, options = {}) {
+  const {
+    method = 'GET',
+    params,
+    json,
+    body,
+    headers,
+    token,
+    auth = true,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    signal,
+  } = options;
+  const usesProvider = token === undefined && auth;
+  const authToken = usesProvider ? tokenProvider() : (token ?? null);
+  const h = {
+    Accept: 'application/json',
+    ...(json !== undefined ? { 'Content-Type': 'application/json' } : {}),
+    ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+    ...(headers || {}),
+  };
+  const url = buildUrl(path, params);
+  console.log('[API] Request', method, url);
+
+  const controller = new AbortController();
+  let timedOut = false;
+  const timeoutId = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const onExternalAbort = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    else signal.addEventListener('abort', onExternalAbort);
+  }
+
+  let res;
+  try {
+    res = await fetch(url, {
+      method,
+      headers: h,
+      body: json !== undefined ? JSON.stringify(json) : body,
+      signal: controller.signal,
+    });
+  } catch (e) {
+    const isAbort = e?.name === 'AbortError';
+    if (isAbort && !timedOut) {
+      throw new NetworkError('Request canceled', { canceled: true });
+    }
+    console.log('[API] Network error', isAbort ? 'Timeout/Abort' : (e?.message || e));
+    throw new NetworkError(
+      isAbort ? 'Network timeout. Please check your connection.' : (e?.message || 'Network request failed'),
+      { timeout: isAbort }
+    );
+  } finally {
+    clearTimeout(timeoutId);
+    if (signal) signal.removeEventListener('abort', onExternalAbort);
+  }
+
+  const data = await parseBody(res);
+
+  if (res.status === 401 && usesProvider && authToken) {
+    // Another request may already have refreshed the token while this one was in flight
+    const current = tokenProvider();
+    let nextToken = current && current !== authToken ? current : null;
+    if (!nextToken) {
+      try {
+        nextToken = await refreshSession();
+      } catch {
+        const err = new HttpError(data?.message || 'Session expired', { status: 401, data });
+        err.sessionExpired = true;
+        throw err;
+      }
+    }
+    // Replay with an explicit token so a second 401 is not refreshed again
+    return request(path, { ...options, token: nextToken });
+  }
+
+  if (!res.ok) {
+    const msg = data?.message || data?.error || `Request failed (${res.status})`;
+    console.log('[API] HTTP error', res.status, data);
+    if (res.status === 422) {
+      throw new ValidationError(msg, { status: res.status, data });
+    }
+    throw new HttpError(msg, { status: res.status, data });
+  }
+  return data;
+}
+
+// Verb helpers. The payload may be a plain object (sent as JSON) or FormData (sent as-is).
+const withPayload = (method) => (path, payload, options = {}) => {
+  const isForm = typeof FormData !== 'undefined' && payload instanceof FormData;
+  return request(path, {
+    ...options,
+    method,
+    ...(isForm ? { body: payload } : payload !== undefined ? { json: payload } : {}),
+  });
+};
+
+export const api = {
+  request,
+  get: (path, options = {}) => request(path, { ...options, method: 'GET' }),
+  post: withPayload('POST'),
+  put: withPayload('PUT'),
+  patch: withPayload('PATCH'),
+  delete: withPayload('DELETE'),
+};
+
+// Pull an array out of the envelopes the backend uses:
+// bare arrays, { data: [...] }, { <key>: [...] } and paginated { <key>: { data: [...] } }
+export const unwrapList = (data, ...keys) => {
+  if (Array.isArray(data)) return data;
+  for (const key of [...keys, 'data']) {
+    const value = data?.[key];
+    if (Array.isArray(value)) return value;
+    if (Array.isArray(value?.data)) return value.data;
+  }
+  return [];
+};
+
+// Pull a single record out of { <key>: {...} }, { data: {...} } or a bare object
+export const unwrapItem = (data, ...keys) => {
+  for (const key of keys) {
+    if (data?.[key] && typeof data[key] === 'object') return data[key];
+  }
+  if (data?.data && typeof data.data === 'object' && !Array.isArray(data.data)) return data.data;
+  return data ?? null;
+};
+
+// Where the page after `page` starts, or null on the last page. Understands cursor pagination
+// ({ next_cursor }), Laravel's paginator ({ meta: { current_page, last_page } }, next_page_url,
+// also nested under <key>) and otherwise assumes more pages while they come back full.
+export const getNextPage = (data, { page = 1, pageSize, count = 0, key } = {}) => {
+  const envelopes = [data?.meta, key ? data?.[key] : null, data].filter((e) => e && typeof e === 'object' && !Array.isArray(e));
+  for (const env of envelopes) {
+    if (env.next_cursor !== undefined) return env.next_cursor ? { cursor: env.next_cursor } : null;
+    if (env.current_page != null && env.last_page != null) {
+      return Number(env.current_page) < Number(env.last_page) ? { page: Number(env.current_page) + 1 } : null;
+    }
+    if (env.next_page_url !== undefined || env.links?.next !== undefined) {
+      return env.next_page_url || env.links?.next ? { page: page + 1 } : null;
+    }
+  }
+  return pageSize && count >= pageSize ? { page: page + 1 } : null;
+};
+
+export default api;
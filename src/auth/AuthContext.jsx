@@ -1,52 +1,11 @@
-import React, { createContext, useCallback, useMemo, useState } from 'react';
+import React, { createContext, useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { Alert } from 'react-native';
-
-// Configure your API base. In Expo, prefer EXPO_PUBLIC_API_BASE.
-const RAW_BASE = process.env.EXPO_PUBLIC_API_BASE || 'http://127.0.0.1:8000';
-const API_BASE = RAW_BASE.replace(/\/$/, '');
-console.log('[Auth] API_BASE =', API_BASE);
-
-async function request(path, { method = 'GET', token, json, body, headers, timeoutMs = 12000 } = {}) {
-  const h = {
-    Accept: 'application/json',
-    ...(json ? { 'Content-Type': 'application/json' } : {}),
-    ...(token ? { Authorization: `Bearer ${token}` } : {}),
-    ...(headers || {}),
-  };
-  const url = `${API_BASE}${path}`;
-  console.log('[Auth] Request', method, url);
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
-  let res;
-  try {
-    res = await fetch(url, {
-      method,
-      headers: h,
-      body: json ? JSON.stringify(json) : body,
-      signal: controller.signal,
-    });
-  } catch (e) {
-    clearTimeout(timeoutId);
-    const isAbort = e?.name === 'AbortError';
-    console.log('[Auth] Network error', isAbort ? 'Timeout/Abort' : (e?.message || e));
-    const err = new Error(isAbort ? 'Network timeout. Please check your connection.' : (e?.message || 'Network request failed'));
-    err.network = true;
-    throw err;
-  } finally {
-    clearTimeout(timeoutId);
-  }
-  let data = null;
-  try { data = await res.json(); } catch {}
-  if (!res.ok) {
-    const msg = data?.message || data?.error || `Request failed (${res.status})`;
-    const err = new Error(msg);
-    err.status = res.status;
-    err.data = data;
-    console.log('[Auth] HTTP error', res.status, data);
-    throw err;
-  }
-  return data;
-}
+import { getStoredToken, storeToken, clearStoredToken } from './tokenStorage';
+import { request, unwrapList, setTokenProvider, setSessionHandlers, API_BASE_URL } from '../api/client';
+import { isNotificationUnread } from '../utils/notifications';
+import { unregisterPushToken, forgetPushToken } from '../notifications/push';
+import { disableProximityAlerts } from '../notifications/proximityAlerts';
+import { PREFERENCES_PATH, normalizePreferences } from '../utils/notificationPreferences';
 
 export const AuthContext = createContext({
   token: null,
@@ -54,11 +13,19 @@ export const AuthContext = createContext({
   points: 0,
   notifications: [],
   unreadCount: 0,
+  notificationPreferences: null,
   loading: false,
+  restoring: true,
   login: async (_email, _password) => {},
   register: async (_payload) => {},
   logout: async () => {},
   clearAllNotifications: async () => {},
+  refreshNotifications: async () => {},
+  receiveNotification: (_notification) => {},
+  markNotificationRead: async (_notification, _read) => {},
+  markAllNotificationsRead: async () => {},
+  dismissNotification: async (_notification) => {},
+  saveNotificationPreferences: async (_preferences) => {},
   loginWithGoogle: async (_payload) => {},
   loginWithApple: async (_payload) => {},
 });
@@ -69,7 +36,22 @@ export const AuthProvider = ({ children }) => {
   const [points, setPoints] = useState(0);
   const [notifications, setNotifications] = useState([]);
   const [unreadCount, setUnreadCount] = useState(0);
+  const [notificationPreferences, setNotificationPreferences] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [restoring, setRestoring] = useState(true);
+  const tokenRef = useRef(null);
+
+  // Every API request reads the current token from here. Assigned during render so
+  // children's effects (which run before ours) already see the new token.
+  tokenRef.current = token;
+  // Lets a push be checked against the list without waiting for a re-render
+  const notificationsRef = useRef(notifications);
+  notificationsRef.current = notifications;
+
+  useEffect(() => {
+    setTokenProvider(() => tokenRef.current);
+    return () => setTokenProvider(null);
+  }, []);
 
   const loadProfile = useCallback(async (tkn) => {
     const data = await request('/api/users/profile', { token: tkn });
@@ -84,13 +66,120 @@ export const AuthProvider = ({ children }) => {
 
   const loadNotifications = useCallback(async (tkn) => {
     const data = await request('/api/users/notifications', { token: tkn });
-    const items = data?.data ?? data?.notifications ?? data ?? [];
-    const list = Array.isArray(items) ? items : [];
+    const list = unwrapList(data, 'notifications');
     setNotifications(list);
-    const count = list.filter((n) => n?.read === false || n?.read === 0 || n?.read_at == null).length;
-    setUnreadCount(count);
+    // The list is paginated: only the server knows the full unread count
+    const count = data?.unread_count ?? data?.meta?.unread_count ?? list.filter(isNotificationUnread).length;
+    setUnreadCount(Number(count) || 0);
+  }, []);
+
+  const loadNotificationPreferences = useCallback(async (tkn) => {
+    const data = await request(PREFERENCES_PATH, { token: tkn });
+    setNotificationPreferences(normalizePreferences(data));
+  }, []);
+
+  // Persist the token and load everything that depends on it
+  const startSession = useCallback(async (tkn) => {
+    setToken(tkn);
+    await storeToken(tkn);
+    await Promise.all([
+      loadProfile(tkn).catch(() => {}),
+      loadPoints(tkn).catch(() => {}),
+      loadNotifications(tkn).catch(() => {}),
+      loadNotificationPreferences(tkn).catch(() => {}),
+    ]);
+  }, [loadNotificationPreferences, loadNotifications, loadPoints, loadProfile]);
+
+  // Shared by logout and session expiry
+  const clearSession = useCallback(async () => {
+    tokenRef.current = null;
+    // No background location or device token left behind for a signed-out user
+    await disableProximityAlerts();
+    await forgetPushToken();
+    await clearStoredToken();
+    setToken(null);
+    setUser(null);
+    setPoints(0);
+    setNotifications([]);
+    setUnreadCount(0);
+    setNotificationPreferences(null);
   }, []);
 
+  // Exchange a (possibly expired) token for a fresh one
+  const refreshToken = useCallback(async (tkn) => {
+    const data = await request('/api/refresh', { method: 'POST', token: tkn });
+    const next = data?.token || data?.access_token || data?.data?.token;
+    if (!next) throw new Error('No token in refresh response');
+    return next;
+  }, []);
+
+  // Let the API client refresh the token on 401 and log out when that fails
+  useEffect(() => {
+    setSessionHandlers({
+      refreshToken: async () => {
+        const next = await refreshToken(tokenRef.current);
+        tokenRef.current = next;
+        setToken(next);
+        await storeToken(next);
+        return next;
+      },
+      onSessionExpired: () => {
+        if (!tokenRef.current) return;
+        console.log('[Auth] Session expired, logging out');
+        clearSession();
+        Alert.alert('Session expired', 'Your session has expired. Please sign in again.');
+      },
+    });
+    return () => setSessionHandlers(null);
+  }, [clearSession, refreshToken]);
+
+  // Restore a previous session on app start
+  useEffect(() => {
+    let isMounted = true;
+
+    const restoreSession = async () => {
+      try {
+        let tkn = await getStoredToken();
+        if (!tkn || !isMounted) return;
+        console.log('[Auth] Restoring stored session');
+        try {
+          await loadProfile(tkn);
+        } catch (e) {
+          if (e?.status === 401) {
+            // The stored token expired while the app was closed: try to refresh it once
+            try {
+              tkn = await refreshToken(tkn);
+              await storeToken(tkn);
+              await loadProfile(tkn);
+            } catch {
+              console.log('[Auth] Stored token rejected, clearing session');
+              await clearStoredToken();
+              return;
+            }
+          } else {
+            // Offline or server error: keep the session and let screens retry
+            console.log('[Auth] Could not load profile while restoring', e?.message || e);
+          }
+        }
+        if (!isMounted) return;
+        setToken(tkn);
+        await Promise.all([
+          loadPoints(tkn).catch(() => {}),
+          loadNotifications(tkn).catch(() => {}),
+          loadNotificationPreferences(tkn).catch(() => {}),
+        ]);
+      } finally {
+        if (isMounted) setRestoring(false);
+      }
+    };
+
+    restoreSession();
+
+    return () => {
+      isMounted = false;
+    };
+  }, [loadNotificationPreferences, loadNotifications, loadPoints, loadProfile, refreshToken]);
+
   const login = useCallback(async (email, password) => {
     setLoading(true);
     try {
@@ -98,18 +187,13 @@ export const AuthProvider = ({ children }) => {
       const data = await request('/api/login', { method: 'POST', json: { email, password } });
       const tkn = data?.token || data?.access_token || data?.data?.token;
       if (!tkn) throw new Error('No token in response');
-      setToken(tkn);
-      await Promise.all([
-        loadProfile(tkn).catch(() => {}),
-        loadPoints(tkn).catch(() => {}),
-        loadNotifications(tkn).catch(() => {}),
-      ]);
+      await startSession(tkn);
       console.log('[Auth] Login success');
       return { success: true };
     } catch (e) {
       const isNetwork = e?.network || e?.name === 'AbortError';
       const message = isNetwork
-        ? `Network error. Cannot reach ${API_BASE}. Ensure phone & server are on same LAN, server is bound to 0.0.0.0:8000, and firewall allows access.`
+        ? `Network error. Cannot reach ${API_BASE_URL}. Ensure phone & server are on same LAN, server is bound to 0.0.0.0:8000, and firewall allows access.`
         : (e?.message || 'Please try again');
       console.log('[Auth] Login error', message);
       Alert.alert('Login failed', message);
@@ -117,7 +201,7 @@ export const AuthProvider = ({ children }) => {
     } finally {
       setLoading(false);
     }
-  }, [loadNotifications, loadPoints, loadProfile]);
+  }, [startSession]);
 
   const register = useCallback(async (payload) => {
     setLoading(true);
@@ -126,12 +210,7 @@ export const AuthProvider = ({ children }) => {
       // If backend logs in after register and returns token, handle it
       const tkn = data?.token || data?.access_token || data?.data?.token;
       if (tkn) {
-        setToken(tkn);
-        await Promise.all([
-          loadProfile(tkn).catch(() => {}),
-          loadPoints(tkn).catch(() => {}),
-          loadNotifications(tkn).catch(() => {}),
-        ]);
+        await startSession(tkn);
       }
       return { success: true };
     } catch (e) {
@@ -148,7 +227,7 @@ export const AuthProvider = ({ children }) => {
     } finally {
       setLoading(false);
     }
-  }, [loadNotifications, loadPoints, loadProfile]);
+  }, [startSession]);
 
   const loginWithGoogle = useCallback(async (payload = {}) => {
     setLoading(true);
@@ -157,18 +236,13 @@ export const AuthProvider = ({ children }) => {
       const data = await request('/api/auth/google/mock', { method: 'POST', json: payload });
       const tkn = data?.token || data?.access_token || data?.data?.token;
       if (!tkn) throw new Error('No token in response');
-      setToken(tkn);
-      await Promise.all([
-        loadProfile(tkn).catch(() => {}),
-        loadPoints(tkn).catch(() => {}),
-        loadNotifications(tkn).catch(() => {}),
-      ]);
+      await startSession(tkn);
       console.log('[Auth] Google mock login success');
       return { success: true };
     } catch (e) {
       const isNetwork = e?.network || e?.name === 'AbortError';
       const message = isNetwork
-        ? `Network error. Cannot reach ${API_BASE}. Ensure phone & server are on same LAN, server is bound to 0.0.0.0:8000, and firewall allows access.`
+        ? `Network error. Cannot reach ${API_BASE_URL}. Ensure phone & server are on same LAN, server is bound to 0.0.0.0:8000, and firewall allows access.`
         : (e?.message || 'Please try again');
       console.log('[Auth] Google mock login error', message);
       Alert.alert('Google login failed', message);
@@ -176,7 +250,7 @@ export const AuthProvider = ({ children }) => {
     } finally {
       setLoading(false);
     }
-  }, [loadNotifications, loadPoints, loadProfile]);
+  }, [startSession]);
 
   const loginWithApple = useCallback(async (payload = {}) => {
     setLoading(true);
@@ -185,18 +259,13 @@ export const AuthProvider = ({ children }) => {
       const data = await request('/api/auth/apple/mock', { method: 'POST', json: payload });
       const tkn = data?.token || data?.access_token || data?.data?.token;
       if (!tkn) throw new Error('No token in response');
-      setToken(tkn);
-      await Promise.all([
-        loadProfile(tkn).catch(() => {}),
-        loadPoints(tkn).catch(() => {}),
-        loadNotifications(tkn).catch(() => {}),
-      ]);
+      await startSession(tkn);
       console.log('[Auth] Apple mock login success');
       return { success: true };
     } catch (e) {
       const isNetwork = e?.network || e?.name === 'AbortError';
       const message = isNetwork
-        ? `Network error. Cannot reach ${API_BASE}. Ensure phone & server are on same LAN, server is bound to 0.0.0.0:8000, and firewall allows access.`
+        ? `Network error. Cannot reach ${API_BASE_URL}. Ensure phone & server are on same LAN, server is bound to 0.0.0.0:8000, and firewall allows access.`
         : (e?.message || 'Please try again');
       console.log('[Auth] Apple mock login error', message);
       Alert.alert('Apple login failed', message);
@@ -204,44 +273,107 @@ export const AuthProvider = ({ children }) => {
     } finally {
       setLoading(false);
     }
-  }, [loadNotifications, loadPoints, loadProfile]);
+  }, [startSession]);
 
   const logout = useCallback(async () => {
     try {
       if (token) {
+        // Stop pushes to this device while the token is still valid
+        await unregisterPushToken();
         await request('/api/logout', { method: 'POST', token });
       }
     } catch {}
-    setToken(null);
-    setUser(null);
-    setPoints(0);
-    setNotifications([]);
-    setUnreadCount(0);
-  }, [token]);
+    await clearSession();
+  }, [token, clearSession]);
 
   const clearAllNotifications = useCallback(async () => {
     try {
       if (!token) return;
-      await request('/api/users/notifications', { method: 'DELETE', token });
+      await request('/api/users/notifications', { method: 'DELETE' });
       setNotifications([]);
       setUnreadCount(0);
     } catch {}
   }, [token]);
 
+  // Reload notifications after an action that makes the server send some
+  const refreshNotifications = useCallback(async () => {
+    try {
+      if (!tokenRef.current) return;
+      await loadNotifications(tokenRef.current);
+    } catch {}
+  }, [loadNotifications]);
+
+  // A push arrived while the app is open: show it without refetching the list
+  const receiveNotification = useCallback((notification) => {
+    if (!notification?.id || notificationsRef.current.some((n) => n?.id === notification.id)) return;
+    setNotifications((prev) => [notification, ...prev.filter((n) => n?.id !== notification.id)]);
+    if (isNotificationUnread(notification)) setUnreadCount((c) => c + 1);
+  }, []);
+
+  // Per-item updates are applied locally first so the badge follows right away
+  const markNotificationRead = useCallback(async (notification, read = true) => {
+    if (!notification?.id || isNotificationUnread(notification) !== read) return;
+    const patch = { read, read_at: read ? new Date().toISOString() : null };
+    setNotifications((prev) => prev.map((n) => (n?.id === notification.id ? { ...n, ...patch } : n)));
+    setUnreadCount((c) => Math.max(0, c + (read ? -1 : 1)));
+    try {
+      await request(`/api/users/notifications/${notification.id}`, { method: 'PATCH', json: { read } });
+    } catch (err) {
+      setNotifications((prev) => prev.map((n) => (n?.id === notification.id ? { ...n, read: notification.read, read_at: notification.read_at } : n)));
+      setUnreadCount((c) => Math.max(0, c + (read ? 1 : -1)));
+      throw err;
+    }
+  }, []);
+
+  const markAllNotificationsRead = useCallback(async () => {
+    await request('/api/users/notifications/read-all', { method: 'POST' });
+    const readAt = new Date().toISOString();
+    setNotifications((prev) => prev.map((n) => ({ ...n, read: true, read_at: n?.read_at || readAt })));
+    setUnreadCount(0);
+  }, []);
+
+  const dismissNotification = useCallback(async (notification) => {
+    if (!notification?.id) return;
+    await request(`/api/users/notifications/${notification.id}`, { method: 'DELETE' });
+    setNotifications((prev) => prev.filter((n) => n?.id !== notification.id));
+    if (isNotificationUnread(notification)) setUnreadCount((c) => Math.max(0, c - 1));
+  }, []);
+
+  // Applied right away so the badge follows; rolled back if the server rejects it
+  const saveNotificationPreferences = useCallback(async (preferences) => {
+    const previous = notificationPreferences;
+    setNotificationPreferences(preferences);
+    try {
+      const data = await request(PREFERENCES_PATH, { method: 'PUT', json: preferences });
+      if (data && typeof data === 'object') setNotificationPreferences(normalizePreferences(data));
+    } catch (err) {
+      setNotificationPreferences(previous);
+      throw err;
+    }
+  }, [notificationPreferences]);
+
   const value = useMemo(() => ({
     token,
     user,
     points,
     notifications,
     unreadCount,
+    notificationPreferences,
     loading,
+    restoring,
     login,
     register,
     logout,
     clearAllNotifications,
+    refreshNotifications,
+    receiveNotification,
+    markNotificationRead,
+    markAllNotificationsRead,
+    dismissNotification,
+    saveNotificationPreferences,
     loginWithGoogle,
     loginWithApple,
-  }), [token, user, points, notifications, unreadCount, loading, login, register, logout, clearAllNotifications, loginWithGoogle, loginWithApple]);
+  }), [token, user, points, notifications, unreadCount, notificationPreferences, loading, restoring, login, register, logout, clearAllNotifications, refreshNotifications, receiveNotification, markNotificationRead, markAllNotificationsRead, dismissNotification, saveNotificationPreferences, loginWithGoogle, loginWithApple]);
 
   return (
     <AuthContext.Provider value={value}>{children}</AuthContext.Provider>
@@ -0,0 +1,45 @@
+import { Platform } from 'react-native';
+import * as SecureStore from 'expo-secure-store';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Storage key for the session token (SecureStore keys allow only [A-Za-z0-9._-])
+const TOKEN_KEY = 'auth_token';
+
+// SecureStore is not available on web, fall back to AsyncStorage there
+const useSecureStore = Platform.OS !== 'web';
+
+export const getStoredToken = async () => {
+  try {
+    if (useSecureStore) {
+      return await SecureStore.getItemAsync(TOKEN_KEY);
+    }
+    return await AsyncStorage.getItem(TOKEN_KEY);
+  } catch (e) {
+    console.log('[Auth] Failed to read stored token', e?.message || e);
+    return null;
+  }
+};
+
+export const storeToken = async (token) => {
+  try {
+    if (useSecureStore) {
+      await SecureStore.setItemAsync(TOKEN_KEY, token);
+    } else {
+      await AsyncStorage.setItem(TOKEN_KEY, token);
+    }
+  } catch (e) {
+    console.log('[Auth] Failed to store token', e?.message || e);
+  }
+};
+
+export const clearStoredToken = async () => {
+  try {
+    if (useSecureStore) {
+      await SecureStore.deleteItemAsync(TOKEN_KEY);
+    }
+    // Also drop any plaintext copy left behind by older builds
+    await AsyncStorage.removeItem(TOKEN_KEY);
+  } catch (e) {
+    console.log('[Auth] Failed to clear stored token', e?.message || e);
+  }
+};
@@ -1,29 +1,5 @@
 import { useState, useEffect } from 'react';
-import { Platform } from 'react-native';
-import Constants from 'expo-constants';
-
-// Get API URL based on environment
-const getApiUrl = () => {
-  const ENV = process.env.NODE_ENV || 'development';
-  
-  if (ENV === 'development') {
-    // Use local development URL
-    if (Platform.OS === 'web') {
-      return 'http://localhost:3000';
-    } else {
-      // For Expo Go on physical devices
-      const debuggerHost = Constants.manifest?.debuggerHost;
-      if (debuggerHost) {
-        const hostUri = debuggerHost.split(':')[0];
-        return `http://${hostUri}:3000`;
-      }
-      return 'http://10.0.2.2:3000'; // Android emulator default
-    }
-  } else {
-    // Production URL
-    return 'https://api.berllog.com';
-  }
-};
+import { api, unwrapList, API_BASE_URL } from '../../../api/client';
 
 // Custom hook to fetch posts data
 const usePostsDatas = () => {
@@ -35,14 +11,7 @@ const usePostsDatas = () => {
     const fetchPosts = async () => {
       try {
         setLoading(true);
-        const apiUrl = getApiUrl();
-        const response = await fetch(`${apiUrl}/api/garbage-posts`);
-        
-        if (!response.ok) {
-          throw new Error(`HTTP error! Status: ${response.status}`);
-        }
-        
-        const data = await response.json();
+        const data = unwrapList(await api.get('/api/garbage-posts'), 'garbagePosts');
         
         // Process the posts data - normalize image URLs
         const processedPosts = data.map(post => {
@@ -50,7 +19,7 @@ const usePostsDatas = () => {
           const processImageUrl = (url) => {
             if (!url) return null;
             if (url.startsWith('http')) return url;
-            return `${apiUrl}${url}`;
+            return `${API_BASE_URL}${url}`;
           };
 
           return {
@@ -0,0 +1,62 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { useTheme } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { useI18n } from '../../i18n';
+
+// "5 minutes" / "2 hours" / "1 day" using the shared time_* keys
+const formatAge = (timestamp, t) => {
+  const minutes = Math.floor(Math.max(0, Date.now() - timestamp) / 60000);
+  if (minutes < 60) return t(minutes === 1 ? 'time_minute' : 'time_minutes', { count: minutes });
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return t(hours === 1 ? 'time_hour' : 'time_hours', { count: hours });
+  const days = Math.floor(hours / 24);
+  return t(days === 1 ? 'time_day' : 'time_days', { count: days });
+};
+
+// Small status line telling the user how fresh the cached data is and whether we're offline
+const LastUpdated = ({ updatedAt, offline = false, style }) => {
+  const { colors } = useTheme();
+  const { t } = useI18n();
+  const [, setTick] = useState(0);
+
+  // Re-render every minute so the relative time stays accurate
+  useEffect(() => {
+    const id = setInterval(() => setTick((n) => n + 1), 60000);
+    return () => clearInterval(id);
+  }, []);
+
+  if (!updatedAt && !offline) return null;
+
+  const justNow = updatedAt && Date.now() - updatedAt < 60000;
+  let label;
+  if (offline) {
+    label = updatedAt
+      ? t('sync.offline_saved', { time: formatAge(updatedAt, t) })
+      : t('sync.offline_no_data');
+  } else {
+    label = justNow ? t('sync.updated_just_now') : t('sync.updated_ago', { time: formatAge(updatedAt, t) });
+  }
+
+  const color = offline ? colors.notification : colors.text + '80';
+
+  return (
+    <View style={[styles.container, style]}>
+      <Ionicons name={offline ? 'cloud-offline-outline' : 'cloud-done-outline'} size={14} color={color} />
+      <Text style={[styles.text, { color }]}>{label}</Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  text: {
+    marginLeft: 4,
+    fontSize: 12,
+  },
+});
+
+export default LastUpdated;
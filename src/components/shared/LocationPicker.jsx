@@ -0,0 +1,173 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, ActivityIndicator, Alert, Linking } from 'react-native';
+import { useTheme } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import * as Location from 'expo-location';
+import MapView, { Marker } from 'react-native-maps';
+import { useI18n } from '../../i18n';
+
+// Same fallback region as MapScreen (center of the Balkans)
+const DEFAULT_REGION = {
+  latitude: 42.6026,
+  longitude: 20.9030,
+  latitudeDelta: 15,
+  longitudeDelta: 15,
+};
+
+const PIN_DELTA = {
+  latitudeDelta: 0.01,
+  longitudeDelta: 0.01,
+};
+
+// Map with a draggable pin. Calls onChange({ latitude, longitude }) whenever the pin moves.
+const LocationPicker = ({ value, onChange, height = 280, autoLocate = true }) => {
+  const { colors } = useTheme();
+  const { t } = useI18n();
+  const mapRef = useRef(null);
+  const [locating, setLocating] = useState(false);
+
+  const requestLocationPermission = async () => {
+    try {
+      const { status } = await Location.requestForegroundPermissionsAsync();
+      if (status !== 'granted') {
+        Alert.alert(
+          t('location_permission_required'),
+          t('location_permission_message'),
+          [
+            { text: t('cancel'), style: 'cancel' },
+            { text: t('open_settings'), onPress: () => Linking.openSettings() },
+          ]
+        );
+        return false;
+      }
+      return true;
+    } catch (error) {
+      console.error('Error requesting location permission:', error);
+      return false;
+    }
+  };
+
+  // Move the pin to the device's current position
+  const locateMe = async () => {
+    const hasPermission = await requestLocationPermission();
+    if (!hasPermission) return;
+
+    try {
+      setLocating(true);
+      const location = await Location.getCurrentPositionAsync({
+        accuracy: Location.Accuracy.High,
+      });
+      const coordinate = {
+        latitude: location.coords.latitude,
+        longitude: location.coords.longitude,
+      };
+      onChange?.(coordinate);
+      mapRef.current?.animateToRegion({ ...coordinate, ...PIN_DELTA }, 500);
+    } catch (error) {
+      console.error('Error getting location:', error);
+      Alert.alert(t('error'), t('error_getting_location'));
+    } finally {
+      setLocating(false);
+    }
+  };
+
+  // Pin the current position on first render when nothing is selected yet
+  useEffect(() => {
+    if (autoLocate && !value) {
+      locateMe();
+    }
+  }, []);
+
+  const initialRegion = value ? { ...value, ...PIN_DELTA } : DEFAULT_REGION;
+
+  return (
+    <View style={styles.container}>
+      <View style={[styles.mapWrapper, { height, borderColor: colors.border }]}>
+        <MapView
+          ref={mapRef}
+          style={StyleSheet.absoluteFillObject}
+          initialRegion={initialRegion}
+          onPress={(e) => onChange?.(e.nativeEvent.coordinate)}
+          showsUserLocation
+          showsMyLocationButton={false}
+        >
+          {value && (
+            <Marker
+              coordinate={value}
+              draggable
+              onDragEnd={(e) => onChange?.(e.nativeEvent.coordinate)}
+              pinColor={colors.primary}
+            />
+          )}
+        </MapView>
+
+        <TouchableOpacity
+          style={[styles.locateButton, { backgroundColor: colors.card }]}
+          onPress={locateMe}
+          disabled={locating}
+          accessibilityLabel={t('use_my_location')}
+        >
+          {locating ? (
+            <ActivityIndicator size="small" color={colors.primary} />
+          ) : (
+            <Ionicons name="navigate" size={22} color={colors.primary} />
+          )}
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.info}>
+        <Ionicons name="location" size={16} color={colors.primary} />
+        <Text style={[styles.infoText, { color: colors.text }]}>
+          {value
+            ? `${value.latitude.toFixed(5)}, ${value.longitude.toFixed(5)}`
+            : t('tap_map_to_pin')}
+        </Text>
+      </View>
+      {value ? (
+        <Text style={[styles.hint, { color: colors.text + '99' }]}>{t('drag_pin_hint')}</Text>
+      ) : null}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 16,
+  },
+  mapWrapper: {
+    borderRadius: 12,
+    borderWidth: 1,
+    overflow: 'hidden',
+    position: 'relative',
+  },
+  locateButton: {
+    position: 'absolute',
+    right: 12,
+    bottom: 12,
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    justifyContent: 'center',
+    alignItems: 'center',
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 4,
+  },
+  info: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  infoText: {
+    marginLeft: 6,
+    fontSize: 14,
+  },
+  hint: {
+    marginTop: 4,
+    fontSize: 12,
+  },
+});
+
+export default LocationPicker;
@@ -0,0 +1,194 @@
+import React from 'react';
+import { View, Text, Image, TouchableOpacity, StyleSheet, Alert, Linking } from 'react-native';
+import { useTheme } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import * as ImagePicker from 'expo-image-picker';
+import { useI18n } from '../../i18n';
+
+// Shared picker options for before/after photos
+const PICKER_OPTIONS = {
+  mediaTypes: ImagePicker.MediaTypeOptions.Images,
+  allowsEditing: true,
+  aspect: [4, 3],
+  quality: 0.7,
+  exif: true,
+};
+
+// Build a file object that FormData understands from an ImagePicker asset
+export const toUploadFile = (asset, prefix = 'photo') => {
+  if (!asset?.uri) return null;
+  const ext = (asset.uri.split('.').pop() || 'jpg').toLowerCase();
+  const type = asset.mimeType || (ext === 'png' ? 'image/png' : 'image/jpeg');
+  return {
+    uri: asset.uri,
+    type,
+    name: asset.fileName || `${prefix}_${Date.now()}.${ext === 'png' ? 'png' : 'jpg'}`,
+  };
+};
+
+// Photo slot with camera / library buttons and a preview of the picked asset
+const PhotoCapture = ({ label, value, onChange, disabled = false }) => {
+  const { colors } = useTheme();
+  const { t } = useI18n();
+
+  const showPermissionAlert = () => {
+    Alert.alert(
+      t('camera_permission_required'),
+      t('camera_permission_message'),
+      [
+        { text: t('cancel'), style: 'cancel' },
+        { text: t('open_settings'), onPress: () => Linking.openSettings() },
+      ]
+    );
+  };
+
+  // Take a new photo with the camera
+  const takePhoto = async () => {
+    try {
+      const { status } = await ImagePicker.requestCameraPermissionsAsync();
+      if (status !== 'granted') {
+        showPermissionAlert();
+        return;
+      }
+      const result = await ImagePicker.launchCameraAsync(PICKER_OPTIONS);
+      if (result.canceled || !result.assets?.[0]) return;
+      onChange?.(result.assets[0]);
+    } catch (err) {
+      console.error('Camera error:', err);
+      Alert.alert(t('error'), t('photo_error'));
+    }
+  };
+
+  // Pick an existing photo from the library
+  const pickFromLibrary = async () => {
+    try {
+      const { status } = await ImagePicker.requestMediaLibraryPermissionsAsync();
+      if (status !== 'granted') {
+        showPermissionAlert();
+        return;
+      }
+      const result = await ImagePicker.launchImageLibraryAsync(PICKER_OPTIONS);
+      if (result.canceled || !result.assets?.[0]) return;
+      onChange?.(result.assets[0]);
+    } catch (err) {
+      console.error('Image picker error:', err);
+      Alert.alert(t('error'), t('photo_error'));
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      {label ? <Text style={[styles.label, { color: colors.text }]}>{label}</Text> : null}
+
+      <View style={[styles.preview, { borderColor: colors.border, backgroundColor: colors.card }]}>
+        {value?.uri ? (
+          <>
+            <Image source={{ uri: value.uri }} style={styles.image} resizeMode="cover" />
+            {!disabled && (
+              <TouchableOpacity
+                style={styles.removeButton}
+                onPress={() => onChange?.(null)}
+                accessibilityLabel={t('remove_photo')}
+              >
+                <Ionicons name="close" size={18} color="#fff" />
+              </TouchableOpacity>
+            )}
+          </>
+        ) : (
+          <View style={styles.placeholder}>
+            <Ionicons name="camera-outline" size={40} color={colors.text + '60'} />
+            <Text style={[styles.placeholderText, { color: colors.text + '99' }]}>
+              {t('no_photo_selected')}
+            </Text>
+          </View>
+        )}
+      </View>
+
+      <View style={styles.buttons}>
+        <TouchableOpacity
+          style={[styles.button, { backgroundColor: colors.primary, opacity: disabled ? 0.5 : 1 }]}
+          onPress={takePhoto}
+          disabled={disabled}
+        >
+          <Ionicons name="camera" size={18} color="#fff" />
+          <Text style={styles.buttonText}>{t('take_photo')}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.button, styles.outlineButton, { borderColor: colors.primary, opacity: disabled ? 0.5 : 1 }]}
+          onPress={pickFromLibrary}
+          disabled={disabled}
+        >
+          <Ionicons name="images-outline" size={18} color={colors.primary} />
+          <Text style={[styles.buttonText, { color: colors.primary }]}>{t('choose_from_library')}</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 16,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  preview: {
+    height: 240,
+    borderRadius: 12,
+    borderWidth: 1,
+    overflow: 'hidden',
+    position: 'relative',
+  },
+  image: {
+    width: '100%',
+    height: '100%',
+  },
+  removeButton: {
+    position: 'absolute',
+    top: 8,
+    right: 8,
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    backgroundColor: 'rgba(0,0,0,0.6)',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  placeholder: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  placeholderText: {
+    marginTop: 8,
+    fontSize: 14,
+  },
+  buttons: {
+    flexDirection: 'row',
+    gap: 10,
+    marginTop: 10,
+  },
+  button: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 6,
+    paddingVertical: 10,
+    borderRadius: 8,
+  },
+  outlineButton: {
+    backgroundColor: 'transparent',
+    borderWidth: 1,
+  },
+  buttonText: {
+    color: '#fff',
+    fontWeight: '600',
+    fontSize: 14,
+  },
+});
+
+export default PhotoCapture;
@@ -0,0 +1,257 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+  Animated,
+  Dimensions,
+  ScrollView,
+  Pressable,
+  Switch,
+} from 'react-native';
+import { useTheme } from '@react-navigation/native';
+import { MaterialIcons } from '@expo/vector-icons';
+import { useI18n } from '../../i18n';
+import {
+  POST_SORTS,
+  POST_STATUSES,
+  POST_PERIODS,
+  POST_RADII_KM,
+  NEAREST_SORT,
+  DEFAULT_POST_FILTERS,
+  normalizePostFilters,
+} from '../../utils/postFilters';
+
+const statusLabel = (t, status) => (status === 'all' ? t('feed_filters.status_all') : t(`post_status.${status}`));
+
+// Bottom sheet with the home feed's sort, status, date, area and "near me" filters.
+// Edits a draft; nothing changes until Apply is pressed.
+const PostFilterSheet = ({ visible, filters, onApply, onClose }) => {
+  const { colors } = useTheme();
+  const { t } = useI18n();
+  const [draft, setDraft] = useState(filters);
+  const [mounted, setMounted] = useState(visible);
+  const sheetY = useRef(new Animated.Value(Dimensions.get('window').height)).current;
+
+  // Slide in when opened, slide out before unmounting the modal
+  useEffect(() => {
+    if (visible) {
+      setDraft(filters);
+      setMounted(true);
+      Animated.timing(sheetY, { toValue: 0, duration: 300, useNativeDriver: true }).start();
+    } else if (mounted) {
+      Animated.timing(sheetY, {
+        toValue: Dimensions.get('window').height,
+        duration: 300,
+        useNativeDriver: true,
+      }).start(() => setMounted(false));
+    }
+  }, [visible]);
+
+  const update = (patch) => setDraft((prev) => ({ ...prev, ...patch }));
+
+  // Near me sorts by distance by default; other sorts can still be picked afterwards
+  const toggleNearMe = (nearMe) => setDraft((prev) => ({
+    ...prev,
+    nearMe,
+    sort: nearMe ? NEAREST_SORT : (prev.sort === NEAREST_SORT ? DEFAULT_POST_FILTERS.sort : prev.sort),
+  }));
+
+  const sorts = draft.nearMe ? [NEAREST_SORT, ...POST_SORTS] : POST_SORTS;
+
+  const renderChips = (options, value, field, label) => (
+    <View style={styles.chips}>
+      {options.map((option) => {
+        const active = value === option;
+        return (
+          <TouchableOpacity
+            key={option}
+            style={[
+              styles.chip,
+              { borderColor: active ? colors.primary : colors.border, backgroundColor: active ? colors.primary + '20' : 'transparent' },
+            ]}
+            onPress={() => update({ [field]: option })}
+            accessibilityState={{ selected: active }}
+          >
+            <Text style={[styles.chipText, { color: active ? colors.primary : colors.text }]}>{label(option)}</Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+
+  const inputStyle = [styles.input, { color: colors.text, borderColor: colors.border, backgroundColor: colors.background }];
+
+  return (
+    <Modal visible={mounted} transparent animationType="none" onRequestClose={onClose}>
+      <TouchableOpacity style={styles.overlay} activeOpacity={1} onPress={onClose}>
+        <Animated.View style={[styles.sheet, { backgroundColor: colors.card, transform: [{ translateY: sheetY }] }]}>
+          <Pressable>
+            <Text style={[styles.title, { color: colors.text }]}>{t('feed_filters.title')}</Text>
+            <ScrollView style={styles.body} keyboardShouldPersistTaps="handled">
+              <View style={styles.switchRow}>
+                <View style={styles.switchText}>
+                  <Text style={[styles.label, styles.switchLabel, { color: colors.text }]}>{t('feed_filters.near_me')}</Text>
+                  <Text style={[styles.hint, { color: colors.text + '99' }]}>{t('feed_filters.near_me_hint')}</Text>
+                </View>
+                <Switch value={draft.nearMe} onValueChange={toggleNearMe} />
+              </View>
+              {draft.nearMe &&
+                renderChips(POST_RADII_KM, draft.radiusKm, 'radiusKm', (km) => t('feed_filters.radius_km', { count: km }))}
+
+              <Text style={[styles.label, { color: colors.text }]}>{t('sort_by')}</Text>
+              {sorts.map((sort) => (
+                <TouchableOpacity
+                  key={sort}
+                  style={[styles.sortOption, { borderBottomColor: colors.border }]}
+                  onPress={() => update({ sort })}
+                  accessibilityState={{ selected: draft.sort === sort }}
+                >
+                  <Text style={[styles.sortOptionText, { color: colors.text }]}>{t(`feed_filters.sort_${sort}`)}</Text>
+                  {draft.sort === sort && <MaterialIcons name="check" size={20} color={colors.primary} />}
+                </TouchableOpacity>
+              ))}
+
+              <Text style={[styles.label, { color: colors.text }]}>{t('feed_filters.status')}</Text>
+              {renderChips(POST_STATUSES, draft.status, 'status', (status) => statusLabel(t, status))}
+
+              <Text style={[styles.label, { color: colors.text }]}>{t('feed_filters.date')}</Text>
+              {renderChips(POST_PERIODS, draft.period, 'period', (period) => t(period))}
+
+              <Text style={[styles.label, { color: colors.text }]}>{t('feed_filters.area')}</Text>
+              <TextInput
+                style={inputStyle}
+                value={draft.country}
+                onChangeText={(country) => update({ country })}
+                placeholder={t('feed_filters.country_placeholder')}
+                placeholderTextColor={colors.text + '80'}
+              />
+              <TextInput
+                style={inputStyle}
+                value={draft.city}
+                onChangeText={(city) => update({ city })}
+                placeholder={t('feed_filters.city_placeholder')}
+                placeholderTextColor={colors.text + '80'}
+              />
+            </ScrollView>
+
+            <View style={styles.actions}>
+              <TouchableOpacity
+                style={[styles.button, { borderColor: colors.border }]}
+                onPress={() => setDraft({ ...DEFAULT_POST_FILTERS })}
+              >
+                <Text style={[styles.buttonText, { color: colors.text }]}>{t('feed_filters.reset')}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.button, { backgroundColor: colors.primary, borderColor: colors.primary }]}
+                onPress={() => onApply(normalizePostFilters(draft))}
+              >
+                <Text style={[styles.buttonText, { color: '#fff' }]}>{t('feed_filters.apply')}</Text>
+              </TouchableOpacity>
+            </View>
+          </Pressable>
+        </Animated.View>
+      </TouchableOpacity>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  sheet: {
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    maxHeight: '85%',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 8,
+    textAlign: 'center',
+  },
+  body: {
+    flexGrow: 0,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '700',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  switchText: {
+    flex: 1,
+    marginRight: 12,
+  },
+  switchLabel: {
+    marginTop: 0,
+    marginBottom: 2,
+  },
+  hint: {
+    fontSize: 13,
+  },
+  sortOption: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+  sortOptionText: {
+    fontSize: 16,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+  },
+  chipText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  input: {
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    marginBottom: 8,
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 16,
+  },
+  button: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderRadius: 10,
+    borderWidth: 1,
+  },
+  buttonText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default PostFilterSheet;
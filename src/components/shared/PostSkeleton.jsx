@@ -0,0 +1,93 @@
+import React, { useEffect, useRef } from 'react';
+import { View, Animated, StyleSheet } from 'react-native';
+import { useTheme } from '@react-navigation/native';
+
+// Pulsing placeholder shaped like a post card, shown while a page of posts loads
+const PostSkeleton = () => {
+  const { colors } = useTheme();
+  const opacity = useRef(new Animated.Value(0.5)).current;
+
+  useEffect(() => {
+    const pulse = Animated.loop(
+      Animated.sequence([
+        Animated.timing(opacity, { toValue: 1, duration: 700, useNativeDriver: true }),
+        Animated.timing(opacity, { toValue: 0.5, duration: 700, useNativeDriver: true }),
+      ])
+    );
+    pulse.start();
+    return () => pulse.stop();
+  }, [opacity]);
+
+  const block = { backgroundColor: colors.border };
+
+  return (
+    <Animated.View
+      style={[styles.card, { backgroundColor: colors.card, borderColor: colors.border, opacity }]}
+      accessibilityElementsHidden
+      importantForAccessibility="no-hide-descendants"
+    >
+      <View style={styles.header}>
+        <View style={[styles.avatar, block]} />
+        <View style={styles.headerText}>
+          <View style={[styles.line, styles.name, block]} />
+          <View style={[styles.line, styles.time, block]} />
+        </View>
+      </View>
+      <View style={[styles.line, block]} />
+      <View style={[styles.line, styles.shortLine, block]} />
+      <View style={[styles.image, block]} />
+    </Animated.View>
+  );
+};
+
+// A few skeleton cards for an empty feed
+export const PostSkeletonList = ({ count = 3 }) => (
+  <View>
+    {Array.from({ length: count }, (_, i) => <PostSkeleton key={i} />)}
+  </View>
+);
+
+const styles = StyleSheet.create({
+  card: {
+    borderRadius: 10,
+    padding: 15,
+    marginBottom: 15,
+    borderWidth: 0.5,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  avatar: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+  },
+  headerText: {
+    marginLeft: 10,
+    flex: 1,
+  },
+  line: {
+    height: 12,
+    borderRadius: 6,
+    marginBottom: 8,
+  },
+  name: {
+    width: '40%',
+  },
+  time: {
+    width: '25%',
+    marginBottom: 0,
+  },
+  shortLine: {
+    width: '70%',
+  },
+  image: {
+    height: 200,
+    borderRadius: 8,
+    marginTop: 4,
+  },
+});
+
+export default PostSkeleton;
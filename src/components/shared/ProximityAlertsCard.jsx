@@ -0,0 +1,149 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, StyleSheet, Switch, TouchableOpacity, Alert, Linking, ActivityIndicator } from 'react-native';
+import { useTheme } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { useI18n } from '../../i18n';
+import {
+  PROXIMITY_RADII_M,
+  PROXIMITY_FREQUENCIES,
+  DEFAULT_PROXIMITY_SETTINGS,
+  loadProximitySettings,
+  applyProximitySettings,
+} from '../../notifications/proximityAlerts';
+
+// Settings card for alerts about open reports near the user. These settings stay on the
+// device (they drive its background location), unlike the per-category preferences.
+const ProximityAlertsCard = () => {
+  const { colors } = useTheme();
+  const { t } = useI18n();
+  const [settings, setSettings] = useState(DEFAULT_PROXIMITY_SETTINGS);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    loadProximitySettings().then(setSettings);
+  }, []);
+
+  const update = async (changes) => {
+    setBusy(true);
+    setSettings((prev) => ({ ...prev, ...changes }));
+    try {
+      const result = await applyProximitySettings(changes, {
+        title: t('proximity_alerts.alert_title'),
+        body: t('proximity_alerts.alert_body'),
+        serviceTitle: t('proximity_alerts.service_title'),
+        serviceBody: t('proximity_alerts.service_body'),
+      });
+      setSettings(result.settings);
+      if (result.permission && result.permission !== 'granted') {
+        Alert.alert(
+          t('proximity_alerts.title'),
+          t(result.permission === 'foreground_only' ? 'proximity_alerts.background_denied' : 'proximity_alerts.permission_denied'),
+          [
+            { text: t('cancel'), style: 'cancel' },
+            { text: t('open_settings'), onPress: () => Linking.openSettings() },
+          ]
+        );
+      }
+    } catch (err) {
+      console.error('Failed to update nearby report alerts', err);
+      setSettings(await loadProximitySettings());
+      Alert.alert(t('error'), t('proximity_alerts.failed'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const renderChips = (options, field, label) => (
+    <View style={styles.chips}>
+      {options.map((option) => {
+        const active = settings[field] === option;
+        return (
+          <TouchableOpacity
+            key={option}
+            style={[
+              styles.chip,
+              { borderColor: active ? colors.primary : colors.border, backgroundColor: active ? colors.primary + '20' : 'transparent' },
+            ]}
+            onPress={() => update({ [field]: option })}
+            disabled={busy}
+            accessibilityState={{ selected: active }}
+          >
+            <Text style={[styles.chipText, { color: active ? colors.primary : colors.text }]}>{label(option)}</Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+
+  return (
+    <View style={[styles.card, { backgroundColor: colors.card, borderColor: colors.border }]}>
+      <View style={styles.headerRow}>
+        <Ionicons name="walk-outline" size={18} color={colors.primary} />
+        <Text style={[styles.title, { color: colors.text }]}>{t('proximity_alerts.title')}</Text>
+        {busy && <ActivityIndicator size="small" color={colors.primary} />}
+        <Switch value={settings.enabled} onValueChange={(value) => update({ enabled: value })} disabled={busy} />
+      </View>
+      <Text style={[styles.hint, { color: colors.text + '99' }]}>{t('proximity_alerts.hint')}</Text>
+
+      {settings.enabled && (
+        <>
+          <Text style={[styles.label, { color: colors.text }]}>{t('proximity_alerts.radius')}</Text>
+          {renderChips(PROXIMITY_RADII_M, 'radius_m', (meters) => t('proximity_alerts.meters', { count: meters }))}
+          <Text style={[styles.label, { color: colors.text }]}>{t('proximity_alerts.frequency')}</Text>
+          {renderChips(
+            PROXIMITY_FREQUENCIES.map((f) => f.key),
+            'frequency',
+            (key) => t(`proximity_alerts.frequency_${key}`)
+          )}
+        </>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    borderRadius: 12,
+    borderWidth: StyleSheet.hairlineWidth,
+    padding: 12,
+    marginBottom: 16,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    marginBottom: 8,
+  },
+  title: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  hint: {
+    fontSize: 13,
+    marginBottom: 4,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+  },
+  chipText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+});
+
+export default ProximityAlertsCard;
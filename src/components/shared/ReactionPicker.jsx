@@ -0,0 +1,152 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Modal, Pressable, ScrollView } from 'react-native';
+import { useTheme } from '@react-navigation/native';
+import { Ionicons, MaterialIcons } from '@expo/vector-icons';
+import { useI18n } from '../../i18n';
+import { isNegativeReaction, getReactionName } from '../../utils/reactions';
+
+// Thumb icon colored by the reaction's polarity
+export const ReactionIcon = ({ item, size = 24, color }) => (
+  <MaterialIcons name={isNegativeReaction(item) ? 'thumb-down' : 'thumb-up'} size={size} color={color} />
+);
+
+// Bottom sheet listing the reaction type catalog (parents with their children).
+// `polarity` limits it to 'positive' or 'negative' types; picking the selected type again removes it.
+const ReactionPicker = ({ visible, types, selectedId, polarity, error, onSelect, onRetry, onClose }) => {
+  const { colors } = useTheme();
+  const { t } = useI18n();
+
+  const parents = (Array.isArray(types) ? types : []).filter((item) => {
+    if (!polarity) return true;
+    return polarity === 'negative' ? isNegativeReaction(item) : !isNegativeReaction(item);
+  });
+
+  const renderOption = (item, parent) => {
+    const reaction = parent ? { ...item, type: item.type || parent.type } : item;
+    const selected = String(reaction.id) === String(selectedId);
+    const tint = isNegativeReaction(reaction) ? colors.notification : colors.primary;
+    return (
+      <TouchableOpacity
+        key={reaction.id}
+        style={[
+          styles.option,
+          parent && styles.childOption,
+          { borderColor: selected ? tint : colors.border, backgroundColor: selected ? tint + '20' : 'transparent' },
+        ]}
+        onPress={() => onSelect?.(reaction)}
+        accessibilityState={{ selected }}
+      >
+        <ReactionIcon item={reaction} size={parent ? 18 : 22} color={tint} />
+        <Text style={[styles.optionText, { color: colors.text }]}>{getReactionName(t, reaction)}</Text>
+        {selected && <Ionicons name="checkmark" size={18} color={tint} />}
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+      <Pressable style={styles.backdrop} onPress={onClose}>
+        <Pressable style={[styles.sheet, { backgroundColor: colors.card }]}>
+          <View style={styles.header}>
+            <Text style={[styles.title, { color: colors.text }]}>{t('reaction_picker.title')}</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={22} color={colors.text} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView style={styles.list}>
+            {parents.length > 0 ? (
+              parents.map((parent) => (
+                <View key={parent.id}>
+                  {renderOption(parent)}
+                  {(Array.isArray(parent.children) ? parent.children : []).map((child) => renderOption(child, parent))}
+                </View>
+              ))
+            ) : (
+              <View style={styles.empty}>
+                <Text style={{ color: colors.text }}>{error ? t('reactions_page.load_failed') : t('reactions_page.no_items')}</Text>
+                {error && onRetry ? (
+                  <TouchableOpacity onPress={onRetry} style={styles.retry}>
+                    <Text style={{ color: colors.primary, fontWeight: '600' }}>{t('retry')}</Text>
+                  </TouchableOpacity>
+                ) : null}
+              </View>
+            )}
+          </ScrollView>
+
+          {selectedId != null && (
+            <TouchableOpacity style={styles.remove} onPress={() => onSelect?.(null)}>
+              <Ionicons name="close-circle-outline" size={18} color={colors.notification} />
+              <Text style={[styles.removeText, { color: colors.notification }]}>{t('reaction_picker.remove')}</Text>
+            </TouchableOpacity>
+          )}
+        </Pressable>
+      </Pressable>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.3)',
+    justifyContent: 'flex-end',
+  },
+  sheet: {
+    padding: 16,
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    maxHeight: '70%',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 12,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  list: {
+    flexGrow: 0,
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    borderRadius: 10,
+    borderWidth: 1,
+    marginBottom: 8,
+  },
+  childOption: {
+    marginLeft: 24,
+    paddingVertical: 8,
+  },
+  optionText: {
+    flex: 1,
+    fontSize: 15,
+  },
+  empty: {
+    paddingVertical: 16,
+    alignItems: 'center',
+  },
+  retry: {
+    marginTop: 8,
+    padding: 6,
+  },
+  remove: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 6,
+    paddingVertical: 10,
+  },
+  removeText: {
+    fontWeight: '600',
+  },
+});
+
+export default ReactionPicker;
@@ -0,0 +1,60 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import * as Location from 'expo-location';
+
+// Foreground location on demand. Never alerts: callers read `status`
+// ('idle' | 'locating' | 'ready' | 'denied' | 'error') and show their own fallback.
+// The last known position is used first so distances show up right away.
+const useDeviceLocation = ({ enabled = true } = {}) => {
+  const [location, setLocation] = useState(null);
+  const [status, setStatus] = useState('idle');
+  const mountedRef = useRef(true);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  const locate = useCallback(async () => {
+    try {
+      setStatus('locating');
+      const { status: permission } = await Location.requestForegroundPermissionsAsync();
+      if (permission !== 'granted') {
+        console.log('Permission to access location was denied');
+        if (mountedRef.current) setStatus('denied');
+        return null;
+      }
+
+      const toCoords = (position) => ({
+        latitude: position.coords.latitude,
+        longitude: position.coords.longitude,
+      });
+
+      const lastKnown = await Location.getLastKnownPositionAsync().catch(() => null);
+      if (lastKnown && mountedRef.current) {
+        setLocation(toCoords(lastKnown));
+        setStatus('ready');
+      }
+
+      const current = await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.Balanced });
+      if (!mountedRef.current) return null;
+      const coords = toCoords(current);
+      setLocation(coords);
+      setStatus('ready');
+      return coords;
+    } catch (error) {
+      console.error('Error getting location:', error);
+      if (mountedRef.current) setStatus((prev) => (prev === 'ready' ? prev : 'error'));
+      return null;
+    }
+  }, []);
+
+  useEffect(() => {
+    if (enabled) locate();
+  }, [enabled, locate]);
+
+  return { location, status, locate };
+};
+
+export default useDeviceLocation;
@@ -0,0 +1,79 @@
+import { useCallback, useState } from 'react';
+import { useAuthContext } from '../auth/AuthContext';
+import { useOutbox } from '../offline/OutboxContext';
+import { pendingInterest } from '../offline/outbox';
+
+const serverInterested = (event) => !!(event?.is_interested ?? event?.user_interested ?? event?.interested);
+const serverCount = (event) => Number(event?.interested_count ?? event?.attendees_count) || 0;
+
+// "Interested" RSVPs for events. Changes are applied optimistically and persisted
+// through the outbox, so they also work offline and survive restarts.
+const useEventRsvp = () => {
+  const { user } = useAuthContext();
+  const { items: outboxItems, sendOrQueue } = useOutbox();
+  // eventId -> { interested, count } for changes made on this screen
+  const [overrides, setOverrides] = useState({});
+
+  // Current RSVP, attendee count and attendee list (the user included) for an event
+  const getRsvpState = useCallback((event) => {
+    const key = String(event?.id);
+    const local = overrides[key];
+    const wasInterested = serverInterested(event);
+    const queued = pendingInterest(outboxItems, event?.id);
+    const interested = local ? local.interested : queued ?? wasInterested;
+
+    let count = serverCount(event);
+    if (local) count = local.count;
+    else if (interested !== wasInterested) count = Math.max(0, count + (interested ? 1 : -1));
+
+    let attendees = Array.isArray(event?.attendees) ? event.attendees : [];
+    const isMe = (a) => user?.id != null && String(a?.id ?? a?.user_id) === String(user.id);
+    if (interested && user && !attendees.some(isMe)) attendees = [user, ...attendees];
+    if (!interested) attendees = attendees.filter((a) => !isMe(a));
+
+    return { interested, count, attendees };
+  }, [overrides, outboxItems, user]);
+
+  const toggleInterest = useCallback(async (event) => {
+    const key = String(event.id);
+    const current = getRsvpState(event);
+    const interested = !current.interested;
+
+    setOverrides((prev) => ({
+      ...prev,
+      [key]: { interested, count: Math.max(0, current.count + (interested ? 1 : -1)) },
+    }));
+
+    try {
+      const { queued, data } = await sendOrQueue({
+        type: interested ? 'interested' : 'uninterested',
+        method: interested ? 'POST' : 'DELETE',
+        path: `/api/events/${event.id}/interest`,
+        meta: { eventId: key, summary: event.title },
+      });
+
+      // Trust the server's count when it sends one back
+      const updated = data?.event || data;
+      const count = updated?.interested_count ?? updated?.attendees_count;
+      if (!queued && count !== undefined) {
+        setOverrides((prev) => ({ ...prev, [key]: { interested, count: Number(count) || 0 } }));
+      }
+      return { queued, interested };
+    } catch (err) {
+      console.error('Failed to update RSVP', err);
+      // Roll back the optimistic change
+      setOverrides((prev) => ({
+        ...prev,
+        [key]: { interested: current.interested, count: current.count },
+      }));
+      throw err;
+    }
+  }, [getRsvpState, sendOrQueue]);
+
+  // Forget local changes once fresh events came back from the server
+  const resetOverrides = useCallback(() => setOverrides({}), []);
+
+  return { getRsvpState, toggleInterest, resetOverrides };
+};
+
+export default useEventRsvp;
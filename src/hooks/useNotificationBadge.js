@@ -0,0 +1,22 @@
+import { useEffect, useState } from 'react';
+import { useAuthContext } from '../auth/AuthContext';
+import { getBadgeCount } from '../utils/notificationPreferences';
+
+// Unread count for the bell, following the user's notification preferences.
+// Re-evaluated every minute while quiet hours are set so the badge hides and returns on time.
+const useNotificationBadge = () => {
+  const { notifications, unreadCount, notificationPreferences } = useAuthContext();
+  const [now, setNow] = useState(() => new Date());
+  const quietEnabled = !!notificationPreferences?.quiet_hours?.enabled;
+
+  useEffect(() => {
+    if (!quietEnabled) return undefined;
+    setNow(new Date());
+    const id = setInterval(() => setNow(new Date()), 60 * 1000);
+    return () => clearInterval(id);
+  }, [quietEnabled]);
+
+  return getBadgeCount({ preferences: notificationPreferences, notifications, unreadCount }, now);
+};
+
+export default useNotificationBadge;
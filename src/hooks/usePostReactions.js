@@ -0,0 +1,133 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useOutbox } from '../offline/OutboxContext';
+import {
+  fetchReactionTypes,
+  findReactionType,
+  getUserReaction,
+  applyReactionChange,
+} from '../utils/reactions';
+
+// The reaction the user last picked for a post while it is still queued in the outbox
+const pendingReactionId = (queue, postId) => {
+  let state;
+  for (const item of queue) {
+    if (item.status === 'failed' || String(item.meta?.postId) !== String(postId)) continue;
+    if (item.type === 'reaction') state = item.json?.reaction_type_id;
+    if (item.type === 'unreaction') state = null;
+  }
+  return state;
+};
+
+// Reaction catalog plus the current user's reaction and counts for any post.
+// Reacting is applied optimistically and persisted through the outbox, so it also works offline.
+const usePostReactions = () => {
+  const { items: outboxItems, sendOrQueue } = useOutbox();
+  const [types, setTypes] = useState([]);
+  const [typesError, setTypesError] = useState('');
+  // postId -> { reactionTypeId, positive, negative } for changes made on this screen
+  const [overrides, setOverrides] = useState({});
+
+  const loadTypes = useCallback(async () => {
+    try {
+      setTypesError('');
+      setTypes(await fetchReactionTypes());
+    } catch (err) {
+      console.error('Failed to fetch reaction types:', err);
+      setTypesError(err.message || 'Failed to load reaction types');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTypes();
+  }, [loadTypes]);
+
+  // Current reaction type (or null) and positive/negative counts for a post
+  const getReactionState = useCallback((post) => {
+    const key = String(post?.id);
+    const serverCounts = {
+      positive: Number(post?.positive_reactions_count) || 0,
+      negative: Number(post?.negative_reactions_count) || 0,
+    };
+    const local = overrides[key];
+    if (local) {
+      return {
+        reaction: findReactionType(types, local.reactionTypeId),
+        reactionTypeId: local.reactionTypeId,
+        positive: local.positive,
+        negative: local.negative,
+      };
+    }
+
+    const serverId = getUserReaction(post)?.reaction_type_id ?? null;
+    const queuedId = pendingReactionId(outboxItems, post?.id);
+    if (queuedId !== undefined && String(queuedId) !== String(serverId)) {
+      const counts = applyReactionChange(
+        serverCounts,
+        findReactionType(types, serverId),
+        findReactionType(types, queuedId)
+      );
+      return { reaction: findReactionType(types, queuedId), reactionTypeId: queuedId, ...counts };
+    }
+    return { reaction: findReactionType(types, serverId), reactionTypeId: serverId, ...serverCounts };
+  }, [overrides, outboxItems, types]);
+
+  // Pick a reaction type; picking the current one again removes it
+  const react = useCallback(async (post, reactionType) => {
+    const key = String(post.id);
+    const current = getReactionState(post);
+    const removing = !reactionType || String(reactionType.id) === String(current.reactionTypeId);
+    const next = removing ? null : reactionType;
+    const counts = applyReactionChange(current, current.reaction, next);
+
+    setOverrides((prev) => ({
+      ...prev,
+      [key]: { reactionTypeId: next?.id ?? null, ...counts },
+    }));
+
+    try {
+      const { queued, data } = await sendOrQueue(removing
+        ? {
+          type: 'unreaction',
+          method: 'DELETE',
+          path: `/api/garbage-posts/${post.id}/reactions`,
+          meta: { postId: key },
+        }
+        : {
+          type: 'reaction',
+          method: 'POST',
+          path: `/api/garbage-posts/${post.id}/reactions`,
+          json: { reaction_type_id: next.id },
+          meta: { postId: key, summary: next.name },
+        });
+
+      // Trust the server's counts when it sends them back
+      const updated = data?.garbagePost || data?.post || data;
+      if (!queued && updated?.positive_reactions_count !== undefined) {
+        setOverrides((prev) => ({
+          ...prev,
+          [key]: {
+            reactionTypeId: next?.id ?? null,
+            positive: Number(updated.positive_reactions_count) || 0,
+            negative: Number(updated.negative_reactions_count) || 0,
+          },
+        }));
+      }
+      return { queued, reaction: next };
+    } catch (err) {
+      console.error('Failed to save reaction', err);
+      // Roll back the optimistic change
+      setOverrides((prev) => ({
+        ...prev,
+        [key]: { reactionTypeId: current.reactionTypeId, positive: current.positive, negative: current.negative },
+      }));
+      throw err;
+    }
+  }, [getReactionState, sendOrQueue]);
+
+  // Forget local changes once fresh posts came back from the server
+  const resetOverrides = useCallback(() => setOverrides({}), []);
+
+  return { types, typesError, reloadTypes: loadTypes, getReactionState, react, resetOverrides };
+};
+
+export default usePostReactions;
@@ -41,6 +41,20 @@ const translations = {
     vote_removed: 'Vote removed successfully',
     vote_submit_failed: 'Failed to submit vote',
     vote_remove_failed: 'Failed to remove vote',
+    vote_changed: 'Vote changed successfully',
+    vote_change_failed: 'Failed to change vote',
+    vote: 'Vote',
+    votes: 'votes',
+    poll_closes_in: 'Closes in {{time}}',
+    poll_closed: 'Closed on {{date}}',
+    poll_choose_up_to: 'Choose up to {{count}}',
+    poll_selection_limit: 'You can choose up to {{count}} options',
+    poll_submit_vote: 'Submit vote',
+    poll_update_vote: 'Update vote',
+    poll_remove_vote: 'Remove vote',
+    poll_results_after_vote: 'Vote to see the results',
+    poll_results_after_close: 'Results will be shown when the poll closes',
+    poll_closed_error: 'This poll is closed',
     auth_required: 'You must be signed in to vote',
     activities: 'Events',
     // Map Screen
@@ -73,12 +87,30 @@ const translations = {
     mark_interested: 'Mark as interested',
     remove_interested: 'Remove from interested',
     event_location: 'Location',
+    location_not_specified: 'Location not specified',
     event_date: 'Date',
     loading_events: 'Loading events...',
     sort_by: 'Sort by',
     view_details: 'View Details',
     save_event: 'Save Event',
     unsave_event: 'Unsave Event',
+    all_events: 'All events',
+    my_events: 'My events',
+    no_my_events: 'You have not marked any upcoming events as interested yet.',
+    event_interested_count: '{{count}} interested',
+    event_rsvp_failed: 'Could not update your RSVP. Please try again.',
+    auth_required_rsvp: 'You must be signed in to RSVP to events',
+    event_not_found: 'Event not found.',
+    event_ends: 'Ends {{date}}',
+    event_meeting_point: 'Meeting point',
+    event_no_meeting_point: 'The organizer has not set a meeting point on the map.',
+    event_organizer: 'Organizer',
+    event_description: 'About this event',
+    get_directions: 'Get directions',
+    add_to_calendar: 'Add to calendar',
+    event_directions_failed: 'Could not open the maps app.',
+    event_export_failed: 'Could not export the event.',
+    event_export_unavailable: 'Sharing is not available on this device.',
     about: 'About us',
     new_post: 'New Post',
     notifications: 'Notifications',
@@ -247,6 +279,270 @@ const translations = {
     center_content: 'Find recycling centers near you and learn how to properly sort and dispose of different materials. Our interactive map helps you locate the nearest recycling facilities and provides information on what materials they accept.',
     direction:"Direction",
     
+    // New Post Screen
+    cancel: 'Cancel',
+    next: 'Next',
+    back: 'Back',
+    open_settings: 'Open Settings',
+    location_permission_required: 'Location permission required',
+    location_permission_message: 'Please allow location access so we can pin the garbage spot.',
+    error_getting_location: 'Could not get your current location',
+    camera_permission_required: 'Camera permission required',
+    camera_permission_message: 'Please allow camera and photo access to attach pictures.',
+    photo_error: 'Failed to pick image',
+    remove_photo: 'Remove photo',
+    no_photo_selected: 'No photo selected',
+    take_photo: 'Take Photo',
+    choose_from_library: 'Library',
+    use_my_location: 'Use my location',
+    tap_map_to_pin: 'Tap the map to drop a pin',
+    drag_pin_hint: 'Drag the pin to adjust the exact spot',
+    auth_required_post: 'You must be signed in to report garbage',
+    new_post_form: {
+      step_photo: 'Photo',
+      step_location: 'Location',
+      step_details: 'Details',
+      photo_title: 'Take a "before" photo',
+      photo_hint: 'Show the garbage clearly so volunteers know what to expect.',
+      location_title: 'Pin the location',
+      location_hint: 'We use your position by default. Drag the pin if needed.',
+      details_title: 'Describe the spot',
+      description_placeholder: 'What kind of garbage is there? How much? Any access notes?',
+      submit: 'Submit Report',
+      submitted: 'Your report was submitted. Thank you!',
+      submit_failed: 'Failed to submit report',
+      file_too_large: 'Photo is too large. Please choose a smaller image.',
+      queued: 'You are offline. Your report was saved and will be uploaded automatically when you are back online.',
+    },
+    // Post status / Mark as cleaned
+    post_status: {
+      open: 'Open',
+      cleaned: 'Cleaned',
+    },
+    // Map layers
+    map_layers: {
+      heatmap: 'Heatmap',
+      all: 'All',
+    },
+    mark_cleaned: {
+      action: 'Mark as cleaned',
+      title: 'Close out this spot',
+      hint: 'Take an "after" photo showing the cleaned area.',
+      attach_location: 'Attach my location as proof',
+      location_optional: 'Optional: proves you were on site',
+      distance_from_spot: 'You are about {{distance}} m from the reported spot',
+      far_title: 'Far from the spot',
+      far_message: 'You seem to be {{distance}} m away from the reported location. Submit anyway?',
+      submit_anyway: 'Submit anyway',
+      submit: 'Mark as cleaned',
+      success: 'Thank you! The spot is now marked as cleaned.',
+      failed: 'Failed to mark as cleaned',
+      not_allowed: 'You are not allowed to clean this post',
+    },
+    sync: {
+      updated_just_now: 'Updated just now',
+      updated_ago: 'Updated {{time}} ago',
+      offline_saved: 'Offline · saved {{time}} ago',
+      offline_no_data: 'Offline · no saved data yet',
+    },
+    outbox: {
+      title: 'Pending sync',
+      pending: 'Waiting to sync',
+      failed: 'Not synced: {{error}}',
+      retry: 'Retry',
+      discard: 'Discard',
+      sync_now: 'Sync now',
+      empty: 'Everything is synced',
+      offline: 'You are offline. Changes will sync when the connection returns.',
+      saved_offline: 'Saved offline, will sync later',
+      saved_offline_title: 'Saved offline',
+      type_comment: 'Comment',
+      type_favorite: 'Add to favorites',
+      type_unfavorite: 'Remove from favorites',
+      type_vote: 'Poll vote',
+      type_unvote: 'Remove poll vote',
+      type_change_vote: 'Change poll vote',
+      type_interested: 'Interested in event',
+      type_uninterested: 'Not interested in event',
+      type_report: 'New report',
+      type_reaction: 'Reaction',
+      type_unreaction: 'Remove reaction',
+    },
+    reaction_picker: {
+      title: 'Choose a reaction',
+      remove: 'Remove my reaction',
+      yours: 'Your reaction: {{name}}',
+      saved: 'Reaction saved',
+      removed: 'Reaction removed',
+      failed: 'Could not save your reaction',
+    },
+    event_form: {
+      new_event: 'New event',
+      title: 'Title',
+      title_placeholder: 'e.g. Riverside cleanup',
+      description: 'Description',
+      description_placeholder: 'What will volunteers do? What should they bring?',
+      date: 'Date and time',
+      location_placeholder: 'Address or landmark',
+      location_hint: 'Move the pin to the meeting point.',
+      max_participants: 'Max participants',
+      max_participants_placeholder: 'No limit',
+      linked_post: 'Linked garbage report',
+      no_linked_post: 'None',
+      post_number: 'Report #{{id}}',
+      create: 'Create event',
+      save: 'Save changes',
+      created: 'Your event has been created.',
+      updated: 'Your changes have been saved.',
+      title_required: 'Please enter a title.',
+      date_in_past: 'Please pick a date in the future.',
+      location_required: 'Please choose the meeting point on the map.',
+      max_invalid: 'Max participants must be a positive number.',
+      auth_required: 'You must be signed in to organize events',
+      not_allowed: 'You are not allowed to manage this event.',
+      save_failed: 'Could not save the event. Please try again.',
+    },
+    event_edit: 'Edit',
+    event_cancel_action: 'Cancel event',
+    event_cancel_title: 'Cancel this event?',
+    event_cancel_confirm: 'Everyone who is interested will be notified. This cannot be undone.',
+    event_cancelled: 'This event has been cancelled',
+    event_cancelled_message: 'The event was cancelled and attendees have been notified.',
+    event_cancel_failed: 'Could not cancel the event. Please try again.',
+    notifications_page: {
+      today: 'Today',
+      yesterday: 'Yesterday',
+      earlier: 'Earlier',
+      unread: '{{count}} unread',
+      all_read: 'All caught up',
+      mark_read: 'Mark as read',
+      mark_unread: 'Mark as unread',
+      mark_all_read: 'Mark all read',
+      dismiss: 'Dismiss',
+      untitled: 'Notification',
+      clear_confirm: 'Delete all notifications? This cannot be undone.',
+      load_failed: 'Could not load notifications.',
+      action_failed: 'Could not update the notification. Please try again.',
+    },
+    notification_settings: {
+      title: 'Notification settings',
+      hint: 'Choose which notifications you get in the app and as push notifications. Changes are saved right away.',
+      types_title: 'Notify me about',
+      channel_in_app: 'In-app',
+      channel_push: 'Push',
+      type_post_comment: 'Comments on my posts',
+      type_comment_reply: 'Replies to my comments',
+      type_event_reminder: 'Event reminders and updates',
+      type_new_poll: 'New polls',
+      type_rank_change: 'Ranking changes',
+      quiet_hours: 'Quiet hours',
+      quiet_hours_hint: 'No push notifications and no badge during these hours.',
+      quiet_from: 'From',
+      quiet_to: 'To',
+      load_failed: 'Failed to load notification settings',
+      save_failed: 'Could not save your notification settings. Please try again.',
+    },
+    search_page: {
+      placeholder: 'Search posts, people, events and polls',
+      clear: 'Clear search',
+      recent: 'Recent searches',
+      no_recent: 'Your recent searches will appear here',
+      remove_recent: 'Remove from recent searches',
+      too_short: 'Type at least {{count}} characters',
+      no_results: 'No results for "{{query}}"',
+      failed: 'Search failed. Please try again.',
+      untitled: 'Untitled',
+      section_posts: 'Posts',
+      section_users: 'People',
+      section_events: 'Events',
+      section_polls: 'Polls',
+    },
+    feed_filters: {
+      title: 'Filters',
+      sort_newest: 'Newest first',
+      sort_oldest: 'Oldest first',
+      sort_most_reactions: 'Most reactions',
+      sort_most_comments: 'Most comments',
+      status: 'Status',
+      status_all: 'All',
+      date: 'Reported',
+      area: 'Area',
+      country_placeholder: 'Country',
+      city_placeholder: 'City',
+      apply: 'Apply',
+      reset: 'Reset',
+      no_matches: 'No posts match these filters',
+      near_me: 'Near me',
+      near_me_hint: 'Only show reports around your current location',
+      radius_km: '{{count}} km',
+      sort_nearest: 'Nearest first',
+      locating: 'Finding your location…',
+      location_denied: 'Allow location access to see reports near you',
+      within_km: 'Reports within {{count}} km of you',
+      change: 'Change',
+      turn_off: 'Turn off',
+    },
+    // Offline map packs
+    offline_maps: {
+      title: 'Offline Maps',
+      hint: 'Download map tiles and reports for an area to keep using the map without signal. Downloaded maps are used automatically when you are offline.',
+      offline: 'You are offline. Connect to download new areas.',
+      storage: 'Storage',
+      storage_used: '{{size}} used',
+      storage_free: '{{size}} free on device',
+      downloaded: 'Downloaded areas',
+      no_packs: 'No offline maps yet.',
+      available: 'Download an area',
+      this_area: 'Current map area',
+      estimate: '~{{tiles}} tiles · ~{{size}}',
+      too_large: 'Too large to download, zoom in first',
+      download: 'Download',
+      download_failed: 'The map could not be downloaded',
+      progress: '{{done}} / {{total}} tiles',
+      pack_meta: '{{size}} · {{posts}} reports',
+      partial: 'incomplete',
+      partial_message: 'Some tiles or reports could not be downloaded. Resume the download to fill the gaps.',
+      resume: 'Resume',
+      delete: 'Delete',
+      delete_title: 'Delete offline map',
+      delete_message: 'Remove "{{name}}" from this device?',
+      in_use: 'Offline map',
+    },
+    // Route planning on the map
+    route_planner: {
+      title: 'Plan a route',
+      hint: 'Tap open reports on the map to add them to the route.',
+      summary: '{{count}} stops · about {{distance}} km in a straight line',
+      no_location: 'Your location is unknown, so the route starts at the first stop.',
+      only_open: 'Only open reports can be added to a route.',
+      limit: 'A route can have at most {{count}} stops.',
+      maps_app_limit: 'Maps apps accept up to {{count}} stops, so only the first {{count}} will be opened. Export the route to keep all of them.',
+      open_maps: 'Open in Maps',
+      export: 'Export',
+      clear: 'Clear',
+      gpx_name: 'Berllog cleanup route',
+      share_unavailable: 'Sharing is not available on this device',
+      export_failed: 'The route could not be exported',
+    },
+    // Nearby report alerts
+    proximity_alerts: {
+      title: 'Nearby report alerts',
+      hint: 'Get a notification when you walk near an open garbage report. Uses your location in the background, checked only every kilometre or so to save battery.',
+      radius: 'Alert me within',
+      meters: '{{count}} m',
+      frequency: 'At most one alert every',
+      frequency_15m: '15 minutes',
+      frequency_1h: 'hour',
+      frequency_4h: '4 hours',
+      frequency_1d: 'day',
+      permission_denied: 'Location and notification access are needed for nearby report alerts.',
+      background_denied: 'Allow location access "Always" so alerts work while the app is closed.',
+      failed: 'Nearby report alerts could not be updated',
+      alert_title: 'Open garbage report nearby',
+      alert_body: 'You are close to a report that still needs cleaning.',
+      service_title: 'Nearby report alerts',
+      service_body: 'Watching for open garbage reports near you',
+    },
   },
   sq: {
     // Profile Screen
@@ -285,6 +581,19 @@ const translations = {
     vote_removed: 'Vota u hoq me sukses',
     vote_submit_failed: 'Dështoi në dërgimin e votës',
     vote_remove_failed: 'Dështoi në heqjen e votës',
+    vote_changed: 'Vota u ndryshua me sukses',
+    vote_change_failed: 'Dështoi në ndryshimin e votës',
+    vote: 'Voto',
+    poll_closes_in: 'Mbyllet për {{time}}',
+    poll_closed: 'U mbyll më {{date}}',
+    poll_choose_up_to: 'Zgjidhni deri në {{count}}',
+    poll_selection_limit: 'Mund të zgjidhni deri në {{count}} opsione',
+    poll_submit_vote: 'Dërgo votën',
+    poll_update_vote: 'Përditëso votën',
+    poll_remove_vote: 'Hiq votën',
+    poll_results_after_vote: 'Votoni për të parë rezultatet',
+    poll_results_after_close: 'Rezultatet shfaqen kur të mbyllet sondazhi',
+    poll_closed_error: 'Ky sondazh është mbyllur',
     auth_required: 'Duhet të jeni të kyçur për të votuar',
     events: 'Ngjarjet',
     activities: 'Ngjarjet',
@@ -344,12 +653,30 @@ const translations = {
     mark_interested: 'Shëno si i interesuar',
     remove_interested: 'Hiq nga të interesuarat',
     event_location: 'Vendndodhja',
+    location_not_specified: 'Vendndodhja nuk është specifikuar',
     event_date: 'Data',
     loading_events: 'Duke ngarkuar ngjarjet...',
     sort_by: 'Rendit sipas',
     view_details: 'Shiko Detajet',
     save_event: 'Ruaj Ngjarjen',
     unsave_event: 'Hiq Ngjarjen',
+    all_events: 'Të gjitha ngjarjet',
+    my_events: 'Ngjarjet e mia',
+    no_my_events: 'Ende nuk keni shënuar asnjë ngjarje të ardhshme si të interesuar.',
+    event_interested_count: '{{count}} të interesuar',
+    event_rsvp_failed: 'Pjesëmarrja nuk u përditësua. Provoni përsëri.',
+    auth_required_rsvp: 'Duhet të jeni të kyçur për t\'u regjistruar në ngjarje',
+    event_not_found: 'Ngjarja nuk u gjet.',
+    event_ends: 'Përfundon {{date}}',
+    event_meeting_point: 'Pika e takimit',
+    event_no_meeting_point: 'Organizatori nuk ka vendosur pikën e takimit në hartë.',
+    event_organizer: 'Organizatori',
+    event_description: 'Rreth kësaj ngjarjeje',
+    get_directions: 'Merr udhëzimet',
+    add_to_calendar: 'Shto në kalendar',
+    event_directions_failed: 'Aplikacioni i hartave nuk u hap.',
+    event_export_failed: 'Ngjarja nuk u eksportua.',
+    event_export_unavailable: 'Ndarja nuk është e disponueshme në këtë pajisje.',
     about: 'Rreth Nesh',
     login: 'Kyçu',
     register: 'Regjistrohu',
@@ -475,6 +802,275 @@ const translations = {
     dark_mode: 'Mode e Errët',
     direction:"udhëzime",
     
+    // New Post Screen
+    new_post: 'Postim i Ri',
+    notifications: 'Njoftimet',
+    clear_all: 'Pastro të gjitha',
+    no_notifications: 'Nuk ka njoftime',
+    cancel: 'Anulo',
+    next: 'Vazhdo',
+    back: 'Kthehu',
+    open_settings: 'Hap Cilësimet',
+    location_permission_required: 'Kërkohet leja e vendndodhjes',
+    location_permission_message: 'Ju lutem lejoni qasjen në vendndodhje që të shënojmë vendin me mbeturina.',
+    error_getting_location: 'Nuk mund të merrej vendndodhja juaj',
+    camera_permission_required: 'Kërkohet leja e kamerës',
+    camera_permission_message: 'Ju lutem lejoni qasjen në kamerë dhe foto për të bashkëngjitur fotografi.',
+    photo_error: 'Dështoi në zgjedhjen e fotos',
+    remove_photo: 'Hiq foton',
+    no_photo_selected: 'Nuk është zgjedhur foto',
+    take_photo: 'Bëj Foto',
+    choose_from_library: 'Galeria',
+    use_my_location: 'Përdor vendndodhjen time',
+    tap_map_to_pin: 'Prekni hartën për të vendosur shenjën',
+    drag_pin_hint: 'Tërhiqni shenjën për të rregulluar vendin e saktë',
+    auth_required_post: 'Duhet të jeni të kyçur për të raportuar mbeturina',
+    new_post_form: {
+      step_photo: 'Foto',
+      step_location: 'Vendndodhja',
+      step_details: 'Detajet',
+      photo_title: 'Bëni një foto "para"',
+      photo_hint: 'Tregoni qartë mbeturinat që vullnetarët të dinë çfarë t\'i pret.',
+      location_title: 'Shënoni vendndodhjen',
+      location_hint: 'Përdorim pozicionin tuaj si fillim. Tërhiqni shenjën nëse duhet.',
+      details_title: 'Përshkruani vendin',
+      description_placeholder: 'Çfarë lloj mbeturinash ka? Sa? Ndonjë shënim për qasjen?',
+      submit: 'Dërgo Raportin',
+      submitted: 'Raporti juaj u dërgua. Faleminderit!',
+      submit_failed: 'Dështoi dërgimi i raportit',
+      file_too_large: 'Fotoja është shumë e madhe. Zgjidhni një imazh më të vogël.',
+      queued: 'Jeni jashtë linje. Raporti u ruajt dhe do të ngarkohet automatikisht kur të jeni sërish online.',
+    },
+    // Post status / Mark as cleaned
+    post_status: {
+      open: 'Hapur',
+      cleaned: 'Pastruar',
+    },
+    // Map layers
+    map_layers: {
+      heatmap: 'Hartë nxehtësie',
+      all: 'Të gjitha',
+    },
+    mark_cleaned: {
+      action: 'Shëno si të pastruar',
+      title: 'Mbyllni këtë vend',
+      hint: 'Bëni një foto "pas" që tregon zonën e pastruar.',
+      attach_location: 'Bashkëngjit vendndodhjen si dëshmi',
+      location_optional: 'Opsionale: dëshmon që ishit në vend',
+      distance_from_spot: 'Jeni rreth {{distance}} m nga vendi i raportuar',
+      far_title: 'Larg nga vendi',
+      far_message: 'Duket se jeni {{distance}} m larg vendit të raportuar. Të dërgohet gjithsesi?',
+      submit_anyway: 'Dërgo gjithsesi',
+      submit: 'Shëno si të pastruar',
+      success: 'Faleminderit! Vendi tani është shënuar si i pastruar.',
+      failed: 'Dështoi shënimi si i pastruar',
+      not_allowed: 'Nuk keni leje ta pastroni këtë postim',
+    },
+    sync: {
+      updated_just_now: 'Përditësuar tani',
+      updated_ago: 'Përditësuar {{time}} më parë',
+      offline_saved: 'Jashtë linje · ruajtur {{time}} më parë',
+      offline_no_data: 'Jashtë linje · ende pa të dhëna të ruajtura',
+    },
+    outbox: {
+      title: 'Në pritje të sinkronizimit',
+      pending: 'Në pritje të sinkronizimit',
+      failed: 'Nuk u sinkronizua: {{error}}',
+      retry: 'Provo përsëri',
+      discard: 'Hidh poshtë',
+      sync_now: 'Sinkronizo tani',
+      empty: 'Gjithçka është e sinkronizuar',
+      offline: 'Jeni jashtë linje. Ndryshimet do të sinkronizohen kur të kthehet lidhja.',
+      saved_offline: 'U ruajt jashtë linje, do të sinkronizohet më vonë',
+      saved_offline_title: 'U ruajt jashtë linje',
+      type_comment: 'Koment',
+      type_favorite: 'Shto te të preferuarat',
+      type_unfavorite: 'Hiq nga të preferuarat',
+      type_vote: 'Votë në sondazh',
+      type_unvote: 'Hiq votën',
+      type_change_vote: 'Ndrysho votën',
+      type_interested: 'I interesuar për ngjarjen',
+      type_uninterested: 'Jo i interesuar për ngjarjen',
+      type_report: 'Raport i ri',
+      type_reaction: 'Reagim',
+      type_unreaction: 'Hiq reagimin',
+    },
+    reaction_picker: {
+      title: 'Zgjidhni një reagim',
+      remove: 'Hiq reagimin tim',
+      yours: 'Reagimi juaj: {{name}}',
+      saved: 'Reagimi u ruajt',
+      removed: 'Reagimi u hoq',
+      failed: 'Reagimi nuk u ruajt',
+    },
+    event_form: {
+      new_event: 'Ngjarje e re',
+      title: 'Titulli',
+      title_placeholder: 'p.sh. Pastrimi i bregut të lumit',
+      description: 'Përshkrimi',
+      description_placeholder: 'Çfarë do të bëjnë vullnetarët? Çfarë duhet të sjellin?',
+      date: 'Data dhe ora',
+      location_placeholder: 'Adresa ose pika referuese',
+      location_hint: 'Lëvizni kunjin te pika e takimit.',
+      max_participants: 'Numri maksimal i pjesëmarrësve',
+      max_participants_placeholder: 'Pa kufi',
+      linked_post: 'Raporti i lidhur i mbeturinave',
+      no_linked_post: 'Asnjë',
+      post_number: 'Raporti #{{id}}',
+      create: 'Krijo ngjarjen',
+      save: 'Ruaj ndryshimet',
+      created: 'Ngjarja juaj u krijua.',
+      updated: 'Ndryshimet u ruajtën.',
+      title_required: 'Ju lutemi shkruani një titull.',
+      date_in_past: 'Ju lutemi zgjidhni një datë në të ardhmen.',
+      location_required: 'Ju lutemi zgjidhni pikën e takimit në hartë.',
+      max_invalid: 'Numri maksimal duhet të jetë numër pozitiv.',
+      auth_required: 'Duhet të jeni të kyçur për të organizuar ngjarje',
+      not_allowed: 'Nuk keni leje ta menaxhoni këtë ngjarje.',
+      save_failed: 'Ngjarja nuk u ruajt. Provoni përsëri.',
+    },
+    event_edit: 'Ndrysho',
+    event_cancel_action: 'Anulo ngjarjen',
+    event_cancel_title: 'Ta anuloni këtë ngjarje?',
+    event_cancel_confirm: 'Të gjithë të interesuarit do të njoftohen. Ky veprim nuk kthehet.',
+    event_cancelled: 'Kjo ngjarje është anuluar',
+    event_cancelled_message: 'Ngjarja u anulua dhe pjesëmarrësit u njoftuan.',
+    event_cancel_failed: 'Ngjarja nuk u anulua. Provoni përsëri.',
+    notifications_page: {
+      today: 'Sot',
+      yesterday: 'Dje',
+      earlier: 'Më herët',
+      unread: '{{count}} të palexuara',
+      all_read: 'Keni lexuar gjithçka',
+      mark_read: 'Shëno si të lexuar',
+      mark_unread: 'Shëno si të palexuar',
+      mark_all_read: 'Shëno të gjitha si të lexuara',
+      dismiss: 'Hiq',
+      untitled: 'Njoftim',
+      clear_confirm: 'Të fshihen të gjitha njoftimet? Ky veprim nuk kthehet.',
+      load_failed: 'Njoftimet nuk u ngarkuan.',
+      action_failed: 'Njoftimi nuk u përditësua. Provoni përsëri.',
+    },
+    notification_settings: {
+      title: 'Cilësimet e njoftimeve',
+      hint: 'Zgjidhni cilat njoftime merrni në aplikacion dhe si njoftime push. Ndryshimet ruhen menjëherë.',
+      types_title: 'Më njofto për',
+      channel_in_app: 'Në aplikacion',
+      channel_push: 'Push',
+      type_post_comment: 'Komentet në postimet e mia',
+      type_comment_reply: 'Përgjigjet në komentet e mia',
+      type_event_reminder: 'Kujtesat dhe ndryshimet e eventeve',
+      type_new_poll: 'Sondazhet e reja',
+      type_rank_change: 'Ndryshimet në renditje',
+      quiet_hours: 'Orët e qeta',
+      quiet_hours_hint: 'Pa njoftime push dhe pa shenjë gjatë këtyre orëve.',
+      quiet_from: 'Nga',
+      quiet_to: 'Deri',
+      load_failed: 'Ngarkimi i cilësimeve të njoftimeve dështoi',
+      save_failed: 'Cilësimet e njoftimeve nuk u ruajtën. Ju lutemi provoni përsëri.',
+    },
+    search: 'Kërko',
+    search_page: {
+      placeholder: 'Kërko postime, njerëz, evente dhe sondazhe',
+      clear: 'Pastro kërkimin',
+      recent: 'Kërkimet e fundit',
+      no_recent: 'Kërkimet tuaja të fundit do të shfaqen këtu',
+      remove_recent: 'Hiqe nga kërkimet e fundit',
+      too_short: 'Shkruani të paktën {{count}} karaktere',
+      no_results: 'Asnjë rezultat për "{{query}}"',
+      failed: 'Kërkimi dështoi. Ju lutemi provoni përsëri.',
+      untitled: 'Pa titull',
+      section_posts: 'Postime',
+      section_users: 'Njerëz',
+      section_events: 'Evente',
+      section_polls: 'Sondazhe',
+    },
+    feed_filters: {
+      title: 'Filtrat',
+      sort_newest: 'Më të rejat së pari',
+      sort_oldest: 'Më të vjetrat së pari',
+      sort_most_reactions: 'Më shumë reagime',
+      sort_most_comments: 'Më shumë komente',
+      status: 'Statusi',
+      status_all: 'Të gjitha',
+      date: 'Raportuar',
+      area: 'Zona',
+      country_placeholder: 'Shteti',
+      city_placeholder: 'Qyteti',
+      apply: 'Apliko',
+      reset: 'Rivendos',
+      no_matches: 'Asnjë postim nuk përputhet me këto filtra',
+      near_me: 'Afër meje',
+      near_me_hint: 'Shfaq vetëm raportet rreth vendndodhjes suaj aktuale',
+      radius_km: '{{count}} km',
+      sort_nearest: 'Më të afërtat së pari',
+      locating: 'Duke gjetur vendndodhjen tuaj…',
+      location_denied: 'Lejoni qasjen në vendndodhje për të parë raportet afër jush',
+      within_km: 'Raportet brenda {{count}} km nga ju',
+      change: 'Ndrysho',
+      turn_off: 'Çaktivizo',
+    },
+    // Offline map packs
+    offline_maps: {
+      title: 'Harta Offline',
+      hint: 'Shkarkoni hartën dhe raportimet e një zone për ta përdorur hartën pa sinjal. Hartat e shkarkuara përdoren automatikisht kur jeni offline.',
+      offline: 'Jeni offline. Lidhuni për të shkarkuar zona të reja.',
+      storage: 'Hapësira',
+      storage_used: '{{size}} të përdorura',
+      storage_free: '{{size}} të lira në pajisje',
+      downloaded: 'Zonat e shkarkuara',
+      no_packs: 'Ende nuk ka harta offline.',
+      available: 'Shkarkoni një zonë',
+      this_area: 'Zona aktuale e hartës',
+      estimate: '~{{tiles}} pllaka · ~{{size}}',
+      too_large: 'Shumë e madhe për t\'u shkarkuar, zmadhoni më parë',
+      download: 'Shkarko',
+      download_failed: 'Harta nuk mund të shkarkohej',
+      progress: '{{done}} / {{total}} pllaka',
+      pack_meta: '{{size}} · {{posts}} raportime',
+      partial: 'e paplotë',
+      partial_message: 'Disa pllaka ose raportime nuk u shkarkuan. Vazhdoni shkarkimin për të plotësuar mungesat.',
+      resume: 'Vazhdo',
+      delete: 'Fshij',
+      delete_title: 'Fshij hartën offline',
+      delete_message: 'Të hiqet "{{name}}" nga kjo pajisje?',
+      in_use: 'Hartë offline',
+    },
+    // Route planning on the map
+    route_planner: {
+      title: 'Planifiko një itinerar',
+      hint: 'Prekni raportet e hapura në hartë për t\'i shtuar në itinerar.',
+      summary: '{{count}} ndalesa · rreth {{distance}} km në vijë të drejtë',
+      no_location: 'Vendndodhja juaj nuk dihet, prandaj itinerari nis nga ndalesa e parë.',
+      only_open: 'Vetëm raportet e hapura mund të shtohen në itinerar.',
+      limit: 'Një itinerar mund të ketë deri në {{count}} ndalesa.',
+      maps_app_limit: 'Aplikacionet e hartave pranojnë deri në {{count}} ndalesa, prandaj do të hapen vetëm {{count}} të parat. Eksportoni itinerarin për t\'i ruajtur të gjitha.',
+      open_maps: 'Hape në Harta',
+      export: 'Eksporto',
+      clear: 'Pastro',
+      gpx_name: 'Itinerar pastrimi Berllog',
+      share_unavailable: 'Ndarja nuk është e disponueshme në këtë pajisje',
+      export_failed: 'Itinerari nuk mund të eksportohej',
+    },
+    // Nearby report alerts
+    proximity_alerts: {
+      title: 'Njoftime për raportet afër',
+      hint: 'Merrni një njoftim kur kaloni pranë një raporti të hapur mbeturinash. Përdor vendndodhjen në sfond, të kontrolluar vetëm afërsisht çdo kilometër për të kursyer baterinë.',
+      radius: 'Më njofto brenda',
+      meters: '{{count}} m',
+      frequency: 'Jo më shumë se një njoftim çdo',
+      frequency_15m: '15 minuta',
+      frequency_1h: 'orë',
+      frequency_4h: '4 orë',
+      frequency_1d: 'ditë',
+      permission_denied: 'Për njoftimet e raporteve afër nevojitet qasja në vendndodhje dhe njoftime.',
+      background_denied: 'Lejoni qasjen në vendndodhje "Gjithmonë" që njoftimet të punojnë edhe kur aplikacioni është i mbyllur.',
+      failed: 'Njoftimet për raportet afër nuk mund të përditësoheshin',
+      alert_title: 'Raport i hapur mbeturinash afër',
+      alert_body: 'Jeni pranë një raporti që ende duhet pastruar.',
+      service_title: 'Njoftime për raportet afër',
+      service_body: 'Duke kërkuar raporte të hapura mbeturinash pranë jush',
+    },
   },
 };
 
@@ -13,21 +13,38 @@ import PostDetailsScreen from '../screens/PostDetailsScreen';
 import UserDetailsScreen from '../screens/UserDetailsScreen';
 import MapScreen from '../screens/MapScreen';
 import ProfileScreen from '../screens/ProfileScreen';
+import SplashScreen from '../screens/SplashScreen';
+import NewPostScreen from '../screens/NewPostScreen';
+import MarkCleanedScreen from '../screens/MarkCleanedScreen';
+import EventDetailsScreen from '../screens/EventDetailsScreen';
+import EventFormScreen from '../screens/EventFormScreen';
+import NotificationsScreen from '../screens/NotificationsScreen';
+import NotificationSettingsScreen from '../screens/NotificationSettingsScreen';
+import SearchScreen from '../screens/SearchScreen';
+import OfflineMapsScreen from '../screens/OfflineMapsScreen';
 import HeaderBar from '../ui/HeaderBar';
 import DrawerContent from './DrawerContent';
 import AuthNavigator from './AuthNavigator';
 import { AuthContext } from '../auth/AuthContext';
 import { useThemeContext } from '../theme/ThemeContext';
+import { navigationRef } from './navigationRef';
+import usePushNotifications from '../notifications/usePushNotifications';
 
 const Drawer = createDrawerNavigator();
 const Stack = createNativeStackNavigator();
 
 const AppNavigator = () => {
-  const { token } = useContext(AuthContext);
+  const { token, restoring } = useContext(AuthContext);
   const { isDarkMode } = useThemeContext();
+  const onNavigationReady = usePushNotifications(navigationRef);
+
+  // Wait for the stored session before choosing between app and auth flows
+  if (restoring) {
+    return <SplashScreen />;
+  }
 
   return (
-    <NavigationContainer theme={isDarkMode ? DarkTheme : DefaultTheme}>
+    <NavigationContainer ref={navigationRef} onReady={onNavigationReady} theme={isDarkMode ? DarkTheme : DefaultTheme}>
       {token ? (
         <Drawer.Navigator
           initialRouteName="Home"
@@ -39,12 +56,16 @@ const AppNavigator = () => {
           <Drawer.Screen name="Home" component={HomeStackNavigator} options={{ title: 'Berllog' }} />
           <Drawer.Screen name="Ranking" component={RankingStackNavigator} />
           <Drawer.Screen name="Polls" component={PollsScreen} />
-          <Drawer.Screen name="Events" component={EventsScreen} />
+          <Drawer.Screen name="Events" component={EventsStackNavigator} />
           <Drawer.Screen name="Map" component={MapStackNavigator} />
           <Drawer.Screen name="Statistics" component={StatisticsStackNavigator} />
           <Drawer.Screen name="ReactionTypes" component={ReactionTypesScreen} />
           <Drawer.Screen name="About" component={AboutScreen} />
           <Drawer.Screen name="Profile" component={ProfileScreen} options={{ title: 'Profile' }} />
+          <Drawer.Screen name="Notifications" component={NotificationsScreen} />
+          <Drawer.Screen name="NotificationSettings" component={NotificationSettingsScreen} options={{ title: 'Notification Settings' }} />
+          <Drawer.Screen name="Search" component={SearchScreen} />
+          <Drawer.Screen name="OfflineMaps" component={OfflineMapsScreen} options={{ title: 'Offline Maps' }} />
         </Drawer.Navigator>
       ) : (
         <AuthNavigator />
@@ -79,6 +100,38 @@ const createScreenStack = (initialRouteName, initialRouteComponent) => {
           title: 'User Profile'
         }}
       />
+      <Stack.Screen 
+        name="NewPost" 
+        component={NewPostScreen} 
+        options={{
+          headerShown: true,
+          title: 'New Post'
+        }}
+      />
+      <Stack.Screen 
+        name="MarkCleaned" 
+        component={MarkCleanedScreen} 
+        options={{
+          headerShown: true,
+          title: 'Mark as Cleaned'
+        }}
+      />
+      <Stack.Screen 
+        name="EventDetails" 
+        component={EventDetailsScreen} 
+        options={{
+          headerShown: true,
+          title: 'Event Details'
+        }}
+      />
+      <Stack.Screen 
+        name="EventForm" 
+        component={EventFormScreen} 
+        options={({ route }) => ({
+          headerShown: true,
+          title: route.params?.event ? 'Edit Event' : 'New Event'
+        })}
+      />
     </Stack.Navigator>
   );
 };
@@ -98,6 +151,11 @@ const StatisticsStackNavigator = () => {
   return createScreenStack("StatisticsScreen", StatisticsScreen);
 };
 
+// Events stack navigator
+const EventsStackNavigator = () => {
+  return createScreenStack("EventsScreen", EventsScreen);
+};
+
 // Map stack navigator
 const MapStackNavigator = () => {
   return createScreenStack("MapScreen", MapScreen);
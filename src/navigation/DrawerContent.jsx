@@ -6,28 +6,7 @@ import { Ionicons } from '@expo/vector-icons';
 import { useI18n } from '../i18n';
 import { AuthContext } from '../auth/AuthContext';
 import { useThemeContext } from '../theme/ThemeContext';
-
-// Get the API base URL from environment or use a default
-const getApiBaseUrl = () => {
-  // If we're in development, use the local IP that's working for other requests
-  if (__DEV__) {
-    return 'http://192.168.1.102:8000';
-  }
-  // In production, you might want to use a different URL
-  return 'https://your-production-api.com';
-};
-
-// Create a config object for API URLs
-const API_CONFIG = {
-  BASE_URL: getApiBaseUrl(),
-  
-  // Platform-specific configurations
-  STORAGE_PATHS: [
-    '/storage/',      // Standard path
-    '/',              // Root path
-    '/public/storage/' // Alternative path sometimes used
-  ],
-};
+import { API_BASE_URL, STORAGE_PATHS } from '../api/client';
 
 // Helper function to get the correct image URL format
 const getImageUrl = (imagePath) => {
@@ -45,7 +24,7 @@ const getImageUrl = (imagePath) => {
   const cleaned = String(imagePath).replace(/^\/+|^storage\//, '');
   
   // Construct the URL
-  const finalUrl = `${API_CONFIG.BASE_URL}/storage/${cleaned}`;
+  const finalUrl = `${API_BASE_URL}/storage/${cleaned}`;
   
   // For debugging
   console.log('[DrawerContent] Final image URL:', finalUrl);
@@ -57,7 +36,7 @@ const useImageWithFallback = (initialImagePath, userName) => {
   const [imageSource, setImageSource] = React.useState(null);
   const [imageError, setImageError] = React.useState(false);
   const retryCount = React.useRef(0);
-  const maxRetries = API_CONFIG.STORAGE_PATHS.length;
+  const maxRetries = STORAGE_PATHS.length;
   
   // Get user's first initial for fallback avatar
   const getInitial = React.useCallback(() => {
@@ -87,10 +66,10 @@ const useImageWithFallback = (initialImagePath, userName) => {
       const cleaned = String(initialImagePath).replace(/^\/+/, '');
       let retryUrl;
       
-      if (pathIndex < API_CONFIG.STORAGE_PATHS.length) {
+      if (pathIndex < STORAGE_PATHS.length) {
         // Try the next storage path format
-        const storagePath = API_CONFIG.STORAGE_PATHS[pathIndex];
-        retryUrl = `${API_CONFIG.BASE_URL}${storagePath}${cleaned}`;
+        const storagePath = STORAGE_PATHS[pathIndex];
+        retryUrl = `${API_BASE_URL}${storagePath}${cleaned}`;
         console.log(`[DrawerContent] Retrying with URL format ${pathIndex+1}/${maxRetries}: ${retryUrl}`);
         setImageSource({ uri: retryUrl });
       } else {
@@ -184,6 +163,13 @@ const DrawerContent = (props) => {
           label={t('posts')}
           onPress={() => props.navigation.navigate('Home')}
         />
+        {token && (
+          <DrawerItem
+            icon={({ color, size }) => <Ionicons name="add-circle-outline" color={color} size={size} />}
+            label={t('new_post')}
+            onPress={() => props.navigation.navigate('Home', { screen: 'NewPost', initial: false })}
+          />
+        )}
         <DrawerItem
           icon={({ color, size }) => <Ionicons name="trophy-outline" color={color} size={size} />}
           label={t('ranking')}
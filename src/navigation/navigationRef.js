@@ -0,0 +1,4 @@
+import { createNavigationContainerRef } from '@react-navigation/native';
+
+// Lets code outside the screen tree (e.g. push notification handlers) navigate
+export const navigationRef = createNavigationContainerRef();
@@ -0,0 +1,27 @@
+import { getNotificationTarget } from '../utils/notifications';
+
+// Open the screen a { kind: 'post' | 'user' | 'poll' | 'event', id } target refers to. Detail screens
+// live in the per-tab stacks, so they are pushed on top of the stack's first screen (`initial: false`)
+// to keep Back working. Returns false for unknown kinds.
+export const openTarget = (navigation, target) => {
+  switch (target?.kind) {
+    case 'post':
+      navigation.navigate('Home', { screen: 'PostDetails', params: { postId: target.id }, initial: false });
+      return true;
+    case 'user':
+      navigation.navigate('Home', { screen: 'UserDetails', params: { userId: target.id }, initial: false });
+      return true;
+    case 'event':
+      navigation.navigate('Events', { screen: 'EventDetails', params: { eventId: target.id }, initial: false });
+      return true;
+    case 'poll':
+      navigation.navigate('Polls', { pollId: target.id });
+      return true;
+    default:
+      return false;
+  }
+};
+
+// Returns false when the notification doesn't point anywhere
+export const openNotificationTarget = (navigation, notification) =>
+  openTarget(navigation, getNotificationTarget(notification));
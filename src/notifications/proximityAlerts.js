@@ -0,0 +1,260 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Location from 'expo-location';
+import * as TaskManager from 'expo-task-manager';
+import * as Notifications from 'expo-notifications';
+import { api, unwrapList } from '../api/client';
+import { loadCachedPosts } from '../offline/postsCache';
+import { isPostCleaned } from '../utils/postStatus';
+import { getDistanceKm, getPostCoordinates } from '../utils/geo';
+import { presentLocalNotification } from './push';
+
+// Optional alerts when the user walks near an open garbage report.
+// Battery use is kept low by letting the OS do the watching: the nearest open reports are
+// registered as geofences (region monitoring), and a coarse background location task only wakes
+// up after the user moved about a kilometre, to swap in the reports around the new position.
+// The tasks must be defined when the JS bundle loads, so App.js imports this module.
+const GEOFENCE_TASK = 'berllog-proximity-geofence';
+const RELOCATE_TASK = 'berllog-proximity-relocate';
+const SETTINGS_KEY = '@berllog_proximity_alerts';
+const STATE_KEY = '@berllog_proximity_state';
+
+export const PROXIMITY_RADII_M = [100, 250, 500];
+// Minimum time between two alerts
+export const PROXIMITY_FREQUENCIES = [
+  { key: '15m', minutes: 15 },
+  { key: '1h', minutes: 60 },
+  { key: '4h', minutes: 240 },
+  { key: '1d', minutes: 1440 },
+];
+
+export const DEFAULT_PROXIMITY_SETTINGS = {
+  enabled: false,
+  radius_m: 250,
+  frequency: '1h',
+  // Notification strings saved in the user's language, since the background task has no i18n
+  texts: null,
+};
+
+// iOS monitors at most 20 regions per app
+const MAX_REGIONS = 20;
+// Reports further than this are not worth a geofence yet
+const SEARCH_RADIUS_KM = 5;
+// Move this far before the monitored reports are picked again
+const RELOCATE_DISTANCE_M = 1000;
+const RELOCATE_INTERVAL_MS = 15 * 60 * 1000;
+// The same report is not announced again for a week
+const REPEAT_AFTER_MS = 7 * 24 * 60 * 60 * 1000;
+
+const readJson = async (key, fallback) => {
+  try {
+    const raw = await AsyncStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (e) {
+    console.log('[Proximity] Failed to read', key, e?.message || e);
+    return fallback;
+  }
+};
+
+const writeJson = async (key, value) => {
+  try {
+    await AsyncStorage.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    console.log('[Proximity] Failed to write', key, e?.message || e);
+  }
+};
+
+export const normalizeProximitySettings = (settings) => {
+  const merged = { ...DEFAULT_PROXIMITY_SETTINGS, ...(settings || {}) };
+  return {
+    ...merged,
+    enabled: !!merged.enabled,
+    radius_m: PROXIMITY_RADII_M.includes(Number(merged.radius_m)) ? Number(merged.radius_m) : DEFAULT_PROXIMITY_SETTINGS.radius_m,
+    frequency: PROXIMITY_FREQUENCIES.some((f) => f.key === merged.frequency) ? merged.frequency : DEFAULT_PROXIMITY_SETTINGS.frequency,
+  };
+};
+
+export const loadProximitySettings = async () => normalizeProximitySettings(await readJson(SETTINGS_KEY, null));
+
+// { regions: { [postId]: { description } }, lastAlertAt, alerted: { [postId]: timestamp } }
+const loadState = () => readJson(STATE_KEY, { regions: {}, lastAlertAt: 0, alerted: {} });
+
+const fetchNearbyOpenPosts = async ({ latitude, longitude }) => {
+  // ~1 degree of latitude is 111 km; longitude shrinks with latitude
+  const dLat = SEARCH_RADIUS_KM / 111;
+  const dLng = SEARCH_RADIUS_KM / (111 * Math.max(0.1, Math.cos((latitude * Math.PI) / 180)));
+  const bbox = [longitude - dLng, latitude - dLat, longitude + dLng, latitude + dLat].map((v) => v.toFixed(5)).join(',');
+  try {
+    const data = await api.get('/api/garbage-posts', { params: { bbox, status: 'open', per_page: 200 } });
+    return unwrapList(data, 'garbagePosts');
+  } catch (e) {
+    console.log('[Proximity] Using cached posts:', e?.message || e);
+    return (await loadCachedPosts())?.posts || [];
+  }
+};
+
+// Register geofences for the open reports closest to `location`
+const refreshRegions = async (location, settings) => {
+  const posts = await fetchNearbyOpenPosts(location);
+  const nearest = posts
+    .filter((post) => !isPostCleaned(post))
+    .map((post) => {
+      const coords = getPostCoordinates(post);
+      const km = coords && getDistanceKm(location.latitude, location.longitude, coords.latitude, coords.longitude);
+      return coords && km != null && km <= SEARCH_RADIUS_KM ? { post, coords, km } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.km - b.km)
+    .slice(0, MAX_REGIONS);
+
+  const state = await loadState();
+  state.regions = Object.fromEntries(nearest.map(({ post }) => [String(post.id), { description: post.description || '' }]));
+  await writeJson(STATE_KEY, state);
+
+  if (nearest.length === 0) {
+    if (await Location.hasStartedGeofencingAsync(GEOFENCE_TASK)) await Location.stopGeofencingAsync(GEOFENCE_TASK);
+    return;
+  }
+  // Starting again replaces the monitored regions
+  await Location.startGeofencingAsync(GEOFENCE_TASK, nearest.map(({ post, coords }) => ({
+    identifier: String(post.id),
+    latitude: coords.latitude,
+    longitude: coords.longitude,
+    radius: settings.radius_m,
+    notifyOnEnter: true,
+    notifyOnExit: false,
+  })));
+};
+
+// Notify about a report the user just walked up to, within the frequency limits
+const handleRegionEnter = async (postId) => {
+  const settings = await loadProximitySettings();
+  if (!settings.enabled) return;
+  const state = await loadState();
+  const now = Date.now();
+  const minutes = PROXIMITY_FREQUENCIES.find((f) => f.key === settings.frequency)?.minutes ?? 60;
+  if (now - (state.lastAlertAt || 0) < minutes * 60 * 1000) return;
+  if (now - (state.alerted?.[postId] || 0) < REPEAT_AFTER_MS) return;
+
+  const description = state.regions?.[postId]?.description || '';
+  await presentLocalNotification({
+    title: settings.texts?.title || 'Open garbage report nearby',
+    message: description || settings.texts?.body || 'You are close to a report that still needs cleaning.',
+    type: 'proximity',
+    post_id: postId,
+    // Shown by the device only; there is no server notification to sync
+    local: true,
+  });
+
+  // Forget alerts older than the repeat window so the log stays small
+  const alerted = Object.fromEntries(
+    Object.entries(state.alerted || {}).filter(([, at]) => now - at < REPEAT_AFTER_MS)
+  );
+  alerted[postId] = now;
+  await writeJson(STATE_KEY, { ...state, lastAlertAt: now, alerted });
+};
+
+TaskManager.defineTask(GEOFENCE_TASK, async ({ data, error }) => {
+  if (error) {
+    console.log('[Proximity] Geofence task error', error.message);
+    return;
+  }
+  if (data?.eventType !== Location.GeofencingEventType.Enter || !data.region?.identifier) return;
+  await handleRegionEnter(data.region.identifier);
+});
+
+TaskManager.defineTask(RELOCATE_TASK, async ({ data, error }) => {
+  if (error) {
+    console.log('[Proximity] Location task error', error.message);
+    return;
+  }
+  const latest = data?.locations?.[data.locations.length - 1];
+  if (!latest) return;
+  const settings = await loadProximitySettings();
+  if (!settings.enabled) return;
+  await refreshRegions(latest.coords, settings);
+});
+
+// Foreground, then "always" location access. Resolves 'granted', 'foreground_only' or 'denied'.
+const requestPermissions = async () => {
+  const foreground = await Location.requestForegroundPermissionsAsync();
+  if (foreground.status !== 'granted') return 'denied';
+  const background = await Location.requestBackgroundPermissionsAsync();
+  if (background.status !== 'granted') return 'foreground_only';
+  const notifications = await Notifications.getPermissionsAsync();
+  if (notifications.status !== 'granted') {
+    const requested = await Notifications.requestPermissionsAsync();
+    if (requested.status !== 'granted') return 'denied';
+  }
+  return 'granted';
+};
+
+const stopTasks = async () => {
+  try {
+    if (await Location.hasStartedGeofencingAsync(GEOFENCE_TASK)) await Location.stopGeofencingAsync(GEOFENCE_TASK);
+    if (await Location.hasStartedLocationUpdatesAsync(RELOCATE_TASK)) await Location.stopLocationUpdatesAsync(RELOCATE_TASK);
+  } catch (e) {
+    console.log('[Proximity] Failed to stop tasks', e?.message || e);
+  }
+};
+
+// Coarse background updates that re-pick the monitored reports as the user moves
+const startRelocateTask = (settings) =>
+  Location.startLocationUpdatesAsync(RELOCATE_TASK, {
+    // Cell and Wi-Fi positioning is plenty for picking regions and far cheaper than GPS
+    accuracy: Location.Accuracy.Balanced,
+    distanceInterval: RELOCATE_DISTANCE_M,
+    deferredUpdatesDistance: RELOCATE_DISTANCE_M,
+    deferredUpdatesInterval: RELOCATE_INTERVAL_MS,
+    timeInterval: RELOCATE_INTERVAL_MS,
+    pausesUpdatesAutomatically: true,
+    activityType: Location.ActivityType.Fitness,
+    showsBackgroundLocationIndicator: false,
+    // Android only keeps background location alive with a visible notification
+    foregroundService: {
+      notificationTitle: settings.texts?.serviceTitle || 'Nearby report alerts',
+      notificationBody: settings.texts?.serviceBody || 'Watching for open garbage reports near you',
+    },
+  });
+
+// Save the settings and start or stop monitoring to match. `texts` are { title, body, serviceTitle, serviceBody }
+// in the user's language. Resolves { settings, permission } where permission is as in requestPermissions;
+// monitoring stays off unless it is 'granted'.
+export const applyProximitySettings = async (changes, texts) => {
+  const current = await loadProximitySettings();
+  const settings = normalizeProximitySettings({ ...current, ...changes, texts: texts || current.texts });
+
+  if (!settings.enabled) {
+    await writeJson(SETTINGS_KEY, settings);
+    await stopTasks();
+    return { settings, permission: null };
+  }
+
+  const permission = await requestPermissions();
+  if (permission !== 'granted') {
+    const disabled = { ...settings, enabled: false };
+    await writeJson(SETTINGS_KEY, disabled);
+    await stopTasks();
+    return { settings: disabled, permission };
+  }
+
+  try {
+    await writeJson(SETTINGS_KEY, settings);
+    const position = await Location.getLastKnownPositionAsync()
+      || await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.Balanced });
+    await refreshRegions(position.coords, settings);
+    await startRelocateTask(settings);
+  } catch (e) {
+    // Leave nothing half-started behind
+    await writeJson(SETTINGS_KEY, { ...settings, enabled: false });
+    await stopTasks();
+    throw e;
+  }
+  return { settings, permission };
+};
+
+// Turn alerts off, e.g. on logout, so location is not used for a signed-out user
+export const disableProximityAlerts = async () => {
+  const current = await loadProximitySettings();
+  if (current.enabled) await writeJson(SETTINGS_KEY, { ...current, enabled: false });
+  await stopTasks();
+};
@@ -0,0 +1,107 @@
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import * as Device from 'expo-device';
+import Constants from 'expo-constants';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { api } from '../api/client';
+
+// Expo push registration and the mapping from a push to our notification shape.
+// The backend stores one Expo push token per device and sends pushes whose `data`
+// carries the same fields as the /api/users/notifications items (id, post_id, event_id...).
+export const PUSH_TOKENS_PATH = '/api/users/push-tokens';
+const PUSH_TOKEN_KEY = '@berllog_push_token';
+const ANDROID_CHANNEL_ID = 'default';
+
+// Pushes that arrive while the app is open are shown as banners too,
+// unless `shouldPresent(appNotification)` says otherwise (muted category, quiet hours)
+export const configurePushPresentation = (shouldPresent = () => true) => {
+  Notifications.setNotificationHandler({
+    handleNotification: async (notification) => {
+      const present = shouldPresent(toAppNotification(notification));
+      return {
+        shouldShowBanner: present,
+        shouldShowList: present,
+        shouldPlaySound: false,
+        shouldSetBadge: false,
+      };
+    },
+  });
+};
+
+// Turn an expo-notifications Notification into an /api/users/notifications item
+export const toAppNotification = (notification) => {
+  const content = notification?.request?.content || {};
+  const data = content.data || {};
+  return {
+    ...data,
+    id: data.notification_id ?? data.id ?? notification?.request?.identifier,
+    title: content.title || data.title || '',
+    message: content.body || data.message || '',
+    data,
+    read: false,
+    read_at: null,
+    created_at: data.created_at || new Date(notification?.date || Date.now()).toISOString(),
+  };
+};
+
+/**
+ * Ask for permission, get this device's Expo push token and register it with the backend.
+ * Resolves with the token, or null on simulators and when permission is denied.
+ */
+export const registerForPushNotifications = async () => {
+  if (!Device.isDevice) {
+    console.log('[Push] Push tokens are only available on physical devices');
+    return null;
+  }
+
+  if (Platform.OS === 'android') {
+    await Notifications.setNotificationChannelAsync(ANDROID_CHANNEL_ID, {
+      name: 'Berllog',
+      importance: Notifications.AndroidImportance.DEFAULT,
+    });
+  }
+
+  let { status } = await Notifications.getPermissionsAsync();
+  if (status !== 'granted') {
+    ({ status } = await Notifications.requestPermissionsAsync());
+  }
+  if (status !== 'granted') {
+    console.log('[Push] Permission not granted');
+    return null;
+  }
+
+  const projectId = Constants.expoConfig?.extra?.eas?.projectId ?? Constants.easConfig?.projectId;
+  const { data: pushToken } = await Notifications.getExpoPushTokenAsync(projectId ? { projectId } : undefined);
+
+  await api.post(PUSH_TOKENS_PATH, {
+    token: pushToken,
+    platform: Platform.OS,
+    device_name: Device.deviceName || null,
+  });
+  await AsyncStorage.setItem(PUSH_TOKEN_KEY, pushToken);
+  console.log('[Push] Registered device token');
+  return pushToken;
+};
+
+// Stop pushes to this device. Must run while the session token is still valid.
+export const unregisterPushToken = async () => {
+  const pushToken = await AsyncStorage.getItem(PUSH_TOKEN_KEY).catch(() => null);
+  if (!pushToken) return;
+  try {
+    await api.delete(PUSH_TOKENS_PATH, { token: pushToken });
+  } catch (err) {
+    console.log('[Push] Failed to unregister token', err?.message || err);
+  }
+  await forgetPushToken();
+};
+
+// Drop the stored token without calling the backend, e.g. when the session already expired
+export const forgetPushToken = () => AsyncStorage.removeItem(PUSH_TOKEN_KEY).catch(() => {});
+
+// Show a notification built from a backend payload without going through a push service.
+// Used by the local test harness; it triggers the same listeners as a real push.
+export const presentLocalNotification = ({ title, message, ...data }) =>
+  Notifications.scheduleNotificationAsync({
+    content: { title, body: message, data: { title, message, ...data } },
+    trigger: null,
+  });
@@ -0,0 +1,95 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { AppState } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import { useAuthContext } from '../auth/AuthContext';
+import { openNotificationTarget } from '../navigation/notificationRoutes';
+import { registerForPushNotifications, configurePushPresentation, toAppNotification } from './push';
+import { isChannelEnabled, isQuietTime } from '../utils/notificationPreferences';
+
+// Push registration while signed in, and the handlers that keep AuthContext's
+// notification list current and open the right screen when a push is tapped.
+// Returns an onReady callback for the NavigationContainer.
+const usePushNotifications = (navigationRef) => {
+  const {
+    token,
+    notificationPreferences,
+    receiveNotification,
+    refreshNotifications,
+    markNotificationRead,
+  } = useAuthContext();
+  // A tap that arrived before navigation (or the signed-in drawer) was ready
+  const pendingTap = useRef(null);
+  const handledResponses = useRef(new Set());
+
+  // The server also filters pushes by these preferences; this covers changes it has not seen yet
+  const preferencesRef = useRef(notificationPreferences);
+  preferencesRef.current = notificationPreferences;
+
+  useEffect(() => {
+    configurePushPresentation((notification) => {
+      const preferences = preferencesRef.current;
+      return !isQuietTime(preferences) && isChannelEnabled(preferences, notification, 'push');
+    });
+  }, []);
+
+  // Once per sign-in: silent token refreshes must not register the device again
+  const signedIn = !!token;
+  useEffect(() => {
+    if (!signedIn) return;
+    registerForPushNotifications().catch((err) => {
+      console.log('[Push] Registration failed', err?.message || err);
+    });
+  }, [signedIn]);
+
+  const openPending = useCallback(() => {
+    const notification = pendingTap.current;
+    if (!notification || !token || !navigationRef.isReady()) return;
+    pendingTap.current = null;
+    // Device-only notifications (nearby report alerts) have no server copy to mark read
+    if (!notification.local) markNotificationRead(notification, true).catch(() => {});
+    openNotificationTarget(navigationRef, notification);
+  }, [markNotificationRead, navigationRef, token]);
+
+  const handleResponse = useCallback((response) => {
+    const id = response?.notification?.request?.identifier;
+    if (id && handledResponses.current.has(id)) return;
+    if (id) handledResponses.current.add(id);
+    pendingTap.current = toAppNotification(response.notification);
+    openPending();
+  }, [openPending]);
+
+  useEffect(() => {
+    const received = Notifications.addNotificationReceivedListener((notification) => {
+      const item = toAppNotification(notification);
+      if (!item.local) receiveNotification(item);
+    });
+    const responded = Notifications.addNotificationResponseReceivedListener(handleResponse);
+
+    // The app was launched by tapping a push
+    Notifications.getLastNotificationResponseAsync()
+      .then((response) => response && handleResponse(response))
+      .catch(() => {});
+
+    return () => {
+      received.remove();
+      responded.remove();
+    };
+  }, [handleResponse, receiveNotification]);
+
+  // Pushes delivered while the app was in the background never reach the listener above
+  useEffect(() => {
+    const sub = AppState.addEventListener('change', (state) => {
+      if (state === 'active') refreshNotifications();
+    });
+    return () => sub.remove();
+  }, [refreshNotifications]);
+
+  // Signing in mounts the drawer: open a tap that was waiting for it
+  useEffect(() => {
+    openPending();
+  }, [openPending]);
+
+  return openPending;
+};
+
+export default usePushNotifications;
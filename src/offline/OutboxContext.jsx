@@ -0,0 +1,100 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import { AppState } from 'react-native';
+import NetInfo from '@react-native-community/netinfo';
+import { useAuthContext } from '../auth/AuthContext';
+import {
+  loadOutbox,
+  subscribe,
+  subscribeSynced,
+  setOutboxOnline,
+  sendOrQueue,
+  flushOutbox,
+  retryItem,
+  discardItem,
+  clearOutbox,
+} from './outbox';
+
+export const OutboxContext = createContext({
+  items: [],
+  pendingCount: 0,
+  failedCount: 0,
+  isOnline: true,
+  lastSyncedAt: null,
+  sendOrQueue: async (_mutation) => ({ queued: false }),
+  flush: async () => {},
+  retry: async (_id) => {},
+  discard: (_id) => {},
+});
+
+export const OutboxProvider = ({ children }) => {
+  const { token } = useAuthContext();
+  const [items, setItems] = useState([]);
+  const [isOnline, setIsOnline] = useState(true);
+  const [lastSyncedAt, setLastSyncedAt] = useState(null);
+  const previousToken = useRef(null);
+
+  useEffect(() => {
+    loadOutbox();
+    return subscribe(setItems);
+  }, []);
+
+  // Replays also start from sendOrQueue, so listen for them instead of timing flush() calls
+  useEffect(() => subscribeSynced(() => setLastSyncedAt(Date.now())), []);
+
+  // Track connectivity so we queue straight away instead of waiting for a timeout
+  useEffect(() => {
+    const unsubscribe = NetInfo.addEventListener((state) => {
+      const online = !!state.isConnected && state.isInternetReachable !== false;
+      setOutboxOnline(online);
+      setIsOnline(online);
+    });
+    return unsubscribe;
+  }, []);
+
+  const flush = useCallback(async () => {
+    if (!token) return { synced: 0, failed: 0 };
+    return flushOutbox();
+  }, [token]);
+
+  // Replay when connectivity returns (or a session starts) and when the app comes to the foreground
+  useEffect(() => {
+    if (isOnline) flush();
+  }, [isOnline, flush]);
+
+  useEffect(() => {
+    const sub = AppState.addEventListener('change', (state) => {
+      if (state === 'active') flush();
+    });
+    return () => sub.remove();
+  }, [flush]);
+
+  // Queued mutations belong to the signed-in user: drop them on logout
+  useEffect(() => {
+    if (previousToken.current && !token) clearOutbox();
+    previousToken.current = token;
+  }, [token]);
+
+  const retry = useCallback(async (id) => {
+    const result = await retryItem(id);
+    if (result.synced > 0) setLastSyncedAt(Date.now());
+    return result;
+  }, []);
+
+  const value = useMemo(() => ({
+    items,
+    pendingCount: items.filter((i) => i.status === 'pending').length,
+    failedCount: items.filter((i) => i.status === 'failed').length,
+    isOnline,
+    lastSyncedAt,
+    sendOrQueue,
+    flush,
+    retry,
+    discard: discardItem,
+  }), [items, isOnline, lastSyncedAt, flush, retry]);
+
+  return (
+    <OutboxContext.Provider value={value}>{children}</OutboxContext.Provider>
+  );
+};
+
+export const useOutbox = () => useContext(OutboxContext);
@@ -0,0 +1,234 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { request, NetworkError, UPLOAD_TIMEOUT_MS } from '../api/client';
+
+// Durable queue of write requests made while offline.
+// A mutation is a plain, JSON-serializable description of a request:
+//   { type, method, path, json?, form?, meta? }
+// `form` holds FormData entries as [key, value] pairs (files as { uri, type, name })
+// so multipart uploads survive an app restart. `meta` is for the UI (postId, pollId...).
+const STORAGE_KEY = '@berllog_outbox';
+
+let items = [];
+let loadPromise = null;
+let online = true;
+let flushPromise = null;
+// Replay outcomes ({ data } or { error }) of items a sendOrQueue call is waiting on
+const awaited = new Map();
+const listeners = new Set();
+const syncListeners = new Set();
+
+const emit = () => {
+  listeners.forEach((listener) => listener(items));
+};
+
+const setItems = (next) => {
+  items = next;
+  emit();
+  AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(items)).catch((e) => {
+    console.log('[Outbox] Failed to persist', e?.message || e);
+  });
+};
+
+export const loadOutbox = () => {
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      try {
+        const raw = await AsyncStorage.getItem(STORAGE_KEY);
+        const stored = raw ? JSON.parse(raw) : [];
+        // Anything enqueued before the load finished goes after the stored items
+        items = [...(Array.isArray(stored) ? stored : []), ...items];
+        emit();
+      } catch (e) {
+        console.log('[Outbox] Failed to load', e?.message || e);
+      }
+    })();
+  }
+  return loadPromise;
+};
+
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  listener(items);
+  return () => {
+    listeners.delete(listener);
+  };
+};
+
+// Called after a replay sent queued mutations, so screens can reload what changed
+export const subscribeSynced = (listener) => {
+  syncListeners.add(listener);
+  return () => {
+    syncListeners.delete(listener);
+  };
+};
+
+export const setOutboxOnline = (value) => {
+  online = !!value;
+};
+
+const toFormData = (entries) => {
+  const formData = new FormData();
+  entries.forEach(([key, value]) => formData.append(key, value));
+  return formData;
+};
+
+const execute = (mutation) => request(mutation.path, {
+  method: mutation.method,
+  ...(mutation.form
+    ? { body: toFormData(mutation.form), timeoutMs: UPLOAD_TIMEOUT_MS }
+    : mutation.json !== undefined ? { json: mutation.json } : {}),
+});
+
+const isOfflineError = (err) => err instanceof NetworkError && !err.canceled;
+
+export const enqueue = async (mutation) => {
+  await loadOutbox();
+  const item = {
+    ...mutation,
+    id: `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    status: 'pending',
+    error: null,
+    createdAt: Date.now(),
+  };
+  console.log('[Outbox] Queued', item.type, item.method, item.path);
+  setItems([...items, item]);
+  return item;
+};
+
+/**
+ * Send a mutation now, or queue it when offline.
+ * While older mutations are still waiting, new ones are queued behind them so
+ * the server sees them in the order the user made them; when online the queue is
+ * replayed right away, so one failed replay doesn't leave everything after it waiting.
+ * Resolves with { queued: false, data } or { queued: true, item }; HTTP errors still throw.
+ */
+export const sendOrQueue = async (mutation) => {
+  await loadOutbox();
+  if (online && !items.some((i) => i.status === 'pending')) {
+    try {
+      const data = await execute(mutation);
+      return { queued: false, data };
+    } catch (err) {
+      if (!isOfflineError(err)) throw err;
+      // It just failed to reach the server: replaying now would only fail again
+      const item = await enqueue(mutation);
+      return { queued: true, item };
+    }
+  }
+  const item = await enqueue(mutation);
+  if (!online) return { queued: true, item };
+
+  awaited.set(item.id, null);
+  let result;
+  try {
+    await flushOutbox();
+  } finally {
+    result = awaited.get(item.id);
+    awaited.delete(item.id);
+  }
+  if (result?.error) {
+    // Report it like a direct send instead of leaving a failed item behind
+    removeItem(item.id);
+    throw result.error;
+  }
+  return result ? { queued: false, data: result.data } : { queued: true, item };
+};
+
+const patchItem = (id, patch) => {
+  setItems(items.map((i) => (i.id === id ? { ...i, ...patch } : i)));
+};
+
+const removeItem = (id) => {
+  setItems(items.filter((i) => i.id !== id));
+};
+
+/**
+ * Replay pending mutations in order. Stops at the first network error (still offline);
+ * HTTP errors such as conflicts or validation failures mark that item as failed and
+ * the replay continues with the next one. Resolves with { synced, failed }.
+ */
+export const flushOutbox = () => {
+  if (!flushPromise) {
+    flushPromise = (async () => {
+      await loadOutbox();
+      let synced = 0;
+      let failed = 0;
+      // Items nobody is waiting on; a sendOrQueue caller handles its own result
+      let replayedQueued = 0;
+      const attempted = new Set();
+      for (;;) {
+        const next = items.find((i) => i.status === 'pending' && !attempted.has(i.id));
+        if (!next) break;
+        attempted.add(next.id);
+        try {
+          const data = await execute(next);
+          if (awaited.has(next.id)) awaited.set(next.id, { data });
+          else replayedQueued += 1;
+          removeItem(next.id);
+          synced += 1;
+        } catch (err) {
+          if (isOfflineError(err)) break;
+          if (err?.sessionExpired) break;
+          console.log('[Outbox] Replay failed', next.type, err?.status, err?.message);
+          if (awaited.has(next.id)) awaited.set(next.id, { error: err });
+          patchItem(next.id, { status: 'failed', error: err?.message || 'Request failed', httpStatus: err?.status ?? null });
+          failed += 1;
+        }
+      }
+      if (synced || failed) console.log('[Outbox] Replay done', { synced, failed });
+      if (replayedQueued) syncListeners.forEach((listener) => listener());
+      return { synced, failed };
+    })().finally(() => {
+      flushPromise = null;
+    });
+  }
+  return flushPromise;
+};
+
+export const retryItem = (id) => {
+  patchItem(id, { status: 'pending', error: null, httpStatus: null });
+  return flushOutbox();
+};
+
+export const discardItem = (id) => {
+  removeItem(id);
+};
+
+export const clearOutbox = () => {
+  setItems([]);
+};
+
+// The favorite state the user last asked for on a post, if a change is still queued
+export const pendingFavorite = (queue, postId) => {
+  let state;
+  for (const item of queue) {
+    if (item.status === 'failed' || String(item.meta?.postId) !== String(postId)) continue;
+    if (item.type === 'favorite') state = true;
+    if (item.type === 'unfavorite') state = false;
+  }
+  return state;
+};
+
+// The options the user last voted for in a poll (null for a removed vote), if a change is still queued
+export const pendingVote = (queue, pollId) => {
+  let state;
+  for (const item of queue) {
+    if (item.status === 'failed' || String(item.meta?.pollId) !== String(pollId)) continue;
+    if (item.type === 'vote' || item.type === 'change_vote') {
+      state = { optionIds: item.meta?.optionIds ?? [item.meta?.optionId].filter((id) => id != null) };
+    }
+    if (item.type === 'unvote') state = null;
+  }
+  return state;
+};
+
+// Whether the user last marked an event as interested, if an RSVP change is still queued
+export const pendingInterest = (queue, eventId) => {
+  let state;
+  for (const item of queue) {
+    if (item.status === 'failed' || String(item.meta?.eventId) !== String(eventId)) continue;
+    if (item.type === 'interested') state = true;
+    if (item.type === 'uninterested') state = false;
+  }
+  return state;
+};
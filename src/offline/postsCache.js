@@ -0,0 +1,62 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Persisted copy of the garbage post feed and of individually opened posts.
+// Posts are stored as the API returns them, so images metadata and the
+// embedded user summaries (name, avatar) come along for free.
+const FEED_KEY = '@berllog_posts_cache';
+const POST_KEY_PREFIX = '@berllog_post_cache_';
+
+// Keep the feed cache bounded so AsyncStorage stays small on older devices
+const MAX_CACHED_POSTS = 200;
+
+const readJson = async (key) => {
+  try {
+    const raw = await AsyncStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    console.log('[Cache] Failed to read', key, e?.message || e);
+    return null;
+  }
+};
+
+const writeJson = async (key, value) => {
+  try {
+    await AsyncStorage.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    console.log('[Cache] Failed to write', key, e?.message || e);
+  }
+};
+
+// Returns { posts, updatedAt } or null when nothing was cached yet
+export const loadCachedPosts = async () => {
+  const entry = await readJson(FEED_KEY);
+  if (!entry || !Array.isArray(entry.posts)) return null;
+  return entry;
+};
+
+export const saveCachedPosts = async (posts) => {
+  const entry = {
+    posts: (Array.isArray(posts) ? posts : []).slice(0, MAX_CACHED_POSTS),
+    updatedAt: Date.now(),
+  };
+  await writeJson(FEED_KEY, entry);
+  return entry;
+};
+
+// Returns { post, updatedAt } from the details cache, falling back to the feed entry
+export const loadCachedPost = async (postId) => {
+  if (postId == null) return null;
+  const entry = await readJson(`${POST_KEY_PREFIX}${postId}`);
+  if (entry?.post) return entry;
+
+  const feed = await loadCachedPosts();
+  const post = feed?.posts.find((p) => String(p?.id) === String(postId));
+  return post ? { post, updatedAt: feed.updatedAt } : null;
+};
+
+export const saveCachedPost = async (post) => {
+  if (post?.id == null) return null;
+  const entry = { post, updatedAt: Date.now() };
+  await writeJson(`${POST_KEY_PREFIX}${post.id}`, entry);
+  return entry;
+};
@@ -0,0 +1,314 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+import Constants from 'expo-constants';
+import { api, unwrapList, getNextPage } from '../api/client';
+
+// Offline map packs: raster tiles for a bounded area plus the garbage posts inside it,
+// so volunteers can keep using the map where there is no signal.
+// Tiles are stored as <documentDirectory>/tile-packs/<packId>/{z}/{x}/{y}.png and shown
+// through the map's LocalTile overlay. The pack list itself lives in AsyncStorage.
+const STORAGE_KEY = '@berllog_tile_packs';
+const PACKS_DIR = `${FileSystem.documentDirectory}tile-packs/`;
+
+// Bulk downloads are not allowed on the public OpenStreetMap servers (operations.osmfoundation.org/policies/tiles),
+// so there is no default: set EXPO_PUBLIC_TILE_URL to our own or a commercial tile server.
+// Without it the download feature is hidden and only existing packs can be used.
+export const TILE_URL_TEMPLATE = process.env.EXPO_PUBLIC_TILE_URL || null;
+export const TILE_DOWNLOADS_AVAILABLE = !!TILE_URL_TEMPLATE;
+// Tile servers ask bulk clients to identify themselves with a way to reach the operator
+const TILE_CONTACT = process.env.EXPO_PUBLIC_TILE_CONTACT || 'https://github.com/Dardan0405/BerllogApp';
+const TILE_USER_AGENT = `BerllogApp/${Constants.expoConfig?.version || '1.0.0'} (+${TILE_CONTACT})`;
+export const TILE_SIZE = 256;
+// Keeps a single download to a few dozen MB
+export const MAX_TILES_PER_PACK = 3000;
+// Rough size of one street map tile, for estimates before downloading
+const AVG_TILE_BYTES = 20 * 1024;
+const MIN_PACK_ZOOM = 7;
+const MAX_PACK_ZOOM = 16;
+const MAX_PACK_POSTS = 2000;
+const POSTS_PAGE_SIZE = 200;
+// Kept low so a pack download doesn't hammer the tile server
+const PARALLEL_DOWNLOADS = 2;
+
+// Predefined field areas, labelled with the existing country strings.
+// Zoom 12 is enough to find roads and villages; download "this area" for more detail.
+export const FIELD_AREAS = [
+  { key: 'kosovo', bounds: { south: 41.85, west: 20.01, north: 43.27, east: 21.79 }, minZoom: MIN_PACK_ZOOM, maxZoom: 12 },
+  { key: 'albania', bounds: { south: 39.64, west: 19.26, north: 42.67, east: 21.06 }, minZoom: MIN_PACK_ZOOM, maxZoom: 12 },
+  { key: 'macedonia', bounds: { south: 40.85, west: 20.45, north: 42.37, east: 23.04 }, minZoom: MIN_PACK_ZOOM, maxZoom: 12 },
+];
+
+// { packs, download } where download is { packId, done, total, failed } while one is running
+let packs = [];
+let download = null;
+let cancelRequested = false;
+let deleteRequested = false;
+let loadPromise = null;
+const listeners = new Set();
+
+const emit = () => {
+  const state = { packs, download };
+  listeners.forEach((listener) => listener(state));
+};
+
+const setPacks = (next) => {
+  packs = next;
+  emit();
+  AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(packs)).catch((e) => {
+    console.log('[TilePacks] Failed to persist', e?.message || e);
+  });
+};
+
+const updatePack = (id, changes) => {
+  setPacks(packs.map((pack) => (pack.id === id ? { ...pack, ...changes } : pack)));
+};
+
+const packDir = (id) => `${PACKS_DIR}${id}/`;
+
+const removePack = async (id) => {
+  try {
+    await FileSystem.deleteAsync(packDir(id), { idempotent: true });
+  } catch (e) {
+    console.log('[TilePacks] Failed to delete files', e?.message || e);
+  }
+  setPacks(packs.filter((pack) => pack.id !== id));
+};
+
+// Web Mercator tile numbers (the slippy map scheme every tile server uses)
+const lngToTileX = (lng, zoom) => Math.floor(((lng + 180) / 360) * 2 ** zoom);
+const latToTileY = (lat, zoom) => {
+  const rad = (Math.max(-85.05, Math.min(85.05, lat)) * Math.PI) / 180;
+  return Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * 2 ** zoom);
+};
+
+const tileRange = (bounds, zoom) => ({
+  minX: lngToTileX(bounds.west, zoom),
+  maxX: lngToTileX(bounds.east, zoom),
+  minY: latToTileY(bounds.north, zoom),
+  maxY: latToTileY(bounds.south, zoom),
+});
+
+function* eachTile({ bounds, minZoom, maxZoom }) {
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const { minX, maxX, minY, maxY } = tileRange(bounds, z);
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) yield { z, x, y };
+    }
+  }
+}
+
+export const countTiles = ({ bounds, minZoom, maxZoom }) => {
+  let count = 0;
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const { minX, maxX, minY, maxY } = tileRange(bounds, z);
+    count += (maxX - minX + 1) * (maxY - minY + 1);
+  }
+  return count;
+};
+
+export const estimatePackBytes = (tileCount) => tileCount * AVG_TILE_BYTES;
+
+// 1536000 -> "1.5 MB"
+export const formatBytes = (bytes) => {
+  const value = Number(bytes) || 0;
+  if (value >= 1024 ** 3) return `${(value / 1024 ** 3).toFixed(1)} GB`;
+  if (value >= 1024 ** 2) return `${(value / 1024 ** 2).toFixed(1)} MB`;
+  return `${Math.round(value / 1024)} KB`;
+};
+
+// Pack spec for the area currently on screen: a few levels around the current zoom,
+// trimmed from the top until it fits in MAX_TILES_PER_PACK
+export const getViewportPackSpec = (bounds, zoom) => {
+  const current = Math.round(zoom);
+  const minZoom = Math.max(MIN_PACK_ZOOM, Math.min(current, MAX_PACK_ZOOM) - 2);
+  let maxZoom = Math.max(minZoom, Math.min(MAX_PACK_ZOOM, current + 3));
+  let tileCount = countTiles({ bounds, minZoom, maxZoom });
+  while (tileCount > MAX_TILES_PER_PACK && maxZoom > minZoom) {
+    maxZoom -= 1;
+    tileCount = countTiles({ bounds, minZoom, maxZoom });
+  }
+  return { bounds, minZoom, maxZoom, tileCount };
+};
+
+// LocalTile wants a plain filesystem path
+export const getPackPathTemplate = (pack) => `${packDir(pack.id)}{z}/{x}/{y}.png`.replace(/^file:\/\//, '');
+
+export const loadTilePacks = () => {
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      try {
+        const raw = await AsyncStorage.getItem(STORAGE_KEY);
+        const stored = raw ? JSON.parse(raw) : [];
+        // A download cut short by the app closing is kept as partial, so it can be resumed
+        packs = (Array.isArray(stored) ? stored : []).map((pack) => (
+          pack.status === 'downloading' ? { ...pack, status: 'partial' } : pack
+        ));
+        emit();
+      } catch (e) {
+        console.log('[TilePacks] Failed to load', e?.message || e);
+      }
+    })();
+  }
+  return loadPromise;
+};
+
+export const subscribeTilePacks = (listener) => {
+  listeners.add(listener);
+  listener({ packs, download });
+  return () => {
+    listeners.delete(listener);
+  };
+};
+
+const downloadTile = async ({ z, x, y }, dir, madeDirs) => {
+  const folder = `${dir}${z}/${x}/`;
+  const file = `${folder}${y}.png`;
+  const existing = await FileSystem.getInfoAsync(file, { size: true });
+  if (existing.exists && existing.size > 0) return existing.size;
+
+  if (!madeDirs.has(folder)) {
+    await FileSystem.makeDirectoryAsync(folder, { intermediates: true });
+    madeDirs.add(folder);
+  }
+  const url = TILE_URL_TEMPLATE.replace('{z}', z).replace('{x}', x).replace('{y}', y);
+  const result = await FileSystem.downloadAsync(url, file, { headers: { 'User-Agent': TILE_USER_AGENT } });
+  if (result.status !== 200) {
+    await FileSystem.deleteAsync(file, { idempotent: true });
+    throw new Error(`Tile ${z}/${x}/${y} failed with ${result.status}`);
+  }
+  const info = await FileSystem.getInfoAsync(file, { size: true });
+  return info.size || 0;
+};
+
+const fetchPackPosts = async ({ west, south, east, north }) => {
+  const bbox = [west, south, east, north].map((v) => v.toFixed(5)).join(',');
+  const posts = [];
+  let cursor = { page: 1 };
+  while (cursor && posts.length < MAX_PACK_POSTS) {
+    const params = { bbox, per_page: POSTS_PAGE_SIZE };
+    if (cursor.cursor) params.cursor = cursor.cursor;
+    else params.page = cursor.page;
+    const data = await api.get('/api/garbage-posts', { params });
+    const list = unwrapList(data, 'garbagePosts');
+    posts.push(...list);
+    cursor = getNextPage(data, { page: cursor.page || 1, pageSize: POSTS_PAGE_SIZE, count: list.length, key: 'garbagePosts' });
+  }
+  return posts.slice(0, MAX_PACK_POSTS);
+};
+
+// Download (or resume, when `id` names an existing pack) the tiles and posts for an area.
+// `area` is a FIELD_AREAS key, or null for a custom area with `name`.
+export const downloadTilePack = async ({ id, area = null, name = '', bounds, minZoom, maxZoom }) => {
+  if (!TILE_DOWNLOADS_AVAILABLE) throw new Error('Map downloads are not configured');
+  await loadTilePacks();
+  if (download) throw new Error('Another map download is already running');
+
+  const tileCount = countTiles({ bounds, minZoom, maxZoom });
+  if (tileCount > MAX_TILES_PER_PACK) throw new Error('This area is too large to download');
+
+  const packId = id || `pack-${Date.now()}`;
+  const existing = packs.find((pack) => pack.id === packId);
+  const base = { id: packId, area, name, bounds, minZoom, maxZoom, tileCount, status: 'downloading' };
+  setPacks(existing
+    ? packs.map((pack) => (pack.id === packId ? { ...pack, ...base } : pack))
+    : [...packs, { ...base, bytes: 0, postCount: 0, createdAt: new Date().toISOString() }]);
+
+  cancelRequested = false;
+  deleteRequested = false;
+  download = { packId, done: 0, total: tileCount, failed: 0 };
+  emit();
+
+  const dir = packDir(packId);
+  const tiles = eachTile({ bounds, minZoom, maxZoom });
+  const madeDirs = new Set();
+  let bytes = 0;
+
+  const worker = async () => {
+    for (let next = tiles.next(); !next.done && !cancelRequested; next = tiles.next()) {
+      try {
+        bytes += await downloadTile(next.value, dir, madeDirs);
+      } catch (e) {
+        download.failed += 1;
+        console.log('[TilePacks] Tile failed', e?.message || e);
+      }
+      download.done += 1;
+      if (download.done % 10 === 0 || download.done === tileCount) {
+        download = { ...download };
+        emit();
+      }
+    }
+  };
+
+  try {
+    await FileSystem.makeDirectoryAsync(dir, { intermediates: true });
+    await Promise.all(Array.from({ length: PARALLEL_DOWNLOADS }, worker));
+    if (cancelRequested) {
+      if (!existing || deleteRequested) await removePack(packId);
+      else updatePack(packId, { status: 'partial' });
+      return null;
+    }
+
+    let postCount = existing?.postCount || 0;
+    let postsFailed = false;
+    try {
+      const posts = await fetchPackPosts(bounds);
+      await FileSystem.writeAsStringAsync(`${dir}posts.json`, JSON.stringify({ posts, updatedAt: Date.now() }));
+      postCount = posts.length;
+    } catch (e) {
+      console.log('[TilePacks] Posts failed to download', e?.message || e);
+      postsFailed = true;
+    }
+
+    const status = download.failed > 0 || postsFailed ? 'partial' : 'complete';
+    updatePack(packId, { status, bytes, postCount, failedTiles: download.failed, downloadedAt: new Date().toISOString() });
+    return packs.find((pack) => pack.id === packId);
+  } finally {
+    download = null;
+    emit();
+  }
+};
+
+export const cancelTilePackDownload = () => {
+  if (download) cancelRequested = true;
+};
+
+export const deleteTilePack = async (id) => {
+  await loadTilePacks();
+  // A running download stops first and cleans up after itself
+  if (download?.packId === id) {
+    cancelRequested = true;
+    deleteRequested = true;
+    return;
+  }
+  await removePack(id);
+};
+
+// Posts saved with the downloaded packs, for showing on the map offline
+export const loadTilePackPosts = async () => {
+  await loadTilePacks();
+  const posts = [];
+  for (const pack of packs) {
+    if (pack.status === 'downloading' || !pack.postCount) continue;
+    try {
+      const raw = await FileSystem.readAsStringAsync(`${packDir(pack.id)}posts.json`);
+      const entry = JSON.parse(raw);
+      if (Array.isArray(entry?.posts)) posts.push(...entry.posts);
+    } catch (e) {
+      console.log('[TilePacks] Failed to read posts of', pack.id, e?.message || e);
+    }
+  }
+  return posts;
+};
+
+// { usedBytes, freeBytes } for the storage summary
+export const getTilePackStorage = async () => {
+  await loadTilePacks();
+  const usedBytes = packs.reduce((sum, pack) => sum + (Number(pack.bytes) || 0), 0);
+  let freeBytes = null;
+  try {
+    freeBytes = await FileSystem.getFreeDiskStorageAsync();
+  } catch (e) {
+    console.log('[TilePacks] Free space unavailable', e?.message || e);
+  }
+  return { usedBytes, freeBytes };
+};
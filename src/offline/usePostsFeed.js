@@ -0,0 +1,163 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { api, unwrapList, getNextPage, NetworkError } from '../api/client';
+import { loadCachedPosts, saveCachedPosts } from './postsCache';
+
+// Append a page, skipping posts already shown (new posts shift items across page boundaries)
+const mergePosts = (prev, list) => {
+  const seen = new Set(prev.map((p) => String(p?.id)));
+  const added = [];
+  for (const post of list) {
+    const key = String(post?.id);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    added.push(post);
+  }
+  return added.length ? [...prev, ...added] : prev;
+};
+
+// Stale-while-revalidate feed of garbage posts.
+// Renders the persisted copy immediately, then refreshes it from the API in the background.
+// When the network is unreachable the cached posts stay on screen and `offline` is set.
+// With `pageSize` the feed is paginated: refreshing reloads the newest page and `loadMore`
+// appends the next one; without it all posts are fetched at once.
+// `params` (filters, sort) go along with every request and reload the feed when they change;
+// nothing is fetched while `enabled` is false.
+const usePostsFeed = ({ refreshKey, pageSize, params, enabled = true } = {}) => {
+  const [posts, setPosts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [nextPage, setNextPage] = useState(null);
+  const [updatedAt, setUpdatedAt] = useState(null);
+  const [offline, setOffline] = useState(false);
+  const [error, setError] = useState('');
+  const mountedRef = useRef(true);
+  const freshRef = useRef(false);
+  const postsRef = useRef(posts);
+  postsRef.current = posts;
+  // Bumped by every refresh so a page requested before it is dropped
+  const generationRef = useRef(0);
+  // Compared by value so callers can pass a fresh object each render
+  const paramsKey = JSON.stringify(params || {});
+  // Only the unfiltered feed is persisted: the cache is shared with offline mode, the map
+  // and the event form, which all expect the normal feed
+  const cacheable = paramsKey === '{}';
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  const fetchPage = useCallback(async (cursor) => {
+    // The API returns { garbagePosts: { data: [...posts], current_page, last_page } }
+    const query = { ...JSON.parse(paramsKey) };
+    if (pageSize) {
+      query.per_page = pageSize;
+      if (cursor?.cursor) query.cursor = cursor.cursor;
+      else query.page = cursor?.page || 1;
+    }
+    const data = await api.get('/api/garbage-posts', Object.keys(query).length ? { params: query } : undefined);
+    const list = unwrapList(data, 'garbagePosts');
+    const next = pageSize
+      ? getNextPage(data, { page: cursor?.page || 1, pageSize, count: list.length, key: 'garbagePosts' })
+      : null;
+    return { list, next };
+  }, [pageSize, paramsKey]);
+
+  const revalidate = useCallback(async () => {
+    const generation = ++generationRef.current;
+    try {
+      const { list, next } = await fetchPage(null);
+      const entry = cacheable ? await saveCachedPosts(list) : { updatedAt: Date.now() };
+      if (!mountedRef.current || generation !== generationRef.current) return;
+      freshRef.current = true;
+      console.log('Posts fetched:', list.length);
+      setPosts(mergePosts([], list));
+      setNextPage(next);
+      setUpdatedAt(entry.updatedAt);
+      setOffline(false);
+      setError('');
+    } catch (err) {
+      if (!mountedRef.current) return;
+      if (err instanceof NetworkError) {
+        console.log('Posts revalidation failed, using cache:', err.message);
+        setOffline(true);
+      } else {
+        console.error('Failed to fetch posts', err);
+        setError(err.message || 'Failed to load posts');
+      }
+    } finally {
+      if (mountedRef.current) {
+        setLoading(false);
+        setRefreshing(false);
+      }
+    }
+  }, [cacheable, fetchPage]);
+
+  const loadMore = useCallback(async () => {
+    if (!nextPage || loadingMore || refreshing) return;
+    const generation = generationRef.current;
+    setLoadingMore(true);
+    try {
+      const { list, next } = await fetchPage(nextPage);
+      if (!mountedRef.current || generation !== generationRef.current) return;
+      const merged = mergePosts(postsRef.current, list);
+      setPosts(merged);
+      setNextPage(next);
+      // Keep the pages seen so far for offline use (the cache bounds its own size)
+      if (cacheable) saveCachedPosts(merged);
+    } catch (err) {
+      console.log('Failed to load more posts:', err?.message || err);
+      if (err instanceof NetworkError && mountedRef.current) setOffline(true);
+    } finally {
+      if (mountedRef.current) setLoadingMore(false);
+    }
+  }, [cacheable, fetchPage, loadingMore, nextPage, refreshing]);
+
+  // Show whatever was cached last time while the network request is in flight.
+  // The cache only holds the unfiltered feed, so other params start empty instead of
+  // showing posts that don't match them (or the previous params' list) until the API answers.
+  useEffect(() => {
+    if (!enabled) return;
+    freshRef.current = false;
+    setPosts([]);
+    setNextPage(null);
+    setUpdatedAt(null);
+    if (!cacheable) {
+      setLoading(true);
+      return;
+    }
+    loadCachedPosts().then((cached) => {
+      if (!cached || freshRef.current || !mountedRef.current) return;
+      setPosts(cached.posts);
+      setUpdatedAt(cached.updatedAt);
+      setLoading(false);
+    });
+  }, [cacheable, enabled, paramsKey]);
+
+  useEffect(() => {
+    if (enabled) revalidate();
+  }, [enabled, revalidate, refreshKey]);
+
+  const refresh = useCallback(() => {
+    setRefreshing(true);
+    return revalidate();
+  }, [revalidate]);
+
+  return {
+    posts,
+    loading,
+    refreshing,
+    loadingMore,
+    hasMore: !!nextPage,
+    loadMore,
+    updatedAt,
+    offline,
+    error,
+    refresh,
+  };
+};
+
+export default usePostsFeed;
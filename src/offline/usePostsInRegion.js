@@ -0,0 +1,113 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { api, unwrapList, NetworkError } from '../api/client';
+import { loadCachedPosts } from './postsCache';
+import { loadTilePackPosts } from './tilePacks';
+import { regionToBBox, bboxContains } from '../utils/mapClustering';
+
+const DEBOUNCE_MS = 500;
+// Load a bit around the viewport so small pans don't need a request
+const PREFETCH_MARGIN = 0.25;
+// Posts requested per viewport; a full page means the area may hold more
+const BBOX_LIMIT = 500;
+// Posts kept in memory across viewports
+const MAX_POSTS = 3000;
+
+const toBBoxParam = ({ west, south, east, north }) =>
+  [west, south, east, north].map((v) => v.toFixed(5)).join(',');
+
+// Garbage posts for the visible map area. Starts from the cached feed and offline map packs,
+// then loads `/api/garbage-posts?bbox=west,south,east,north` for each settled viewport.
+// Posts from areas seen before are kept, so panning back doesn't empty the map.
+const usePostsInRegion = (region) => {
+  const [postsById, setPostsById] = useState(() => new Map());
+  const [loading, setLoading] = useState(false);
+  const [updatedAt, setUpdatedAt] = useState(null);
+  const [offline, setOffline] = useState(false);
+  const [error, setError] = useState('');
+  // Area covered by the last complete response
+  const loadedRef = useRef(null);
+  const abortRef = useRef(null);
+
+  // `keepExisting` is for stored copies, which must not replace posts already loaded live
+  const mergePosts = useCallback((list, { keepExisting = false } = {}) => {
+    setPostsById((prev) => {
+      const next = new Map(prev);
+      for (const post of list) {
+        if (post?.id == null) continue;
+        if (keepExisting && next.has(String(post.id))) continue;
+        next.delete(String(post.id));
+        next.set(String(post.id), post);
+      }
+      // Map keeps insertion order: drop the posts that were loaded longest ago
+      while (next.size > MAX_POSTS) next.delete(next.keys().next().value);
+      return next;
+    });
+  }, []);
+
+  useEffect(() => {
+    (async () => {
+      // Posts saved with offline map packs first, so the fresher feed cache wins
+      mergePosts(await loadTilePackPosts(), { keepExisting: true });
+      const cached = await loadCachedPosts();
+      if (!cached) return;
+      mergePosts(cached.posts);
+      setUpdatedAt((prev) => prev ?? cached.updatedAt);
+    })();
+  }, [mergePosts]);
+
+  const load = useCallback(async (targetRegion, { force = false } = {}) => {
+    const viewport = regionToBBox(targetRegion);
+    if (!force && bboxContains(loadedRef.current, viewport)) return;
+
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const bbox = regionToBBox(targetRegion, PREFETCH_MARGIN);
+
+    try {
+      setLoading(true);
+      const data = await api.get('/api/garbage-posts', {
+        params: { bbox: toBBoxParam(bbox), per_page: BBOX_LIMIT },
+        signal: controller.signal,
+      });
+      const list = unwrapList(data, 'garbagePosts');
+      mergePosts(list);
+      // A full page may be cut off: zooming in should ask again
+      loadedRef.current = list.length < BBOX_LIMIT ? bbox : null;
+      setUpdatedAt(Date.now());
+      setOffline(false);
+      setError('');
+    } catch (err) {
+      if (err?.canceled) return;
+      if (err instanceof NetworkError) {
+        console.log('Map posts failed to load, using cache:', err.message);
+        setOffline(true);
+      } else {
+        console.error('Failed to fetch map posts', err);
+        setError(err.message || 'Failed to load posts');
+      }
+    } finally {
+      if (abortRef.current === controller) {
+        abortRef.current = null;
+        setLoading(false);
+      }
+    }
+  }, [mergePosts]);
+
+  // Wait for the map to settle before asking for its area
+  useEffect(() => {
+    if (!region) return undefined;
+    const timer = setTimeout(() => load(region), DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [region, load]);
+
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const reload = useCallback(() => region && load(region, { force: true }), [load, region]);
+
+  const posts = useMemo(() => Array.from(postsById.values()), [postsById]);
+
+  return { posts, loading, updatedAt, offline, error, reload };
+};
+
+export default usePostsInRegion;
@@ -0,0 +1,16 @@
+import { useEffect, useState } from 'react';
+import { loadTilePacks, subscribeTilePacks } from './tilePacks';
+
+// Downloaded offline map packs and the download in progress, if any: { packs, download }
+const useTilePacks = () => {
+  const [state, setState] = useState({ packs: [], download: null });
+
+  useEffect(() => {
+    loadTilePacks();
+    return subscribeTilePacks(setState);
+  }, []);
+
+  return state;
+};
+
+export default useTilePacks;
@@ -0,0 +1,500 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  RefreshControl,
+  Image,
+  Alert,
+} from 'react-native';
+import { useTheme } from '@react-navigation/native';
+import { MaterialIcons, Ionicons } from '@expo/vector-icons';
+import MapView, { Marker } from 'react-native-maps';
+import { useI18n } from '../i18n';
+import { useAuthContext } from '../auth/AuthContext';
+import { api, unwrapItem, API_BASE_URL } from '../api/client';
+import { getEventCoordinates } from '../utils/geo';
+import { openDirections } from '../utils/maps';
+import { parseEventDate, shareEventIcs } from '../utils/calendar';
+import useEventRsvp from '../hooks/useEventRsvp';
+import { getEventOrganizer, isEventCancelled, canManageEvent } from '../utils/events';
+
+// Avatar URL for the organizer (full URLs are used as is)
+const getAvatarUrl = (avatar) => {
+  if (!avatar) return null;
+  if (/^https?:\/\//i.test(avatar)) return avatar;
+  return `${API_BASE_URL}/storage/${String(avatar).replace(/^\/+/g, '')}`;
+};
+
+const formatDate = (value) => {
+  const date = parseEventDate(value);
+  if (!date) return '';
+  return date.toLocaleDateString(undefined, {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+const EventDetailsScreen = ({ route, navigation }) => {
+  const { colors } = useTheme();
+  const { t } = useI18n();
+  const { token, user, refreshNotifications } = useAuthContext();
+  const { eventId, event: initialEvent, refreshAt } = route.params || {};
+  const { getRsvpState, toggleInterest, resetOverrides } = useEventRsvp();
+
+  // The list already has most fields: render those right away, then load the full event
+  const [event, setEvent] = useState(initialEvent || null);
+  const [loading, setLoading] = useState(!initialEvent);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState('');
+  const [exporting, setExporting] = useState(false);
+  const [cancelling, setCancelling] = useState(false);
+
+  const fetchEvent = useCallback(async () => {
+    const id = eventId ?? initialEvent?.id;
+    if (id == null) {
+      setLoading(false);
+      setRefreshing(false);
+      return;
+    }
+    try {
+      setError('');
+      const data = await api.get(`/api/events/${id}`);
+      const eventData = unwrapItem(data, 'event');
+      if (eventData?.id) setEvent(eventData);
+    } catch (err) {
+      console.error('Failed to fetch event:', err);
+      setError(t('events_load_error'));
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, [eventId, initialEvent?.id, t]);
+
+  useEffect(() => {
+    fetchEvent();
+  }, [fetchEvent]);
+
+  // Coming back from the edit form with the saved event
+  useEffect(() => {
+    if (!refreshAt) return;
+    if (initialEvent) setEvent(initialEvent);
+    fetchEvent();
+  }, [refreshAt]);
+
+  // Fresh event data carries the server's RSVP state again
+  useEffect(() => {
+    resetOverrides();
+  }, [event, resetOverrides]);
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    fetchEvent();
+  };
+
+  const onToggleInterest = async () => {
+    if (!token) {
+      Alert.alert(t('interested'), t('auth_required_rsvp'));
+      return;
+    }
+    try {
+      await toggleInterest(event);
+    } catch (err) {
+      Alert.alert(t('error'), t('event_rsvp_failed'));
+    }
+  };
+
+  const getDirections = () => {
+    const coords = getEventCoordinates(event);
+    openDirections({ ...coords, label: event?.location }).catch((err) => {
+      console.error('Failed to open directions:', err);
+      Alert.alert(t('error'), t('event_directions_failed'));
+    });
+  };
+
+  const exportToCalendar = async () => {
+    setExporting(true);
+    try {
+      const shared = await shareEventIcs(event);
+      if (!shared) Alert.alert(t('add_to_calendar'), t('event_export_unavailable'));
+    } catch (err) {
+      console.error('Failed to export event:', err);
+      Alert.alert(t('error'), t('event_export_failed'));
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // The backend notifies everyone who RSVP'd through their notifications feed
+  const cancelEvent = () => {
+    Alert.alert(t('event_cancel_title'), t('event_cancel_confirm'), [
+      { text: t('cancel'), style: 'cancel' },
+      {
+        text: t('event_cancel_action'),
+        style: 'destructive',
+        onPress: async () => {
+          setCancelling(true);
+          try {
+            await api.post(`/api/events/${event.id}/cancel`, { notify_attendees: true });
+            refreshNotifications();
+            Alert.alert(t('success'), t('event_cancelled_message'), [
+              { text: t('ok'), onPress: () => navigation.navigate('EventsScreen', { refreshAt: Date.now() }) },
+            ]);
+          } catch (err) {
+            console.error('Failed to cancel event:', err);
+            Alert.alert(t('error'), err.status === 403 ? t('event_form.not_allowed') : t('event_cancel_failed'));
+          } finally {
+            setCancelling(false);
+          }
+        },
+      },
+    ]);
+  };
+
+  if (loading) {
+    return (
+      <View style={[styles.centered, { backgroundColor: colors.background }]}>
+        <ActivityIndicator size="large" color={colors.primary} />
+        <Text style={[styles.loadingText, { color: colors.text }]}>{t('loading_events')}</Text>
+      </View>
+    );
+  }
+
+  if (!event) {
+    return (
+      <View style={[styles.centered, { backgroundColor: colors.background }]}>
+        <MaterialIcons name="error-outline" size={48} color={colors.notification} />
+        <Text style={[styles.loadingText, { color: colors.text }]}>{error || t('event_not_found')}</Text>
+        <TouchableOpacity style={[styles.retryButton, { backgroundColor: colors.primary }]} onPress={fetchEvent}>
+          <Text style={styles.primaryButtonText}>{t('retry')}</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  const coords = getEventCoordinates(event);
+  const organizer = getEventOrganizer(event);
+  const cancelled = isEventCancelled(event);
+  const canManage = canManageEvent(event, user) && !cancelled;
+  const organizerAvatar = getAvatarUrl(organizer?.avatar);
+  const rsvp = getRsvpState(event);
+  const endDate = event.end_date ?? event.ends_at;
+
+  return (
+    <ScrollView
+      style={[styles.container, { backgroundColor: colors.background }]}
+      contentContainerStyle={styles.content}
+      refreshControl={
+        <RefreshControl refreshing={refreshing} onRefresh={onRefresh} colors={[colors.primary]} tintColor={colors.primary} />
+      }
+    >
+      <Text style={[styles.title, { color: colors.text }]}>{event.title}</Text>
+
+      {cancelled && (
+        <View style={[styles.cancelledBanner, { backgroundColor: colors.notification + '20', borderColor: colors.notification }]}>
+          <Ionicons name="close-circle-outline" size={18} color={colors.notification} />
+          <Text style={[styles.cancelledText, { color: colors.notification }]}>{t('event_cancelled')}</Text>
+        </View>
+      )}
+
+      {/* Date and place */}
+      <View style={[styles.card, { backgroundColor: colors.card }]}>
+        <View style={styles.infoRow}>
+          <MaterialIcons name="event" size={20} color={colors.primary} />
+          <View style={styles.infoTextContainer}>
+            <Text style={[styles.infoLabel, { color: colors.text + '99' }]}>{t('event_date')}</Text>
+            <Text style={[styles.infoText, { color: colors.text }]}>{formatDate(event.date ?? event.starts_at)}</Text>
+            {!!endDate && (
+              <Text style={[styles.infoSubText, { color: colors.text + '99' }]}>
+                {t('event_ends', { date: formatDate(endDate) })}
+              </Text>
+            )}
+          </View>
+        </View>
+        <View style={styles.infoRow}>
+          <MaterialIcons name="location-on" size={20} color={colors.primary} />
+          <View style={styles.infoTextContainer}>
+            <Text style={[styles.infoLabel, { color: colors.text + '99' }]}>{t('event_location')}</Text>
+            <Text style={[styles.infoText, { color: colors.text }]}>
+              {event.location || t('location_not_specified')}
+            </Text>
+          </View>
+        </View>
+      </View>
+
+      {/* Meeting point */}
+      {coords ? (
+        <View style={[styles.mapContainer, { borderColor: colors.border }]}>
+          <MapView
+            style={styles.map}
+            initialRegion={{ ...coords, latitudeDelta: 0.01, longitudeDelta: 0.01 }}
+            scrollEnabled={false}
+            zoomEnabled={false}
+            rotateEnabled={false}
+            pitchEnabled={false}
+          >
+            <Marker coordinate={coords} title={t('event_meeting_point')} description={event.location || undefined} />
+          </MapView>
+        </View>
+      ) : (
+        <Text style={[styles.noMapText, { color: colors.text + '99' }]}>{t('event_no_meeting_point')}</Text>
+      )}
+
+      {/* Actions */}
+      <View style={styles.actionsRow}>
+        <TouchableOpacity
+          style={[styles.actionButton, { backgroundColor: colors.primary }]}
+          onPress={getDirections}
+          disabled={!coords && !event.location}
+        >
+          <Ionicons name="navigate-outline" size={18} color="#fff" />
+          <Text style={styles.primaryButtonText}>{t('get_directions')}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.actionButton, { borderColor: colors.primary, borderWidth: 1 }]}
+          onPress={exportToCalendar}
+          disabled={exporting}
+        >
+          {exporting ? (
+            <ActivityIndicator size="small" color={colors.primary} />
+          ) : (
+            <Ionicons name="calendar-outline" size={18} color={colors.primary} />
+          )}
+          <Text style={[styles.secondaryButtonText, { color: colors.primary }]}>{t('add_to_calendar')}</Text>
+        </TouchableOpacity>
+      </View>
+
+      <TouchableOpacity
+        style={[
+          styles.interestButton,
+          { borderColor: colors.primary, backgroundColor: rsvp.interested ? colors.primary : 'transparent' },
+        ]}
+        onPress={onToggleInterest}
+        disabled={cancelled}
+        accessibilityState={{ selected: rsvp.interested, disabled: cancelled }}
+      >
+        <Ionicons name={rsvp.interested ? 'star' : 'star-outline'} size={18} color={rsvp.interested ? '#fff' : colors.primary} />
+        <Text style={[styles.secondaryButtonText, { color: rsvp.interested ? '#fff' : colors.primary }]}>
+          {rsvp.interested ? t('remove_interested') : t('mark_interested')}
+        </Text>
+      </TouchableOpacity>
+      <Text style={[styles.attendeesText, { color: colors.text + '99' }]}>
+        {t('event_interested_count', { count: rsvp.count })}
+      </Text>
+
+      {/* Organizer */}
+      {organizer && (
+        <View style={[styles.card, styles.organizerRow, { backgroundColor: colors.card }]}>
+          {organizerAvatar ? (
+            <Image source={{ uri: organizerAvatar }} style={styles.organizerAvatar} />
+          ) : (
+            <View style={[styles.organizerAvatar, styles.organizerFallback, { backgroundColor: colors.primary + '30' }]}>
+              <Text style={{ color: colors.primary, fontWeight: '700' }}>
+                {(organizer.name || '?').charAt(0).toUpperCase()}
+              </Text>
+            </View>
+          )}
+          <View>
+            <Text style={[styles.infoLabel, { color: colors.text + '99' }]}>{t('event_organizer')}</Text>
+            <Text style={[styles.infoText, { color: colors.text }]}>{organizer.name || t('anonymous')}</Text>
+          </View>
+        </View>
+      )}
+
+      {/* Description */}
+      {!!event.description && (
+        <View style={[styles.card, { backgroundColor: colors.card }]}>
+          <Text style={[styles.sectionTitle, { color: colors.text }]}>{t('event_description')}</Text>
+          <Text style={[styles.description, { color: colors.text }]}>{event.description}</Text>
+        </View>
+      )}
+
+      {/* Organizer tools */}
+      {canManage && (
+        <View style={styles.actionsRow}>
+          <TouchableOpacity
+            style={[styles.actionButton, { borderColor: colors.primary, borderWidth: 1 }]}
+            onPress={() => navigation.navigate('EventForm', { event })}
+            disabled={cancelling}
+          >
+            <Ionicons name="create-outline" size={18} color={colors.primary} />
+            <Text style={[styles.secondaryButtonText, { color: colors.primary }]}>{t('event_edit')}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.actionButton, { borderColor: colors.notification, borderWidth: 1 }]}
+            onPress={cancelEvent}
+            disabled={cancelling}
+          >
+            {cancelling ? (
+              <ActivityIndicator size="small" color={colors.notification} />
+            ) : (
+              <Ionicons name="close-circle-outline" size={18} color={colors.notification} />
+            )}
+            <Text style={[styles.secondaryButtonText, { color: colors.notification }]}>{t('event_cancel_action')}</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+  },
+  loadingText: {
+    marginTop: 12,
+    fontSize: 16,
+    textAlign: 'center',
+  },
+  retryButton: {
+    marginTop: 16,
+    paddingHorizontal: 24,
+    paddingVertical: 12,
+    borderRadius: 24,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    marginBottom: 16,
+  },
+  cancelledBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    marginBottom: 16,
+  },
+  cancelledText: {
+    marginLeft: 8,
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  card: {
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+  },
+  infoRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    marginBottom: 12,
+  },
+  infoTextContainer: {
+    marginLeft: 12,
+    flex: 1,
+  },
+  infoLabel: {
+    fontSize: 12,
+    marginBottom: 2,
+  },
+  infoText: {
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  infoSubText: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  mapContainer: {
+    height: 200,
+    borderRadius: 12,
+    borderWidth: 1,
+    overflow: 'hidden',
+    marginBottom: 16,
+  },
+  map: {
+    flex: 1,
+  },
+  noMapText: {
+    fontSize: 14,
+    fontStyle: 'italic',
+    marginBottom: 16,
+  },
+  actionsRow: {
+    flexDirection: 'row',
+    gap: 12,
+    marginBottom: 12,
+  },
+  actionButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 12,
+    borderRadius: 24,
+    gap: 6,
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  secondaryButtonText: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  interestButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 12,
+    borderRadius: 24,
+    borderWidth: 1,
+    gap: 6,
+  },
+  attendeesText: {
+    fontSize: 13,
+    textAlign: 'center',
+    marginTop: 6,
+    marginBottom: 16,
+  },
+  organizerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  organizerAvatar: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    marginRight: 12,
+  },
+  organizerFallback: {
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  description: {
+    fontSize: 15,
+    lineHeight: 22,
+  },
+});
+
+export default EventDetailsScreen;
@@ -0,0 +1,439 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  StyleSheet,
+  ActivityIndicator,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+  Modal,
+  FlatList,
+} from 'react-native';
+import { useTheme } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { useI18n } from '../i18n';
+import { useAuthContext } from '../auth/AuthContext';
+import { useThemeContext } from '../theme/ThemeContext';
+import LocationPicker from '../components/shared/LocationPicker';
+import { api, unwrapItem, ValidationError } from '../api/client';
+import { loadCachedPosts } from '../offline/postsCache';
+import { getEventCoordinates } from '../utils/geo';
+import { parseEventDate } from '../utils/calendar';
+import { toEventDateString } from '../utils/events';
+import { isPostCleaned } from '../utils/postStatus';
+
+const MAX_TITLE = 120;
+const MAX_DESCRIPTION = 2000;
+
+// Tomorrow at 09:00, a sensible default for a cleanup
+const defaultStartDate = () => {
+  const date = new Date();
+  date.setDate(date.getDate() + 1);
+  date.setHours(9, 0, 0, 0);
+  return date;
+};
+
+// Create an event, or edit one when route.params.event is set
+const EventFormScreen = ({ navigation, route }) => {
+  const { colors } = useTheme();
+  const { t } = useI18n();
+  const { token } = useAuthContext();
+  const { isDarkMode } = useThemeContext();
+  const editing = route?.params?.event || null;
+
+  const [title, setTitle] = useState(editing?.title || '');
+  const [description, setDescription] = useState(editing?.description || '');
+  const [date, setDate] = useState(parseEventDate(editing?.date ?? editing?.starts_at) || defaultStartDate());
+  const [pickerMode, setPickerMode] = useState(null); // Android: 'date' then 'time'
+  const [locationName, setLocationName] = useState(editing?.location || '');
+  const [coordinate, setCoordinate] = useState(getEventCoordinates(editing));
+  const [maxParticipants, setMaxParticipants] = useState(
+    editing?.max_participants ? String(editing.max_participants) : ''
+  );
+  const [linkedPostId, setLinkedPostId] = useState(
+    editing?.garbage_post_id ?? route?.params?.postId ?? null
+  );
+  const [posts, setPosts] = useState([]);
+  const [showPostPicker, setShowPostPicker] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  // Reports to link come from the cached feed; only open ones need a cleanup
+  useEffect(() => {
+    loadCachedPosts().then((cached) => {
+      setPosts((cached?.posts || []).filter((post) => !isPostCleaned(post)));
+    });
+  }, []);
+
+  const linkedPost = posts.find((post) => String(post.id) === String(linkedPostId));
+
+  const onDateChange = (event, selected) => {
+    if (Platform.OS === 'android') {
+      const mode = pickerMode;
+      setPickerMode(null);
+      if (event.type !== 'set' || !selected) return;
+      setDate(selected);
+      // Android shows date and time in two dialogs
+      if (mode === 'date') setPickerMode('time');
+      return;
+    }
+    if (selected) setDate(selected);
+  };
+
+  const validate = () => {
+    if (!title.trim()) return t('event_form.title_required');
+    // Past or running events can still be edited, as long as the date itself isn't moved into the past
+    const originalDate = editing ? parseEventDate(editing.date ?? editing.starts_at) : null;
+    const dateChanged = !originalDate || originalDate.getTime() !== date.getTime();
+    if (dateChanged && date.getTime() <= Date.now()) return t('event_form.date_in_past');
+    if (!coordinate) return t('event_form.location_required');
+    if (maxParticipants && !(parseInt(maxParticipants, 10) > 0)) return t('event_form.max_invalid');
+    return '';
+  };
+
+  const submitEvent = async () => {
+    if (!token) {
+      setError(t('event_form.auth_required'));
+      return;
+    }
+    const problem = validate();
+    if (problem) {
+      setError(problem);
+      return;
+    }
+
+    setSubmitting(true);
+    setError('');
+    try {
+      const payload = {
+        title: title.trim(),
+        description: description.trim(),
+        date: toEventDateString(date),
+        location: locationName.trim() || null,
+        latitude: coordinate.latitude,
+        longitude: coordinate.longitude,
+        max_participants: maxParticipants ? parseInt(maxParticipants, 10) : null,
+        garbage_post_id: linkedPostId,
+      };
+
+      if (editing) {
+        const data = await api.put(`/api/events/${editing.id}`, payload);
+        const saved = unwrapItem(data, 'event');
+        Alert.alert(t('success'), t('event_form.updated'), [
+          {
+            text: t('ok'),
+            onPress: () => navigation.navigate('EventDetails', {
+              eventId: editing.id,
+              event: saved?.id ? saved : { ...editing, ...payload },
+              refreshAt: Date.now(),
+            }),
+          },
+        ]);
+      } else {
+        const data = await api.post('/api/events', payload);
+        const created = unwrapItem(data, 'event');
+        console.log('Event created:', created?.id);
+        Alert.alert(t('success'), t('event_form.created'), [
+          { text: t('ok'), onPress: () => navigation.navigate('EventsScreen', { refreshAt: Date.now() }) },
+        ]);
+      }
+    } catch (err) {
+      console.error('Save event error:', err);
+      if (err instanceof ValidationError) {
+        setError(err.toLines() || err.message);
+      } else if (err.status === 403) {
+        setError(t('event_form.not_allowed'));
+      } else {
+        setError(err.message || t('event_form.save_failed'));
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const inputStyle = [
+    styles.input,
+    {
+      color: colors.text,
+      borderColor: colors.border,
+      backgroundColor: isDarkMode ? colors.card : '#fff',
+    },
+  ];
+
+  return (
+    <KeyboardAvoidingView
+      style={[styles.container, { backgroundColor: colors.background }]}
+      behavior={Platform.OS === 'ios' ? 'padding' : null}
+      keyboardVerticalOffset={Platform.OS === 'ios' ? 64 : 0}
+    >
+      <ScrollView contentContainerStyle={styles.scrollContent} keyboardShouldPersistTaps="handled">
+        <Text style={[styles.label, { color: colors.text }]}>{t('event_form.title')}</Text>
+        <TextInput
+          style={inputStyle}
+          value={title}
+          onChangeText={setTitle}
+          placeholder={t('event_form.title_placeholder')}
+          placeholderTextColor={colors.text + '80'}
+          maxLength={MAX_TITLE}
+          editable={!submitting}
+        />
+
+        <Text style={[styles.label, { color: colors.text }]}>{t('event_form.description')}</Text>
+        <TextInput
+          style={[inputStyle, styles.descriptionInput]}
+          value={description}
+          onChangeText={setDescription}
+          placeholder={t('event_form.description_placeholder')}
+          placeholderTextColor={colors.text + '80'}
+          multiline
+          maxLength={MAX_DESCRIPTION}
+          editable={!submitting}
+        />
+
+        <Text style={[styles.label, { color: colors.text }]}>{t('event_form.date')}</Text>
+        {Platform.OS === 'ios' ? (
+          <DateTimePicker
+            value={date}
+            mode="datetime"
+            display="compact"
+            minimumDate={new Date()}
+            onChange={onDateChange}
+            style={styles.iosPicker}
+          />
+        ) : (
+          <TouchableOpacity
+            style={[inputStyle, styles.dateButton]}
+            onPress={() => setPickerMode('date')}
+            disabled={submitting}
+          >
+            <Ionicons name="calendar-outline" size={18} color={colors.primary} />
+            <Text style={[styles.dateText, { color: colors.text }]}>
+              {date.toLocaleString(undefined, {
+                weekday: 'short',
+                day: '2-digit',
+                month: 'short',
+                year: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit',
+              })}
+            </Text>
+          </TouchableOpacity>
+        )}
+        {Platform.OS === 'android' && pickerMode && (
+          <DateTimePicker
+            value={date}
+            mode={pickerMode}
+            minimumDate={pickerMode === 'date' ? new Date() : undefined}
+            onChange={onDateChange}
+          />
+        )}
+
+        <Text style={[styles.label, { color: colors.text }]}>{t('event_location')}</Text>
+        <TextInput
+          style={inputStyle}
+          value={locationName}
+          onChangeText={setLocationName}
+          placeholder={t('event_form.location_placeholder')}
+          placeholderTextColor={colors.text + '80'}
+          editable={!submitting}
+        />
+        <Text style={[styles.hint, { color: colors.text + '99' }]}>{t('event_form.location_hint')}</Text>
+        <LocationPicker value={coordinate} onChange={setCoordinate} height={220} autoLocate={!editing} />
+
+        <Text style={[styles.label, { color: colors.text }]}>{t('event_form.max_participants')}</Text>
+        <TextInput
+          style={inputStyle}
+          value={maxParticipants}
+          onChangeText={(text) => setMaxParticipants(text.replace(/[^0-9]/g, ''))}
+          placeholder={t('event_form.max_participants_placeholder')}
+          placeholderTextColor={colors.text + '80'}
+          keyboardType="number-pad"
+          editable={!submitting}
+        />
+
+        <Text style={[styles.label, { color: colors.text }]}>{t('event_form.linked_post')}</Text>
+        <TouchableOpacity
+          style={[inputStyle, styles.dateButton]}
+          onPress={() => setShowPostPicker(true)}
+          disabled={submitting}
+        >
+          <Ionicons name="trash-outline" size={18} color={colors.primary} />
+          <Text style={[styles.dateText, { color: linkedPostId ? colors.text : colors.text + '80' }]} numberOfLines={1}>
+            {linkedPostId
+              ? linkedPost?.description || t('event_form.post_number', { id: linkedPostId })
+              : t('event_form.no_linked_post')}
+          </Text>
+        </TouchableOpacity>
+
+        {error ? <Text style={styles.errorText}>{error}</Text> : null}
+      </ScrollView>
+
+      <View style={[styles.footer, { borderTopColor: colors.border, backgroundColor: colors.card }]}>
+        <TouchableOpacity
+          style={[styles.footerButton, styles.secondaryButton, { borderColor: colors.border }]}
+          onPress={() => navigation.goBack()}
+          disabled={submitting}
+        >
+          <Text style={[styles.secondaryButtonText, { color: colors.text }]}>{t('cancel')}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.footerButton, { backgroundColor: colors.primary, opacity: submitting ? 0.5 : 1 }]}
+          onPress={submitEvent}
+          disabled={submitting}
+        >
+          {submitting ? (
+            <ActivityIndicator size="small" color="#fff" />
+          ) : (
+            <Text style={styles.primaryButtonText}>
+              {editing ? t('event_form.save') : t('event_form.create')}
+            </Text>
+          )}
+        </TouchableOpacity>
+      </View>
+
+      {/* Linked report picker */}
+      <Modal visible={showPostPicker} transparent animationType="slide" onRequestClose={() => setShowPostPicker(false)}>
+        <View style={styles.modalOverlay}>
+          <View style={[styles.modalSheet, { backgroundColor: colors.card }]}>
+            <Text style={[styles.modalTitle, { color: colors.text }]}>{t('event_form.linked_post')}</Text>
+            <FlatList
+              data={[{ id: null }, ...posts]}
+              keyExtractor={(item) => String(item.id)}
+              renderItem={({ item }) => {
+                const selected = String(item.id) === String(linkedPostId);
+                return (
+                  <TouchableOpacity
+                    style={[styles.postOption, { borderBottomColor: colors.border }]}
+                    onPress={() => {
+                      setLinkedPostId(item.id);
+                      setShowPostPicker(false);
+                    }}
+                  >
+                    <Text style={[styles.postOptionText, { color: colors.text }]} numberOfLines={2}>
+                      {item.id == null ? t('event_form.no_linked_post') : item.description || t('event_form.post_number', { id: item.id })}
+                    </Text>
+                    {selected && <Ionicons name="checkmark" size={20} color={colors.primary} />}
+                  </TouchableOpacity>
+                );
+              }}
+            />
+            <TouchableOpacity style={styles.modalClose} onPress={() => setShowPostPicker(false)}>
+              <Text style={{ color: colors.primary, fontWeight: '600' }}>{t('cancel')}</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+  label: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginTop: 16,
+    marginBottom: 6,
+  },
+  hint: {
+    fontSize: 13,
+    marginTop: 6,
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+  },
+  descriptionInput: {
+    minHeight: 120,
+    textAlignVertical: 'top',
+  },
+  dateButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  dateText: {
+    marginLeft: 8,
+    fontSize: 16,
+    flex: 1,
+  },
+  iosPicker: {
+    alignSelf: 'flex-start',
+  },
+  errorText: {
+    color: '#ff4444',
+    marginTop: 12,
+  },
+  footer: {
+    flexDirection: 'row',
+    gap: 12,
+    padding: 12,
+    borderTopWidth: StyleSheet.hairlineWidth,
+  },
+  footerButton: {
+    flex: 1,
+    paddingVertical: 14,
+    borderRadius: 8,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  secondaryButton: {
+    borderWidth: 1,
+  },
+  secondaryButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modalSheet: {
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    maxHeight: '70%',
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 12,
+    textAlign: 'center',
+  },
+  postOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 14,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+  postOptionText: {
+    flex: 1,
+    fontSize: 15,
+    marginRight: 8,
+  },
+  modalClose: {
+    alignItems: 'center',
+    paddingTop: 14,
+  },
+});
+
+export default EventFormScreen;
@@ -11,22 +11,62 @@ import {
   Animated,
   Dimensions,
   SafeAreaView,
+  Image,
+  Alert,
 } from 'react-native';
 import { useTheme } from '@react-navigation/native';
 import { useI18n } from '../i18n';
 import { MaterialIcons, Ionicons, MaterialCommunityIcons, FontAwesome } from '@expo/vector-icons';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import axios from 'axios';
+import { api, unwrapList, API_BASE_URL } from '../api/client';
+import { useAuthContext } from '../auth/AuthContext';
+import { useOutbox } from '../offline/OutboxContext';
+import useEventRsvp from '../hooks/useEventRsvp';
+import { canCreateEvents } from '../utils/events';
 
-// API configuration
-const RAW_BASE = process.env.EXPO_PUBLIC_API_BASE || 'http://127.0.0.1:8000';
-const API_CONFIG = {
-  BASE_URL: RAW_BASE.replace(/\/$/, ''),
+const STORAGE_KEY = '@berllog_saved_events';
+const MAX_AVATARS = 4;
+
+// Avatar URL for an attendee (full URLs are used as is)
+const getAvatarUrl = (avatar) => {
+  if (!avatar) return null;
+  if (/^https?:\/\//i.test(avatar)) return avatar;
+  return `${API_BASE_URL}/storage/${String(avatar).replace(/^\/+/g, '')}`;
 };
 
-const STORAGE_KEY = '@berllog_saved_events';
+// Overlapping attendee avatars, with initials when there is no picture
+const AttendeeAvatars = ({ attendees, count, colors }) => {
+  const shown = attendees.slice(0, MAX_AVATARS);
+  const extra = Math.max(0, count - shown.length);
+  return (
+    <View style={styles.avatarRow}>
+      {shown.map((attendee, index) => {
+        const uri = getAvatarUrl(attendee?.avatar);
+        return (
+          <View
+            key={attendee?.id ?? index}
+            style={[styles.avatar, { borderColor: colors.card, marginLeft: index === 0 ? 0 : -8, backgroundColor: colors.primary + '30' }]}
+          >
+            {uri ? (
+              <Image source={{ uri }} style={styles.avatarImage} />
+            ) : (
+              <Text style={[styles.avatarInitial, { color: colors.primary }]}>
+                {(attendee?.name || '?').charAt(0).toUpperCase()}
+              </Text>
+            )}
+          </View>
+        );
+      })}
+      {extra > 0 && (
+        <View style={[styles.avatar, { borderColor: colors.card, marginLeft: shown.length ? -8 : 0, backgroundColor: colors.border }]}>
+          <Text style={[styles.avatarInitial, { color: colors.text }]}>+{extra}</Text>
+        </View>
+      )}
+    </View>
+  );
+};
 
-const EventsScreen = () => {
+const EventsScreen = ({ navigation, route }) => {
   const { colors } = useTheme();
   const { t } = useI18n();
   const [events, setEvents] = useState([]);
@@ -35,6 +75,11 @@ const EventsScreen = () => {
   const [refreshing, setRefreshing] = useState(false);
   const [sortBy, setSortBy] = useState('recent'); // recent, oldest, alphabet
   const [showSortModal, setShowSortModal] = useState(false);
+  const [filter, setFilter] = useState('all'); // all, mine
+  const { token, user } = useAuthContext();
+  const refreshAt = route?.params?.refreshAt;
+  const { lastSyncedAt } = useOutbox();
+  const { getRsvpState, toggleInterest, resetOverrides } = useEventRsvp();
   
   const modalY = useRef(new Animated.Value(Dimensions.get('window').height)).current;
 
@@ -45,11 +90,10 @@ const EventsScreen = () => {
       setError('');
       if (!refreshing) setLoading(true);
       
-      const response = await axios.get(`${API_CONFIG.BASE_URL}/api/events/upcoming?sort=${sortBy}`);
+      const data = await api.get('/api/events/upcoming', { params: { sort: sortBy } });
       
       // Extract events data from response
-      const eventsData = response.data?.events || [];
-      setEvents(Array.isArray(eventsData) ? eventsData : []);
+      setEvents(unwrapList(data, 'events'));
     } catch (err) {
       console.error('Failed to fetch events:', err);
       setError(t('events_load_error'));
@@ -59,10 +103,20 @@ const EventsScreen = () => {
     }
   };
 
-  // Fetch events when component mounts or sortBy changes
+  // Fetch events when component mounts, sortBy changes or an event was created or cancelled
   useEffect(() => {
     fetchEvents();
-  }, [sortBy]);
+  }, [sortBy, refreshAt]);
+
+  // Queued RSVPs were replayed: reload the attendee counts
+  useEffect(() => {
+    if (lastSyncedAt) fetchEvents();
+  }, [lastSyncedAt]);
+
+  // Fresh events carry the server's RSVP state again
+  useEffect(() => {
+    resetOverrides();
+  }, [events, resetOverrides]);
 
   // Handle pull-to-refresh
   const onRefresh = () => {
@@ -90,7 +144,9 @@ const EventsScreen = () => {
   const sortedEvents = useMemo(() => {
     if (!events.length) return [];
     
-    const copy = [...events];
+    const copy = filter === 'mine'
+      ? events.filter((event) => getRsvpState(event).interested)
+      : [...events];
     switch (sortBy) {
       case 'recent':
         return copy.sort((a, b) => new Date(a.date) - new Date(b.date));
@@ -101,7 +157,7 @@ const EventsScreen = () => {
       default:
         return copy;
     }
-  }, [events, sortBy]);
+  }, [events, sortBy, filter, getRsvpState]);
 
   // Show sort modal
   const showSortOptions = () => {
@@ -128,12 +184,30 @@ const EventsScreen = () => {
     hideSortOptions();
   };
 
+  // Mark or unmark an event as interested
+  const onToggleInterest = async (event) => {
+    if (!token) {
+      Alert.alert(t('interested'), t('auth_required_rsvp'));
+      return;
+    }
+    try {
+      await toggleInterest(event);
+    } catch (err) {
+      Alert.alert(t('error'), t('event_rsvp_failed'));
+    }
+  };
+
   // Render event item
   const renderEventItem = ({ item }) => {
-    
+    const rsvp = getRsvpState(item);
     
     return (
-      <View style={[styles.eventCard, { backgroundColor: colors.card }]}>
+      <TouchableOpacity
+        style={[styles.eventCard, { backgroundColor: colors.card }]}
+        activeOpacity={0.8}
+        onPress={() => navigation.navigate('EventDetails', { eventId: item.id, event: item })}
+        accessibilityLabel={t('view_details')}
+      >
         <View style={styles.eventDateContainer}>
           <MaterialIcons name="event" size={18} color={colors.primary} style={styles.eventIcon} />
           <Text style={[styles.eventDate, { color: colors.text }]}>
@@ -152,7 +226,37 @@ const EventsScreen = () => {
             {item.location || t('location_not_specified')}
           </Text>
         </View>
-      </View>
+        
+        <View style={[styles.eventFooter, { borderTopColor: colors.border }]}>
+          <View style={styles.attendeesContainer}>
+            {rsvp.count > 0 && (
+              <AttendeeAvatars attendees={rsvp.attendees} count={rsvp.count} colors={colors} />
+            )}
+            <Text style={[styles.attendeesText, { color: colors.text + '99' }]}>
+              {t('event_interested_count', { count: rsvp.count })}
+            </Text>
+          </View>
+          
+          <TouchableOpacity
+            style={[
+              styles.interestButton,
+              { borderColor: colors.primary, backgroundColor: rsvp.interested ? colors.primary : 'transparent' },
+            ]}
+            onPress={() => onToggleInterest(item)}
+            accessibilityLabel={rsvp.interested ? t('remove_interested') : t('mark_interested')}
+            accessibilityState={{ selected: rsvp.interested }}
+          >
+            <Ionicons
+              name={rsvp.interested ? 'star' : 'star-outline'}
+              size={16}
+              color={rsvp.interested ? '#fff' : colors.primary}
+            />
+            <Text style={[styles.interestButtonText, { color: rsvp.interested ? '#fff' : colors.primary }]}>
+              {t('interested')}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      </TouchableOpacity>
     );
   };
 
@@ -163,17 +267,50 @@ const EventsScreen = () => {
           {t('upcoming_events')}
         </Text>
         
-        <TouchableOpacity 
-          style={[styles.sortButton, { borderColor: colors.border }]}
-          onPress={showSortOptions}
-          accessibilityLabel={t('sort_by')}
-        >
-          <MaterialCommunityIcons name="sort" size={20} color={colors.text} />
-          <Text style={[styles.sortButtonText, { color: colors.text }]}>
-            {t(sortBy)}
-          </Text>
-          <MaterialIcons name="arrow-drop-down" size={20} color={colors.text} />
-        </TouchableOpacity>
+        <View style={styles.headerActions}>
+          {canCreateEvents(user) && (
+            <TouchableOpacity
+              style={[styles.createButton, { backgroundColor: colors.primary }]}
+              onPress={() => navigation.navigate('EventForm')}
+              accessibilityLabel={t('event_form.new_event')}
+            >
+              <Ionicons name="add" size={20} color="#fff" />
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity 
+            style={[styles.sortButton, { borderColor: colors.border }]}
+            onPress={showSortOptions}
+            accessibilityLabel={t('sort_by')}
+          >
+            <MaterialCommunityIcons name="sort" size={20} color={colors.text} />
+            <Text style={[styles.sortButtonText, { color: colors.text }]}>
+              {t(sortBy)}
+            </Text>
+            <MaterialIcons name="arrow-drop-down" size={20} color={colors.text} />
+          </TouchableOpacity>
+        </View>
+      </View>
+      
+      {/* All / My events filter */}
+      <View style={styles.filterRow} accessibilityLabel={t('filter_events')}>
+        {['all', 'mine'].map((key) => {
+          const active = filter === key;
+          return (
+            <TouchableOpacity
+              key={key}
+              style={[
+                styles.filterChip,
+                { borderColor: active ? colors.primary : colors.border, backgroundColor: active ? colors.primary + '20' : 'transparent' },
+              ]}
+              onPress={() => setFilter(key)}
+              accessibilityState={{ selected: active }}
+            >
+              <Text style={[styles.filterChipText, { color: active ? colors.primary : colors.text }]}>
+                {key === 'mine' ? t('my_events') : t('all_events')}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
       </View>
 
       {loading && !refreshing ? (
@@ -198,7 +335,7 @@ const EventsScreen = () => {
         <View style={styles.emptyContainer}>
           <FontAwesome name="calendar-o" size={48} color={colors.text} />
           <Text style={[styles.emptyText, { color: colors.text }]}>
-            {t('no_events')}
+            {filter === 'mine' ? t('no_my_events') : t('no_events')}
           </Text>
         </View>
       ) : (
@@ -298,6 +435,18 @@ const styles = StyleSheet.create({
     fontSize: 22,
     fontWeight: 'bold',
   },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  createButton: {
+    width: 34,
+    height: 34,
+    borderRadius: 17,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 8,
+  },
   sortButton: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -356,6 +505,68 @@ const styles = StyleSheet.create({
     flexDirection: 'row',
     justifyContent: 'space-between',
     alignItems: 'center',
+    marginTop: 12,
+    paddingTop: 12,
+    borderTopWidth: StyleSheet.hairlineWidth,
+  },
+  attendeesContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flex: 1,
+  },
+  attendeesText: {
+    fontSize: 13,
+    marginLeft: 8,
+  },
+  avatarRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  avatar: {
+    width: 26,
+    height: 26,
+    borderRadius: 13,
+    borderWidth: 2,
+    alignItems: 'center',
+    justifyContent: 'center',
+    overflow: 'hidden',
+  },
+  avatarImage: {
+    width: '100%',
+    height: '100%',
+  },
+  avatarInitial: {
+    fontSize: 11,
+    fontWeight: '700',
+  },
+  interestButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+  },
+  interestButtonText: {
+    fontSize: 13,
+    fontWeight: '600',
+    marginLeft: 4,
+  },
+  filterRow: {
+    flexDirection: 'row',
+    paddingHorizontal: 16,
+    paddingBottom: 4,
+  },
+  filterChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    marginRight: 8,
+  },
+  filterChipText: {
+    fontSize: 14,
+    fontWeight: '500',
   },
   locationContainer: {
     flexDirection: 'row',
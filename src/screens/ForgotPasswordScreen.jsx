@@ -10,15 +10,13 @@ import {
 } from 'react-native';
 import { useNavigation } from '@react-navigation/native';
 import { Ionicons } from '@expo/vector-icons';
-import axios from 'axios';
 import { useI18n } from '../i18n';
-import { AuthContext } from '../auth/AuthContext';
+import { api, ValidationError } from '../api/client';
 import { useThemeContext } from '../theme/ThemeContext';
 
 const ForgotPasswordScreen = () => {
   const navigation = useNavigation();
   const { t } = useI18n();
-  const { API_CONFIG } = React.useContext(AuthContext);
   const { isDarkMode } = useThemeContext();
   
   const [email, setEmail] = useState('');
@@ -37,11 +35,7 @@ const ForgotPasswordScreen = () => {
 
     try {
       setLoading(true);
-      const response = await axios.post(`${API_CONFIG?.BASE_URL || 'http://192.168.0.101:8000'}/api/password/reset`, {
-        email,
-      }, {
-        headers: { 'Content-Type': 'application/json' },
-      });
+      await api.post('/api/password/reset', { email }, { auth: false });
       
       setSuccess(true);
       Alert.alert(
@@ -53,12 +47,9 @@ const ForgotPasswordScreen = () => {
       console.error('Password reset error:', error);
       
       let errorMessage = t('reset_link_error');
-      if (error.response?.status === 422) {
+      if (error instanceof ValidationError) {
         // Validation error
-        const errors = error.response?.data?.errors;
-        if (errors?.email?.[0]) {
-          errorMessage = errors.email[0];
-        }
+        errorMessage = error.firstError('email') || errorMessage;
       }
       
       Alert.alert(
@@ -1,26 +1,41 @@
-import React, { useEffect, useState, useCallback } from 'react';
+import React, { useEffect, useState, useCallback, useMemo } from 'react';
 import { 
   View, Text, StyleSheet, Image, TouchableOpacity, 
-  ActivityIndicator, RefreshControl, SafeAreaView, FlatList,
-  Share
+  RefreshControl, SafeAreaView, FlatList,
+  Share, Linking
 } from 'react-native';
 import { useTheme } from '@react-navigation/native';
 import { useI18n } from '../i18n';
-import axios from 'axios';
 import { Ionicons } from '@expo/vector-icons';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useThemeContext } from '../theme/ThemeContext';
+import { useAuthContext } from '../auth/AuthContext';
+import { api, unwrapList, API_BASE_URL, STORAGE_PATHS } from '../api/client';
+import { CLEANED_COLOR, isPostCleaned } from '../utils/postStatus';
+import usePostsFeed from '../offline/usePostsFeed';
+import LastUpdated from '../components/shared/LastUpdated';
+import PostSkeleton, { PostSkeletonList } from '../components/shared/PostSkeleton';
+import PostFilterSheet from '../components/shared/PostFilterSheet';
+import {
+  loadPostFilters,
+  savePostFilters,
+  toPostQueryParams,
+  matchesPostFilters,
+  countActiveFilters,
+  getPostDistanceKm,
+  formatDistanceKm,
+  normalizePostFilters,
+  NEAREST_SORT,
+} from '../utils/postFilters';
+import useDeviceLocation from '../hooks/useDeviceLocation';
+import { useOutbox } from '../offline/OutboxContext';
+import { pendingFavorite } from '../offline/outbox';
+import usePostReactions from '../hooks/usePostReactions';
+import ReactionPicker, { ReactionIcon } from '../components/shared/ReactionPicker';
+import { isNegativeReaction, getReactionName } from '../utils/reactions';
+
+// Posts per page of the feed
+const PAGE_SIZE = 15;
 
-// API configuration similar to DrawerContent
-const RAW_BASE = process.env.EXPO_PUBLIC_API_BASE || 'http://192.168.0.101:8000';
-const API_CONFIG = {
-  BASE_URL: RAW_BASE.replace(/\/$/, ''),
-  STORAGE_PATHS: [
-    '/storage/',
-    '/',
-    '/public/storage/'
-  ],
-};
 
 // Utility functions
 const getTimeAgo = (posted) => {
@@ -65,7 +80,7 @@ const getTimeAgo = (posted) => {
 };
 
 // Helper function to get the correct image URL format
-const getImageUrl = (imagePath, apiBase = API_CONFIG.BASE_URL) => {
+const getImageUrl = (imagePath, apiBase = API_BASE_URL) => {
   if (!imagePath) return null;
   
   // For debugging
@@ -119,13 +134,13 @@ const useImageWithFallback = (initialUrl, userInitial = 'U') => {
     // Try alternative storage paths
     if (initialUrl) {
       const originalUrl = initialUrl;
-      for (const path of API_CONFIG.STORAGE_PATHS) {
+      for (const path of STORAGE_PATHS) {
         if (originalUrl.includes(path)) continue; // Skip the current path
         
         // Try an alternative path
         const filename = originalUrl.split('/').pop();
         if (filename) {
-          const alternativeUrl = `${API_CONFIG.BASE_URL}${path}${filename}`;
+          const alternativeUrl = `${API_BASE_URL}${path}${filename}`;
           setImageSource({ uri: alternativeUrl });
           return;
         }
@@ -147,29 +162,46 @@ const useImageWithFallback = (initialUrl, userInitial = 'U') => {
 };
 
 // Posts Component
-const Posts = ({ colors, t, refreshing, onRefresh, navigation }) => {
+const Posts = ({ colors, t, refreshing, onRefresh, navigation, refreshKey }) => {
   const { isDarkMode } = useThemeContext();
-  const [posts, setPosts] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [token, setToken] = useState(null);
+  // Persisted filters; the feed waits for them so it isn't fetched twice on start
+  const [filters, setFilters] = useState(null);
+  const [showFilters, setShowFilters] = useState(false);
+  // Proximity mode: only asks for the location while "near me" is on
+  const nearMe = !!filters?.nearMe;
+  const { location, status: locationStatus, locate } = useDeviceLocation({ enabled: nearMe });
+  const userLocation = nearMe ? location : null;
+  const locating = nearMe && !location && (locationStatus === 'idle' || locationStatus === 'locating');
+  const queryParams = useMemo(
+    () => (filters ? toPostQueryParams(filters, userLocation) : undefined),
+    [filters, userLocation]
+  );
+  // Cached feed, revalidated in the background (works offline)
+  const {
+    posts,
+    loading,
+    refreshing: feedRefreshing,
+    loadingMore,
+    loadMore,
+    updatedAt,
+    offline,
+    refresh,
+  } = usePostsFeed({ refreshKey, pageSize: PAGE_SIZE, params: queryParams, enabled: !!filters && !locating });
+  const { token } = useAuthContext();
+  const { items: outboxItems, lastSyncedAt, sendOrQueue } = useOutbox();
   const [favoritedByPost, setFavoritedByPost] = useState({});
   const [favoriting, setFavoriting] = useState({});
-  const [reactionTypeByPost, setReactionTypeByPost] = useState({});
+  const [picker, setPicker] = useState(null);
+  const {
+    types: reactionTypes,
+    typesError: reactionTypesError,
+    reloadTypes: reloadReactionTypes,
+    getReactionState,
+    react,
+    resetOverrides: resetReactionOverrides,
+  } = usePostReactions();
   const [reactionFlashByPost, setReactionFlashByPost] = useState({});
   
-  // Load token from AsyncStorage
-  useEffect(() => {
-    const loadToken = async () => {
-      try {
-        const storedToken = await AsyncStorage.getItem('auth_token');
-        setToken(storedToken);
-      } catch (err) {
-        console.error('Failed to load auth token', err);
-      }
-    };
-    loadToken();
-  }, []);
-  
   // Fetch initial favorites so hearts reflect backend state
   const fetchFavorites = useCallback(async () => {
     if (!token) {
@@ -177,18 +209,8 @@ const Posts = ({ colors, t, refreshing, onRefresh, navigation }) => {
       return;
     }
     try {
-      const res = await axios.get(`${API_CONFIG.BASE_URL}/api/users/favorite-posts`, {
-        headers: { Authorization: `Bearer ${token}` }
-      });
-      const payload = res?.data;
-      const candidates = [
-        payload?.favoritePosts,
-        payload?.favorites,
-        payload?.data,
-        payload?.favorite_posts,
-        payload?.favorite_posts?.data,
-      ];
-      const list = candidates.find((x) => Array.isArray(x)) || [];
+      const payload = await api.get('/api/users/favorite-posts');
+      const list = unwrapList(payload, 'favoritePosts', 'favorites', 'favorite_posts');
       const map = {};
       for (const item of list) {
         const pid =
@@ -207,36 +229,54 @@ const Posts = ({ colors, t, refreshing, onRefresh, navigation }) => {
 
   useEffect(() => {
     fetchFavorites();
-  }, [fetchFavorites]);
-  
-  // Load posts from API
-  const fetchPosts = useCallback(async () => {
-    setLoading(true);
-    try {
-      const res = await axios.get(`${API_CONFIG.BASE_URL}/api/garbage-posts`, {
-        headers: token ? { Authorization: `Bearer ${token}` } : {}
-      });
-      
-      // Normalize the data structure based on the actual API response
-      // The API returns { garbagePosts: { data: [...posts] } }
-      const postsData = res.data?.garbagePosts?.data || [];
-      console.log('Posts fetched:', postsData.length);
-      setPosts(postsData);
-    } catch (err) {
-      console.error('Failed to fetch posts', err);
-    } finally {
-      setLoading(false);
-    }
-  }, [token]);
-  
+  }, [fetchFavorites, lastSyncedAt]);
+
+  useEffect(() => {
+    loadPostFilters().then(setFilters);
+  }, []);
+
+  const applyFilters = (next) => {
+    setFilters(next);
+    savePostFilters(next);
+    setShowFilters(false);
+  };
+
+  // Without a location "near me" falls back to the regular feed
+  const turnOffNearMe = () => applyFilters(normalizePostFilters({ ...filters, nearMe: false }));
+
+  let nearMeMessage = t('error_getting_location');
+  if (locating) nearMeMessage = t('feed_filters.locating');
+  else if (userLocation) nearMeMessage = t('feed_filters.within_km', { count: filters.radiusKm });
+  else if (locationStatus === 'denied') nearMeMessage = t('feed_filters.location_denied');
+
+  // The server filters too; this also covers cached posts and older backends
+  const visiblePosts = useMemo(() => {
+    if (!filters) return posts;
+    const list = posts.filter((post) => matchesPostFilters(post, filters, userLocation));
+    if (filters.sort !== NEAREST_SORT || !userLocation) return list;
+    const distance = (post) => getPostDistanceKm(post, userLocation) ?? Infinity;
+    return [...list].sort((a, b) => distance(a) - distance(b));
+  }, [posts, filters, userLocation]);
+  const activeFilterCount = filters ? countActiveFilters(filters) : 0;
+
+  // Queued reports or favorites were just delivered: reload the feed
+  useEffect(() => {
+    if (lastSyncedAt) refresh();
+  }, [lastSyncedAt]);
+
+  // A refreshed feed carries the server's reaction counts again (appended pages don't replace any)
   useEffect(() => {
-    fetchPosts();
-  }, [fetchPosts]);
+    resetReactionOverrides();
+  }, [updatedAt, resetReactionOverrides]);
+
+  // Favorite changes still waiting in the outbox win over the server state
+  const isPostFavorited = (postId) => pendingFavorite(outboxItems, postId) ?? !!favoritedByPost[String(postId)];
   
   // Handle pull-to-refresh
   const handleRefresh = useCallback(() => {
-    fetchPosts();
-  }, [fetchPosts]);
+    refresh();
+    fetchFavorites();
+  }, [refresh, fetchFavorites]);
   
   // Toggle favorite
   const toggleFavorite = async (postId) => {
@@ -247,27 +287,18 @@ const Posts = ({ colors, t, refreshing, onRefresh, navigation }) => {
     
     if (favoriting[postId]) return;
     
-    const isFav = !!favoritedByPost[String(postId)];
+    const isFav = isPostFavorited(postId);
     try {
       setFavoriting((p) => ({ ...p, [postId]: true }));
       
-      if (isFav) {
-        // Remove favorite
-        await axios.delete(`${API_CONFIG.BASE_URL}/api/users/favorite-posts`, {
-          headers: {
-            Authorization: `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          },
-          data: { garbage_post_id: postId }
-        });
-      } else {
-        // Add favorite
-        await axios.post(
-          `${API_CONFIG.BASE_URL}/api/users/favorite-posts`,
-          { garbage_post_id: postId },
-          { headers: { Authorization: `Bearer ${token}` } }
-        );
-      }
+      // Remove or add favorite; queued while offline and applied optimistically
+      await sendOrQueue({
+        type: isFav ? 'unfavorite' : 'favorite',
+        method: isFav ? 'DELETE' : 'POST',
+        path: '/api/users/favorite-posts',
+        json: { garbage_post_id: postId },
+        meta: { postId: String(postId) },
+      });
       
       // Update local state
       setFavoritedByPost(prev => ({
@@ -282,29 +313,14 @@ const Posts = ({ colors, t, refreshing, onRefresh, navigation }) => {
     }
   };
   
-  // Toggle upvote/downvote
-  const toggleReaction = async (postId, reactionType) => {
+  // Open the reaction picker for a post, limited to positive or negative types
+  const openReactionPicker = (post, polarity) => {
     if (!token) return;
-    
-    const currentReaction = reactionTypeByPost[postId];
-    
-    // If same reaction, remove it
-    if (currentReaction === reactionType) {
-      setReactionTypeByPost(prev => {
-        const next = {...prev};
-        delete next[postId];
-        return next;
-      });
-    } else {
-      // Otherwise set new reaction
-      setReactionTypeByPost(prev => ({
-        ...prev,
-        [postId]: reactionType
-      }));
-    }
-    
-    // Show feedback message
-    setReactionFlashByPost((p) => ({ ...p, [postId]: { text: 'Reaction saved', type: 'success' } }));
+    setPicker({ post, polarity });
+  };
+
+  const showReactionFlash = (postId, flash) => {
+    setReactionFlashByPost((p) => ({ ...p, [postId]: flash }));
     setTimeout(() => {
       setReactionFlashByPost((p) => {
         const next = { ...p };
@@ -313,13 +329,31 @@ const Posts = ({ colors, t, refreshing, onRefresh, navigation }) => {
       });
     }, 1500);
   };
+
+  // Persist the picked reaction (picking the current one again removes it)
+  const selectReaction = async (reactionType) => {
+    const post = picker?.post;
+    setPicker(null);
+    if (!post) return;
+    try {
+      const { queued, reaction } = await react(post, reactionType);
+      showReactionFlash(post.id, {
+        text: queued
+          ? t('outbox.saved_offline')
+          : reaction ? t('reaction_picker.saved') : t('reaction_picker.removed'),
+        type: 'success',
+      });
+    } catch (err) {
+      showReactionFlash(post.id, { text: t('reaction_picker.failed'), type: 'error' });
+    }
+  };
   
   // Share post
   const sharePost = async (post) => {
     try {
       await Share.share({
         message: `Check out this post: ${post.title || 'Interesting post'}`,
-        url: `${API_CONFIG.BASE_URL}/posts/${post.id}`
+        url: `${API_BASE_URL}/posts/${post.id}`
       });
     } catch (error) {
       console.error('Error sharing post:', error);
@@ -332,15 +366,18 @@ const Posts = ({ colors, t, refreshing, onRefresh, navigation }) => {
     colors,
     t,
     isFavorited,
-    isUpvoted,
-    isDownvoted,
+    reactionState,
     flashMessage,
-    toggleReaction,
+    openReactionPicker,
     toggleFavorite,
     sharePost,
     navigation,
+    distanceKm,
   }) => {
     const postId = post.id;
+    const cleaned = isPostCleaned(post);
+    const isUpvoted = !!reactionState.reaction && !isNegativeReaction(reactionState.reaction);
+    const isDownvoted = !!reactionState.reaction && isNegativeReaction(reactionState.reaction);
     const { isDarkMode } = useThemeContext();
     const avatarUrl = post.user?.avatar ? getImageUrl(post.user.avatar) : null;
     const { imageSource, handleImageError } = useImageWithFallback(
@@ -400,13 +437,21 @@ const Posts = ({ colors, t, refreshing, onRefresh, navigation }) => {
               </Text>
               <Text style={[styles.postTime, { color: colors.text + '80' }]}>
                 {getTimeAgo(post.created_at)}
+                {distanceKm != null ? ` · ${t('km_away', { count: formatDistanceKm(distanceKm) })}` : ''}
               </Text>
             </View>
           </View>
 
-          <TouchableOpacity style={styles.moreButton}>
-            <Ionicons name="ellipsis-horizontal" size={20} color={colors.text} />
-          </TouchableOpacity>
+          <View style={styles.postHeaderRight}>
+            <View style={[styles.statusBadge, { backgroundColor: cleaned ? CLEANED_COLOR : colors.notification }]}>
+              <Text style={styles.statusBadgeText}>
+                {cleaned ? t('post_status.cleaned') : t('post_status.open')}
+              </Text>
+            </View>
+            <TouchableOpacity style={styles.moreButton}>
+              <Ionicons name="ellipsis-horizontal" size={20} color={colors.text} />
+            </TouchableOpacity>
+          </View>
         </View>
 
         {/* Post Content */}
@@ -453,7 +498,8 @@ const Posts = ({ colors, t, refreshing, onRefresh, navigation }) => {
         <View style={styles.postActions}>
           <TouchableOpacity
             style={styles.actionButton}
-            onPress={() => toggleReaction(postId, 1)}
+            onPress={() => openReactionPicker(post, 'positive')}
+            accessibilityLabel={t('upvote')}
           >
             <Ionicons
               name={isUpvoted ? 'thumbs-up' : 'thumbs-up-outline'}
@@ -461,13 +507,14 @@ const Posts = ({ colors, t, refreshing, onRefresh, navigation }) => {
               color={isUpvoted ? colors.primary : colors.text}
             />
             <Text style={[styles.actionText, { color: colors.text }]}>
-              {post.positive_reactions_count || 0}
+              {reactionState.positive}
             </Text>
           </TouchableOpacity>
 
           <TouchableOpacity
             style={styles.actionButton}
-            onPress={() => toggleReaction(postId, 2)}
+            onPress={() => openReactionPicker(post, 'negative')}
+            accessibilityLabel={t('downvote')}
           >
             <Ionicons
               name={isDownvoted ? 'thumbs-down' : 'thumbs-down-outline'}
@@ -475,7 +522,7 @@ const Posts = ({ colors, t, refreshing, onRefresh, navigation }) => {
               color={isDownvoted ? colors.notification : colors.text}
             />
             <Text style={[styles.actionText, { color: colors.text }]}>
-              {post.negative_reactions_count || 0}
+              {reactionState.negative}
             </Text>
           </TouchableOpacity>
 
@@ -505,6 +552,20 @@ const Posts = ({ colors, t, refreshing, onRefresh, navigation }) => {
           </TouchableOpacity>
         </View>
 
+        {/* Current reaction */}
+        {reactionState.reaction && (
+          <View style={styles.currentReaction}>
+            <ReactionIcon
+              item={reactionState.reaction}
+              size={14}
+              color={isDownvoted ? colors.notification : colors.primary}
+            />
+            <Text style={[styles.currentReactionText, { color: colors.text + '99' }]}>
+              {t('reaction_picker.yours', { name: getReactionName(t, reactionState.reaction) })}
+            </Text>
+          </View>
+        )}
+
         {/* Flash Message */}
         {flashMessage && (
           <View
@@ -541,9 +602,8 @@ const Posts = ({ colors, t, refreshing, onRefresh, navigation }) => {
     ({ item }) => {
       const post = item;
       const postId = post.id;
-      const isFavorited = !!favoritedByPost[String(postId)];
-      const isUpvoted = reactionTypeByPost[postId] === 1;
-      const isDownvoted = reactionTypeByPost[postId] === 2;
+      const isFavorited = isPostFavorited(postId);
+      const reactionState = getReactionState(post);
       const flashMessage = reactionFlashByPost[postId];
       return (
         <PostItem
@@ -551,23 +611,25 @@ const Posts = ({ colors, t, refreshing, onRefresh, navigation }) => {
           colors={colors}
           t={t}
           isFavorited={isFavorited}
-          isUpvoted={isUpvoted}
-          isDownvoted={isDownvoted}
+          reactionState={reactionState}
           flashMessage={flashMessage}
-          toggleReaction={toggleReaction}
+          openReactionPicker={openReactionPicker}
           toggleFavorite={toggleFavorite}
           sharePost={sharePost}
           navigation={navigation}
+          distanceKm={userLocation ? getPostDistanceKm(post, userLocation) : null}
         />
       );
     },
     [
+      userLocation,
       favoritedByPost,
-      reactionTypeByPost,
+      outboxItems,
+      getReactionState,
       reactionFlashByPost,
       colors,
       t,
-      toggleReaction,
+      openReactionPicker,
       toggleFavorite,
       sharePost,
       navigation,
@@ -577,26 +639,81 @@ const Posts = ({ colors, t, refreshing, onRefresh, navigation }) => {
   return (
     <View style={styles.postsContainer}>
       <View style={styles.postsHeader}>
-        <Text style={[styles.postsTitle, { color: colors.text }]}>
-          {t('posts')}
-        </Text>
+        <View>
+          <Text style={[styles.postsTitle, { color: colors.text }]}>
+            {t('posts')}
+          </Text>
+          <LastUpdated updatedAt={updatedAt} offline={offline} style={styles.lastUpdated} />
+        </View>
+        <View style={styles.postsHeaderActions}>
+          <TouchableOpacity
+            style={[styles.filterButton, { borderColor: activeFilterCount > 0 ? colors.primary : colors.border }]}
+            onPress={() => setShowFilters(true)}
+            disabled={!filters}
+            accessibilityLabel={t('feed_filters.title')}
+          >
+            <Ionicons name="options-outline" size={18} color={activeFilterCount > 0 ? colors.primary : colors.text} />
+            {activeFilterCount > 0 && (
+              <Text style={[styles.filterCount, { color: colors.primary }]}>{activeFilterCount}</Text>
+            )}
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.newPostButton, { backgroundColor: colors.primary }]}
+            onPress={() => navigation.navigate('NewPost')}
+            accessibilityLabel={t('new_post')}
+          >
+            <Ionicons name="add" size={18} color="#fff" />
+            <Text style={styles.newPostButtonText}>{t('new_post')}</Text>
+          </TouchableOpacity>
+        </View>
       </View>
       
-      {loading ? (
-        <View style={styles.loadingContainer}>
-          <ActivityIndicator size="large" color={colors.primary} />
-          <Text style={[styles.loadingText, { color: colors.text }]}>{t('loading')}</Text>
+      {nearMe && (
+        <View style={[styles.nearMeBar, { backgroundColor: colors.card, borderColor: colors.border }]}>
+          <Ionicons
+            name={locationStatus === 'denied' || locationStatus === 'error' ? 'location-outline' : 'navigate'}
+            size={16}
+            color={colors.primary}
+          />
+          <Text style={[styles.nearMeText, { color: colors.text }]} numberOfLines={2}>
+            {nearMeMessage}
+          </Text>
+          {location ? (
+            <TouchableOpacity onPress={() => setShowFilters(true)}>
+              <Text style={[styles.nearMeAction, { color: colors.primary }]}>{t('feed_filters.change')}</Text>
+            </TouchableOpacity>
+          ) : !locating ? (
+            <>
+              <TouchableOpacity onPress={locationStatus === 'denied' ? () => Linking.openSettings() : locate}>
+                <Text style={[styles.nearMeAction, { color: colors.primary }]}>
+                  {locationStatus === 'denied' ? t('open_settings') : t('retry')}
+                </Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={turnOffNearMe}>
+                <Text style={[styles.nearMeAction, { color: colors.text + 'AA' }]}>{t('feed_filters.turn_off')}</Text>
+              </TouchableOpacity>
+            </>
+          ) : null}
+        </View>
+      )}
+
+      {loading && visiblePosts.length === 0 ? (
+        <View style={styles.postsList}>
+          <PostSkeletonList />
         </View>
       ) : (
         <FlatList
-          data={posts}
+          data={visiblePosts}
           renderItem={renderPost}
           keyExtractor={(item) => item.id.toString()}
           contentContainerStyle={styles.postsList}
           showsVerticalScrollIndicator={false}
+          onEndReached={loadMore}
+          onEndReachedThreshold={0.5}
+          ListFooterComponent={loadingMore ? <PostSkeleton /> : null}
           refreshControl={
             <RefreshControl
-              refreshing={!!refreshing}
+              refreshing={!!refreshing || feedRefreshing}
               onRefresh={onRefresh || handleRefresh}
               colors={[colors.primary]}
               tintColor={colors.primary}
@@ -606,18 +723,43 @@ const Posts = ({ colors, t, refreshing, onRefresh, navigation }) => {
             <View style={styles.emptyContainer}>
               <Ionicons name="document-text-outline" size={48} color={colors.text + '50'} />
               <Text style={[styles.emptyText, { color: colors.text }]}>
-                {t('no_posts_found')}
+                {activeFilterCount > 0 ? t('feed_filters.no_matches') : t('no_posts_found')}
               </Text>
+              {activeFilterCount > 0 && (
+                <TouchableOpacity onPress={() => setShowFilters(true)}>
+                  <Text style={[styles.emptyAction, { color: colors.primary }]}>{t('feed_filters.title')}</Text>
+                </TouchableOpacity>
+              )}
             </View>
           }
         />
       )}
+
+      {filters && (
+        <PostFilterSheet
+          visible={showFilters}
+          filters={filters}
+          onApply={applyFilters}
+          onClose={() => setShowFilters(false)}
+        />
+      )}
+
+      <ReactionPicker
+        visible={!!picker}
+        types={reactionTypes}
+        polarity={picker?.polarity}
+        selectedId={picker ? getReactionState(picker.post).reactionTypeId : null}
+        error={reactionTypesError}
+        onRetry={reloadReactionTypes}
+        onSelect={selectReaction}
+        onClose={() => setPicker(null)}
+      />
     </View>
   );
 };
 // RightSide removed – polls feature disabled
 
-const HomeScreen = ({ navigation }) => {
+const HomeScreen = ({ navigation, route }) => {
   const { colors } = useTheme();
   const { t } = useI18n();
   const { isDarkMode } = useThemeContext();
@@ -629,6 +771,7 @@ const HomeScreen = ({ navigation }) => {
           colors={colors} 
           t={t} 
           navigation={navigation} 
+          refreshKey={route?.params?.refreshAt}
         />
       </View>
     </SafeAreaView>
@@ -639,15 +782,6 @@ const styles = StyleSheet.create({
   container: { 
     flex: 1,
   },
-  loadingContainer: {
-    flex: 1,
-    justifyContent: 'center',
-    alignItems: 'center',
-  },
-  loadingText: {
-    marginTop: 10,
-    fontSize: 16,
-  },
   homeMain: {
     flex: 1,
   },
@@ -667,6 +801,60 @@ const styles = StyleSheet.create({
     fontSize: 18,
     fontWeight: '700',
   },
+  lastUpdated: {
+    marginTop: 2,
+  },
+  nearMeBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginHorizontal: 15,
+    marginBottom: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 10,
+    borderWidth: StyleSheet.hairlineWidth,
+  },
+  nearMeText: {
+    flex: 1,
+    fontSize: 13,
+  },
+  nearMeAction: {
+    fontSize: 13,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  postsHeaderActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  filterButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    borderRadius: 16,
+    borderWidth: 1,
+  },
+  filterCount: {
+    fontWeight: '700',
+    fontSize: 13,
+    marginLeft: 4,
+  },
+  newPostButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+  },
+  newPostButtonText: {
+    color: '#fff',
+    fontWeight: '600',
+    fontSize: 14,
+    marginLeft: 4,
+  },
   postsList: {
     paddingHorizontal: 15,
     paddingBottom: 20,
@@ -703,6 +891,21 @@ const styles = StyleSheet.create({
   postTime: {
     fontSize: 12,
   },
+  postHeaderRight: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  statusBadge: {
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 10,
+    marginRight: 4,
+  },
+  statusBadgeText: {
+    color: '#fff',
+    fontSize: 11,
+    fontWeight: '700',
+  },
   moreButton: {
     padding: 5,
   },
@@ -776,6 +979,16 @@ const styles = StyleSheet.create({
   flashText: {
     fontSize: 14,
   },
+  currentReaction: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 15,
+    paddingBottom: 10,
+  },
+  currentReactionText: {
+    marginLeft: 6,
+    fontSize: 12,
+  },
   emptyContainer: {
     alignItems: 'center',
     justifyContent: 'center',
@@ -785,6 +998,11 @@ const styles = StyleSheet.create({
     marginTop: 10,
     fontSize: 16,
   },
+  emptyAction: {
+    marginTop: 8,
+    fontSize: 15,
+    fontWeight: '600',
+  },
   // Right Side Styles
   rightSide: {
     padding: 15,
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { 
   View, 
   Text, 
@@ -13,30 +13,48 @@ import {
   Linking,
   Alert,
   Modal,
-  ScrollView
+  ScrollView,
+  Platform
 } from 'react-native';
 import { useTheme } from '@react-navigation/native';
 import { useI18n } from '../i18n';
 import { useThemeContext } from '../theme/ThemeContext';
 import { Ionicons } from '@expo/vector-icons';
 import * as Location from 'expo-location';
-import axios from 'axios';
-import MapView, { Marker, Callout } from 'react-native-maps';
-
-// API configuration (aligned with RankingScreen)
-const RAW_BASE = process.env.EXPO_PUBLIC_API_BASE || 'http://127.0.0.1:8000';
-const API_CONFIG = {
-  BASE_URL: RAW_BASE.replace(/\/$/, ''),
-};
+import MapView, { Marker, Callout, Heatmap, Circle, LocalTile, Polyline } from 'react-native-maps';
+import { CLEANED_COLOR, isPostCleaned } from '../utils/postStatus';
+import { API_BASE_URL } from '../api/client';
+import usePostsInRegion from '../offline/usePostsInRegion';
+import { useOutbox } from '../offline/OutboxContext';
+import useTilePacks from '../offline/useTilePacks';
+import { getPackPathTemplate, TILE_SIZE, TILE_DOWNLOADS_AVAILABLE } from '../offline/tilePacks';
+import { clusterItems, getClusterRegion } from '../utils/mapClustering';
+import { MAP_LAYERS, HEATMAP_GRADIENTS, matchesMapLayer, getHeatmapWeight, toHeatmapPoints } from '../utils/heatmap';
+import LastUpdated from '../components/shared/LastUpdated';
+import { MAX_ROUTE_STOPS, planRoute, getRouteCoordinates, shareRouteGpx } from '../utils/routePlanning';
+import { MAPS_APP_MAX_STOPS, openRoute } from '../utils/maps';
+import { formatDistanceKm } from '../utils/postFilters';
 
 // Helper to normalize image URLs
 const processImageUrl = (url) => {
   if (!url) return null;
   if (/^https?:\/\//i.test(url)) return url;
   const path = String(url).startsWith('/') ? String(url) : `/${String(url)}`;
-  return `${API_CONFIG.BASE_URL}${path}`;
+  return `${API_BASE_URL}${path}`;
 };
 
+const getMarkerCoordinates = (post) => ({ latitude: post.lat, longitude: post.lng });
+
+// 1234 -> "1.2k" so cluster bubbles stay small
+const formatClusterCount = (count) => (count >= 1000 ? `${(count / 1000).toFixed(count >= 10000 ? 0 : 1)}k` : String(count));
+
+// Map time ranges, labelled with the leaderboard's range strings
+const SORT_RANGES = [
+  { key: '24H', label: '24h' },
+  { key: 'LastWeek', label: 'last_week' },
+  { key: 'AllTimes', label: 'all_time' },
+];
+
 // Default map region
 const DEFAULT_REGION = {
   latitude: 42.6026,  // Center of Balkans
@@ -49,11 +67,6 @@ const MapScreen = ({ navigation, route }) => {
   const { colors } = useTheme();
   const { t } = useI18n();
   const { isDarkMode } = useThemeContext();
-  const [posts, setPosts] = useState([]);
-  const [postsLoading, setPostsLoading] = useState(true);
-  const [postsError, setPostsError] = useState('');
-  const [refreshing, setRefreshing] = useState(false);
-  
   // State variables
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedPost, setSelectedPost] = useState(null);
@@ -63,6 +76,31 @@ const MapScreen = ({ navigation, route }) => {
   const [userLocation, setUserLocation] = useState(null);
   const [region, setRegion] = useState(DEFAULT_REGION);
   const [mapReady, setMapReady] = useState(false);
+  const [mapWidth, setMapWidth] = useState(Dimensions.get('window').width);
+  const [heatmapVisible, setHeatmapVisible] = useState(false);
+  const [mapLayer, setMapLayer] = useState('all');
+  // Route planning: open reports picked on the map, visited in an optimized order
+  const [routeMode, setRouteMode] = useState(false);
+  const [routeStops, setRouteStops] = useState([]);
+  const mapRef = useRef(null);
+
+  // Posts for the visible area (plus the cached feed, so the map keeps working offline).
+  // Nothing is requested until the initial region, possibly the user's location, is known.
+  const { posts: feedPosts, loading: loadingArea, updatedAt, offline, reload: reloadArea } = usePostsInRegion(loading ? null : region);
+  const { lastSyncedAt, isOnline } = useOutbox();
+  const { packs: tilePacks } = useTilePacks();
+
+  // Without a connection the map is drawn from downloaded tile packs, when there are any
+  const offlinePacks = useMemo(
+    () => (isOnline ? [] : tilePacks.filter(pack => pack.status !== 'downloading')),
+    [isOnline, tilePacks]
+  );
+  const offlineMaxZoom = offlinePacks.length ? Math.max(...offlinePacks.map(pack => pack.maxZoom)) : undefined;
+
+  // Show posts that were just synced from the outbox
+  useEffect(() => {
+    if (lastSyncedAt) reloadArea();
+  }, [lastSyncedAt]);
 
   // Get user's location permission
   const requestLocationPermission = async () => {
@@ -192,120 +230,74 @@ const MapScreen = ({ navigation, route }) => {
     
     // Handle different image path formats
     if (cleaned.startsWith('garbage_post_images/')) {
-      return `${API_CONFIG.BASE_URL}/storage/${cleaned}`;
+      return `${API_BASE_URL}/storage/${cleaned}`;
     }
     
     if (cleaned.startsWith('storage/')) {
-      return `${API_CONFIG.BASE_URL}/${cleaned}`;
+      return `${API_BASE_URL}/${cleaned}`;
     }
     
     if (cleaned.startsWith('avatar/')) {
-      return `${API_CONFIG.BASE_URL}/storage/${cleaned}`;
+      return `${API_BASE_URL}/storage/${cleaned}`;
     }
     
-    return `${API_CONFIG.BASE_URL}/storage/${cleaned}`;
+    return `${API_BASE_URL}/storage/${cleaned}`;
   };
 
-  // Fetch posts from API
-  const fetchPosts = async () => {
+  // Normalize cached/fetched posts for the map
+  const posts = useMemo(() => feedPosts.map((post) => {
     try {
-      setPostsError('');
-      if (!refreshing) setPostsLoading(true);
-      const response = await axios.get(`${API_CONFIG.BASE_URL}/api/garbage-posts`);
+      // Safely extract image paths
+      const beforeImage = post.images?.find(img => img?.type === 'before')?.image_path;
+      const afterImage = post.images?.find(img => img?.type === 'after')?.image_path;
+      const userAvatar = post.user?.avatar;
       
-      // Handle different API response structures
-      let responseData;
-      if (response.data?.garbagePosts?.data) {
-        // Structure: { garbagePosts: { data: [...] } }
-        responseData = response.data.garbagePosts.data;
-      } else if (Array.isArray(response.data)) {
-        // Structure: direct array
-        responseData = response.data;
-      } else if (response.data?.data && Array.isArray(response.data.data)) {
-        // Structure: { data: [...] }
-        responseData = response.data.data;
-      } else {
-        // Fallback
-        responseData = [];
-        console.warn('Unexpected API response structure:', JSON.stringify(response.data).substring(0, 100) + '...');
-      }
+      // Parse coordinates safely
+      let lat = null;
+      let lng = null;
       
-      // Ensure we have an array
-      const data = Array.isArray(responseData) ? responseData : [];
+      if (post.latitude && !isNaN(parseFloat(post.latitude))) {
+        lat = parseFloat(post.latitude);
+      } else if (post.lat && !isNaN(parseFloat(post.lat))) {
+        lat = parseFloat(post.lat);
+      }
       
-      // Process each post with safe access to properties
-      const processed = data.map((post) => {
-        try {
-          // Safely extract image paths
-          const beforeImage = post.images?.find(img => img?.type === 'before')?.image_path;
-          const afterImage = post.images?.find(img => img?.type === 'after')?.image_path;
-          const userAvatar = post.user?.avatar;
-          
-          // Parse coordinates safely
-          let lat = null;
-          let lng = null;
-          
-          if (post.latitude && !isNaN(parseFloat(post.latitude))) {
-            lat = parseFloat(post.latitude);
-          } else if (post.lat && !isNaN(parseFloat(post.lat))) {
-            lat = parseFloat(post.lat);
-          }
-          
-          if (post.longitude && !isNaN(parseFloat(post.longitude))) {
-            lng = parseFloat(post.longitude);
-          } else if (post.lng && !isNaN(parseFloat(post.lng))) {
-            lng = parseFloat(post.lng);
-          }
-          
-          return {
-            ...post,
-            id: post.id ? String(post.id) : `temp_${Math.random().toString(36).substring(2, 9)}`,
-            beforePicture: beforeImage ? getImageUrl(beforeImage) : null,
-            afterPicture: afterImage ? getImageUrl(afterImage) : null,
-            user: {
-              ...post.user,
-              name: post.user?.name || t('anonymous'),
-              avatar: userAvatar ? getImageUrl(userAvatar, true) : null
-            },
-            lat: lat,
-            lng: lng,
-            createdAt: post.created_at || post.createdAt || new Date().toISOString(),
-            images: post.images || [],
-            description: post.description || t('no_description')
-          };
-        } catch (postError) {
-          console.error('Error processing post:', postError, post);
-          // Return a minimal valid post object
-          return {
-            id: post.id ? String(post.id) : `temp_${Math.random().toString(36).substring(2, 9)}`,
-            lat: null,
-            lng: null,
-            description: t('error_processing_post'),
-            user: { name: t('anonymous') },
-            createdAt: new Date().toISOString(),
-            images: []
-          };
-        }
-      }).filter(post => post.lat && post.lng); // Only include posts with valid coordinates
+      if (post.longitude && !isNaN(parseFloat(post.longitude))) {
+        lng = parseFloat(post.longitude);
+      } else if (post.lng && !isNaN(parseFloat(post.lng))) {
+        lng = parseFloat(post.lng);
+      }
       
-      setPosts(processed);
-    } catch (err) {
-      console.error('Failed to fetch posts:', err);
-      setPostsError(t('failed_to_load_map'));
-    } finally {
-      setPostsLoading(false);
-      setRefreshing(false);
+      return {
+        ...post,
+        id: post.id ? String(post.id) : `temp_${Math.random().toString(36).substring(2, 9)}`,
+        beforePicture: beforeImage ? getImageUrl(beforeImage) : null,
+        afterPicture: afterImage ? getImageUrl(afterImage) : null,
+        user: {
+          ...post.user,
+          name: post.user?.name || t('anonymous'),
+          avatar: userAvatar ? getImageUrl(userAvatar, true) : null
+        },
+        lat: lat,
+        lng: lng,
+        createdAt: post.created_at || post.createdAt || new Date().toISOString(),
+        images: post.images || [],
+        description: post.description || t('no_description')
+      };
+    } catch (postError) {
+      console.error('Error processing post:', postError, post);
+      // Return a minimal valid post object
+      return {
+        id: post.id ? String(post.id) : `temp_${Math.random().toString(36).substring(2, 9)}`,
+        lat: null,
+        lng: null,
+        description: t('error_processing_post'),
+        user: { name: t('anonymous') },
+        createdAt: new Date().toISOString(),
+        images: []
+      };
     }
-  };
-
-  useEffect(() => {
-    fetchPosts();
-  }, []);
-
-  const handleRefresh = () => {
-    setRefreshing(true);
-    fetchPosts();
-  };
+  }).filter(post => post.lat && post.lng), [feedPosts, t]); // Only include posts with valid coordinates
 
   // Filter posts based on search query and time range
   const nowTs = Date.now();
@@ -318,13 +310,18 @@ const MapScreen = ({ navigation, route }) => {
     return true; // AllTimes
   };
 
-  const filteredPosts = posts && posts.length > 0 
+  const filteredPosts = useMemo(() => (posts && posts.length > 0 
     ? posts.filter(post => {
         // Filter by timeframe
         if (!withinRange(post.createdAt || post.created_at)) {
           return false;
         }
         
+        // Filter by the legend's open/cleaned/all switch
+        if (!matchesMapLayer(post, mapLayer)) {
+          return false;
+        }
+        
         // Filter by search query
         if (!searchQuery) return true;
         
@@ -333,32 +330,174 @@ const MapScreen = ({ navigation, route }) => {
         const userName = (post.user?.name || '').toLowerCase();
         return description.includes(query) || userName.includes(query);
       })
-    : [];
+    : []
+  ), [posts, sortRange, searchQuery, mapLayer]);
+
+  const routeStopIds = useMemo(() => new Set(routeStops.map(post => String(post.id))), [routeStops]);
+
+  // Tour from the user's location (when known) through every picked report
+  const plannedRoute = useMemo(
+    () => (routeStops.length > 0 ? planRoute(userLocation, routeStops) : null),
+    [userLocation, routeStops]
+  );
+  const routeOrder = useMemo(
+    () => new Map((plannedRoute?.stops || []).map((post, index) => [String(post.id), index + 1])),
+    [plannedRoute]
+  );
+
+  // Group nearby markers into count bubbles for the current zoom level.
+  // Picked stops are drawn as numbered markers, so they stay out of the clusters
+  const clusters = useMemo(
+    () => clusterItems(
+      routeMode ? filteredPosts.filter(post => !routeStopIds.has(String(post.id))) : filteredPosts,
+      region,
+      { mapWidth, getCoordinates: getMarkerCoordinates }
+    ),
+    [filteredPosts, region, mapWidth, routeMode, routeStopIds]
+  );
+
+  // Heatmap points: open reports weigh more than cleaned ones
+  const heatmapPoints = useMemo(
+    () => (heatmapVisible ? toHeatmapPoints(filteredPosts, mapLayer) : []),
+    [heatmapVisible, filteredPosts, mapLayer]
+  );
+
+  // Apple Maps has no heatmap layer, so iOS shades each cluster with a circle instead
+  const renderHeatCircles = () => {
+    const gradient = HEATMAP_GRADIENTS[mapLayer];
+    const weights = clusters.map(cluster => cluster.items.reduce((sum, post) => sum + getHeatmapWeight(post, mapLayer), 0));
+    const maxWeight = Math.max(1, ...weights);
+    // About half a cluster cell in meters at the current zoom
+    const metersPerPixel = (region.longitudeDelta * 111320 * Math.cos(region.latitude * Math.PI / 180)) / mapWidth;
+    const minRadius = metersPerPixel * 30;
+
+    return clusters.map((cluster, index) => {
+      const ratio = weights[index] / maxWeight;
+      const color = gradient.colors[Math.min(gradient.colors.length - 1, Math.floor(ratio * gradient.colors.length))];
+      const { north, south } = cluster.bounds;
+      const spread = ((north - south) * 111320) / 2;
+      return (
+        <Circle
+          key={`heat-${cluster.id}`}
+          center={{ latitude: cluster.latitude, longitude: cluster.longitude }}
+          radius={Math.max(minRadius, spread)}
+          fillColor={color + '88'}
+          strokeWidth={0}
+        />
+      );
+    });
+  };
+
+  const renderHeatmap = () => {
+    if (heatmapPoints.length === 0) return null;
+    if (Platform.OS === 'ios') return renderHeatCircles();
+    return (
+      <Heatmap
+        key={`heatmap-${mapLayer}`}
+        points={heatmapPoints}
+        radius={40}
+        opacity={0.7}
+        gradient={HEATMAP_GRADIENTS[mapLayer]}
+      />
+    );
+  };
 
   // Handle list item press
   const handleListItemPress = (post) => {
     setSelectedPost(post);
   };
 
-  // Haversine distance in km
-  const getDistanceKm = (lat1, lon1, lat2, lon2) => {
-    const toRad = (v) => (v * Math.PI) / 180;
-    if (
-      [lat1, lon1, lat2, lon2].some(
-        (v) => typeof v !== 'number' || isNaN(v)
-      )
-    ) return null;
-    const R = 6371; // km
-    const dLat = toRad(lat2 - lat1);
-    const dLon = toRad(lon2 - lon1);
-    const a =
-      Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-      Math.cos(toRad(lat1)) *
-        Math.cos(toRad(lat2)) *
-        Math.sin(dLon / 2) *
-        Math.sin(dLon / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return R * c;
+  const toggleRouteMode = () => {
+    if (routeMode) {
+      setRouteMode(false);
+      setRouteStops([]);
+      return;
+    }
+    setHeatmapVisible(false);
+    setRouteMode(true);
+  };
+
+  const toggleRouteStop = (post) => {
+    if (routeStopIds.has(String(post.id))) {
+      setRouteStops(prev => prev.filter(stop => String(stop.id) !== String(post.id)));
+      return;
+    }
+    if (isPostCleaned(post)) {
+      Alert.alert(t('route_planner.title'), t('route_planner.only_open'));
+      return;
+    }
+    if (routeStops.length >= MAX_ROUTE_STOPS) {
+      Alert.alert(t('route_planner.title'), t('route_planner.limit', { count: MAX_ROUTE_STOPS }));
+      return;
+    }
+    setRouteStops(prev => [...prev, post]);
+  };
+
+  const openRouteInMaps = () => {
+    const stops = plannedRoute.stops.map(getMarkerCoordinates);
+    if (stops.length <= MAPS_APP_MAX_STOPS) {
+      openRoute(userLocation, stops);
+      return;
+    }
+    Alert.alert(
+      t('route_planner.title'),
+      t('route_planner.maps_app_limit', { count: MAPS_APP_MAX_STOPS }),
+      [
+        { text: t('cancel'), style: 'cancel' },
+        { text: t('route_planner.open_maps'), onPress: () => openRoute(userLocation, stops) },
+      ]
+    );
+  };
+
+  const exportRoute = async () => {
+    try {
+      const shared = await shareRouteGpx(plannedRoute, { name: t('route_planner.gpx_name') });
+      if (!shared) Alert.alert(t('error'), t('route_planner.share_unavailable'));
+    } catch (err) {
+      console.error('Failed to export route', err);
+      Alert.alert(t('error'), t('route_planner.export_failed'));
+    }
+  };
+
+  // Numbered marker for a picked stop; tapping it takes it off the route
+  const renderRouteStop = (post) => (
+    <Marker
+      key={`stop-${post.id}`}
+      coordinate={getMarkerCoordinates(post)}
+      onPress={() => toggleRouteStop(post)}
+      tracksViewChanges={false}
+    >
+      <View style={[styles.routeStopBubble, { backgroundColor: colors.primary }]}>
+        <Text style={styles.routeStopText}>{routeOrder.get(String(post.id)) ?? ''}</Text>
+      </View>
+    </Marker>
+  );
+
+  // Zoom in on a cluster until its markers separate
+  const handleClusterPress = (cluster) => {
+    mapRef.current?.animateToRegion(getClusterRegion(cluster, region), 300);
+  };
+
+  // Count bubble for a group of nearby posts; green only when every post in it is cleaned
+  const renderCluster = (cluster) => {
+    const count = cluster.items.length;
+    const allCleaned = cluster.items.every(isPostCleaned);
+    const size = count >= 100 ? 48 : count >= 10 ? 40 : 34;
+    return (
+      <Marker
+        key={cluster.id}
+        coordinate={{ latitude: cluster.latitude, longitude: cluster.longitude }}
+        onPress={() => handleClusterPress(cluster)}
+        tracksViewChanges={false}
+      >
+        <View style={[
+          styles.clusterBubble,
+          { width: size, height: size, borderRadius: size / 2, backgroundColor: allCleaned ? CLEANED_COLOR : colors.primary }
+        ]}>
+          <Text style={styles.clusterText}>{formatClusterCount(count)}</Text>
+        </View>
+      </Marker>
+    );
   };
 
   // Render map marker
@@ -382,12 +521,17 @@ const MapScreen = ({ navigation, route }) => {
     
     const hasImages = Boolean(post.beforePicture || post.afterPicture);
     const isSelected = selectedPost?.id === post.id;
+    const cleaned = isPostCleaned(post);
       
       // Safely parse coordinates
       const latitude = parseFloat(post.lat);
       const longitude = parseFloat(post.lng);
       
       const handlePress = () => {
+        if (routeMode) {
+          toggleRouteStop(post);
+          return;
+        }
         try {
           // Create a safe post object with fallbacks for all fields
           const safePost = {
@@ -402,7 +546,9 @@ const MapScreen = ({ navigation, route }) => {
             beforePicture: post?.beforePicture || null,
             afterPicture: post?.afterPicture || null,
             createdAt: post?.createdAt || post?.created_at || new Date().toISOString(),
-            images: post?.images || []
+            images: post?.images || [],
+            status: post?.status,
+            cleaned_at: post?.cleaned_at || null
           };
 
           // Show modal with post details
@@ -442,9 +588,11 @@ const MapScreen = ({ navigation, route }) => {
           <View style={[
             styles.markerDot,
             isSelected && styles.selectedMarkerDot,
-            { backgroundColor: isSelected ? colors.primary : colors.primary }
+            { backgroundColor: cleaned ? CLEANED_COLOR : colors.primary }
           ]}>
-            {hasImages && (
+            {cleaned ? (
+              <Ionicons name="checkmark" size={12} color="#fff" />
+            ) : hasImages && (
               <Ionicons name="images" size={12} color="#fff" />
             )}
           </View>
@@ -456,9 +604,71 @@ const MapScreen = ({ navigation, route }) => {
   return (
     <SafeAreaView style={[styles.container, { backgroundColor: colors.background }]}>
       <View style={styles.header}>
-        <Text style={[styles.title, { color: colors.text }]}>{t('map')}</Text>
+        <View style={styles.titleRow}>
+          <Text style={[styles.title, { color: colors.text }]}>{t('map')}</Text>
+          <View style={styles.titleActions}>
+            <TouchableOpacity
+              style={[styles.titleButton, routeMode && styles.activeSortButton, routeMode && { borderRadius: 16 }]}
+              onPress={toggleRouteMode}
+              accessibilityLabel={t('route_planner.title')}
+              accessibilityState={{ selected: routeMode }}
+            >
+              <Ionicons name="trail-sign-outline" size={24} color={colors.primary} />
+            </TouchableOpacity>
+            {(TILE_DOWNLOADS_AVAILABLE || tilePacks.length > 0) && (
+              <TouchableOpacity
+                style={styles.titleButton}
+                onPress={() => navigation.navigate('OfflineMaps', { region, mapWidth })}
+                accessibilityLabel={t('offline_maps.title')}
+              >
+                <Ionicons name="cloud-download-outline" size={24} color={colors.primary} />
+              </TouchableOpacity>
+            )}
+          </View>
+        </View>
         <View style={styles.searchContainer}>
-         
+          <View style={[styles.sortButtons, styles.toolbarRanges]}>
+            {SORT_RANGES.map(range => {
+              const active = sortRange === range.key;
+              return (
+                <TouchableOpacity
+                  key={range.key}
+                  style={[
+                    styles.sortButton,
+                    { borderColor: colors.border },
+                    active && styles.activeSortButton,
+                    active && { borderColor: colors.primary }
+                  ]}
+                  onPress={() => setSortRange(range.key)}
+                  accessibilityState={{ selected: active }}
+                >
+                  <Text style={[styles.sortButtonText, { color: active ? colors.primary : colors.text }]}>
+                    {t(range.label)}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+          <TouchableOpacity
+            style={[
+              styles.sortButton,
+              styles.heatmapToggle,
+              { borderColor: heatmapVisible ? colors.primary : colors.border },
+              heatmapVisible && styles.activeSortButton
+            ]}
+            onPress={() => {
+              setHeatmapVisible(v => !v);
+              setRouteMode(false);
+              setRouteStops([]);
+            }}
+            accessibilityRole="switch"
+            accessibilityState={{ checked: heatmapVisible }}
+          >
+            <Ionicons name="flame" size={16} color={heatmapVisible ? colors.primary : colors.text} />
+            <Text style={[styles.sortButtonText, { color: heatmapVisible ? colors.primary : colors.text }]}>
+              {t('map_layers.heatmap')}
+            </Text>
+          </TouchableOpacity>
         </View>
       </View>
 
@@ -469,7 +679,11 @@ const MapScreen = ({ navigation, route }) => {
           </View>
         ) : (
           <MapView
+            ref={mapRef}
             style={styles.map}
+            onLayout={(e) => setMapWidth(e.nativeEvent.layout.width)}
+            mapType={offlinePacks.length > 0 && Platform.OS === 'android' ? 'none' : 'standard'}
+            maxZoomLevel={offlineMaxZoom}
             initialRegion={region}
             onRegionChangeComplete={setRegion}
             showsUserLocation={!!userLocation}
@@ -478,7 +692,22 @@ const MapScreen = ({ navigation, route }) => {
             loadingIndicatorColor={colors.primary}
             loadingBackgroundColor={colors.background}
           >
-            {filteredPosts.map(post => renderMarker(post))}
+            {offlinePacks.map(pack => (
+              <LocalTile key={pack.id} pathTemplate={getPackPathTemplate(pack)} tileSize={TILE_SIZE} zIndex={-1} />
+            ))}
+
+            {heatmapVisible ? renderHeatmap() : clusters.map(cluster => (
+              cluster.items.length === 1 ? renderMarker(cluster.items[0]) : renderCluster(cluster)
+            ))}
+
+            {routeMode && plannedRoute && (
+              <Polyline
+                coordinates={getRouteCoordinates(plannedRoute)}
+                strokeColor={colors.primary}
+                strokeWidth={4}
+              />
+            )}
+            {routeMode && routeStops.map(renderRouteStop)}
             
             {userLocation && (
               <Marker
@@ -496,22 +725,83 @@ const MapScreen = ({ navigation, route }) => {
             )}
           </MapView>
         )}
+        {!loading && offlinePacks.length > 0 && (
+          <View style={[styles.offlineMapBadge, { backgroundColor: colors.card }]} pointerEvents="none">
+            <Ionicons name="cloud-offline-outline" size={14} color={colors.text} />
+            <Text style={[styles.offlineMapText, { color: colors.text }]}>{t('offline_maps.in_use')}</Text>
+          </View>
+        )}
+        {!loading && loadingArea && (
+          <View style={[styles.areaLoading, { backgroundColor: colors.card }]} pointerEvents="none">
+            <ActivityIndicator size="small" color={colors.primary} />
+          </View>
+        )}
       </View>
 
       <View style={styles.footer}>
-        
+        {routeMode ? (
+          <View style={[styles.routePanel, { backgroundColor: colors.card }]}>
+            <Text style={[styles.routeTitle, { color: colors.text }]}>
+              {plannedRoute
+                ? t('route_planner.summary', { count: plannedRoute.stops.length, distance: formatDistanceKm(plannedRoute.totalKm) })
+                : t('route_planner.hint')}
+            </Text>
+            {plannedRoute && !userLocation && (
+              <Text style={[styles.routeHint, { color: colors.text + '99' }]}>{t('route_planner.no_location')}</Text>
+            )}
+            {plannedRoute && (
+              <View style={styles.routeActions}>
+                <TouchableOpacity style={styles.routeAction} onPress={() => setRouteStops([])}>
+                  <Ionicons name="trash-outline" size={16} color={colors.notification} />
+                  <Text style={[styles.routeActionText, { color: colors.notification }]}>{t('route_planner.clear')}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.routeAction} onPress={exportRoute}>
+                  <Ionicons name="share-outline" size={16} color={colors.primary} />
+                  <Text style={[styles.routeActionText, { color: colors.primary }]}>{t('route_planner.export')}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.routeAction} onPress={openRouteInMaps}>
+                  <Ionicons name="navigate-outline" size={16} color={colors.primary} />
+                  <Text style={[styles.routeActionText, { color: colors.primary }]}>{t('route_planner.open_maps')}</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+          </View>
+        ) : (
+        <View style={[styles.legend, { backgroundColor: colors.card }]}>
+          {MAP_LAYERS.map(layer => {
+            const active = mapLayer === layer;
+            return (
+              <TouchableOpacity
+                key={layer}
+                style={[styles.legendItem, styles.legendOption, active && { borderBottomColor: colors.primary }]}
+                onPress={() => setMapLayer(layer)}
+                accessibilityState={{ selected: active }}
+              >
+                {layer === 'all' ? (
+                  <Ionicons name="layers" size={14} color={colors.text} style={styles.legendIcon} />
+                ) : (
+                  <View style={[styles.legendDot, { backgroundColor: layer === 'cleaned' ? CLEANED_COLOR : colors.primary }]} />
+                )}
+                <Text style={[styles.legendText, { color: colors.text }, active && styles.legendTextActive]}>
+                  {layer === 'all' ? t('map_layers.all') : t(`post_status.${layer}`)}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+          <LastUpdated updatedAt={updatedAt} offline={offline} />
+        </View>
+        )}
         
         <TouchableOpacity
           style={[styles.myLocationButton, { backgroundColor: colors.card }]}
           onPress={() => {
             if (userLocation) {
-              setRegion({
-                ...region,
+              mapRef.current?.animateToRegion({
                 latitude: userLocation.latitude,
                 longitude: userLocation.longitude,
                 latitudeDelta: 0.1,
                 longitudeDelta: 0.1,
-              });
+              }, 300);
             }
           }}
         >
@@ -568,6 +858,12 @@ const MapScreen = ({ navigation, route }) => {
                   </View>
                 </View>
                 
+                <View style={[styles.statusBadge, { backgroundColor: isPostCleaned(selectedPost) ? CLEANED_COLOR : colors.notification }]}>
+                  <Text style={styles.statusBadgeText}>
+                    {isPostCleaned(selectedPost) ? t('post_status.cleaned') : t('post_status.open')}
+                  </Text>
+                </View>
+
                 <Text style={[styles.postDescription, { color: colors.text }]}>
                   {selectedPost.description || t('no_description')}
                 </Text>
@@ -640,6 +936,20 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     marginBottom: 12,
   },
+  titleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  titleActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  titleButton: {
+    padding: 6,
+    marginBottom: 12,
+  },
   searchContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -664,6 +974,34 @@ const styles = StyleSheet.create({
   map: {
     ...StyleSheet.absoluteFillObject,
   },
+  offlineMapBadge: {
+    position: 'absolute',
+    top: 12,
+    left: 12,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    elevation: 3,
+  },
+  offlineMapText: {
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  areaLoading: {
+    position: 'absolute',
+    top: 12,
+    alignSelf: 'center',
+    padding: 8,
+    borderRadius: 16,
+    elevation: 3,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.2,
+    shadowRadius: 2,
+  },
   
   // Loading state
   loadingContainer: {
@@ -703,6 +1041,93 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: '500',
   },
+  legend: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+  },
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  legendDot: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    marginRight: 6,
+    borderWidth: 1,
+    borderColor: 'white',
+  },
+  legendText: {
+    fontSize: 13,
+    fontWeight: '500',
+  },
+  legendOption: {
+    paddingVertical: 2,
+    borderBottomWidth: 2,
+    borderBottomColor: 'transparent',
+  },
+  legendIcon: {
+    marginRight: 4,
+  },
+  legendTextActive: {
+    fontWeight: '700',
+  },
+  toolbarRanges: {
+    flex: 1,
+  },
+  heatmapToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    marginRight: 0,
+  },
+  statusBadge: {
+    alignSelf: 'flex-start',
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 10,
+    marginBottom: 12,
+  },
+  statusBadgeText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: '700',
+  },
+  routePanel: {
+    flex: 1,
+    marginRight: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+  },
+  routeTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  routeHint: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  routeActions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 12,
+    marginTop: 6,
+  },
+  routeAction: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingVertical: 4,
+  },
+  routeActionText: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
   myLocationButton: {
     width: 44,
     height: 44,
@@ -724,6 +1149,31 @@ const styles = StyleSheet.create({
   selectedMarkerContainer: {
     zIndex: 1000,
   },
+  routeStopBubble: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderWidth: 2,
+    borderColor: 'white',
+  },
+  routeStopText: {
+    color: '#fff',
+    fontWeight: '700',
+    fontSize: 13,
+  },
+  clusterBubble: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderWidth: 3,
+    borderColor: 'rgba(255,255,255,0.85)',
+  },
+  clusterText: {
+    color: '#fff',
+    fontWeight: '700',
+    fontSize: 13,
+  },
   markerDot: {
     width: 24,
     height: 24,
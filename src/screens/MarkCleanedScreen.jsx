@@ -0,0 +1,272 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  ScrollView,
+  StyleSheet,
+  ActivityIndicator,
+  Alert,
+  Switch,
+  Linking,
+} from 'react-native';
+import { useTheme } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import * as Location from 'expo-location';
+import { useI18n } from '../i18n';
+import { useAuthContext } from '../auth/AuthContext';
+import PhotoCapture, { toUploadFile } from '../components/shared/PhotoCapture';
+import { getDistanceKm } from '../utils/geo';
+import { api, ValidationError, UPLOAD_TIMEOUT_MS } from '../api/client';
+
+// Farther than this from the reported spot and we warn before submitting
+const ON_SITE_RADIUS_M = 200;
+
+const MarkCleanedScreen = ({ route, navigation }) => {
+  const { postId, latitude, longitude } = route?.params || {};
+  const { colors } = useTheme();
+  const { t } = useI18n();
+  const { token } = useAuthContext();
+
+  const [afterPhoto, setAfterPhoto] = useState(null);
+  const [attachProof, setAttachProof] = useState(false);
+  const [proof, setProof] = useState(null);
+  const [locating, setLocating] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const distanceM = proof && latitude != null && longitude != null
+    ? (getDistanceKm(proof.latitude, proof.longitude, Number(latitude), Number(longitude)) ?? 0) * 1000
+    : null;
+
+  // Capture the current position as proof of being on site
+  const captureProof = async () => {
+    try {
+      setLocating(true);
+      const { status } = await Location.requestForegroundPermissionsAsync();
+      if (status !== 'granted') {
+        Alert.alert(
+          t('location_permission_required'),
+          t('location_permission_message'),
+          [
+            { text: t('cancel'), style: 'cancel' },
+            { text: t('open_settings'), onPress: () => Linking.openSettings() },
+          ]
+        );
+        setAttachProof(false);
+        return;
+      }
+      const location = await Location.getCurrentPositionAsync({
+        accuracy: Location.Accuracy.High,
+      });
+      setProof({
+        latitude: location.coords.latitude,
+        longitude: location.coords.longitude,
+        accuracy: location.coords.accuracy,
+      });
+    } catch (err) {
+      console.error('Error getting location proof:', err);
+      Alert.alert(t('error'), t('error_getting_location'));
+      setAttachProof(false);
+    } finally {
+      setLocating(false);
+    }
+  };
+
+  const toggleProof = (value) => {
+    setAttachProof(value);
+    if (value) {
+      captureProof();
+    } else {
+      setProof(null);
+    }
+  };
+
+  const upload = async () => {
+    setSubmitting(true);
+    setError('');
+    try {
+      const formData = new FormData();
+      formData.append('status', 'cleaned');
+      formData.append('images[0][type]', 'after');
+      formData.append('images[0][image]', toUploadFile(afterPhoto, 'after'));
+      if (attachProof && proof) {
+        formData.append('proof_lat', String(proof.latitude));
+        formData.append('proof_lng', String(proof.longitude));
+        if (proof.accuracy != null) formData.append('proof_accuracy', String(proof.accuracy));
+      }
+
+      console.log('Marking post as cleaned:', postId);
+      await api.post(`/api/garbage-posts/${postId}/clean`, formData, { timeoutMs: UPLOAD_TIMEOUT_MS });
+
+      Alert.alert(t('success'), t('mark_cleaned.success'), [
+        {
+          text: t('ok'),
+          onPress: () => navigation.navigate('PostDetails', { postId, refreshAt: Date.now() }),
+        },
+      ]);
+    } catch (err) {
+      console.error('Mark cleaned error:', err);
+      if (err instanceof ValidationError) {
+        setError(err.toLines() || err.message);
+      } else if (err.status === 403) {
+        setError(err.data?.message || t('mark_cleaned.not_allowed'));
+      } else {
+        setError(err.message || t('mark_cleaned.failed'));
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const submit = () => {
+    if (!token) {
+      setError(t('auth_required_post'));
+      return;
+    }
+    if (!postId || !afterPhoto?.uri) return;
+
+    if (distanceM != null && distanceM > ON_SITE_RADIUS_M) {
+      Alert.alert(
+        t('mark_cleaned.far_title'),
+        t('mark_cleaned.far_message', { distance: Math.round(distanceM) }),
+        [
+          { text: t('cancel'), style: 'cancel' },
+          { text: t('mark_cleaned.submit_anyway'), onPress: upload },
+        ]
+      );
+      return;
+    }
+    upload();
+  };
+
+  return (
+    <View style={[styles.container, { backgroundColor: colors.background }]}>
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        <Text style={[styles.title, { color: colors.text }]}>{t('mark_cleaned.title')}</Text>
+        <Text style={[styles.hint, { color: colors.text + '99' }]}>{t('mark_cleaned.hint')}</Text>
+
+        <PhotoCapture
+          label={t('after')}
+          value={afterPhoto}
+          onChange={setAfterPhoto}
+          disabled={submitting}
+        />
+
+        <View style={[styles.proofCard, { backgroundColor: colors.card, borderColor: colors.border }]}>
+          <View style={styles.proofRow}>
+            <View style={styles.proofLabel}>
+              <Ionicons name="locate-outline" size={18} color={colors.primary} />
+              <Text style={[styles.proofText, { color: colors.text }]}>{t('mark_cleaned.attach_location')}</Text>
+            </View>
+            <Switch
+              value={attachProof}
+              onValueChange={toggleProof}
+              disabled={submitting || locating}
+              trackColor={{ true: colors.primary }}
+            />
+          </View>
+          {locating ? (
+            <ActivityIndicator size="small" color={colors.primary} style={styles.proofStatus} />
+          ) : attachProof && proof ? (
+            <Text
+              style={[
+                styles.proofStatus,
+                { color: distanceM != null && distanceM > ON_SITE_RADIUS_M ? colors.notification : colors.text + '99' },
+              ]}
+            >
+              {distanceM != null
+                ? t('mark_cleaned.distance_from_spot', { distance: Math.round(distanceM) })
+                : `${proof.latitude.toFixed(5)}, ${proof.longitude.toFixed(5)}`}
+            </Text>
+          ) : (
+            <Text style={[styles.proofStatus, { color: colors.text + '99' }]}>{t('mark_cleaned.location_optional')}</Text>
+          )}
+        </View>
+
+        {error ? <Text style={styles.errorText}>{error}</Text> : null}
+
+        <TouchableOpacity
+          style={[
+            styles.submitButton,
+            { backgroundColor: colors.primary, opacity: afterPhoto?.uri && !submitting ? 1 : 0.5 },
+          ]}
+          onPress={submit}
+          disabled={!afterPhoto?.uri || submitting}
+        >
+          {submitting ? (
+            <ActivityIndicator size="small" color="#fff" />
+          ) : (
+            <>
+              <Ionicons name="checkmark-done" size={20} color="#fff" />
+              <Text style={styles.submitButtonText}>{t('mark_cleaned.submit')}</Text>
+            </>
+          )}
+        </TouchableOpacity>
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '700',
+    marginBottom: 4,
+  },
+  hint: {
+    fontSize: 14,
+    marginBottom: 16,
+  },
+  proofCard: {
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 12,
+  },
+  proofRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  proofLabel: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flex: 1,
+  },
+  proofText: {
+    marginLeft: 8,
+    fontSize: 15,
+    fontWeight: '500',
+  },
+  proofStatus: {
+    marginTop: 8,
+    fontSize: 13,
+  },
+  errorText: {
+    color: '#ff4444',
+    marginTop: 12,
+  },
+  submitButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    paddingVertical: 14,
+    borderRadius: 8,
+    marginTop: 20,
+  },
+  submitButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+});
+
+export default MarkCleanedScreen;
@@ -0,0 +1,361 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  StyleSheet,
+  ActivityIndicator,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { useTheme } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { useI18n } from '../i18n';
+import { useAuthContext } from '../auth/AuthContext';
+import { useThemeContext } from '../theme/ThemeContext';
+import PhotoCapture, { toUploadFile } from '../components/shared/PhotoCapture';
+import LocationPicker from '../components/shared/LocationPicker';
+import { unwrapItem, ValidationError } from '../api/client';
+import { useOutbox } from '../offline/OutboxContext';
+
+const STEPS = ['photo', 'location', 'details'];
+const MAX_DESCRIPTION = 1000;
+
+const NewPostScreen = ({ navigation }) => {
+  const { colors } = useTheme();
+  const { t } = useI18n();
+  const { token } = useAuthContext();
+  const { isDarkMode } = useThemeContext();
+  const { sendOrQueue } = useOutbox();
+
+  const [step, setStep] = useState(0);
+  const [beforePhoto, setBeforePhoto] = useState(null);
+  const [coordinate, setCoordinate] = useState(null);
+  const [description, setDescription] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const currentStep = STEPS[step];
+
+  const canContinue = () => {
+    if (currentStep === 'photo') return !!beforePhoto?.uri;
+    if (currentStep === 'location') return !!coordinate;
+    return description.trim().length > 0;
+  };
+
+  const goNext = () => {
+    if (!canContinue()) return;
+    setError('');
+    setStep((s) => Math.min(s + 1, STEPS.length - 1));
+  };
+
+  const goBack = () => {
+    setError('');
+    if (step === 0) {
+      navigation.goBack();
+      return;
+    }
+    setStep((s) => Math.max(s - 1, 0));
+  };
+
+  // Upload the report as multipart, using the same images[{type}] shape the API returns.
+  // Without network the report goes to the outbox and is uploaded once we're back online.
+  const submitPost = async () => {
+    if (!token) {
+      setError(t('auth_required_post'));
+      return;
+    }
+    if (!beforePhoto?.uri || !coordinate || !description.trim()) return;
+
+    setSubmitting(true);
+    setError('');
+    try {
+      const form = [
+        ['description', description.trim()],
+        ['lat', String(coordinate.latitude)],
+        ['lng', String(coordinate.longitude)],
+        ['images[0][type]', 'before'],
+        ['images[0][image]', toUploadFile(beforePhoto, 'before')],
+      ];
+
+      const result = await sendOrQueue({
+        type: 'report',
+        method: 'POST',
+        path: '/api/garbage-posts',
+        form,
+        meta: { summary: description.trim().slice(0, 60) },
+      });
+
+      if (result.queued) {
+        Alert.alert(t('outbox.saved_offline_title'), t('new_post_form.queued'), [
+          { text: t('ok'), onPress: () => navigation.navigate('HomeScreen') },
+        ]);
+        return;
+      }
+
+      const created = unwrapItem(result.data, 'garbagePost');
+      console.log('Garbage post created:', created?.id);
+
+      Alert.alert(t('success'), t('new_post_form.submitted'), [
+        {
+          text: t('ok'),
+          onPress: () => navigation.navigate('HomeScreen', { refreshAt: Date.now() }),
+        },
+      ]);
+    } catch (err) {
+      console.error('Create post error:', err);
+      if (err instanceof ValidationError) {
+        setError(err.toLines() || err.message);
+      } else if (err.status === 413) {
+        setError(t('new_post_form.file_too_large'));
+      } else {
+        setError(err.message || t('new_post_form.submit_failed'));
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const renderStepIndicator = () => (
+    <View style={styles.stepper}>
+      {STEPS.map((key, idx) => {
+        const active = idx === step;
+        const done = idx < step;
+        return (
+          <View key={key} style={styles.stepItem}>
+            <View
+              style={[
+                styles.stepDot,
+                {
+                  backgroundColor: active || done ? colors.primary : 'transparent',
+                  borderColor: colors.primary,
+                },
+              ]}
+            >
+              {done ? (
+                <Ionicons name="checkmark" size={14} color="#fff" />
+              ) : (
+                <Text style={[styles.stepNumber, { color: active ? '#fff' : colors.primary }]}>{idx + 1}</Text>
+              )}
+            </View>
+            <Text style={[styles.stepLabel, { color: colors.text, fontWeight: active ? '700' : '400' }]}>
+              {t(`new_post_form.step_${key}`)}
+            </Text>
+          </View>
+        );
+      })}
+    </View>
+  );
+
+  return (
+    <KeyboardAvoidingView
+      style={[styles.container, { backgroundColor: colors.background }]}
+      behavior={Platform.OS === 'ios' ? 'padding' : null}
+      keyboardVerticalOffset={Platform.OS === 'ios' ? 64 : 0}
+    >
+      <ScrollView contentContainerStyle={styles.scrollContent} keyboardShouldPersistTaps="handled">
+        {renderStepIndicator()}
+
+        {currentStep === 'photo' && (
+          <View>
+            <Text style={[styles.stepTitle, { color: colors.text }]}>{t('new_post_form.photo_title')}</Text>
+            <Text style={[styles.stepHint, { color: colors.text + '99' }]}>{t('new_post_form.photo_hint')}</Text>
+            <PhotoCapture
+              label={t('before')}
+              value={beforePhoto}
+              onChange={setBeforePhoto}
+              disabled={submitting}
+            />
+          </View>
+        )}
+
+        {currentStep === 'location' && (
+          <View>
+            <Text style={[styles.stepTitle, { color: colors.text }]}>{t('new_post_form.location_title')}</Text>
+            <Text style={[styles.stepHint, { color: colors.text + '99' }]}>{t('new_post_form.location_hint')}</Text>
+            <LocationPicker value={coordinate} onChange={setCoordinate} />
+          </View>
+        )}
+
+        {currentStep === 'details' && (
+          <View>
+            <Text style={[styles.stepTitle, { color: colors.text }]}>{t('new_post_form.details_title')}</Text>
+            <TextInput
+              style={[
+                styles.descriptionInput,
+                {
+                  color: colors.text,
+                  borderColor: colors.border,
+                  backgroundColor: isDarkMode ? colors.card : '#fff',
+                },
+              ]}
+              value={description}
+              onChangeText={setDescription}
+              placeholder={t('new_post_form.description_placeholder')}
+              placeholderTextColor={colors.text + '80'}
+              multiline
+              maxLength={MAX_DESCRIPTION}
+              editable={!submitting}
+            />
+            <Text style={[styles.counter, { color: colors.text + '80' }]}>
+              {description.length}/{MAX_DESCRIPTION}
+            </Text>
+
+            <View style={[styles.summary, { backgroundColor: colors.card, borderColor: colors.border }]}>
+              <View style={styles.summaryRow}>
+                <Ionicons name="image-outline" size={16} color={colors.primary} />
+                <Text style={[styles.summaryText, { color: colors.text }]}>
+                  {t('before')}: {beforePhoto?.uri ? '✓' : '-'}
+                </Text>
+              </View>
+              <View style={styles.summaryRow}>
+                <Ionicons name="location-outline" size={16} color={colors.primary} />
+                <Text style={[styles.summaryText, { color: colors.text }]}>
+                  {coordinate ? `${coordinate.latitude.toFixed(5)}, ${coordinate.longitude.toFixed(5)}` : '-'}
+                </Text>
+              </View>
+            </View>
+          </View>
+        )}
+
+        {error ? <Text style={styles.errorText}>{error}</Text> : null}
+      </ScrollView>
+
+      <View style={[styles.footer, { borderTopColor: colors.border, backgroundColor: colors.card }]}>
+        <TouchableOpacity style={[styles.footerButton, styles.secondaryButton, { borderColor: colors.border }]} onPress={goBack} disabled={submitting}>
+          <Text style={[styles.secondaryButtonText, { color: colors.text }]}>
+            {step === 0 ? t('cancel') : t('back')}
+          </Text>
+        </TouchableOpacity>
+
+        {currentStep === 'details' ? (
+          <TouchableOpacity
+            style={[styles.footerButton, { backgroundColor: colors.primary, opacity: canContinue() && !submitting ? 1 : 0.5 }]}
+            onPress={submitPost}
+            disabled={!canContinue() || submitting}
+          >
+            {submitting ? (
+              <ActivityIndicator size="small" color="#fff" />
+            ) : (
+              <Text style={styles.primaryButtonText}>{t('new_post_form.submit')}</Text>
+            )}
+          </TouchableOpacity>
+        ) : (
+          <TouchableOpacity
+            style={[styles.footerButton, { backgroundColor: colors.primary, opacity: canContinue() ? 1 : 0.5 }]}
+            onPress={goNext}
+            disabled={!canContinue()}
+          >
+            <Text style={styles.primaryButtonText}>{t('next')}</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+  stepper: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 20,
+  },
+  stepItem: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  stepDot: {
+    width: 26,
+    height: 26,
+    borderRadius: 13,
+    borderWidth: 2,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginBottom: 4,
+  },
+  stepNumber: {
+    fontSize: 12,
+    fontWeight: '700',
+  },
+  stepLabel: {
+    fontSize: 12,
+  },
+  stepTitle: {
+    fontSize: 20,
+    fontWeight: '700',
+    marginBottom: 4,
+  },
+  stepHint: {
+    fontSize: 14,
+    marginBottom: 12,
+  },
+  descriptionInput: {
+    minHeight: 140,
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    textAlignVertical: 'top',
+  },
+  counter: {
+    alignSelf: 'flex-end',
+    fontSize: 12,
+    marginTop: 4,
+    marginBottom: 12,
+  },
+  summary: {
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 12,
+    gap: 8,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  summaryText: {
+    marginLeft: 8,
+    fontSize: 14,
+  },
+  errorText: {
+    color: '#ff4444',
+    marginTop: 12,
+  },
+  footer: {
+    flexDirection: 'row',
+    gap: 12,
+    padding: 12,
+    borderTopWidth: StyleSheet.hairlineWidth,
+  },
+  footerButton: {
+    flex: 1,
+    paddingVertical: 14,
+    borderRadius: 8,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  secondaryButton: {
+    borderWidth: 1,
+  },
+  secondaryButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+});
+
+export default NewPostScreen;
@@ -0,0 +1,290 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  Switch,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  Platform,
+} from 'react-native';
+import { useTheme } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { useI18n } from '../i18n';
+import { useAuthContext } from '../auth/AuthContext';
+import { api } from '../api/client';
+import {
+  PREFERENCES_PATH,
+  NOTIFICATION_CATEGORIES,
+  NOTIFICATION_CHANNELS,
+  normalizePreferences,
+} from '../utils/notificationPreferences';
+import ProximityAlertsCard from '../components/shared/ProximityAlertsCard';
+
+const CATEGORY_ICONS = {
+  post_comment: 'chatbubble-outline',
+  comment_reply: 'return-down-forward-outline',
+  event_reminder: 'calendar-outline',
+  new_poll: 'stats-chart-outline',
+  rank_change: 'trophy-outline',
+};
+
+// 'HH:mm' <-> Date for the time picker
+const timeToDate = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const date = new Date();
+  date.setHours(hours || 0, minutes || 0, 0, 0);
+  return date;
+};
+const dateToTime = (date) =>
+  `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+
+const NotificationSettingsScreen = () => {
+  const { colors } = useTheme();
+  const { t } = useI18n();
+  const { notificationPreferences, saveNotificationPreferences } = useAuthContext();
+  const [preferences, setPreferences] = useState(notificationPreferences);
+  const [loading, setLoading] = useState(!notificationPreferences);
+  const [error, setError] = useState('');
+  // 'start' | 'end' while the Android time dialog is open
+  const [pickerFor, setPickerFor] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      setError('');
+      setLoading(true);
+      const data = await api.get(PREFERENCES_PATH);
+      setPreferences(normalizePreferences(data));
+    } catch (err) {
+      console.error('Failed to load notification preferences', err);
+      setError(t('notification_settings.load_failed'));
+    } finally {
+      setLoading(false);
+    }
+  }, [t]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // Every change is saved right away
+  const update = async (next) => {
+    const previous = preferences;
+    setPreferences(next);
+    try {
+      await saveNotificationPreferences(next);
+    } catch (err) {
+      console.error('Failed to save notification preferences', err);
+      setPreferences(previous);
+      Alert.alert(t('error'), t('notification_settings.save_failed'));
+    }
+  };
+
+  const toggleChannel = (category, channel, value) => {
+    update({
+      ...preferences,
+      types: {
+        ...preferences.types,
+        [category]: { ...preferences.types[category], [channel]: value },
+      },
+    });
+  };
+
+  const updateQuietHours = (patch) => {
+    update({ ...preferences, quiet_hours: { ...preferences.quiet_hours, ...patch } });
+  };
+
+  const onTimeChange = (field) => (event, selected) => {
+    if (Platform.OS === 'android') {
+      setPickerFor(null);
+      if (event.type !== 'set' || !selected) return;
+    }
+    if (selected) updateQuietHours({ [field]: dateToTime(selected) });
+  };
+
+  if (loading) {
+    return (
+      <View style={[styles.centered, { backgroundColor: colors.background }]}>
+        <ActivityIndicator size="large" color={colors.primary} />
+      </View>
+    );
+  }
+
+  if (!preferences) {
+    return (
+      <View style={[styles.centered, { backgroundColor: colors.background }]}>
+        <Text style={{ color: colors.text }}>{error || t('notification_settings.load_failed')}</Text>
+        <TouchableOpacity onPress={load} style={styles.retry}>
+          <Text style={{ color: colors.primary, fontWeight: '600' }}>{t('retry')}</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  const quiet = preferences.quiet_hours;
+
+  const renderTime = (field) => (
+    <View style={styles.timeRow} key={field}>
+      <Text style={[styles.timeLabel, { color: colors.text }]}>
+        {t(field === 'start' ? 'notification_settings.quiet_from' : 'notification_settings.quiet_to')}
+      </Text>
+      {Platform.OS === 'ios' ? (
+        <DateTimePicker
+          value={timeToDate(quiet[field])}
+          mode="time"
+          display="compact"
+          onChange={onTimeChange(field)}
+        />
+      ) : (
+        <TouchableOpacity
+          style={[styles.timeButton, { borderColor: colors.border }]}
+          onPress={() => setPickerFor(field)}
+        >
+          <Ionicons name="time-outline" size={16} color={colors.primary} />
+          <Text style={{ color: colors.text }}>{quiet[field]}</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+
+  return (
+    <ScrollView style={{ backgroundColor: colors.background }} contentContainerStyle={styles.content}>
+      {error ? <Text style={styles.error}>{error}</Text> : null}
+      <Text style={[styles.hint, { color: colors.text + '99' }]}>{t('notification_settings.hint')}</Text>
+
+      <View style={[styles.card, { backgroundColor: colors.card, borderColor: colors.border }]}>
+        <View style={styles.headerRow}>
+          <Text style={[styles.sectionTitle, { color: colors.text }]}>{t('notification_settings.types_title')}</Text>
+          {NOTIFICATION_CHANNELS.map((channel) => (
+            <Text key={channel} style={[styles.channelHeader, { color: colors.text + 'AA' }]}>
+              {t(`notification_settings.channel_${channel}`)}
+            </Text>
+          ))}
+        </View>
+        {NOTIFICATION_CATEGORIES.map((category) => (
+          <View key={category} style={[styles.row, { borderTopColor: colors.border }]}>
+            <Ionicons name={CATEGORY_ICONS[category]} size={18} color={colors.primary} />
+            <Text style={[styles.rowLabel, { color: colors.text }]}>{t(`notification_settings.type_${category}`)}</Text>
+            {NOTIFICATION_CHANNELS.map((channel) => (
+              <View key={channel} style={styles.switchCell}>
+                <Switch
+                  value={preferences.types[category][channel]}
+                  onValueChange={(value) => toggleChannel(category, channel, value)}
+                  accessibilityLabel={`${t(`notification_settings.type_${category}`)} ${t(`notification_settings.channel_${channel}`)}`}
+                />
+              </View>
+            ))}
+          </View>
+        ))}
+      </View>
+
+      <View style={[styles.card, { backgroundColor: colors.card, borderColor: colors.border }]}>
+        <View style={styles.headerRow}>
+          <Ionicons name="moon-outline" size={18} color={colors.primary} />
+          <Text style={[styles.rowLabel, styles.sectionTitle, { color: colors.text }]}>
+            {t('notification_settings.quiet_hours')}
+          </Text>
+          <Switch value={quiet.enabled} onValueChange={(value) => updateQuietHours({ enabled: value })} />
+        </View>
+        <Text style={[styles.hint, { color: colors.text + '99' }]}>{t('notification_settings.quiet_hours_hint')}</Text>
+        {quiet.enabled && ['start', 'end'].map(renderTime)}
+      </View>
+
+      <ProximityAlertsCard />
+
+      {Platform.OS === 'android' && pickerFor && (
+        <DateTimePicker
+          value={timeToDate(quiet[pickerFor])}
+          mode="time"
+          is24Hour
+          onChange={onTimeChange(pickerFor)}
+        />
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+  },
+  retry: {
+    marginTop: 8,
+    padding: 6,
+  },
+  content: {
+    padding: 16,
+  },
+  error: {
+    color: '#ff4444',
+    marginBottom: 12,
+  },
+  hint: {
+    fontSize: 13,
+    marginBottom: 12,
+  },
+  card: {
+    borderRadius: 12,
+    borderWidth: StyleSheet.hairlineWidth,
+    padding: 12,
+    marginBottom: 16,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    marginBottom: 8,
+  },
+  sectionTitle: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  channelHeader: {
+    width: 64,
+    textAlign: 'center',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    paddingVertical: 8,
+    borderTopWidth: StyleSheet.hairlineWidth,
+  },
+  rowLabel: {
+    flex: 1,
+    fontSize: 15,
+  },
+  switchCell: {
+    width: 64,
+    alignItems: 'center',
+  },
+  timeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+  },
+  timeLabel: {
+    fontSize: 15,
+  },
+  timeButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+  },
+});
+
+export default NotificationSettingsScreen;
@@ -0,0 +1,403 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SectionList,
+  TouchableOpacity,
+  ActivityIndicator,
+  RefreshControl,
+  Alert,
+} from 'react-native';
+import { useTheme } from '@react-navigation/native';
+import { Swipeable } from 'react-native-gesture-handler';
+import { Ionicons } from '@expo/vector-icons';
+import { useI18n } from '../i18n';
+import { useAuthContext } from '../auth/AuthContext';
+import { api, unwrapList, getNextPage } from '../api/client';
+import {
+  isNotificationUnread,
+  getNotificationText,
+  getNotificationTarget,
+  groupNotificationsByDay,
+} from '../utils/notifications';
+import { openNotificationTarget } from '../navigation/notificationRoutes';
+
+const PER_PAGE = 20;
+
+const TARGET_ICONS = {
+  post: 'trash-outline',
+  user: 'person-outline',
+  poll: 'stats-chart-outline',
+  event: 'calendar-outline',
+};
+
+const formatTime = (value) => {
+  if (!value) return '';
+  const date = new Date(String(value).replace(' ', 'T'));
+  if (isNaN(date.getTime())) return '';
+  return date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+};
+
+const NotificationItem = ({ item, colors, t, onPress, onToggleRead, onDismiss }) => {
+  const swipeRef = useRef(null);
+  const unread = isNotificationUnread(item);
+  const target = getNotificationTarget(item);
+
+  const renderDismissAction = () => (
+    <View style={[styles.dismissAction, { backgroundColor: colors.notification }]}>
+      <Ionicons name="trash-outline" size={20} color="#fff" />
+      <Text style={styles.dismissText}>{t('notifications_page.dismiss')}</Text>
+    </View>
+  );
+
+  return (
+    <Swipeable
+      ref={swipeRef}
+      renderRightActions={renderDismissAction}
+      rightThreshold={60}
+      onSwipeableOpen={() => onDismiss(item, () => swipeRef.current?.close())}
+    >
+      <TouchableOpacity
+        style={[
+          styles.item,
+          { backgroundColor: unread ? colors.primary + '12' : colors.card, borderBottomColor: colors.border },
+        ]}
+        activeOpacity={0.7}
+        onPress={() => onPress(item)}
+        accessibilityState={{ selected: unread }}
+      >
+        <View style={[styles.iconCircle, { backgroundColor: colors.primary + '20' }]}>
+          <Ionicons name={TARGET_ICONS[target?.kind] || 'notifications-outline'} size={18} color={colors.primary} />
+        </View>
+        <View style={styles.itemBody}>
+          <Text style={[styles.itemText, { color: colors.text, fontWeight: unread ? '700' : '400' }]} numberOfLines={3}>
+            {getNotificationText(item) || t('notifications_page.untitled')}
+          </Text>
+          <Text style={[styles.itemTime, { color: colors.text + '99' }]}>{formatTime(item?.created_at)}</Text>
+        </View>
+        <TouchableOpacity
+          style={styles.readToggle}
+          onPress={() => onToggleRead(item)}
+          accessibilityLabel={unread ? t('notifications_page.mark_read') : t('notifications_page.mark_unread')}
+        >
+          {unread ? (
+            <View style={[styles.unreadDot, { backgroundColor: colors.primary }]} />
+          ) : (
+            <Ionicons name="mail-unread-outline" size={18} color={colors.text + '80'} />
+          )}
+        </TouchableOpacity>
+      </TouchableOpacity>
+    </Swipeable>
+  );
+};
+
+const NotificationsScreen = ({ navigation }) => {
+  const { colors } = useTheme();
+  const { t } = useI18n();
+  const {
+    unreadCount,
+    refreshNotifications,
+    markNotificationRead,
+    markAllNotificationsRead,
+    dismissNotification,
+    clearAllNotifications,
+  } = useAuthContext();
+
+  const [items, setItems] = useState([]);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchPage = useCallback(async (nextPage) => {
+    const data = await api.get('/api/users/notifications', { params: { page: nextPage, per_page: PER_PAGE } });
+    const list = unwrapList(data, 'notifications');
+    setItems((prev) => {
+      if (nextPage === 1) return list;
+      // Items can shift between pages while new ones arrive
+      const seen = new Set(prev.map((n) => String(n?.id)));
+      return [...prev, ...list.filter((n) => !seen.has(String(n?.id)))];
+    });
+    setPage(nextPage);
+    setHasMore(!!getNextPage(data, { page: nextPage, pageSize: PER_PAGE, count: list.length, key: 'notifications' }));
+  }, []);
+
+  const loadFirstPage = useCallback(async () => {
+    try {
+      setError('');
+      await Promise.all([fetchPage(1), refreshNotifications()]);
+    } catch (err) {
+      console.error('Failed to load notifications:', err);
+      setError(t('notifications_page.load_failed'));
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, [fetchPage, refreshNotifications, t]);
+
+  useEffect(() => {
+    loadFirstPage();
+  }, [loadFirstPage]);
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    loadFirstPage();
+  };
+
+  const loadMore = async () => {
+    if (!hasMore || loadingMore || loading || refreshing) return;
+    setLoadingMore(true);
+    try {
+      await fetchPage(page + 1);
+    } catch (err) {
+      console.error('Failed to load more notifications:', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const updateItem = (id, patch) => {
+    setItems((prev) => prev.map((n) => (n?.id === id ? { ...n, ...patch } : n)));
+  };
+
+  const toggleRead = async (item) => {
+    const read = isNotificationUnread(item);
+    updateItem(item.id, { read, read_at: read ? new Date().toISOString() : null });
+    try {
+      await markNotificationRead(item, read);
+    } catch (err) {
+      console.error('Failed to update notification:', err);
+      updateItem(item.id, { read: item.read, read_at: item.read_at });
+    }
+  };
+
+  const openItem = (item) => {
+    if (isNotificationUnread(item)) toggleRead(item);
+    openNotificationTarget(navigation, item);
+  };
+
+  const dismiss = async (item, restore) => {
+    setItems((prev) => prev.filter((n) => n?.id !== item.id));
+    try {
+      await dismissNotification(item);
+    } catch (err) {
+      console.error('Failed to dismiss notification:', err);
+      setItems((prev) => (prev.some((n) => n?.id === item.id) ? prev : [...prev, item]
+        .sort((a, b) => new Date(b?.created_at || 0) - new Date(a?.created_at || 0))));
+      restore?.();
+      Alert.alert(t('error'), t('notifications_page.action_failed'));
+    }
+  };
+
+  const markAllRead = async () => {
+    try {
+      await markAllNotificationsRead();
+      setItems((prev) => prev.map((n) => ({ ...n, read: true })));
+    } catch (err) {
+      console.error('Failed to mark notifications as read:', err);
+      Alert.alert(t('error'), t('notifications_page.action_failed'));
+    }
+  };
+
+  const clearAll = () => {
+    Alert.alert(t('clear_all'), t('notifications_page.clear_confirm'), [
+      { text: t('cancel'), style: 'cancel' },
+      {
+        text: t('clear_all'),
+        style: 'destructive',
+        onPress: async () => {
+          await clearAllNotifications();
+          setItems([]);
+          setHasMore(false);
+        },
+      },
+    ]);
+  };
+
+  const sections = useMemo(() => groupNotificationsByDay(items, t), [items, t]);
+
+  if (loading) {
+    return (
+      <View style={[styles.centered, { backgroundColor: colors.background }]}>
+        <ActivityIndicator size="large" color={colors.primary} />
+      </View>
+    );
+  }
+
+  return (
+    <View style={[styles.container, { backgroundColor: colors.background }]}>
+      <View style={[styles.toolbar, { borderBottomColor: colors.border }]}>
+        <Text style={[styles.toolbarTitle, { color: colors.text }]}>
+          {unreadCount > 0 ? t('notifications_page.unread', { count: unreadCount }) : t('notifications_page.all_read')}
+        </Text>
+        <View style={styles.toolbarActions}>
+          {unreadCount > 0 && (
+            <TouchableOpacity onPress={markAllRead} style={styles.toolbarButton}>
+              <Text style={[styles.toolbarButtonText, { color: colors.primary }]}>{t('notifications_page.mark_all_read')}</Text>
+            </TouchableOpacity>
+          )}
+          {items.length > 0 && (
+            <TouchableOpacity onPress={clearAll} style={styles.toolbarButton}>
+              <Text style={[styles.toolbarButtonText, { color: colors.notification }]}>{t('clear_all')}</Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity
+            onPress={() => navigation.navigate('NotificationSettings')}
+            style={styles.toolbarButton}
+            accessibilityLabel={t('notification_settings.title')}
+          >
+            <Ionicons name="settings-outline" size={18} color={colors.text} />
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      <SectionList
+        sections={sections}
+        keyExtractor={(item, index) => String(item?.id ?? index)}
+        renderItem={({ item }) => (
+          <NotificationItem
+            item={item}
+            colors={colors}
+            t={t}
+            onPress={openItem}
+            onToggleRead={toggleRead}
+            onDismiss={dismiss}
+          />
+        )}
+        renderSectionHeader={({ section }) => (
+          <Text style={[styles.sectionHeader, { color: colors.text + 'AA', backgroundColor: colors.background }]}>
+            {section.title}
+          </Text>
+        )}
+        stickySectionHeadersEnabled
+        onEndReached={loadMore}
+        onEndReachedThreshold={0.4}
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} colors={[colors.primary]} tintColor={colors.primary} />
+        }
+        ListFooterComponent={loadingMore ? <ActivityIndicator style={styles.footerLoader} color={colors.primary} /> : null}
+        ListEmptyComponent={
+          <View style={styles.empty}>
+            <Ionicons name={error ? 'alert-circle-outline' : 'notifications-off-outline'} size={48} color={colors.text + '60'} />
+            <Text style={[styles.emptyText, { color: colors.text }]}>{error || t('no_notifications')}</Text>
+            {!!error && (
+              <TouchableOpacity onPress={onRefresh} style={styles.toolbarButton}>
+                <Text style={[styles.toolbarButtonText, { color: colors.primary }]}>{t('retry')}</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        }
+        contentContainerStyle={items.length === 0 ? styles.emptyContainer : null}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  toolbar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+  toolbarTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  toolbarActions: {
+    flexDirection: 'row',
+  },
+  toolbarButton: {
+    paddingVertical: 6,
+    paddingHorizontal: 8,
+  },
+  toolbarButtonText: {
+    fontWeight: '600',
+  },
+  sectionHeader: {
+    paddingHorizontal: 16,
+    paddingTop: 14,
+    paddingBottom: 6,
+    fontSize: 13,
+    fontWeight: '700',
+    textTransform: 'uppercase',
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+  iconCircle: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 12,
+  },
+  itemBody: {
+    flex: 1,
+  },
+  itemText: {
+    fontSize: 15,
+    lineHeight: 20,
+  },
+  itemTime: {
+    fontSize: 12,
+    marginTop: 4,
+  },
+  readToggle: {
+    padding: 8,
+    marginLeft: 8,
+  },
+  unreadDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+  },
+  dismissAction: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    width: 96,
+  },
+  dismissText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: '600',
+    marginTop: 2,
+  },
+  footerLoader: {
+    marginVertical: 16,
+  },
+  emptyContainer: {
+    flexGrow: 1,
+  },
+  empty: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 32,
+  },
+  emptyText: {
+    marginTop: 12,
+    fontSize: 16,
+    textAlign: 'center',
+  },
+});
+
+export default NotificationsScreen;
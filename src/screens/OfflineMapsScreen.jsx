@@ -0,0 +1,265 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { useTheme } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { useI18n } from '../i18n';
+import { useOutbox } from '../offline/OutboxContext';
+import useTilePacks from '../offline/useTilePacks';
+import {
+  FIELD_AREAS,
+  MAX_TILES_PER_PACK,
+  countTiles,
+  estimatePackBytes,
+  formatBytes,
+  getViewportPackSpec,
+  downloadTilePack,
+  cancelTilePackDownload,
+  deleteTilePack,
+  getTilePackStorage,
+  TILE_DOWNLOADS_AVAILABLE,
+} from '../offline/tilePacks';
+import { regionToBBox, getZoomLevel } from '../utils/mapClustering';
+
+// Download map tiles and posts for an area to use the map without signal.
+// MapScreen passes its current `region` (and `mapWidth`) so the visible area can be saved too.
+const OfflineMapsScreen = ({ route }) => {
+  const { colors } = useTheme();
+  const { t } = useI18n();
+  const { isOnline } = useOutbox();
+  const { packs, download } = useTilePacks();
+  const [storage, setStorage] = useState({ usedBytes: 0, freeBytes: null });
+
+  const region = route?.params?.region;
+  const mapWidth = route?.params?.mapWidth;
+
+  // Storage changes whenever a pack is added, finished or deleted
+  useEffect(() => {
+    getTilePackStorage().then(setStorage);
+  }, [packs]);
+
+  const viewportSpec = useMemo(() => {
+    if (!region) return null;
+    return getViewportPackSpec(regionToBBox(region), getZoomLevel(region, mapWidth || 400));
+  }, [region, mapWidth]);
+
+  const getPackName = (pack) => (pack.area ? t(pack.area) : pack.name);
+
+  const startDownload = async (spec) => {
+    try {
+      const pack = await downloadTilePack(spec);
+      if (pack?.status === 'partial') {
+        Alert.alert(t('offline_maps.title'), t('offline_maps.partial_message'));
+      }
+    } catch (err) {
+      console.error('Failed to download map pack', err);
+      Alert.alert(t('error'), err.message || t('offline_maps.download_failed'));
+    }
+  };
+
+  const confirmDelete = (pack) => {
+    Alert.alert(
+      t('offline_maps.delete_title'),
+      t('offline_maps.delete_message', { name: getPackName(pack) }),
+      [
+        { text: t('cancel'), style: 'cancel' },
+        { text: t('offline_maps.delete'), style: 'destructive', onPress: () => deleteTilePack(pack.id) },
+      ]
+    );
+  };
+
+  const renderDownloadRow = ({ key, label, spec }) => {
+    const tileCount = spec.tileCount ?? countTiles(spec);
+    const tooLarge = tileCount > MAX_TILES_PER_PACK;
+    const disabled = !isOnline || !!download || tooLarge;
+    return (
+      <View key={key} style={[styles.row, { borderTopColor: colors.border }]}>
+        <Ionicons name={key === 'viewport' ? 'scan-outline' : 'map-outline'} size={20} color={colors.primary} />
+        <View style={styles.rowBody}>
+          <Text style={[styles.rowTitle, { color: colors.text }]}>{label}</Text>
+          <Text style={[styles.rowMeta, { color: colors.text + '99' }]}>
+            {tooLarge
+              ? t('offline_maps.too_large')
+              : t('offline_maps.estimate', { tiles: tileCount, size: formatBytes(estimatePackBytes(tileCount)) })}
+          </Text>
+        </View>
+        <TouchableOpacity
+          style={[styles.iconButton, { borderColor: disabled ? colors.border : colors.primary }]}
+          onPress={() => startDownload(spec)}
+          disabled={disabled}
+          accessibilityLabel={t('offline_maps.download')}
+        >
+          <Ionicons name="download-outline" size={18} color={disabled ? colors.border : colors.primary} />
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  const renderPack = (pack) => {
+    const active = download?.packId === pack.id;
+    const progress = active && download.total ? download.done / download.total : 0;
+    return (
+      <View key={pack.id} style={[styles.row, { borderTopColor: colors.border }]}>
+        <Ionicons
+          name={pack.status === 'complete' ? 'checkmark-circle' : active ? 'cloud-download-outline' : 'alert-circle-outline'}
+          size={20}
+          color={pack.status === 'complete' ? '#4CAF50' : active ? colors.primary : '#FF9800'}
+        />
+        <View style={styles.rowBody}>
+          <Text style={[styles.rowTitle, { color: colors.text }]}>{getPackName(pack)}</Text>
+          {active ? (
+            <>
+              <View style={[styles.progressTrack, { backgroundColor: colors.border }]}>
+                <View style={[styles.progressFill, { width: `${Math.round(progress * 100)}%`, backgroundColor: colors.primary }]} />
+              </View>
+              <Text style={[styles.rowMeta, { color: colors.text + '99' }]}>
+                {t('offline_maps.progress', { done: download.done, total: download.total })}
+              </Text>
+            </>
+          ) : (
+            <Text style={[styles.rowMeta, { color: colors.text + '99' }]}>
+              {t('offline_maps.pack_meta', { size: formatBytes(pack.bytes), posts: pack.postCount || 0 })}
+              {pack.status === 'partial' ? ` · ${t('offline_maps.partial')}` : ''}
+            </Text>
+          )}
+        </View>
+        {active ? (
+          <TouchableOpacity onPress={cancelTilePackDownload} style={styles.textButton}>
+            <Text style={{ color: colors.notification, fontWeight: '600' }}>{t('cancel')}</Text>
+          </TouchableOpacity>
+        ) : (
+          <>
+            {pack.status === 'partial' && TILE_DOWNLOADS_AVAILABLE && (
+              <TouchableOpacity
+                onPress={() => startDownload(pack)}
+                disabled={!isOnline || !!download}
+                style={styles.textButton}
+              >
+                <Text style={{ color: !isOnline || download ? colors.border : colors.primary, fontWeight: '600' }}>
+                  {t('offline_maps.resume')}
+                </Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity onPress={() => confirmDelete(pack)} style={styles.textButton} accessibilityLabel={t('offline_maps.delete')}>
+              <Ionicons name="trash-outline" size={18} color={colors.notification} />
+            </TouchableOpacity>
+          </>
+        )}
+      </View>
+    );
+  };
+
+  const downloadedAreas = new Set(packs.filter((pack) => pack.area).map((pack) => pack.area));
+  // Without a configured tile server only the downloaded packs are listed
+  const options = !TILE_DOWNLOADS_AVAILABLE ? [] : [
+    viewportSpec && {
+      key: 'viewport',
+      label: t('offline_maps.this_area'),
+      spec: { ...viewportSpec, name: `${t('offline_maps.this_area')} (${new Date().toLocaleDateString()})` },
+    },
+    ...FIELD_AREAS
+      .filter((area) => !downloadedAreas.has(area.key))
+      .map((area) => ({ key: area.key, label: t(area.key), spec: { ...area, area: area.key } })),
+  ].filter(Boolean);
+
+  return (
+    <ScrollView style={{ backgroundColor: colors.background }} contentContainerStyle={styles.content}>
+      <Text style={[styles.hint, { color: colors.text + '99' }]}>{t('offline_maps.hint')}</Text>
+      {!isOnline && <Text style={styles.error}>{t('offline_maps.offline')}</Text>}
+
+      <View style={[styles.card, { backgroundColor: colors.card, borderColor: colors.border }]}>
+        <Text style={[styles.sectionTitle, { color: colors.text }]}>{t('offline_maps.storage')}</Text>
+        <Text style={[styles.rowMeta, { color: colors.text }]}>
+          {t('offline_maps.storage_used', { size: formatBytes(storage.usedBytes) })}
+          {storage.freeBytes != null ? ` · ${t('offline_maps.storage_free', { size: formatBytes(storage.freeBytes) })}` : ''}
+        </Text>
+      </View>
+
+      <View style={[styles.card, { backgroundColor: colors.card, borderColor: colors.border }]}>
+        <Text style={[styles.sectionTitle, { color: colors.text }]}>{t('offline_maps.downloaded')}</Text>
+        {packs.length > 0
+          ? packs.map(renderPack)
+          : <Text style={[styles.rowMeta, { color: colors.text + '99' }]}>{t('offline_maps.no_packs')}</Text>}
+      </View>
+
+      {options.length > 0 && (
+        <View style={[styles.card, { backgroundColor: colors.card, borderColor: colors.border }]}>
+          <Text style={[styles.sectionTitle, { color: colors.text }]}>{t('offline_maps.available')}</Text>
+          {options.map(renderDownloadRow)}
+        </View>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  content: {
+    padding: 16,
+  },
+  hint: {
+    fontSize: 13,
+    marginBottom: 12,
+  },
+  error: {
+    color: '#ff4444',
+    marginBottom: 12,
+  },
+  card: {
+    borderRadius: 12,
+    borderWidth: StyleSheet.hairlineWidth,
+    padding: 12,
+    marginBottom: 16,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '700',
+    marginBottom: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    paddingVertical: 10,
+    borderTopWidth: StyleSheet.hairlineWidth,
+  },
+  rowBody: {
+    flex: 1,
+  },
+  rowTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  rowMeta: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  iconButton: {
+    borderWidth: 1,
+    borderRadius: 18,
+    width: 36,
+    height: 36,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  textButton: {
+    padding: 6,
+  },
+  progressTrack: {
+    height: 6,
+    borderRadius: 3,
+    marginTop: 6,
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: '100%',
+    borderRadius: 3,
+  },
+});
+
+export default OfflineMapsScreen;
@@ -16,16 +16,17 @@ import { useTheme } from '@react-navigation/native';
 import { useI18n } from '../i18n';
 import { useThemeContext } from '../theme/ThemeContext';
 import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
-import axios from 'axios';
+import { api, unwrapList, API_BASE_URL } from '../api/client';
+import { useAuthContext } from '../auth/AuthContext';
+import { useOutbox } from '../offline/OutboxContext';
+import { pendingVote } from '../offline/outbox';
 
-// API configuration
-const RAW_BASE = process.env.EXPO_PUBLIC_API_BASE || 'http://127.0.0.1:8000';
-const API_CONFIG = {
-  BASE_URL: RAW_BASE.replace(/\/$/, ''),
-};
+// Last known votes of the signed-in user, for when the server can't be reached
+const LOCAL_VOTES_KEY = 'user_poll_votes';
+const VOTE_MUTATIONS = ['vote', 'change_vote', 'unvote'];
 
 // Helper function to get the correct image URL format
-const getImageUrl = (imagePath, apiBase = API_CONFIG.BASE_URL, isUserAvatar = false) => {
+const getImageUrl = (imagePath, apiBase = API_BASE_URL, isUserAvatar = false) => {
   if (!imagePath) return null;
   
   // If the image is already a full URL, return it directly
@@ -50,8 +51,32 @@ const getImageUrl = (imagePath, apiBase = API_CONFIG.BASE_URL, isUserAvatar = fa
   return `${apiBase}/storage/${cleaned}`;
 };
 
+// Poll timing and results rules
+const isPollClosed = (poll, now = Date.now()) => !!poll.closesAt && new Date(poll.closesAt).getTime() <= now;
+
+const canSeeResults = (poll, hasVoted, closed) => {
+  if (closed) return true;
+  if (poll.resultsVisibility === 'after_close') return false;
+  if (poll.resultsVisibility === 'after_vote') return hasVoted;
+  return true;
+};
+
+// "2 days 3 hours", "5 hours 10 minutes", "12 minutes"
+const formatTimeLeft = (ms, t) => {
+  const totalMinutes = Math.max(1, Math.ceil(ms / 60000));
+  const days = Math.floor(totalMinutes / 1440);
+  const hours = Math.floor((totalMinutes % 1440) / 60);
+  const minutes = totalMinutes % 60;
+  const unit = (count, key) => t(count === 1 ? `time_${key}` : `time_${key}s`, { count });
+  if (days > 0) return hours > 0 ? `${unit(days, 'day')} ${unit(hours, 'hour')}` : unit(days, 'day');
+  if (hours > 0) return minutes > 0 ? `${unit(hours, 'hour')} ${unit(minutes, 'minute')}` : unit(hours, 'hour');
+  return unit(minutes, 'minute');
+};
+
+const sameOptions = (a = [], b = []) => a.length === b.length && a.every((id) => b.includes(id));
+
 // Poll option component
-const PollOption = ({ option, isSelected, onPress, voteCount, colors, colorScheme }) => {
+const PollOption = ({ option, isSelected, onPress, percentage, showResults, isLeading, disabled, multiple, colors, colorScheme, t }) => {
   // Animation values
   const scaleAnim = useRef(new Animated.Value(0.95)).current;
   const opacityAnim = useRef(new Animated.Value(0)).current;
@@ -71,9 +96,6 @@ const PollOption = ({ option, isSelected, onPress, voteCount, colors, colorSchem
     ]).start();
   }, []);
 
-  // Calculate percentage if vote count is available
-  const percentage = voteCount > 0 ? Math.round((option.vote_count / voteCount) * 100) : 0;
-  
   return (
     <Animated.View 
       style={[
@@ -89,41 +111,51 @@ const PollOption = ({ option, isSelected, onPress, voteCount, colors, colorSchem
       <TouchableOpacity 
         style={styles.optionContent} 
         onPress={onPress}
+        disabled={disabled}
         activeOpacity={0.7}
+        accessibilityState={{ selected: isSelected, disabled }}
       >
         <View style={styles.optionTextContainer}>
           <Text style={[styles.optionText, { color: colors.text }]} numberOfLines={2}>
             {option.option_text}
           </Text>
-          {voteCount > 0 && (
+          {showResults && (
             <Text style={[styles.votePercentage, { color: colors.primary }]}>
               {percentage}%
             </Text>
           )}
         </View>
         
-        {/* Vote button */}
-        <View style={[styles.voteButton, { 
-          backgroundColor: isSelected ? colors.primary : 'transparent',
-          borderColor: colors.primary
-        }]}>
-          <Text style={[styles.voteButtonText, { 
-            color: isSelected ? '#fff' : colors.primary 
+        {/* Vote button (a checkbox for multiple choice polls) */}
+        {multiple ? (
+          <Ionicons
+            name={isSelected ? 'checkbox' : 'square-outline'}
+            size={24}
+            color={disabled && !isSelected ? colors.text + '50' : colors.primary}
+          />
+        ) : !disabled || isSelected ? (
+          <View style={[styles.voteButton, { 
+            backgroundColor: isSelected ? colors.primary : 'transparent',
+            borderColor: colors.primary
           }]}>
-            {isSelected ? '✓' : 'Vote'}
-          </Text>
-        </View>
+            <Text style={[styles.voteButtonText, { 
+              color: isSelected ? '#fff' : colors.primary 
+            }]}>
+              {isSelected ? '✓' : t('vote')}
+            </Text>
+          </View>
+        ) : null}
       </TouchableOpacity>
       
       {/* Progress bar */}
-      {voteCount > 0 && (
+      {showResults && (
         <View style={styles.progressBarContainer}>
           <View 
             style={[
               styles.progressBar, 
               { 
                 width: `${percentage}%`,
-                backgroundColor: colors.primary + '80',
+                backgroundColor: isLeading ? colors.primary : colors.primary + '80',
               }
             ]} 
           />
@@ -131,11 +163,11 @@ const PollOption = ({ option, isSelected, onPress, voteCount, colors, colorSchem
       )}
       
       {/* Vote count */}
-      {voteCount > 0 && (
+      {showResults && (
         <View style={styles.voteCountContainer}>
           <Ionicons name="people-outline" size={14} color={colors.text + '80'} />
           <Text style={[styles.voteCount, { color: colors.text + '80' }]}>
-            {option.vote_count} votes
+            {option.vote_count} {t('votes')}
           </Text>
         </View>
       )}
@@ -144,10 +176,13 @@ const PollOption = ({ option, isSelected, onPress, voteCount, colors, colorSchem
 };
 
 // Poll card component
-const PollCard = ({ poll, onVote, userVotes, colors, colorScheme, t }) => {
+const PollCard = ({ poll, onVote, userVote, now, highlighted, colors, colorScheme, t }) => {
   // Animation values
   const scaleAnim = useRef(new Animated.Value(0.95)).current;
   const opacityAnim = useRef(new Animated.Value(0)).current;
+  // Options picked in a multiple choice poll before submitting them
+  const [draft, setDraft] = useState(null);
+  const [limitHint, setLimitHint] = useState(false);
   
   useEffect(() => {
     Animated.parallel([
@@ -167,8 +202,41 @@ const PollCard = ({ poll, onVote, userVotes, colors, colorScheme, t }) => {
   // Calculate total votes
   const totalVotes = poll.options.reduce((sum, option) => sum + (option.vote_count || 0), 0);
   
-  // Check if user has voted on this poll
-  const userVote = userVotes[poll.id];
+  const votedIds = userVote?.optionIds || [];
+  const hasVoted = votedIds.length > 0;
+  const closed = isPollClosed(poll, now);
+  const showResults = canSeeResults(poll, hasVoted, closed);
+  const selectedIds = draft ?? votedIds;
+  const maxSelections = poll.multiple ? poll.maxSelections || poll.options.length : 1;
+  
+  // Multiple choice percentages are per voter, so they can add up to more than 100%
+  const percentBase = poll.multiple ? (poll.votersCount || totalVotes) : totalVotes;
+  const leadingCount = Math.max(0, ...poll.options.map((o) => o.vote_count || 0));
+
+  // A submitted vote replaces the draft
+  useEffect(() => {
+    setDraft(null);
+    setLimitHint(false);
+  }, [userVote?.optionIds?.join(',')]);
+  
+  const pressOption = (option) => {
+    if (closed) return;
+    if (!poll.multiple) {
+      onVote(poll, votedIds.includes(option.id) ? [] : [option.id]);
+      return;
+    }
+    if (selectedIds.includes(option.id)) {
+      setLimitHint(false);
+      setDraft(selectedIds.filter((id) => id !== option.id));
+    } else if (selectedIds.length >= maxSelections) {
+      setLimitHint(true);
+    } else {
+      setLimitHint(false);
+      setDraft([...selectedIds, option.id]);
+    }
+  };
+  
+  const draftChanged = poll.multiple && draft !== null && !sameOptions(draft, votedIds);
   
   // Format date
   const formatDate = (dateString) => {
@@ -183,7 +251,8 @@ const PollCard = ({ poll, onVote, userVotes, colors, colorScheme, t }) => {
         styles.pollCard,
         { 
           backgroundColor: colorScheme === 'dark' ? colors.card : '#fff',
-          borderColor: colors.border,
+          borderColor: highlighted ? colors.primary : colors.border,
+          borderWidth: highlighted ? 2 : 1,
           transform: [{ scale: scaleAnim }],
           opacity: opacityAnim,
           ...Platform.select({
@@ -233,19 +302,77 @@ const PollCard = ({ poll, onVote, userVotes, colors, colorScheme, t }) => {
         {poll.question}
       </Text>
       
+      {/* Closing date and selection rules */}
+      {(poll.closesAt || poll.multiple) && (
+        <View style={styles.pollRules}>
+          {poll.closesAt && (
+            <View style={[styles.ruleChip, { backgroundColor: (closed ? colors.notification : colors.primary) + '15' }]}>
+              <Ionicons
+                name={closed ? 'lock-closed-outline' : 'time-outline'}
+                size={14}
+                color={closed ? colors.notification : colors.primary}
+              />
+              <Text style={[styles.ruleText, { color: closed ? colors.notification : colors.primary }]}>
+                {closed
+                  ? t('poll_closed', { date: formatDate(poll.closesAt) })
+                  : t('poll_closes_in', { time: formatTimeLeft(new Date(poll.closesAt).getTime() - now, t) })}
+              </Text>
+            </View>
+          )}
+          {poll.multiple && !closed && (
+            <View style={[styles.ruleChip, { backgroundColor: colors.primary + '15' }]}>
+              <Ionicons name="checkbox-outline" size={14} color={colors.primary} />
+              <Text style={[styles.ruleText, { color: colors.primary }]}>
+                {t('poll_choose_up_to', { count: maxSelections })}
+              </Text>
+            </View>
+          )}
+        </View>
+      )}
+      
       {/* Poll options */}
       <View style={styles.optionsContainer}>
         {poll.options.map((option) => (
           <PollOption
             key={option.id}
             option={option}
-            isSelected={userVote?.optionId === option.id}
-            onPress={() => onVote(poll.id, option)}
-            voteCount={totalVotes}
+            isSelected={selectedIds.includes(option.id)}
+            onPress={() => pressOption(option)}
+            percentage={percentBase > 0 ? Math.round(((option.vote_count || 0) / percentBase) * 100) : 0}
+            showResults={showResults}
+            isLeading={leadingCount > 0 && option.vote_count === leadingCount}
+            disabled={closed}
+            multiple={poll.multiple}
             colors={colors}
             colorScheme={colorScheme}
+            t={t}
           />
         ))}
+        
+        {limitHint && (
+          <Text style={[styles.resultsHidden, { color: colors.notification }]}>
+            {t('poll_selection_limit', { count: maxSelections })}
+          </Text>
+        )}
+        
+        {draftChanged && (
+          <TouchableOpacity
+            style={[styles.submitVoteButton, { backgroundColor: colors.primary }]}
+            onPress={() => onVote(poll, draft)}
+          >
+            <Text style={styles.submitVoteText}>
+              {draft.length === 0
+                ? t('poll_remove_vote')
+                : hasVoted ? t('poll_update_vote') : t('poll_submit_vote')}
+            </Text>
+          </TouchableOpacity>
+        )}
+        
+        {!showResults && (
+          <Text style={[styles.resultsHidden, { color: colors.text + '80' }]}>
+            {poll.resultsVisibility === 'after_close' ? t('poll_results_after_close') : t('poll_results_after_vote')}
+          </Text>
+        )}
       </View>
       
       {/* Poll footer */}
@@ -253,7 +380,7 @@ const PollCard = ({ poll, onVote, userVotes, colors, colorScheme, t }) => {
         <View style={styles.pollStats}>
           <Ionicons name="stats-chart-outline" size={16} color={colors.text + '80'} style={styles.statsIcon} />
           <Text style={[styles.totalVotes, { color: colors.text + '80' }]}>
-            {totalVotes} {t('votes')}
+            {showResults ? `${poll.multiple && poll.votersCount ? poll.votersCount : totalVotes} ${t('votes')}` : '—'}
           </Text>
           <View style={[styles.dateDivider, { backgroundColor: colors.text + '40' }]} />
           <Text style={[styles.pollDate, { color: colors.text + '80' }]}>
@@ -278,20 +405,50 @@ const PollCard = ({ poll, onVote, userVotes, colors, colorScheme, t }) => {
   );
 };
 
-const PollsScreen = () => {
+const PollsScreen = ({ route }) => {
   const { colors } = useTheme();
   const { t } = useI18n();
   const { isDarkMode } = useThemeContext();
   const colorScheme = isDarkMode ? 'dark' : 'light';
+  const { token } = useAuthContext();
+  const { items: outboxItems, lastSyncedAt, sendOrQueue, discard } = useOutbox();
   
   const [polls, setPolls] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [error, setError] = useState('');
   
-  // User votes state
+  // User votes state: pollId -> { optionIds, voteId } as known by the server, plus a feedback message
   const [userVotes, setUserVotes] = useState({});
-  const LOCAL_VOTES_KEY = 'user_poll_votes';
+  const votesLoaded = useRef(false);
+  
+  // Ticks the closing countdowns (and locks polls that close while the screen is open)
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(timer);
+  }, []);
+  
+  // Poll opened from a notification: scroll to it once the list has laid out
+  const highlightedPollId = route?.params?.pollId;
+  const scrollRef = useRef(null);
+  const pollOffsets = useRef({});
+  const listOffset = useRef(0);
+  
+  const scrollToPoll = (pollId) => {
+    const y = pollOffsets.current[pollId];
+    if (y === undefined) return;
+    scrollRef.current?.scrollTo({ y: Math.max(0, listOffset.current + y - 12), animated: true });
+  };
+  
+  const onPollLayout = (pollId, y) => {
+    pollOffsets.current[pollId] = y;
+    if (String(pollId) === String(highlightedPollId)) scrollToPoll(pollId);
+  };
+  
+  useEffect(() => {
+    if (highlightedPollId != null) scrollToPoll(highlightedPollId);
+  }, [highlightedPollId]);
   
   // Animation for header
   const headerOpacity = useRef(new Animated.Value(0)).current;
@@ -303,8 +460,8 @@ const PollsScreen = () => {
       setError('');
       if (!refreshing) setLoading(true);
       
-      const response = await axios.get(`${API_CONFIG.BASE_URL}/api/polls`);
-      const pollsData = response.data?.polls || response.data?.data || [];
+      const data = await api.get('/api/polls');
+      const pollsData = unwrapList(data, 'polls');
       
       // Process polls data
       const processedPolls = pollsData.map(poll => {
@@ -316,13 +473,14 @@ const PollsScreen = () => {
             ? poll.options.reduce((sum, o) => sum + (o.vote_count || o.votes || 0), 0)
             : 0
         );
+        const multiple = !!(poll.multiple ?? poll.allow_multiple ?? poll.is_multiple);
         
         // Build avatar URL
         const avatarPath = poll?.creator?.avatar || '';
         let pictureUrl = null;
         
         if (avatarPath) {
-          pictureUrl = getImageUrl(avatarPath, API_CONFIG.BASE_URL, true);
+          pictureUrl = getImageUrl(avatarPath, API_BASE_URL, true);
         }
         
         return {
@@ -340,6 +498,12 @@ const PollsScreen = () => {
           time: publishedAt ? new Date(publishedAt).toLocaleString() : '',
           date: publishedAt ? new Date(publishedAt).toLocaleDateString() : '',
           allvotes: `${totalVotes} ${t('votes')}`,
+          closesAt: poll.closes_at || poll.ends_at || null,
+          multiple,
+          maxSelections: multiple ? Number(poll.max_selections) || null : 1,
+          votersCount: poll.voters_count ?? null,
+          // 'always' | 'after_vote' | 'after_close'
+          resultsVisibility: poll.results_visibility || 'always',
         };
       });
       
@@ -353,21 +517,83 @@ const PollsScreen = () => {
     }
   }, [refreshing, t]);
 
-  // Load saved votes from local storage
-  useEffect(() => {
-    const loadSavedVotes = async () => {
+  // Load the user's votes from the server so they follow the account, not the device
+  const loadVotes = useCallback(async () => {
+    if (!token) {
+      votesLoaded.current = false;
+      setUserVotes({});
+      AsyncStorage.removeItem(LOCAL_VOTES_KEY).catch(() => {});
+      return;
+    }
+    
+    try {
+      const data = await api.get('/api/users/votes');
+      const votes = {};
+      unwrapList(data, 'votes').forEach((vote) => {
+        const pollId = vote.poll_id ?? vote.poll?.id;
+        // Multiple choice votes carry all their options
+        const optionIds = Array.isArray(vote.option_ids)
+          ? vote.option_ids
+          : [vote.option_id ?? vote.poll_option_id ?? vote.option?.id].filter((id) => id != null);
+        if (pollId == null || optionIds.length === 0) return;
+        votes[pollId] = {
+          optionIds: [...(votes[pollId]?.optionIds || []), ...optionIds],
+          voteId: votes[pollId]?.voteId ?? vote.id,
+        };
+      });
+      setUserVotes(votes);
+    } catch (error) {
+      console.error('Failed to load votes:', error);
+      // Fall back to the last votes we saw
       try {
         const savedVotes = await AsyncStorage.getItem(LOCAL_VOTES_KEY);
         if (savedVotes) {
-          setUserVotes(JSON.parse(savedVotes));
+          const votes = {};
+          Object.entries(JSON.parse(savedVotes)).forEach(([pollId, vote]) => {
+            const optionIds = vote?.optionIds ?? (vote?.optionId != null ? [vote.optionId] : []);
+            if (optionIds.length) votes[pollId] = { optionIds, voteId: vote.voteId };
+          });
+          setUserVotes(votes);
         }
-      } catch (error) {
-        console.error('Failed to load saved votes:', error);
+      } catch (e) {
+        console.error('Failed to load saved votes:', e);
       }
-    };
-    
-    loadSavedVotes();
-  }, []);
+    } finally {
+      votesLoaded.current = true;
+    }
+  }, [token]);
+
+  useEffect(() => {
+    loadVotes();
+  }, [loadVotes]);
+
+  // Keep the local copy in sync (without the feedback messages)
+  useEffect(() => {
+    if (!votesLoaded.current) return;
+    const stored = {};
+    Object.entries(userVotes).forEach(([pollId, vote]) => {
+      if (vote?.optionIds?.length) stored[pollId] = { optionIds: vote.optionIds, voteId: vote.voteId };
+    });
+    AsyncStorage.setItem(LOCAL_VOTES_KEY, JSON.stringify(stored)).catch((error) => {
+      console.error('Failed to save votes:', error);
+    });
+  }, [userVotes]);
+
+  // Queued votes were replayed: pick up their ids and the new counts
+  useEffect(() => {
+    if (lastSyncedAt) {
+      loadVotes();
+      fetchPolls();
+    }
+  }, [lastSyncedAt]);
+
+  // A vote change still waiting in the outbox wins over the server state
+  const getDisplayedVote = (pollId) => {
+    const vote = userVotes[pollId];
+    const queued = pendingVote(outboxItems, pollId);
+    if (queued === undefined) return vote;
+    return { ...vote, optionIds: queued ? queued.optionIds : [] };
+  };
 
   // Fetch polls when component mounts
   useEffect(() => {
@@ -394,105 +620,107 @@ const PollsScreen = () => {
     fetchPolls();
   }, [fetchPolls]);
 
-  // Handle voting
-  const handleVote = async (pollId, option) => {
-    // Get authentication token
-    const token = null; // Replace with your auth token retrieval logic
+  // Handle voting: `optionIds` is the full new selection, an empty one removes the vote
+  const handleVote = async (poll, optionIds) => {
+    const pollId = poll.id;
+    const setMessage = (message, type) => {
+      setUserVotes(prev => ({ ...prev, [pollId]: { ...prev[pollId], message, type } }));
+    };
     
     if (!token) {
-      setUserVotes(prev => ({
-        ...prev,
-        [pollId]: { 
-          ...prev[pollId],
-          message: t('auth_required') || 'You must be signed in to vote',
-          type: 'error'
-        }
-      }));
+      setMessage(t('auth_required') || 'You must be signed in to vote', 'error');
       return;
     }
+    if (isPollClosed(poll)) {
+      setMessage(t('poll_closed_error'), 'error');
+      return;
+    }
+    
+    const serverVote = userVotes[pollId] || {};
+    const serverIds = serverVote.optionIds || [];
+    const removing = optionIds.length === 0;
+    const isChange = !removing && serverIds.length > 0;
+    // Single choice polls keep the original payload
+    const selection = poll.multiple ? { option_ids: optionIds } : { option_id: optionIds[0] };
+    const meta = {
+      pollId,
+      optionIds,
+      summary: poll.options.filter((o) => optionIds.includes(o.id)).map((o) => o.option_text).join(', '),
+    };
     
     try {
-      const currentVote = userVotes[pollId];
+      // Changes that never reached the server are replaced by this one
+      outboxItems
+        .filter((item) => VOTE_MUTATIONS.includes(item.type) && String(item.meta?.pollId) === String(pollId))
+        .forEach((item) => discard(item.id));
       
-      if (currentVote?.voteId) {
-        // Remove vote
-        const url = `${API_CONFIG.BASE_URL}/api/users/votes/${currentVote.voteId}`;
-        await axios.delete(url, { headers: { Authorization: `Bearer ${token}` } });
-        
-        setUserVotes(prev => {
-          const next = { 
-            ...prev, 
-            [pollId]: { 
-              message: t('vote_removed') || 'Vote removed',
-              type: 'success' 
-            } 
-          };
-          
-          // Save to local storage
-          try {
-            const updatedVotes = { ...prev };
-            delete updatedVotes[pollId];
-            AsyncStorage.setItem(LOCAL_VOTES_KEY, JSON.stringify(updatedVotes));
-          } catch (error) {
-            console.error('Failed to save votes:', error);
-          }
-          
-          return next;
+      let result = { queued: false, data: null };
+      if (sameOptions(optionIds, serverIds)) {
+        // Back to what the server already has
+      } else if (removing) {
+        result = await sendOrQueue({
+          type: 'unvote',
+          method: 'DELETE',
+          path: `/api/users/votes/${serverVote.voteId}`,
+          meta: { pollId },
+        });
+      } else if (serverVote.voteId) {
+        // Change the vote in one request so it is never lost in between
+        result = await sendOrQueue({
+          type: 'change_vote',
+          method: 'PUT',
+          path: `/api/users/votes/${serverVote.voteId}`,
+          json: selection,
+          meta,
         });
       } else {
-        // Add vote
-        const url = `${API_CONFIG.BASE_URL}/api/users/votes`;
-        const response = await axios.post(
-          url, 
-          { poll_id: pollId, option_id: option.id }, 
-          { headers: { Authorization: `Bearer ${token}` } }
-        );
-        
-        const voteId = response?.data?.vote?.id;
-        
-        setUserVotes(prev => {
-          const next = { 
-            ...prev, 
-            [pollId]: { 
-              optionId: option.id, 
-              voteId, 
-              message: t('vote_submitted') || 'Vote submitted',
-              type: 'success' 
-            } 
-          };
-          
-          // Save to local storage
-          try {
-            AsyncStorage.setItem(LOCAL_VOTES_KEY, JSON.stringify(next));
-          } catch (error) {
-            console.error('Failed to save votes:', error);
-          }
-          
-          return next;
+        result = await sendOrQueue({
+          type: 'vote',
+          method: 'POST',
+          path: '/api/users/votes',
+          json: { poll_id: pollId, ...selection },
+          meta,
         });
       }
       
+      const message = result.queued
+        ? t('outbox.saved_offline')
+        : removing
+          ? (t('vote_removed') || 'Vote removed')
+          : isChange
+            ? (t('vote_changed') || 'Vote changed')
+            : (t('vote_submitted') || 'Vote submitted');
+      
+      setUserVotes(prev => {
+        // Queued changes are shown from the outbox until they are replayed
+        if (result.queued) {
+          return { ...prev, [pollId]: { ...prev[pollId], message, type: 'success' } };
+        }
+        const vote = removing
+          ? {}
+          : { optionIds, voteId: result.data?.vote?.id ?? serverVote.voteId };
+        return { ...prev, [pollId]: { ...vote, message, type: 'success' } };
+      });
+      
       // Refresh polls to get updated vote counts
-      fetchPolls();
+      if (!result.queued) fetchPolls();
     } catch (error) {
       console.error('Failed to vote:', error);
       
-      const isDelete = !!userVotes[pollId]?.voteId;
-      setUserVotes(prev => ({
-        ...prev,
-        [pollId]: { 
-          ...prev[pollId],
-          message: isDelete 
-            ? (t('vote_remove_failed') || 'Failed to remove vote')
+      setMessage(
+        removing
+          ? (t('vote_remove_failed') || 'Failed to remove vote')
+          : isChange
+            ? (t('vote_change_failed') || 'Failed to change vote')
             : (t('vote_submit_failed') || 'Failed to submit vote'),
-          type: 'error'
-        }
-      }));
+        'error'
+      );
     }
   };
 
   return (
     <ScrollView 
+      ref={scrollRef}
       style={[styles.container, { backgroundColor: colorScheme === 'dark' ? colors.background : '#f7f9fc' }]}
       contentContainerStyle={styles.contentContainer}
       refreshControl={
@@ -544,17 +772,20 @@ const PollsScreen = () => {
           </Text>
         </View>
       ) : (
-        <View style={styles.pollsContainer}>
+        <View style={styles.pollsContainer} onLayout={(e) => { listOffset.current = e.nativeEvent.layout.y; }}>
           {polls.map((poll) => (
-            <PollCard
-              key={poll.id}
-              poll={poll}
-              onVote={handleVote}
-              userVotes={userVotes}
-              colors={colors}
-              colorScheme={colorScheme}
-              t={t}
-            />
+            <View key={poll.id} onLayout={(e) => onPollLayout(poll.id, e.nativeEvent.layout.y)}>
+              <PollCard
+                poll={poll}
+                onVote={handleVote}
+                userVote={getDisplayedVote(poll.id)}
+                now={now}
+                highlighted={String(poll.id) === String(highlightedPollId)}
+                colors={colors}
+                colorScheme={colorScheme}
+                t={t}
+              />
+            </View>
           ))}
         </View>
       )}
@@ -779,6 +1010,41 @@ const styles = StyleSheet.create({
   pollDate: {
     fontSize: 14,
   },
+  pollRules: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    paddingHorizontal: 16,
+    paddingBottom: 12,
+    gap: 8,
+  },
+  ruleChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 12,
+  },
+  ruleText: {
+    fontSize: 13,
+    fontWeight: '500',
+    marginLeft: 4,
+  },
+  submitVoteButton: {
+    paddingVertical: 10,
+    borderRadius: 10,
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  submitVoteText: {
+    color: '#fff',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  resultsHidden: {
+    fontSize: 13,
+    textAlign: 'center',
+    marginTop: 8,
+  },
   voteMessage: {
     marginTop: 8,
     padding: 8,
@@ -11,28 +11,28 @@ import {
   TextInput,
   KeyboardAvoidingView,
   Platform,
-  Share
+  Share,
+  Alert
 } from 'react-native';
 import { useTheme } from '@react-navigation/native';
 import { useI18n } from '../i18n';
 import { useThemeContext } from '../theme/ThemeContext';
-import axios from 'axios';
 import { Ionicons } from '@expo/vector-icons';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { useAuthContext } from '../auth/AuthContext';
+import { CLEANED_COLOR, canMarkCleaned, isPostCleaned } from '../utils/postStatus';
+import { api, unwrapItem, unwrapList, NetworkError, API_BASE_URL, STORAGE_PATHS } from '../api/client';
+import { loadCachedPost, saveCachedPost } from '../offline/postsCache';
+import LastUpdated from '../components/shared/LastUpdated';
+import { useOutbox } from '../offline/OutboxContext';
+import { pendingFavorite } from '../offline/outbox';
+import usePostReactions from '../hooks/usePostReactions';
+import ReactionPicker, { ReactionIcon } from '../components/shared/ReactionPicker';
+import { isNegativeReaction, getReactionName } from '../utils/reactions';
 
-// API configuration (aligned with MapScreen)
-const RAW_BASE = process.env.EXPO_PUBLIC_API_BASE || 'http://127.0.0.1:8000';
-const API_CONFIG = {
-  BASE_URL: RAW_BASE.replace(/\/$/, ''),
-  STORAGE_PATHS: [
-    '/storage/',
-    '/',
-    '/public/storage/'
-  ],
-};
+const PENDING_COLOR = '#F59E0B';
 
 // Helper function to get the correct image URL format
-const getImageUrl = (imagePath, apiBase = API_CONFIG.BASE_URL, isUserAvatar = false) => {
+const getImageUrl = (imagePath, apiBase = API_BASE_URL, isUserAvatar = false) => {
   if (!imagePath) return null;
   
   // For debugging
@@ -76,12 +76,12 @@ const useImageWithFallback = (initialImagePath, userName, isUserAvatar = false)
   const initialFallback = { uri: `https://ui-avatars.com/api/?name=${encodeURIComponent(initialChar)}&background=random&color=fff&size=100` };
   const [imageSource, setImageSource] = React.useState(() => {
     return initialImagePath
-      ? { uri: getImageUrl(initialImagePath, API_CONFIG.BASE_URL, isUserAvatar) }
+      ? { uri: getImageUrl(initialImagePath, API_BASE_URL, isUserAvatar) }
       : initialFallback;
   });
   const [imageError, setImageError] = React.useState(false);
   const retryCount = React.useRef(0);
-  const maxRetries = API_CONFIG.STORAGE_PATHS.length;
+  const maxRetries = STORAGE_PATHS.length;
   
   // Get user's first initial for fallback avatar
   const getInitial = React.useCallback(() => {
@@ -103,7 +103,7 @@ const useImageWithFallback = (initialImagePath, userName, isUserAvatar = false)
     if (initialImagePath) {
       setImageError(false);
       retryCount.current = 0;
-      setImageSource({ uri: getImageUrl(initialImagePath, API_CONFIG.BASE_URL, isUserAvatar) });
+      setImageSource({ uri: getImageUrl(initialImagePath, API_BASE_URL, isUserAvatar) });
     } else {
       // No image path provided — use a safe fallback immediately
       useFallbackAvatar();
@@ -121,21 +121,21 @@ const useImageWithFallback = (initialImagePath, userName, isUserAvatar = false)
       const cleaned = String(initialImagePath).replace(/^\/+/g, '');
       let retryUrl;
       
-      if (pathIndex < API_CONFIG.STORAGE_PATHS.length) {
+      if (pathIndex < STORAGE_PATHS.length) {
         // Try the next storage path format
-        const storagePath = API_CONFIG.STORAGE_PATHS[pathIndex];
+        const storagePath = STORAGE_PATHS[pathIndex];
         
         if (isUserAvatar) {
           // For avatars, try different URL patterns
           if (pathIndex === 0) {
-            retryUrl = `${API_CONFIG.BASE_URL}/storage/avatar/${cleaned.replace('avatar/', '')}`;
+            retryUrl = `${API_BASE_URL}/storage/avatar/${cleaned.replace('avatar/', '')}`;
           } else if (pathIndex === 1) {
-            retryUrl = `${API_CONFIG.BASE_URL}/api/users/${cleaned.replace('avatar/', '').split('/')[0]}/avatar`;
+            retryUrl = `${API_BASE_URL}/api/users/${cleaned.replace('avatar/', '').split('/')[0]}/avatar`;
           } else {
-            retryUrl = `${API_CONFIG.BASE_URL}${storagePath}${cleaned}`;
+            retryUrl = `${API_BASE_URL}${storagePath}${cleaned}`;
           }
         } else {
-          retryUrl = `${API_CONFIG.BASE_URL}${storagePath}${cleaned}`;
+          retryUrl = `${API_BASE_URL}${storagePath}${cleaned}`;
         }
         
         console.log(`[PostDetails] Retrying with URL format ${pathIndex+1}/${maxRetries}: ${retryUrl}`);
@@ -168,31 +168,31 @@ const formatDate = (dateString) => {
 
 const PostDetailsScreen = ({ route, navigation }) => {
   const postId = route?.params?.postId ?? route?.params?.id ?? null;
+  const refreshAt = route?.params?.refreshAt;
   const { colors } = useTheme();
   const { t } = useI18n();
   const { isDarkMode } = useThemeContext();
+  const { token, user } = useAuthContext();
+  const { items: outboxItems, lastSyncedAt, sendOrQueue } = useOutbox();
   
   const [post, setPost] = useState(null);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
-  const [token, setToken] = useState(null);
   const [comment, setComment] = useState('');
   const [submittingComment, setSubmittingComment] = useState(false);
   const [isFavorited, setIsFavorited] = useState(false);
   const [favoriting, setFavoriting] = useState(false);
-  
-  // Load token from AsyncStorage
-  useEffect(() => {
-    const loadToken = async () => {
-      try {
-        const storedToken = await AsyncStorage.getItem('auth_token');
-        setToken(storedToken);
-      } catch (err) {
-        console.error('Failed to load auth token', err);
-      }
-    };
-    loadToken();
-  }, []);
+  const [updatedAt, setUpdatedAt] = useState(null);
+  const [offline, setOffline] = useState(false);
+  const [pickerPolarity, setPickerPolarity] = useState(null);
+  const {
+    types: reactionTypes,
+    typesError: reactionTypesError,
+    reloadTypes: reloadReactionTypes,
+    getReactionState,
+    react,
+    resetOverrides: resetReactionOverrides,
+  } = usePostReactions();
   
   // Fetch post details
   const fetchPostDetails = useCallback(async () => {
@@ -215,20 +215,26 @@ const PostDetailsScreen = ({ route, navigation }) => {
       return;
     }
 
-    setLoading(true);
+    // Render the cached copy right away, then revalidate
+    const cached = await loadCachedPost(normalizedId);
+    if (cached) {
+      setPost(cached.post);
+      setUpdatedAt(cached.updatedAt);
+      setLoading(false);
+    } else {
+      setLoading(true);
+    }
+
     try {
       console.log('PostDetailsScreen: Fetching post with ID:', normalizedId);
-      const res = await axios.get(`${API_CONFIG.BASE_URL}/api/garbage-posts/${normalizedId}`, {
-        headers: token ? { Authorization: `Bearer ${token}` } : {},
-        timeout: 10000 // 10 second timeout
-      });
+      const data = await api.get(`/api/garbage-posts/${normalizedId}`, { timeoutMs: 10000 });
       
       // Extract post data from response with better error handling
-      const postData = res.data?.garbagePost || res.data?.data || res.data;
+      const postData = unwrapItem(data, 'garbagePost');
       
       if (!postData || !postData.id) {
-        console.error('PostDetailsScreen: Invalid post data received:', res.data);
-        setPost(null);
+        console.error('PostDetailsScreen: Invalid post data received:', data);
+        if (!cached) setPost(null);
         setLoading(false);
         setRefreshing(false);
         return;
@@ -236,19 +242,15 @@ const PostDetailsScreen = ({ route, navigation }) => {
       
       console.log('PostDetailsScreen: Post details fetched successfully:', postData.id);
       setPost(postData);
+      setOffline(false);
+      const entry = await saveCachedPost(postData);
+      if (entry) setUpdatedAt(entry.updatedAt);
       
       // Check if post is favorited
       if (token) {
         try {
-          const favRes = await axios.get(`${API_CONFIG.BASE_URL}/api/users/favorite-posts`, {
-            headers: { Authorization: `Bearer ${token}` }
-          });
-          const favorites = favRes.data?.favoritePosts || 
-                           favRes.data?.favorites || 
-                           favRes.data?.data || 
-                           favRes.data?.favorite_posts || 
-                           favRes.data?.favorite_posts?.data || 
-                           [];
+          const favData = await api.get('/api/users/favorite-posts');
+          const favorites = unwrapList(favData, 'favoritePosts', 'favorites', 'favorite_posts');
           
           const isFav = favorites.some(fav => {
             const favId = fav?.garbage_post_id ?? fav?.post_id ?? fav?.garbage_post?.id ?? fav?.post?.id;
@@ -262,8 +264,13 @@ const PostDetailsScreen = ({ route, navigation }) => {
       }
     } catch (err) {
       console.error('PostDetailsScreen: Failed to fetch post details', err);
-      // Set post to null on error to show error state
-      setPost(null);
+      if (err instanceof NetworkError && cached) {
+        // Offline: keep showing the cached copy
+        setOffline(true);
+      } else if (!cached) {
+        // Set post to null on error to show error state
+        setPost(null);
+      }
     } finally {
       setLoading(false);
       setRefreshing(false);
@@ -272,7 +279,34 @@ const PostDetailsScreen = ({ route, navigation }) => {
   
   useEffect(() => {
     fetchPostDetails();
-  }, [fetchPostDetails]);
+  }, [fetchPostDetails, refreshAt]);
+
+  // Queued comments/favorites for this post were just delivered: pick up the server state
+  useEffect(() => {
+    if (lastSyncedAt) fetchPostDetails();
+  }, [lastSyncedAt]);
+
+  // Fresh post data carries the server's reaction counts again
+  useEffect(() => {
+    resetReactionOverrides();
+  }, [post, resetReactionOverrides]);
+
+  // A favorite change still waiting in the outbox wins over the server state
+  const queuedFavorite = pendingFavorite(outboxItems, postId);
+  const favorited = queuedFavorite ?? isFavorited;
+
+  // Comments written offline, shown until they are delivered
+  const queuedComments = outboxItems
+    .filter((item) => item.type === 'comment' && String(item.meta?.postId) === String(postId))
+    .map((item) => ({
+      id: `outbox_${item.id}`,
+      content: item.json?.content,
+      user,
+      created_at: new Date(item.createdAt).toISOString(),
+      syncStatus: item.status,
+      syncError: item.error,
+    }));
+  const comments = [...(post?.comments || []), ...queuedComments];
   
   // Handle refresh
   const handleRefresh = () => {
@@ -286,19 +320,21 @@ const PostDetailsScreen = ({ route, navigation }) => {
     
     setSubmittingComment(true);
     try {
-      await axios.post(
-        `${API_CONFIG.BASE_URL}/api/comments`,
-        {
+      const { queued } = await sendOrQueue({
+        type: 'comment',
+        method: 'POST',
+        path: '/api/comments',
+        json: {
           content: comment,
           commentable_id: postId,
           commentable_type: 'App\\Models\\GarbagePost'
         },
-        { headers: { Authorization: `Bearer ${token}` } }
-      );
+        meta: { postId: String(postId), summary: comment.slice(0, 60) },
+      });
       
-      // Clear comment and refresh post to show new comment
+      // Clear comment and refresh post to show new comment (queued ones render from the outbox)
       setComment('');
-      fetchPostDetails();
+      if (!queued) fetchPostDetails();
     } catch (err) {
       console.error('Failed to submit comment', err);
     } finally {
@@ -312,26 +348,17 @@ const PostDetailsScreen = ({ route, navigation }) => {
     
     setFavoriting(true);
     try {
-      if (isFavorited) {
-        // Remove favorite
-        await axios.delete(`${API_CONFIG.BASE_URL}/api/users/favorite-posts`, {
-          headers: {
-            Authorization: `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          },
-          data: { garbage_post_id: postId }
-        });
-      } else {
-        // Add favorite
-        await axios.post(
-          `${API_CONFIG.BASE_URL}/api/users/favorite-posts`,
-          { garbage_post_id: postId },
-          { headers: { Authorization: `Bearer ${token}` } }
-        );
-      }
+      // Remove or add favorite; queued while offline and applied optimistically
+      await sendOrQueue({
+        type: favorited ? 'unfavorite' : 'favorite',
+        method: favorited ? 'DELETE' : 'POST',
+        path: '/api/users/favorite-posts',
+        json: { garbage_post_id: postId },
+        meta: { postId: String(postId), summary: post?.description?.slice(0, 60) },
+      });
       
       // Update local state
-      setIsFavorited(!isFavorited);
+      setIsFavorited(!favorited);
     } catch (err) {
       console.error('Toggle favorite failed', err);
     } finally {
@@ -339,54 +366,29 @@ const PostDetailsScreen = ({ route, navigation }) => {
     }
   };
   
+  // Persist the reaction picked in the picker (picking the current one again removes it)
+  const selectReaction = async (reactionType) => {
+    setPickerPolarity(null);
+    if (!post) return;
+    try {
+      await react(post, reactionType);
+    } catch (err) {
+      Alert.alert(t('error'), t('reaction_picker.failed'));
+    }
+  };
+
   // Share post
   const sharePost = async () => {
     try {
       await Share.share({
         message: `${t('check_out_post')}: ${post.title || post.description || t('interesting_post')}`,
-        url: `${API_CONFIG.BASE_URL}/posts/${postId}`
+        url: `${API_BASE_URL}/posts/${postId}`
       });
     } catch (error) {
       console.error('Error sharing post:', error);
     }
   };
 
-  // Set up image hooks with default values first to maintain hook order
-  const [authorAvatarSource, setAuthorAvatarSource] = useState({ uri: '' });
-  const [beforeSource, setBeforeSource] = useState({ uri: '' });
-  const [afterSource, setAfterSource] = useState({ uri: '' });
-  const [handleAuthorAvatarError, setHandleAuthorAvatarError] = useState(() => () => {});
-  const [handleBeforeError, setHandleBeforeError] = useState(() => () => {});
-  const [handleAfterError, setHandleAfterError] = useState(() => () => {});
-
-  // Initialize image hooks when post data is available
-  useEffect(() => {
-    if (post) {
-      // Set up author avatar
-      const { imageSource: authorSource, handleImageError: authorErrorHandler } = useImageWithFallback(
-        post.user?.avatar,
-        post.user?.name,
-        true
-      );
-      setAuthorAvatarSource(authorSource);
-      setHandleAuthorAvatarError(() => authorErrorHandler);
-
-      // Set up before/after images
-      const beforeImage = post.images?.find(img => img.type === 'before')?.image_path || null;
-      const afterImage = post.images?.find(img => img.type === 'after')?.image_path || null;
-      const beforeUrl = beforeImage ? getImageUrl(beforeImage) : null;
-      const afterUrl = afterImage ? getImageUrl(afterImage) : null;
-
-      const { imageSource: beforeImgSource, handleImageError: beforeErrorHandler } = useImageWithFallback(beforeUrl, 'B');
-      const { imageSource: afterImgSource, handleImageError: afterErrorHandler } = useImageWithFallback(afterUrl, 'A');
-      
-      setBeforeSource(beforeImgSource);
-      setAfterSource(afterImgSource);
-      setHandleBeforeError(() => beforeErrorHandler);
-      setHandleAfterError(() => afterErrorHandler);
-    }
-  }, [post]);
-
   // Comment item component moved outside to fix Rules of Hooks violation
 
   if (loading) {
@@ -417,6 +419,15 @@ const PostDetailsScreen = ({ route, navigation }) => {
     );
   }
   
+  // Resolve before/after images from post.images
+  const beforePath = post.images?.find(img => img?.type === 'before')?.image_path || null;
+  const afterPath = post.images?.find(img => img?.type === 'after')?.image_path || null;
+  const cleaned = isPostCleaned(post);
+  const showMarkCleaned = canMarkCleaned(post, user);
+  const reactionState = getReactionState(post);
+  const isUpvoted = !!reactionState.reaction && !isNegativeReaction(reactionState.reaction);
+  const isDownvoted = !!reactionState.reaction && isNegativeReaction(reactionState.reaction);
+
   return (
     <KeyboardAvoidingView 
       style={[styles.container, { backgroundColor: colors.background }]}
@@ -443,10 +454,11 @@ const PostDetailsScreen = ({ route, navigation }) => {
         }]}>
           <View style={styles.postHeader}>
             <View style={styles.postAuthor}>
-              <Image
-                source={authorAvatarSource}
+              <FallbackImage
+                imagePath={post.user?.avatar}
+                fallbackName={post.user?.name}
+                isUserAvatar
                 style={styles.authorAvatar}
-                onError={handleAuthorAvatarError}
               />
               <View>
                 <Text style={[styles.authorName, { color: colors.text }]}>
@@ -476,15 +488,15 @@ const PostDetailsScreen = ({ route, navigation }) => {
             </Text>
             
             {/* Before/After Images */}
-            {(beforeUrl || afterUrl) && (
+            {(beforePath || afterPath) && (
               <View style={styles.imagesContainer}>
-                {beforeUrl && (
+                {beforePath && (
                   <View style={styles.imageWrapper}>
-                    <Image
-                      source={beforeSource}
+                    <FallbackImage
+                      imagePath={beforePath}
+                      fallbackName="B"
                       style={styles.postImage}
                       resizeMode="cover"
-                      onError={handleBeforeError}
                     />
                     <View style={[styles.imageLabel, { backgroundColor: isDarkMode ? 'rgba(0,0,0,0.7)' : 'rgba(0,0,0,0.6)' }]}>
                       <Text style={styles.imageLabelText}>{t('before')}</Text>
@@ -492,13 +504,13 @@ const PostDetailsScreen = ({ route, navigation }) => {
                   </View>
                 )}
                 
-                {afterUrl && (
+                {afterPath && (
                   <View style={styles.imageWrapper}>
-                    <Image
-                      source={afterSource}
+                    <FallbackImage
+                      imagePath={afterPath}
+                      fallbackName="A"
                       style={styles.postImage}
                       resizeMode="cover"
-                      onError={handleAfterError}
                     />
                     <View style={[styles.imageLabel, { backgroundColor: isDarkMode ? 'rgba(0,0,0,0.7)' : 'rgba(0,0,0,0.6)' }]}>
                       <Text style={styles.imageLabelText}>{t('after')}</Text>
@@ -530,19 +542,90 @@ const PostDetailsScreen = ({ route, navigation }) => {
                   {t('status')}: {post.verification_status}
                 </Text>
               </View>
+
+              <View style={styles.metadataItem}>
+                <View style={[styles.statusBadge, { backgroundColor: cleaned ? CLEANED_COLOR : colors.notification }]}>
+                  <Ionicons name={cleaned ? 'checkmark-done' : 'trash-outline'} size={14} color="#fff" />
+                  <Text style={styles.statusBadgeText}>
+                    {cleaned ? t('post_status.cleaned') : t('post_status.open')}
+                  </Text>
+                </View>
+              </View>
+
+              <LastUpdated updatedAt={updatedAt} offline={offline} />
             </View>
+
+            {showMarkCleaned && (
+              <TouchableOpacity
+                style={[styles.markCleanedButton, { backgroundColor: CLEANED_COLOR }]}
+                onPress={() => navigation.navigate('MarkCleaned', {
+                  postId: post.id,
+                  latitude: post.latitude ?? post.lat,
+                  longitude: post.longitude ?? post.lng,
+                })}
+              >
+                <Ionicons name="checkmark-done" size={20} color="#fff" />
+                <Text style={styles.markCleanedText}>{t('mark_cleaned.action')}</Text>
+              </TouchableOpacity>
+            )}
+            
+            {/* Current reaction */}
+            {reactionState.reaction && (
+              <View style={styles.currentReaction}>
+                <ReactionIcon
+                  item={reactionState.reaction}
+                  size={16}
+                  color={isDownvoted ? colors.notification : colors.primary}
+                />
+                <Text style={[styles.currentReactionText, { color: colors.text + '99' }]}>
+                  {t('reaction_picker.yours', { name: getReactionName(t, reactionState.reaction) })}
+                </Text>
+              </View>
+            )}
             
             {/* Post Actions */}
             <View style={styles.actionsContainer}>
+              <TouchableOpacity 
+                style={styles.actionButton}
+                onPress={() => setPickerPolarity('positive')}
+                disabled={!token}
+                accessibilityLabel={t('upvote')}
+              >
+                <Ionicons
+                  name={isUpvoted ? 'thumbs-up' : 'thumbs-up-outline'}
+                  size={24}
+                  color={isUpvoted ? colors.primary : colors.text}
+                />
+                <Text style={[styles.actionText, { color: colors.text }]}>
+                  {reactionState.positive}
+                </Text>
+              </TouchableOpacity>
+              
+              <TouchableOpacity 
+                style={styles.actionButton}
+                onPress={() => setPickerPolarity('negative')}
+                disabled={!token}
+                accessibilityLabel={t('downvote')}
+              >
+                <Ionicons
+                  name={isDownvoted ? 'thumbs-down' : 'thumbs-down-outline'}
+                  size={24}
+                  color={isDownvoted ? colors.notification : colors.text}
+                />
+                <Text style={[styles.actionText, { color: colors.text }]}>
+                  {reactionState.negative}
+                </Text>
+              </TouchableOpacity>
+              
               <TouchableOpacity 
                 style={styles.actionButton}
                 onPress={toggleFavorite}
                 disabled={favoriting || !token}
               >
                 <Ionicons
-                  name={isFavorited ? 'heart' : 'heart-outline'}
+                  name={favorited ? 'heart' : 'heart-outline'}
                   size={24}
-                  color={isFavorited ? '#e74c3c' : colors.text}
+                  color={favorited ? '#e74c3c' : colors.text}
                 />
                 <Text style={[styles.actionText, { color: colors.text }]}>
                   {t('favorite')}
@@ -570,11 +653,11 @@ const PostDetailsScreen = ({ route, navigation }) => {
           borderColor: isDarkMode ? colors.border : 'transparent'
         }]}>
           <Text style={[styles.commentsTitle, { color: colors.text }]}>
-            {t('comments')} ({post.comments?.length || 0})
+            {t('comments')} ({comments.length})
           </Text>
           
-          {post.comments && post.comments.length > 0 ? (
-            post.comments.map((comment) => (
+          {comments.length > 0 ? (
+            comments.map((comment) => (
               <CommentItem 
                 key={comment.id} 
                 comment={comment} 
@@ -593,6 +676,17 @@ const PostDetailsScreen = ({ route, navigation }) => {
           )}
         </View>
       </ScrollView>
+
+      <ReactionPicker
+        visible={!!pickerPolarity}
+        types={reactionTypes}
+        polarity={pickerPolarity}
+        selectedId={reactionState.reactionTypeId}
+        error={reactionTypesError}
+        onRetry={reloadReactionTypes}
+        onSelect={selectReaction}
+        onClose={() => setPickerPolarity(null)}
+      />
       
       {/* Comment Input */}
       {token && (
@@ -631,6 +725,19 @@ const PostDetailsScreen = ({ route, navigation }) => {
   );
 };
 
+// Image with the shared retry/fallback logic (hooks must live in a component)
+const FallbackImage = React.memo(({ imagePath, fallbackName, isUserAvatar = false, style, resizeMode }) => {
+  const { imageSource, handleImageError } = useImageWithFallback(imagePath, fallbackName, isUserAvatar);
+  return (
+    <Image
+      source={imageSource}
+      style={style}
+      resizeMode={resizeMode}
+      onError={handleImageError}
+    />
+  );
+});
+
 // CommentItem component moved outside to fix Rules of Hooks violation
 const CommentItem = React.memo(({ comment, colors, t, formatDate }) => {
   const { imageSource: commentAvatarSource, handleImageError: handleCommentAvatarError } = 
@@ -655,6 +762,13 @@ const CommentItem = React.memo(({ comment, colors, t, formatDate }) => {
         <Text style={[styles.commentText, { color: colors.text, fontSize: 14, lineHeight: 20 }]}>
           {comment.content}
         </Text>
+        {comment.syncStatus ? (
+          <Text style={[styles.commentSyncText, { color: comment.syncStatus === 'failed' ? '#E53935' : PENDING_COLOR }]}>
+            {comment.syncStatus === 'failed'
+              ? t('outbox.failed', { error: comment.syncError || '' })
+              : t('outbox.pending')}
+          </Text>
+        ) : null}
       </View>
     </View>
   );
@@ -786,6 +900,33 @@ const styles = StyleSheet.create({
     marginLeft: 8,
     fontSize: 14,
   },
+  statusBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 10,
+  },
+  statusBadgeText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: '700',
+  },
+  markCleanedButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    paddingVertical: 12,
+    borderRadius: 8,
+    marginBottom: 12,
+  },
+  markCleanedText: {
+    color: '#fff',
+    fontSize: 15,
+    fontWeight: '700',
+  },
   actionsContainer: {
     flexDirection: 'row',
     justifyContent: 'space-around',
@@ -803,6 +944,15 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: '500',
   },
+  currentReaction: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  currentReactionText: {
+    marginLeft: 6,
+    fontSize: 13,
+  },
   commentsCard: {
     borderRadius: 12,
     padding: 16,
@@ -850,6 +1000,10 @@ const styles = StyleSheet.create({
     lineHeight: 20,
     marginTop: 2,
   },
+  commentSyncText: {
+    fontSize: 12,
+    marginTop: 4,
+  },
   noCommentsContainer: {
     alignItems: 'center',
     padding: 20,
@@ -5,6 +5,7 @@ import { useAuthContext } from '../auth/AuthContext';
 import { useI18n } from '../i18n';
 import { useThemeContext } from '../theme/ThemeContext';
 import { MaterialIcons } from '@expo/vector-icons';
+import { api, unwrapItem, ValidationError, UPLOAD_TIMEOUT_MS } from '../api/client';
 
 const ProfileScreen = ({ navigation }) => {
   const { token, user: authUser, logout } = useAuthContext();
@@ -37,13 +38,9 @@ const ProfileScreen = ({ navigation }) => {
     setLoading(true);
     setError('');
     try {
-      const response = await fetch(`${process.env.EXPO_PUBLIC_API_BASE}/api/users/profile`, {
-        headers: { Authorization: `Bearer ${token}` },
-      });
-      const data = await response.json();
-      if (!response.ok) throw new Error(data.message || 'Failed to load profile');
+      const data = await api.get('/api/users/profile');
       
-      const u = data?.user || null;
+      const u = unwrapItem(data, 'user');
       setUser(u);
       setName(u?.name || '');
       setEmail(u?.email || '');
@@ -148,53 +145,23 @@ const ProfileScreen = ({ navigation }) => {
         console.log('Form data fields:', formData._parts.map(([key]) => key).join(', '));
       }
 
-      console.log('Sending request to:', `${process.env.EXPO_PUBLIC_API_BASE}/api/users/profile`);
-      
-      const response = await fetch(`${process.env.EXPO_PUBLIC_API_BASE}/api/users/profile`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Accept': 'application/json',
-        },
-        body: formData,
-      });
-
-      let responseData;
-      try {
-        const responseText = await response.text();
-        responseData = responseText ? JSON.parse(responseText) : {};
-      } catch (e) {
-        console.error('Failed to parse response:', e);
-        throw new Error('Invalid server response');
-      }
-
-      if (!response.ok) {
-        console.error('Server error:', {
-          status: response.status,
-          statusText: response.statusText,
-          data: responseData
-        });
-        
-        let errorMessage = 'Update failed';
-        if (responseData?.message) {
-          errorMessage = responseData.message;
-        } else if (responseData?.errors) {
-          // Handle validation errors
-          errorMessage = Object.entries(responseData.errors)
-            .map(([field, messages]) => `${field}: ${Array.isArray(messages) ? messages.join(', ') : messages}`)
-            .join('\n');
-        } else if (response.status === 413) {
-          errorMessage = 'File too large. Please select an image smaller than 2MB';
-        }
-        throw new Error(errorMessage);
-      }
+      await api.post('/api/users/profile', formData, { timeoutMs: UPLOAD_TIMEOUT_MS });
 
       setSuccess(t('profile.updated_success') || 'Profile updated successfully');
       setAvatarFile(null);
       fetchProfile(); // Refresh profile data
     } catch (err) {
       console.error('Profile update error:', err);
-      setError(err.message || t('profile.update_error') || 'Failed to update profile');
+      if (err.data?.message) {
+        setError(err.data.message);
+      } else if (err instanceof ValidationError) {
+        // Handle validation errors
+        setError(err.toLines());
+      } else if (err.status === 413) {
+        setError('File too large. Please select an image smaller than 2MB');
+      } else {
+        setError(err.message || t('profile.update_error') || 'Failed to update profile');
+      }
     } finally {
       setSaving(false);
     }
@@ -270,6 +237,20 @@ const ProfileScreen = ({ navigation }) => {
       color: '#00C851',
       marginBottom: 16,
     },
+    settingsLink: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      backgroundColor: isDarkMode ? '#333' : '#fff',
+      borderRadius: 8,
+      padding: 12,
+      borderWidth: 1,
+      borderColor: isDarkMode ? '#404040' : '#e0e0e0',
+    },
+    settingsLinkText: {
+      flex: 1,
+      marginBottom: 0,
+      marginLeft: 8,
+    },
     saveButton: {
       backgroundColor: '#2196F3',
       padding: 16,
@@ -391,6 +372,12 @@ const ProfileScreen = ({ navigation }) => {
           </View>
         </View>
 
+        <TouchableOpacity style={styles.settingsLink} onPress={() => navigation.navigate('NotificationSettings')}>
+          <MaterialIcons name="notifications-none" size={22} color={isDarkMode ? '#fff' : '#333'} />
+          <Text style={[styles.label, styles.settingsLinkText]}>{t('notification_settings.title')}</Text>
+          <MaterialIcons name="chevron-right" size={22} color={isDarkMode ? '#888' : '#999'} />
+        </TouchableOpacity>
+
         <TouchableOpacity
           style={[styles.saveButton, saving && styles.saveButtonDisabled]}
           onPress={onSave}
@@ -16,21 +16,10 @@ import { useTheme } from '@react-navigation/native';
 import { useI18n } from '../i18n';
 import { useThemeContext } from '../theme/ThemeContext';
 import { Ionicons } from '@expo/vector-icons';
-import axios from 'axios';
-
-// API configuration
-const RAW_BASE = process.env.EXPO_PUBLIC_API_BASE || 'http://127.0.0.1:8000';
-const API_CONFIG = {
-  BASE_URL: RAW_BASE.replace(/\/$/, ''),
-  STORAGE_PATHS: [
-    '/storage/',
-    '/',
-    '/public/storage/'
-  ],
-};
+import { api, unwrapList, API_BASE_URL, STORAGE_PATHS } from '../api/client';
 
 // Helper function to get the correct image URL format (same as PostDetailsScreen)
-const getImageUrl = (imagePath, apiBase = API_CONFIG.BASE_URL, isUserAvatar = false) => {
+const getImageUrl = (imagePath, apiBase = API_BASE_URL, isUserAvatar = false) => {
   if (!imagePath) return null;
   
   // If the image is already a full URL, return it directly
@@ -60,7 +49,7 @@ const useImageWithFallback = (initialImagePath, userName, isUserAvatar = false)
   const [imageSource, setImageSource] = React.useState(null);
   const [imageError, setImageError] = React.useState(false);
   const retryCount = React.useRef(0);
-  const maxRetries = API_CONFIG.STORAGE_PATHS.length;
+  const maxRetries = STORAGE_PATHS.length;
   
   // Get user's first initial for fallback avatar
   const getInitial = React.useCallback(() => {
@@ -73,7 +62,7 @@ const useImageWithFallback = (initialImagePath, userName, isUserAvatar = false)
     if (initialImagePath) {
       setImageError(false);
       retryCount.current = 0;
-      setImageSource({ uri: getImageUrl(initialImagePath, API_CONFIG.BASE_URL, isUserAvatar) });
+      setImageSource({ uri: getImageUrl(initialImagePath, API_BASE_URL, isUserAvatar) });
     } else {
       setImageSource(null);
     }
@@ -88,21 +77,21 @@ const useImageWithFallback = (initialImagePath, userName, isUserAvatar = false)
       const cleaned = String(initialImagePath).replace(/^\/+/g, '');
       let retryUrl;
       
-      if (pathIndex < API_CONFIG.STORAGE_PATHS.length) {
+      if (pathIndex < STORAGE_PATHS.length) {
         // Try the next storage path format
-        const storagePath = API_CONFIG.STORAGE_PATHS[pathIndex];
+        const storagePath = STORAGE_PATHS[pathIndex];
         
         if (isUserAvatar) {
           // For avatars, try different URL patterns
           if (pathIndex === 0) {
-            retryUrl = `${API_CONFIG.BASE_URL}/storage/avatar/${cleaned.replace('avatar/', '')}`;
+            retryUrl = `${API_BASE_URL}/storage/avatar/${cleaned.replace('avatar/', '')}`;
           } else if (pathIndex === 1) {
-            retryUrl = `${API_CONFIG.BASE_URL}/api/users/${cleaned.replace('avatar/', '').split('/')[0]}/avatar`;
+            retryUrl = `${API_BASE_URL}/api/users/${cleaned.replace('avatar/', '').split('/')[0]}/avatar`;
           } else {
-            retryUrl = `${API_CONFIG.BASE_URL}${storagePath}${cleaned}`;
+            retryUrl = `${API_BASE_URL}${storagePath}${cleaned}`;
           }
         } else {
-          retryUrl = `${API_CONFIG.BASE_URL}${storagePath}${cleaned}`;
+          retryUrl = `${API_BASE_URL}${storagePath}${cleaned}`;
         }
         
         setImageSource({ uri: retryUrl });
@@ -232,11 +221,10 @@ const RankingScreen = ({ navigation }) => {
       const ranges = ['last24h', 'last_week', 'last_30_days', 'all_time'];
       const range = ranges[selectedIndex] || 'all_time';
       
-      const response = await axios.get(`${API_CONFIG.BASE_URL}/api/users/leaderboard?range=${range}`);
+      const payload = await api.get('/api/users/leaderboard', { params: { range } });
       
       // Extract leaderboard data
-      const leaderboardData = response.data?.leaderboard || [];
-      setData(leaderboardData);
+      setData(unwrapList(payload, 'leaderboard'));
     } catch (err) {
       console.error('Failed to fetch leaderboard:', err);
       setError(t('failed_to_load'));
@@ -14,33 +14,8 @@ import { useTheme } from '@react-navigation/native';
 import { useI18n } from '../i18n';
 import { useThemeContext } from '../theme/ThemeContext';
 import { Ionicons, MaterialIcons, MaterialCommunityIcons } from '@expo/vector-icons';
-import axios from 'axios';
-
-// API configuration
-const RAW_BASE = process.env.EXPO_PUBLIC_API_BASE || 'http://127.0.0.1:8000';
-const API_CONFIG = {
-  BASE_URL: RAW_BASE.replace(/\/$/, ''),
-  TYPES_PATH: '/api/reaction-types',
-};
-
-// Function to determine icon based on reaction type
-const getReactionIcon = (type, size = 24, color) => {
-  if (!type) return null;
-  
-  const iconType = type.toLowerCase();
-  if (iconType === 'negative') {
-    return <MaterialIcons name="thumb-down" size={size} color={color} />;
-  }
-  return <MaterialIcons name="thumb-up" size={size} color={color} />;
-};
-
-// Function to get localized name for reaction type
-const getLocalizedName = (t, item) => {
-  const raw = (item?.name || '').toLowerCase();
-  if (raw === 'upvote' || item?.id === 1) return t('reaction_type.upvote');
-  if (raw === 'downvote' || item?.id === 2) return t('reaction_type.downvote');
-  return item?.name || '—';
-};
+import { fetchReactionTypes as loadReactionTypes, getReactionName } from '../utils/reactions';
+import { ReactionIcon } from '../components/shared/ReactionPicker';
 
 // Reaction Type Card Component
 const ReactionCard = ({ item, colors, colorScheme }) => {
@@ -104,11 +79,11 @@ const ReactionCard = ({ item, colors, colorScheme }) => {
       ]}
     >
       <View style={styles.reactionIconContainer}>
-        {getReactionIcon(item?.type, 28, iconColor)}
+        <ReactionIcon item={item} size={28} color={iconColor} />
       </View>
       <View style={styles.reactionContent}>
         <Text style={[styles.reactionTitle, { color: colors.text }]}>
-          {getLocalizedName(t, item)}
+          {getReactionName(t, item)}
         </Text>
         <View style={styles.reactionMeta}>
           <View style={[styles.chip, { 
@@ -239,10 +214,7 @@ const ReactionTypesScreen = () => {
       setError('');
       if (!refreshing) setLoading(true);
       
-      const response = await axios.get(`${API_CONFIG.BASE_URL}${API_CONFIG.TYPES_PATH}`);
-      const typesData = response.data?.types || response.data?.data || [];
-      
-      setReactionTypes(Array.isArray(typesData) ? typesData : []);
+      setReactionTypes(await loadReactionTypes({ force: true }));
     } catch (err) {
       console.error('Failed to fetch reaction types:', err);
       setError(t('reactions_page.load_failed') || 'Failed to load reaction types');
@@ -0,0 +1,331 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  SectionList,
+  TouchableOpacity,
+  ActivityIndicator,
+  Keyboard,
+} from 'react-native';
+import { useTheme } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { useI18n } from '../i18n';
+import {
+  SEARCH_TYPES,
+  MIN_QUERY_LENGTH,
+  searchAll,
+  loadRecentSearches,
+  addRecentSearch,
+  removeRecentSearch,
+  clearRecentSearches,
+} from '../utils/search';
+import { openTarget } from '../navigation/notificationRoutes';
+
+const DEBOUNCE_MS = 350;
+
+const TYPE_CONFIG = {
+  posts: { kind: 'post', icon: 'trash-outline' },
+  users: { kind: 'user', icon: 'person-outline' },
+  events: { kind: 'event', icon: 'calendar-outline' },
+  polls: { kind: 'poll', icon: 'stats-chart-outline' },
+};
+
+const formatDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime())
+    ? date.toLocaleDateString(undefined, { day: '2-digit', month: 'short', year: 'numeric' })
+    : '';
+};
+
+// Title and subtitle shown for a result of each type
+const describeResult = (type, item, t) => {
+  switch (type) {
+    case 'posts':
+      return {
+        title: item.title || item.description || item.content || t('search_page.untitled'),
+        subtitle: item.title ? item.description || item.content : item.location || item.address,
+      };
+    case 'users':
+      return {
+        title: item.name || item.username || t('anonymous'),
+        subtitle: item.points != null ? `${item.points} ${t('points')}` : '',
+      };
+    case 'events':
+      return {
+        title: item.title || t('search_page.untitled'),
+        subtitle: [formatDate(item.date || item.start_date), item.location].filter(Boolean).join(' · '),
+      };
+    case 'polls':
+      return { title: item.question || item.title || t('search_page.untitled'), subtitle: '' };
+    default:
+      return { title: '', subtitle: '' };
+  }
+};
+
+const SearchScreen = ({ navigation, route }) => {
+  const { colors } = useTheme();
+  const { t } = useI18n();
+  const [query, setQuery] = useState(route.params?.query || '');
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [recent, setRecent] = useState([]);
+  const [retryAt, setRetryAt] = useState(0);
+
+  useEffect(() => {
+    loadRecentSearches().then(setRecent);
+  }, []);
+
+  // A new search submitted from the HeaderBar while this screen is open
+  useEffect(() => {
+    const submitted = route.params?.query;
+    if (!submitted) return;
+    setQuery(submitted);
+    addRecentSearch(submitted).then(setRecent);
+  }, [route.params?.query, route.params?.submittedAt]);
+
+  // Debounced search; every new query cancels the request still in flight
+  useEffect(() => {
+    const trimmed = query.trim();
+    if (trimmed.length < MIN_QUERY_LENGTH) {
+      setResults(null);
+      setLoading(false);
+      setError('');
+      return undefined;
+    }
+
+    setLoading(true);
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const data = await searchAll(trimmed, { signal: controller.signal });
+        if (controller.signal.aborted) return;
+        setResults(data);
+        setError('');
+      } catch (err) {
+        if (err?.canceled || controller.signal.aborted) return;
+        console.error('Search failed', err);
+        setError(t('search_page.failed'));
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    }, DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [query, retryAt, t]);
+
+  const submit = () => {
+    Keyboard.dismiss();
+    addRecentSearch(query).then(setRecent);
+  };
+
+  const openResult = (type, item) => {
+    addRecentSearch(query).then(setRecent);
+    openTarget(navigation, { kind: TYPE_CONFIG[type].kind, id: item.id });
+  };
+
+  const sections = results
+    ? SEARCH_TYPES
+      .filter((type) => results[type]?.length > 0)
+      .map((type) => ({ type, title: t(`search_page.section_${type}`), data: results[type] }))
+    : [];
+
+  const renderRecent = () => (
+    <View style={styles.recent}>
+      <View style={styles.recentHeader}>
+        <Text style={[styles.sectionHeader, { color: colors.text + 'AA' }]}>{t('search_page.recent')}</Text>
+        {recent.length > 0 && (
+          <TouchableOpacity
+            onPress={() => {
+              clearRecentSearches();
+              setRecent([]);
+            }}
+          >
+            <Text style={{ color: colors.primary, fontWeight: '600' }}>{t('clear_all')}</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+      {recent.length === 0 ? (
+        <Text style={[styles.message, { color: colors.text + '99' }]}>{t('search_page.no_recent')}</Text>
+      ) : (
+        recent.map((item) => (
+          <TouchableOpacity
+            key={item}
+            style={[styles.row, { borderBottomColor: colors.border }]}
+            onPress={() => setQuery(item)}
+          >
+            <Ionicons name="time-outline" size={18} color={colors.text + '99'} />
+            <Text style={[styles.rowText, styles.rowTitle, { color: colors.text }]} numberOfLines={1}>{item}</Text>
+            <TouchableOpacity
+              onPress={() => removeRecentSearch(item).then(setRecent)}
+              hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+              accessibilityLabel={t('search_page.remove_recent')}
+            >
+              <Ionicons name="close" size={18} color={colors.text + '99'} />
+            </TouchableOpacity>
+          </TouchableOpacity>
+        ))
+      )}
+    </View>
+  );
+
+  const renderBody = () => {
+    const trimmed = query.trim();
+    if (!trimmed) return renderRecent();
+    if (trimmed.length < MIN_QUERY_LENGTH) {
+      return <Text style={[styles.message, { color: colors.text + '99' }]}>{t('search_page.too_short', { count: MIN_QUERY_LENGTH })}</Text>;
+    }
+    if (error) {
+      return (
+        <View style={styles.centered}>
+          <Text style={{ color: colors.text }}>{error}</Text>
+          <TouchableOpacity onPress={() => setRetryAt(Date.now())} style={styles.retry}>
+            <Text style={{ color: colors.primary, fontWeight: '600' }}>{t('retry')}</Text>
+          </TouchableOpacity>
+        </View>
+      );
+    }
+    if (loading && !results) {
+      return (
+        <View style={styles.centered}>
+          <ActivityIndicator size="large" color={colors.primary} />
+        </View>
+      );
+    }
+    return (
+      <SectionList
+        sections={sections}
+        keyboardShouldPersistTaps="handled"
+        keyExtractor={(item, index) => `${item?.id ?? index}`}
+        renderSectionHeader={({ section }) => (
+          <Text style={[styles.sectionHeader, { color: colors.text + 'AA', backgroundColor: colors.background }]}>
+            {section.title}
+          </Text>
+        )}
+        renderItem={({ item, section }) => {
+          const { title, subtitle } = describeResult(section.type, item, t);
+          return (
+            <TouchableOpacity
+              style={[styles.row, { borderBottomColor: colors.border }]}
+              onPress={() => openResult(section.type, item)}
+            >
+              <Ionicons name={TYPE_CONFIG[section.type].icon} size={20} color={colors.primary} />
+              <View style={styles.rowText}>
+                <Text style={[styles.rowTitle, { color: colors.text }]} numberOfLines={1}>{title}</Text>
+                {subtitle ? (
+                  <Text style={[styles.rowSubtitle, { color: colors.text + '99' }]} numberOfLines={1}>{subtitle}</Text>
+                ) : null}
+              </View>
+              <Ionicons name="chevron-forward" size={18} color={colors.text + '66'} />
+            </TouchableOpacity>
+          );
+        }}
+        ListEmptyComponent={
+          loading ? null : <Text style={[styles.message, { color: colors.text + '99' }]}>{t('search_page.no_results', { query: trimmed })}</Text>
+        }
+        stickySectionHeadersEnabled
+      />
+    );
+  };
+
+  return (
+    <View style={[styles.container, { backgroundColor: colors.background }]}>
+      <View style={[styles.searchBox, { backgroundColor: colors.card, borderColor: colors.border }]}>
+        <Ionicons name="search" size={18} color={colors.text} />
+        <TextInput
+          value={query}
+          onChangeText={setQuery}
+          onSubmitEditing={submit}
+          placeholder={t('search_page.placeholder')}
+          placeholderTextColor={colors.text + '99'}
+          style={[styles.input, { color: colors.text }]}
+          autoFocus={!route.params?.query}
+          autoCorrect={false}
+          returnKeyType="search"
+        />
+        {loading && results ? <ActivityIndicator size="small" color={colors.primary} /> : null}
+        {query ? (
+          <TouchableOpacity onPress={() => setQuery('')} accessibilityLabel={t('search_page.clear')}>
+            <Ionicons name="close-circle" size={18} color={colors.text + '99'} />
+          </TouchableOpacity>
+        ) : null}
+      </View>
+      {renderBody()}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  searchBox: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    margin: 12,
+    paddingHorizontal: 12,
+    borderRadius: 10,
+    borderWidth: 1,
+  },
+  input: {
+    flex: 1,
+    paddingVertical: 10,
+    fontSize: 16,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+  },
+  retry: {
+    marginTop: 8,
+    padding: 6,
+  },
+  message: {
+    textAlign: 'center',
+    padding: 24,
+  },
+  recent: {
+    flex: 1,
+  },
+  recentHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingRight: 16,
+  },
+  sectionHeader: {
+    fontSize: 13,
+    fontWeight: '700',
+    textTransform: 'uppercase',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+  rowText: {
+    flex: 1,
+  },
+  rowTitle: {
+    fontSize: 15,
+  },
+  rowSubtitle: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+});
+
+export default SearchScreen;
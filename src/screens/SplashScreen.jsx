@@ -0,0 +1,36 @@
+import React from 'react';
+import { View, Image, ActivityIndicator, StyleSheet } from 'react-native';
+import { useThemeContext } from '../theme/ThemeContext';
+
+// Boot screen shown while AuthContext restores a stored session
+const SplashScreen = () => {
+  const { isDarkMode } = useThemeContext();
+
+  return (
+    <View style={[styles.container, { backgroundColor: isDarkMode ? '#121212' : '#ffffff' }]}>
+      <Image
+        source={require('../../assets/Image_Editor.png')}
+        style={styles.logo}
+        resizeMode="contain"
+      />
+      <ActivityIndicator size="large" color={isDarkMode ? '#0A84FF' : '#007AFF'} style={styles.spinner} />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  logo: {
+    width: 160,
+    height: 160,
+  },
+  spinner: {
+    marginTop: 24,
+  },
+});
+
+export default SplashScreen;
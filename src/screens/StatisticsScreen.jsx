@@ -16,20 +16,14 @@ import { useThemeContext } from "../theme/ThemeContext";
 import { useTheme } from "@react-navigation/native";
 import { Ionicons, MaterialCommunityIcons, FontAwesome5 } from "@expo/vector-icons";
 import { useI18n } from "../i18n";
-import axios from 'axios';
 import { LinearGradient } from 'expo-linear-gradient';
+import { api, unwrapItem, API_BASE_URL } from '../api/client';
 
 // Helper function to get initials from name
 const getInitial = (name) => {
   return name ? name.charAt(0).toUpperCase() : 'U';
 };
 
-// API configuration
-const RAW_BASE = process.env.EXPO_PUBLIC_API_BASE || 'http://127.0.0.1:8000';
-const API_CONFIG = {
-  BASE_URL: RAW_BASE.replace(/\/$/, ''),
-};
-
 const StatCard = ({ icon: Icon, iconName, label, value, loading, colors, colorScheme }) => {
   // Animation for card appearance
   const scaleAnim = useRef(new Animated.Value(0.95)).current;
@@ -151,7 +145,7 @@ const LastUserCard = ({ user, loading, colors, colorScheme }) => {
           >
             {!loading && user?.avatar ? (
               <Image 
-                source={{ uri: user.avatar.startsWith('http') ? user.avatar : `${API_CONFIG.BASE_URL}${user.avatar}` }} 
+                source={{ uri: user.avatar.startsWith('http') ? user.avatar : `${API_BASE_URL}${user.avatar}` }} 
                 style={styles.avatarImage} 
               />
             ) : (
@@ -208,8 +202,8 @@ const StatisticsScreen = () => {
       setError('');
       if (!refreshing) setLoading(true);
       
-      const response = await axios.get(`${API_CONFIG.BASE_URL}/api/statistics`);
-      setData(response.data?.data || response.data || null);
+      const payload = await api.get('/api/statistics');
+      setData(unwrapItem(payload));
     } catch (err) {
       console.error('Failed to fetch statistics:', err);
       setError(t('statistics_page.load_failed') || 'Failed to load statistics');
@@ -0,0 +1,130 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, Button, ScrollView, StyleSheet } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import { useThemeContext } from '../theme/ThemeContext';
+import { getNotificationTarget } from '../utils/notifications';
+import {
+  configurePushPresentation,
+  presentLocalNotification,
+  registerForPushNotifications,
+  unregisterPushToken,
+  toAppNotification,
+} from '../notifications/push';
+
+// Payloads shaped like the ones the backend (or `npm run push-stub`) sends
+const samplePushes = [
+  { label: 'Post', payload: { title: 'New comment', message: 'Someone commented on your post', post_id: 1 } },
+  { label: 'Event', payload: { title: 'Event cancelled', message: 'Saturday cleanup was cancelled', event_id: 2 } },
+  { label: 'Poll', payload: { title: 'New poll', message: 'Vote on the next cleanup spot', poll_id: 3 } },
+];
+
+/**
+ * A simple test component to verify push notification handling:
+ * register/unregister this device and show how received and tapped
+ * notifications are parsed and where they would navigate
+ */
+const PushNotificationsTest = () => {
+  const { isDarkMode } = useThemeContext();
+  const [status, setStatus] = useState('');
+  const [log, setLog] = useState([]);
+  const textColor = isDarkMode ? '#fff' : '#000';
+
+  const addEntry = (source, notification) => {
+    const parsed = toAppNotification(notification);
+    setLog((prev) => [{ source, parsed, target: getNotificationTarget(parsed) }, ...prev].slice(0, 10));
+  };
+
+  useEffect(() => {
+    configurePushPresentation();
+    const received = Notifications.addNotificationReceivedListener((n) => addEntry('received', n));
+    const responded = Notifications.addNotificationResponseReceivedListener((r) => addEntry('tapped', r.notification));
+    return () => {
+      received.remove();
+      responded.remove();
+    };
+  }, []);
+
+  const register = async () => {
+    try {
+      const token = await registerForPushNotifications();
+      setStatus(token ? `Registered ${token}` : 'No token (simulator or permission denied)');
+    } catch (err) {
+      setStatus(`Register failed: ${err.message}`);
+    }
+  };
+
+  const unregister = async () => {
+    await unregisterPushToken();
+    setStatus('Unregistered');
+  };
+
+  return (
+    <ScrollView style={[styles.container, { backgroundColor: isDarkMode ? '#121212' : '#f5f5f5' }]}>
+      <Text style={[styles.header, { color: textColor }]}>
+        Push Notifications Test
+      </Text>
+
+      <View style={styles.controlsContainer}>
+        <Button title="Register device" onPress={register} />
+        <Button title="Unregister" onPress={unregister} />
+      </View>
+      {status ? <Text style={[styles.status, { color: isDarkMode ? '#aaa' : '#555' }]}>{status}</Text> : null}
+
+      <Text style={[styles.sectionTitle, { color: textColor }]}>Simulate a push:</Text>
+      <View style={styles.controlsContainer}>
+        {samplePushes.map(({ label, payload }) => (
+          <Button key={label} title={label} onPress={() => presentLocalNotification({ ...payload, id: Date.now() })} />
+        ))}
+      </View>
+
+      <Text style={[styles.sectionTitle, { color: textColor }]}>Handled notifications:</Text>
+      {log.map((entry, index) => (
+        <View key={index} style={styles.logRow}>
+          <Text style={[styles.keyText, { color: isDarkMode ? '#aaa' : '#555' }]}>
+            {entry.source}: {entry.parsed.title}
+          </Text>
+          <Text style={{ color: textColor }}>
+            {entry.target ? `opens ${entry.target.kind} ${entry.target.id}` : 'no target'}
+          </Text>
+        </View>
+      ))}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 20,
+  },
+  header: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    marginBottom: 20,
+    textAlign: 'center',
+  },
+  controlsContainer: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    marginBottom: 20,
+  },
+  status: {
+    marginBottom: 20,
+    textAlign: 'center',
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 10,
+  },
+  logRow: {
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#ddd',
+  },
+  keyText: {
+    fontWeight: 'bold',
+  },
+});
+
+export default PushNotificationsTest;
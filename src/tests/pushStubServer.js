@@ -0,0 +1,179 @@
+/**
+ * Local stand-in for the backend endpoints the push notification flow uses.
+ *
+ *   npm run push-stub            (PORT defaults to 8787)
+ *   EXPO_PUBLIC_API_BASE=http://<your LAN ip>:8787 npx expo start
+ *
+ * Sign in with any email/password. Then send a notification to every registered device:
+ *
+ *   curl -X POST localhost:8787/__push -H 'Content-Type: application/json' \
+ *     -d '{"title":"New comment","message":"Someone commented on your post","post_id":1}'
+ *
+ * The notification is added to the list served by /api/users/notifications and forwarded
+ * to the Expo push service for each registered token (physical devices only).
+ * GET /__state shows the registered tokens and the stored notifications.
+ */
+const http = require('http');
+
+const PORT = Number(process.env.PORT) || 8787;
+const EXPO_PUSH_URL = 'https://exp.host/--/api/v2/push/send';
+
+const state = {
+  pushTokens: [], // { token, platform, device_name }
+  notifications: [],
+  nextId: 1,
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const readJson = (req) => new Promise((resolve) => {
+  let raw = '';
+  req.on('data', (chunk) => { raw += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(raw ? JSON.parse(raw) : {});
+    } catch {
+      resolve({});
+    }
+  });
+});
+
+const unreadCount = () => state.notifications.filter((n) => !n.read).length;
+
+// Same fields the app reads from /api/users/notifications items
+const createNotification = (payload) => {
+  const notification = {
+    ...payload,
+    id: state.nextId++,
+    title: payload.title || 'Berllog',
+    message: payload.message || '',
+    read: false,
+    read_at: null,
+    created_at: new Date().toISOString(),
+  };
+  state.notifications.unshift(notification);
+  return notification;
+};
+
+const forwardToExpo = async (notification) => {
+  if (state.pushTokens.length === 0) return [];
+  const messages = state.pushTokens.map(({ token }) => ({
+    to: token,
+    title: notification.title,
+    body: notification.message,
+    data: { ...notification, notification_id: notification.id },
+  }));
+  try {
+    const response = await fetch(EXPO_PUSH_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify(messages),
+    });
+    const data = await response.json();
+    return data?.data || [];
+  } catch (err) {
+    console.log('[push-stub] Could not reach the Expo push service:', err.message);
+    return [];
+  }
+};
+
+const routes = async (req, res, url) => {
+  const { pathname } = url;
+  const method = req.method;
+
+  if (method === 'POST' && pathname === '/api/login') {
+    const { email } = await readJson(req);
+    return send(res, 200, { token: `stub-token-${Date.now()}`, user: { id: 1, name: 'Stub user', email } });
+  }
+  if (method === 'POST' && pathname === '/api/logout') return send(res, 200, { message: 'Logged out' });
+  if (method === 'GET' && pathname === '/api/users/profile') return send(res, 200, { user: { id: 1, name: 'Stub user' } });
+  if (method === 'GET' && pathname === '/api/users/point') return send(res, 200, { points: 0 });
+
+  if (pathname === '/api/users/push-tokens') {
+    const { token, platform, device_name } = await readJson(req);
+    if (!token) return send(res, 422, { message: 'The token field is required.', errors: { token: ['The token field is required.'] } });
+    state.pushTokens = state.pushTokens.filter((t) => t.token !== token);
+    if (method === 'POST') {
+      state.pushTokens.push({ token, platform, device_name });
+      console.log('[push-stub] Registered', token);
+      return send(res, 201, { token });
+    }
+    if (method === 'DELETE') {
+      console.log('[push-stub] Unregistered', token);
+      return send(res, 204);
+    }
+  }
+
+  if (pathname === '/api/users/notifications') {
+    if (method === 'GET') {
+      const perPage = Number(url.searchParams.get('per_page')) || 20;
+      const page = Number(url.searchParams.get('page')) || 1;
+      const lastPage = Math.max(1, Math.ceil(state.notifications.length / perPage));
+      return send(res, 200, {
+        data: state.notifications.slice((page - 1) * perPage, page * perPage),
+        meta: { current_page: page, last_page: lastPage, per_page: perPage, total: state.notifications.length },
+        unread_count: unreadCount(),
+      });
+    }
+    if (method === 'DELETE') {
+      state.notifications = [];
+      return send(res, 204);
+    }
+  }
+
+  if (method === 'POST' && pathname === '/api/users/notifications/read-all') {
+    const readAt = new Date().toISOString();
+    state.notifications.forEach((n) => {
+      n.read = true;
+      n.read_at = n.read_at || readAt;
+    });
+    return send(res, 200, { unread_count: 0 });
+  }
+
+  const match = pathname.match(/^\/api\/users\/notifications\/(\d+)$/);
+  if (match) {
+    const notification = state.notifications.find((n) => n.id === Number(match[1]));
+    if (!notification) return send(res, 404, { message: 'Notification not found.' });
+    if (method === 'PATCH') {
+      const { read } = await readJson(req);
+      notification.read = !!read;
+      notification.read_at = read ? new Date().toISOString() : null;
+      return send(res, 200, { notification });
+    }
+    if (method === 'DELETE') {
+      state.notifications = state.notifications.filter((n) => n !== notification);
+      return send(res, 204);
+    }
+  }
+
+  if (method === 'POST' && pathname === '/__push') {
+    const notification = createNotification(await readJson(req));
+    const tickets = await forwardToExpo(notification);
+    console.log(`[push-stub] Notification ${notification.id} sent to ${state.pushTokens.length} device(s)`);
+    return send(res, 201, { notification, tickets });
+  }
+  if (method === 'GET' && pathname === '/__state') {
+    return send(res, 200, { ...state, unread_count: unreadCount() });
+  }
+
+  return send(res, 404, { message: `No stub for ${method} ${pathname}` });
+};
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  routes(req, res, url).catch((err) => {
+    console.log('[push-stub] Error', err);
+    send(res, 500, { message: err.message });
+  });
+});
+
+if (require.main === module) {
+  server.listen(PORT, '0.0.0.0', () => {
+    console.log(`[push-stub] Listening on http://0.0.0.0:${PORT}`);
+  });
+}
+
+module.exports = { server, state };
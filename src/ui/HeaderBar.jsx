@@ -3,22 +3,35 @@ import { View, Text, TouchableOpacity, StyleSheet, TextInput, Modal, Pressable }
 import { useNavigation, DrawerActions, useTheme } from '@react-navigation/native';
 import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
 import { useI18n } from '../i18n';
-import { AuthContext } from '../auth/AuthContext';
+import { useOutbox } from '../offline/OutboxContext';
+import useNotificationBadge from '../hooks/useNotificationBadge';
+
+const PENDING_COLOR = '#F59E0B';
 
 const HeaderBar = ({ options, route }) => {
   const navigation = useNavigation();
   const { colors } = useTheme();
   const { t, locale, setLocale } = useI18n();
   const [search, setSearch] = useState('');
-  const [notifOpen, setNotifOpen] = useState(false);
-  const { unreadCount, notifications, clearAllNotifications } = React.useContext(AuthContext);
+  const [syncOpen, setSyncOpen] = useState(false);
+  const badgeCount = useNotificationBadge();
+  const { items: outboxItems, pendingCount, failedCount, isOnline, flush, retry, discard } = useOutbox();
 
   const title = useMemo(() => {
     if (options?.title) return options.title;
     if (route?.name === 'Home') return t('home_title');
+    if (route?.name === 'Search') return t('search');
     return route?.name || '';
   }, [options?.title, route?.name, t]);
 
+  // The Search screen takes over from here (it has its own search box)
+  const submitSearch = () => {
+    const query = search.trim();
+    if (!query) return;
+    navigation.navigate('Search', { query, submittedAt: Date.now() });
+    setSearch('');
+  };
+
   const toggleLang = () => setLocale(locale === 'en' ? 'sq' : 'en');
 
   return (
@@ -36,24 +49,47 @@ const HeaderBar = ({ options, route }) => {
       </Text>
 
       <View style={styles.actions}>
-        <View style={[styles.searchBox, { backgroundColor: colors.background, borderColor: colors.border }]}> 
-          <Ionicons name="search" size={18} color={colors.text} />
-          <TextInput
-            placeholder={t('search')}
-            placeholderTextColor={colors.text + '99'}
-            value={search}
-            onChangeText={setSearch}
-            style={[styles.input, { color: colors.text }]}
-            returnKeyType="search"
-            onSubmitEditing={() => {/* hook into search if needed */}}
-          />
-        </View>
+        {route?.name !== 'Search' && (
+          <View style={[styles.searchBox, { backgroundColor: colors.background, borderColor: colors.border }]}> 
+            <Ionicons name="search" size={18} color={colors.text} />
+            <TextInput
+              placeholder={t('search')}
+              placeholderTextColor={colors.text + '99'}
+              value={search}
+              onChangeText={setSearch}
+              style={[styles.input, { color: colors.text }]}
+              returnKeyType="search"
+              onSubmitEditing={submitSearch}
+            />
+          </View>
+        )}
 
-        <TouchableOpacity onPress={() => setNotifOpen(true)} style={styles.iconButton}>
+        {outboxItems.length > 0 && (
+          <TouchableOpacity
+            onPress={() => setSyncOpen(true)}
+            style={styles.iconButton}
+            accessibilityLabel={t('outbox.title')}
+          >
+            <Ionicons
+              name={failedCount > 0 ? 'alert-circle-outline' : 'cloud-upload-outline'}
+              size={22}
+              color={failedCount > 0 ? '#E53935' : colors.text}
+            />
+            <View style={[styles.badge, { backgroundColor: failedCount > 0 ? '#E53935' : PENDING_COLOR }]}>
+              <Text style={styles.badgeText}>{outboxItems.length > 99 ? '99+' : String(outboxItems.length)}</Text>
+            </View>
+          </TouchableOpacity>
+        )}
+
+        <TouchableOpacity
+          onPress={() => navigation.navigate('Notifications')}
+          style={styles.iconButton}
+          accessibilityLabel={t('notifications')}
+        >
           <Ionicons name="notifications-outline" size={22} color={colors.text} />
-          {unreadCount > 0 && (
-            <View style={styles.badge} accessibilityLabel={`${unreadCount} unread`}>
-              <Text style={styles.badgeText}>{unreadCount > 99 ? '99+' : String(unreadCount)}</Text>
+          {badgeCount > 0 && (
+            <View style={styles.badge} accessibilityLabel={`${badgeCount} unread`}>
+              <Text style={styles.badgeText}>{badgeCount > 99 ? '99+' : String(badgeCount)}</Text>
             </View>
           )}
         </TouchableOpacity>
@@ -64,40 +100,65 @@ const HeaderBar = ({ options, route }) => {
         </TouchableOpacity>
       </View>
 
-      <Modal visible={notifOpen} transparent animationType="fade" onRequestClose={() => setNotifOpen(false)}>
-        <Pressable style={styles.backdrop} onPress={() => setNotifOpen(false)}>
-          <View style={[styles.sheet, { backgroundColor: colors.card }]}> 
+      <Modal visible={syncOpen} transparent animationType="fade" onRequestClose={() => setSyncOpen(false)}>
+        <Pressable style={styles.backdrop} onPress={() => setSyncOpen(false)}>
+          <Pressable style={[styles.sheet, { backgroundColor: colors.card }]}>
             <View style={styles.sheetHeader}>
-              <Text style={[styles.sheetTitle, { color: colors.text }]}>{t('notifications')}</Text>
-              <TouchableOpacity onPress={() => setNotifOpen(false)}>
+              <Text style={[styles.sheetTitle, { color: colors.text }]}>{t('outbox.title')}</Text>
+              <TouchableOpacity onPress={() => setSyncOpen(false)}>
                 <Ionicons name="close" size={22} color={colors.text} />
               </TouchableOpacity>
             </View>
             <View style={styles.sheetBody}>
-              {Array.isArray(notifications) && notifications.length > 0 ? (
-                <View>
-                  {notifications.slice(0, 20).map((n, idx) => (
-                    <View key={n?.id ?? idx} style={{ paddingVertical: 6 }}>
-                      <Text style={{ color: colors.text, fontWeight: n?.read ? '400' : '700' }} numberOfLines={2}>
-                        {n?.title || n?.message || n?.text || 'Notification'}
+              {!isOnline && (
+                <View style={styles.syncOffline}>
+                  <Ionicons name="cloud-offline-outline" size={16} color={colors.notification} />
+                  <Text style={[styles.syncOfflineText, { color: colors.notification }]}>{t('outbox.offline')}</Text>
+                </View>
+              )}
+              {outboxItems.length > 0 ? (
+                outboxItems.map((item) => (
+                  <View key={item.id} style={[styles.syncItem, { borderBottomColor: colors.border }]}>
+                    <View style={styles.syncItemText}>
+                      <Text style={{ color: colors.text, fontWeight: '600' }} numberOfLines={1}>
+                        {t(`outbox.type_${item.type}`)}
                       </Text>
-                      {n?.created_at ? (
-                        <Text style={{ color: colors.text + '99', fontSize: 12 }}>
-                          {new Date(n.created_at).toLocaleString()}
+                      {item.meta?.summary ? (
+                        <Text style={{ color: colors.text + '99', fontSize: 12 }} numberOfLines={1}>
+                          {item.meta.summary}
                         </Text>
                       ) : null}
+                      <Text
+                        style={{ color: item.status === 'failed' ? '#E53935' : PENDING_COLOR, fontSize: 12 }}
+                        numberOfLines={2}
+                      >
+                        {item.status === 'failed'
+                          ? t('outbox.failed', { error: item.error || '' })
+                          : t('outbox.pending')}
+                      </Text>
                     </View>
-                  ))}
-                  <View style={{ height: 8 }} />
-                  <TouchableOpacity onPress={clearAllNotifications} style={{ alignSelf: 'flex-start', paddingVertical: 6, paddingHorizontal: 10 }}>
-                    <Text style={{ color: colors.primary, fontWeight: '600' }}>{t('clear_all')}</Text>
-                  </TouchableOpacity>
-                </View>
+                    {item.status === 'failed' && (
+                      <View style={styles.syncItemActions}>
+                        <TouchableOpacity onPress={() => retry(item.id)} style={styles.syncAction}>
+                          <Text style={{ color: colors.primary, fontWeight: '600' }}>{t('outbox.retry')}</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity onPress={() => discard(item.id)} style={styles.syncAction}>
+                          <Text style={{ color: colors.notification, fontWeight: '600' }}>{t('outbox.discard')}</Text>
+                        </TouchableOpacity>
+                      </View>
+                    )}
+                  </View>
+                ))
               ) : (
-                <Text style={{ color: colors.text }}>{t('no_notifications')}</Text>
+                <Text style={{ color: colors.text }}>{t('outbox.empty')}</Text>
+              )}
+              {pendingCount > 0 && isOnline && (
+                <TouchableOpacity onPress={flush} style={{ alignSelf: 'flex-start', paddingVertical: 6, paddingHorizontal: 10, marginTop: 8 }}>
+                  <Text style={{ color: colors.primary, fontWeight: '600' }}>{t('outbox.sync_now')}</Text>
+                </TouchableOpacity>
               )}
             </View>
-          </View>
+          </Pressable>
         </Pressable>
       </Modal>
     </View>
@@ -186,6 +247,32 @@ const styles = StyleSheet.create({
   sheetBody: {
     paddingVertical: 12,
   },
+  syncOffline: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginBottom: 8,
+  },
+  syncOfflineText: {
+    fontSize: 13,
+  },
+  syncItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+  syncItemText: {
+    flex: 1,
+  },
+  syncItemActions: {
+    flexDirection: 'row',
+    marginLeft: 8,
+  },
+  syncAction: {
+    paddingVertical: 6,
+    paddingHorizontal: 8,
+  },
 });
 
 export default HeaderBar;
@@ -0,0 +1,97 @@
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import { getEventCoordinates } from './geo';
+
+const DEFAULT_DURATION_MS = 2 * 60 * 60 * 1000;
+
+// Event dates come as "YYYY-MM-DD HH:mm:ss" or ISO strings
+export const parseEventDate = (value) => {
+  if (!value) return null;
+  const date = new Date(String(value).replace(' ', 'T'));
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// 20250102T090000Z
+const formatIcsDate = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Escape text values as required by RFC 5545 and fold lines longer than 75 octets
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const MAX_LINE_OCTETS = 75;
+
+// UTF-8 length of one code point
+const utf8Length = (char) => {
+  const code = char.codePointAt(0);
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  if (code < 0x10000) return 3;
+  return 4;
+};
+
+// Lines are limited in UTF-8 octets, not characters, and are only broken between code points
+// (ë, ç and emoji take several octets). Continuation lines start with a space, which counts too.
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = utf8Length(char);
+    if (octets + size > MAX_LINE_OCTETS) {
+      parts.push(current);
+      current = ' ';
+      octets = 1;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+};
+
+// iCalendar (.ics) document for a single event
+export const buildEventIcs = (event, { url } = {}) => {
+  const start = parseEventDate(event?.date ?? event?.starts_at) || new Date();
+  const end = parseEventDate(event?.end_date ?? event?.ends_at) || new Date(start.getTime() + DEFAULT_DURATION_MS);
+  const coords = getEventCoordinates(event);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Berllog//Events//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:berllog-event-${event?.id}@berllog`,
+    `DTSTAMP:${formatIcsDate(new Date())}`,
+    `DTSTART:${formatIcsDate(start)}`,
+    `DTEND:${formatIcsDate(end)}`,
+    `SUMMARY:${escapeText(event?.title)}`,
+  ];
+  if (event?.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event?.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (coords) lines.push(`GEO:${coords.latitude};${coords.longitude}`);
+  if (url) lines.push(`URL:${url}`);
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n');
+};
+
+// Write the event to a temporary .ics file and hand it to the share sheet
+// so it can be opened with a calendar app. Resolves false when sharing is unavailable.
+export const shareEventIcs = async (event, options) => {
+  if (!(await Sharing.isAvailableAsync())) return false;
+  const uri = `${FileSystem.cacheDirectory}berllog-event-${event?.id ?? Date.now()}.ics`;
+  await FileSystem.writeAsStringAsync(uri, buildEventIcs(event, options), {
+    encoding: FileSystem.EncodingType.UTF8,
+  });
+  await Sharing.shareAsync(uri, {
+    mimeType: 'text/calendar',
+    UTI: 'com.apple.ical.ics',
+    dialogTitle: event?.title,
+  });
+  return true;
+};
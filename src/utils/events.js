@@ -0,0 +1,31 @@
+// Event ownership and lifecycle helpers shared by the event screens
+
+const MANAGER_ROLES = ['admin', 'moderator'];
+
+export const getEventOrganizer = (event) => event?.organizer || event?.creator || event?.user || null;
+
+export const isEventCancelled = (event) => {
+  if (!event) return false;
+  return String(event.status || '').toLowerCase() === 'cancelled' || !!event.cancelled_at;
+};
+
+// Signed-in users may organize events unless the backend says otherwise
+export const canCreateEvents = (user) => !!user && user.can_create_events !== false;
+
+// Organizers manage their own events; admins and moderators manage any event
+export const canManageEvent = (event, user) => {
+  if (!event || !user) return false;
+  if (event.can_edit === true) return true;
+  const organizerId = event.user_id ?? event.organizer_id ?? getEventOrganizer(event)?.id;
+  if (organizerId != null && user.id != null && String(organizerId) === String(user.id)) return true;
+  const roles = [user.role, ...(Array.isArray(user.roles) ? user.roles : [])]
+    .map((r) => String(r?.name ?? r ?? '').toLowerCase());
+  return roles.some((r) => MANAGER_ROLES.includes(r));
+};
+
+// "YYYY-MM-DD HH:mm:ss" in local time, the format the events API uses
+export const toEventDateString = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} `
+    + `${pad(date.getHours())}:${pad(date.getMinutes())}:00`;
+};
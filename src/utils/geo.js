@@ -0,0 +1,33 @@
+// Haversine distance in km between two lat/lng pairs (null if any value is invalid)
+export const getDistanceKm = (lat1, lon1, lat2, lon2) => {
+  const toRad = (v) => (v * Math.PI) / 180;
+  if (
+    [lat1, lon1, lat2, lon2].some(
+      (v) => typeof v !== 'number' || isNaN(v)
+    )
+  ) return null;
+  const R = 6371; // km
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(lat1)) *
+      Math.cos(toRad(lat2)) *
+      Math.sin(dLon / 2) *
+      Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+};
+
+// Read a post's coordinates from either latitude/longitude or lat/lng
+export const getPostCoordinates = (post) => {
+  const lat = parseFloat(post?.latitude ?? post?.lat);
+  const lng = parseFloat(post?.longitude ?? post?.lng);
+  if (isNaN(lat) || isNaN(lng)) return null;
+  return { latitude: lat, longitude: lng };
+};
+
+// Meeting point of an event: an explicit meeting_point, or the event's own coordinates
+export const getEventCoordinates = (event) => (
+  getPostCoordinates(event?.meeting_point) || getPostCoordinates(event)
+);
@@ -0,0 +1,53 @@
+import { isPostCleaned } from './postStatus';
+
+// Which reports the map legend shows
+export const MAP_LAYERS = ['open', 'cleaned', 'all'];
+
+// Open reports are what cleanups are planned around, so they count more than cleaned ones
+export const OPEN_WEIGHT = 1;
+export const CLEANED_WEIGHT = 0.3;
+
+// Gradients per layer: open spots go hot, cleaned spots stay green
+export const HEATMAP_GRADIENTS = {
+  open: {
+    colors: ['#FFE082', '#FF9800', '#E53935'],
+    startPoints: [0.1, 0.5, 1],
+    colorMapSize: 256,
+  },
+  cleaned: {
+    colors: ['#C8E6C9', '#66BB6A', '#1B5E20'],
+    startPoints: [0.1, 0.5, 1],
+    colorMapSize: 256,
+  },
+  all: {
+    colors: ['#81C784', '#FFEB3B', '#FF9800', '#E53935'],
+    startPoints: [0.1, 0.4, 0.7, 1],
+    colorMapSize: 256,
+  },
+};
+
+export const matchesMapLayer = (post, layer) => {
+  if (layer === 'open') return !isPostCleaned(post);
+  if (layer === 'cleaned') return isPostCleaned(post);
+  return true;
+};
+
+// Heat contributed by one post; only the "all" layer mixes both kinds
+export const getHeatmapWeight = (post, layer = 'all') => {
+  if (!matchesMapLayer(post, layer)) return 0;
+  if (layer === 'all' && isPostCleaned(post)) return CLEANED_WEIGHT;
+  return OPEN_WEIGHT;
+};
+
+// [{ latitude, longitude, weight }] for the posts with usable coordinates
+export const toHeatmapPoints = (posts, layer = 'all') => {
+  const points = [];
+  for (const post of Array.isArray(posts) ? posts : []) {
+    const latitude = parseFloat(post?.lat);
+    const longitude = parseFloat(post?.lng);
+    const weight = getHeatmapWeight(post, layer);
+    if (!weight || isNaN(latitude) || isNaN(longitude)) continue;
+    points.push({ latitude, longitude, weight });
+  }
+  return points;
+};
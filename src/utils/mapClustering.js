@@ -0,0 +1,100 @@
+// Grid-based marker clustering for react-native-maps (no native dependency needed).
+// Points are bucketed by their Web Mercator pixel position at the current zoom level,
+// so clusters stay put while panning and split up as the user zooms in.
+
+const TILE_SIZE = 256;
+// From this zoom level on every post gets its own marker
+export const MAX_CLUSTER_ZOOM = 17;
+const CLUSTER_RADIUS_PX = 60;
+
+// Approximate zoom level of a region shown `mapWidth` points wide
+export const getZoomLevel = (region, mapWidth) => {
+  const delta = Math.max(region?.longitudeDelta || 360, 1e-6);
+  return Math.log2((360 * (mapWidth / TILE_SIZE)) / delta);
+};
+
+const toWorldPixel = (latitude, longitude, zoom) => {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const sin = Math.min(Math.max(Math.sin((latitude * Math.PI) / 180), -0.9999), 0.9999);
+  return {
+    x: ((longitude + 180) / 360) * scale,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale,
+  };
+};
+
+const getCellKey = ({ latitude, longitude }, zoom) => {
+  const { x, y } = toWorldPixel(latitude, longitude, zoom);
+  return `${Math.floor(x / CLUSTER_RADIUS_PX)}_${Math.floor(y / CLUSTER_RADIUS_PX)}`;
+};
+
+// { south, west, north, east } of a region, grown by `margin` (0.25 = a quarter on every side)
+export const regionToBBox = (region, margin = 0) => {
+  const latHalf = (region.latitudeDelta / 2) * (1 + margin * 2);
+  const lngHalf = (region.longitudeDelta / 2) * (1 + margin * 2);
+  return {
+    south: Math.max(-90, region.latitude - latHalf),
+    north: Math.min(90, region.latitude + latHalf),
+    west: Math.max(-180, region.longitude - lngHalf),
+    east: Math.min(180, region.longitude + lngHalf),
+  };
+};
+
+export const bboxContains = (outer, inner) =>
+  !!outer && !!inner &&
+  inner.south >= outer.south && inner.north <= outer.north &&
+  inner.west >= outer.west && inner.east <= outer.east;
+
+const inBBox = (bbox, latitude, longitude) =>
+  latitude >= bbox.south && latitude <= bbox.north && longitude >= bbox.west && longitude <= bbox.east;
+
+/**
+ * Group `items` visible in `region` into clusters.
+ * `getCoordinates(item)` returns { latitude, longitude } or null.
+ * Returns [{ id, latitude, longitude, items, bounds }] where single-item entries are plain markers.
+ */
+export const clusterItems = (items, region, { mapWidth, getCoordinates }) => {
+  if (!region || !Array.isArray(items)) return [];
+  const zoom = Math.round(getZoomLevel(region, mapWidth));
+  const visible = regionToBBox(region, 0.2);
+  const cells = new Map();
+
+  for (const item of items) {
+    const coords = getCoordinates(item);
+    if (!coords || !inBBox(visible, coords.latitude, coords.longitude)) continue;
+    const key = zoom >= MAX_CLUSTER_ZOOM ? `item_${cells.size}` : getCellKey(coords, zoom);
+    const cell = cells.get(key) || { items: [], latSum: 0, lngSum: 0, bounds: null };
+    cell.items.push(item);
+    cell.latSum += coords.latitude;
+    cell.lngSum += coords.longitude;
+    const b = cell.bounds;
+    cell.bounds = b
+      ? {
+        south: Math.min(b.south, coords.latitude),
+        north: Math.max(b.north, coords.latitude),
+        west: Math.min(b.west, coords.longitude),
+        east: Math.max(b.east, coords.longitude),
+      }
+      : { south: coords.latitude, north: coords.latitude, west: coords.longitude, east: coords.longitude };
+    cells.set(key, cell);
+  }
+
+  return Array.from(cells.entries()).map(([key, cell]) => ({
+    id: `${zoom}_${key}`,
+    latitude: cell.latSum / cell.items.length,
+    longitude: cell.lngSum / cell.items.length,
+    items: cell.items,
+    bounds: cell.bounds,
+  }));
+};
+
+// Region that shows a cluster's points with some padding, zooming in at least two levels
+export const getClusterRegion = (cluster, currentRegion) => {
+  const { south, north, west, east } = cluster.bounds;
+  const minDelta = Math.max((currentRegion?.latitudeDelta || 1) / 4, 0.002);
+  return {
+    latitude: (south + north) / 2,
+    longitude: (west + east) / 2,
+    latitudeDelta: Math.max((north - south) * 1.4, minDelta),
+    longitudeDelta: Math.max((east - west) * 1.4, minDelta),
+  };
+};
@@ -0,0 +1,51 @@
+import { Linking, Platform } from 'react-native';
+
+// Turn-by-turn directions to a point, or to a free-text address when there are no coordinates.
+// iOS uses Apple Maps unless `web` is set; everything else uses the Google Maps URL,
+// which opens the app when it is installed.
+export const getDirectionsUrl = ({ latitude, longitude, label } = {}, { web = false } = {}) => {
+  const hasCoords = typeof latitude === 'number' && typeof longitude === 'number';
+  const destination = hasCoords ? `${latitude},${longitude}` : encodeURIComponent(label || '');
+  if (Platform.OS === 'ios' && !web) {
+    return `http://maps.apple.com/?daddr=${destination}`;
+  }
+  return `https://www.google.com/maps/dir/?api=1&destination=${destination}`;
+};
+
+// Open directions, falling back to the web URL when no maps app handles it
+export const openDirections = async (target) => {
+  try {
+    await Linking.openURL(getDirectionsUrl(target));
+  } catch (err) {
+    console.log('[Maps] Could not open maps app', err?.message || err);
+    await Linking.openURL(getDirectionsUrl(target, { web: true }));
+  }
+};
+
+// Google Maps takes at most 9 waypoints plus the destination in a directions URL
+export const MAPS_APP_MAX_STOPS = 10;
+
+// Multi-stop directions through `stops` ([{ latitude, longitude }], in order) from `origin`, or from the
+// device's location when origin is null. Apple Maps URLs have no waypoints, so this always uses
+// Google Maps (the app when installed, the website otherwise). Extra stops are left out.
+export const getRouteUrl = (origin, stops) => {
+  const format = ({ latitude, longitude }) => `${latitude},${longitude}`;
+  const visits = (Array.isArray(stops) ? stops : []).slice(0, MAPS_APP_MAX_STOPS);
+  const destination = visits[visits.length - 1];
+  if (!destination) return null;
+  const params = [`destination=${format(destination)}`];
+  if (origin) params.push(`origin=${format(origin)}`);
+  const waypoints = visits.slice(0, -1);
+  if (waypoints.length) params.push(`waypoints=${encodeURIComponent(waypoints.map(format).join('|'))}`);
+  return `https://www.google.com/maps/dir/?api=1&${params.join('&')}`;
+};
+
+export const openRoute = async (origin, stops) => {
+  const url = getRouteUrl(origin, stops);
+  if (!url) return;
+  try {
+    await Linking.openURL(url);
+  } catch (err) {
+    console.log('[Maps] Could not open route', err?.message || err);
+  }
+};
@@ -0,0 +1,75 @@
+import { isNotificationUnread, getNotificationCategory } from './notifications';
+
+// Notification preferences as stored by /api/users/notification-preferences:
+// { types: { [category]: { in_app, push } }, quiet_hours: { enabled, start: 'HH:mm', end: 'HH:mm' } }
+export const PREFERENCES_PATH = '/api/users/notification-preferences';
+
+export const NOTIFICATION_CATEGORIES = ['post_comment', 'comment_reply', 'event_reminder', 'new_poll', 'rank_change'];
+export const NOTIFICATION_CHANNELS = ['in_app', 'push'];
+
+export const DEFAULT_PREFERENCES = {
+  types: NOTIFICATION_CATEGORIES.reduce((acc, category) => {
+    acc[category] = { in_app: true, push: true };
+    return acc;
+  }, {}),
+  quiet_hours: { enabled: false, start: '22:00', end: '07:00' },
+};
+
+const toBool = (value, fallback) => (value === undefined || value === null ? fallback : value === true || value === 1 || value === '1');
+
+const toTime = (value, fallback) => (typeof value === 'string' && /^\d{1,2}:\d{2}/.test(value) ? value.slice(0, 5).padStart(5, '0') : fallback);
+
+// Fill in whatever the server left out so every category and channel has a value
+export const normalizePreferences = (data) => {
+  const source = data?.preferences || data?.data || data || {};
+  const types = {};
+  NOTIFICATION_CATEGORIES.forEach((category) => {
+    const value = source.types?.[category] || {};
+    types[category] = {
+      in_app: toBool(value.in_app, true),
+      push: toBool(value.push, true),
+    };
+  });
+  const quiet = source.quiet_hours || {};
+  return {
+    types,
+    quiet_hours: {
+      enabled: toBool(quiet.enabled, false),
+      start: toTime(quiet.start, DEFAULT_PREFERENCES.quiet_hours.start),
+      end: toTime(quiet.end, DEFAULT_PREFERENCES.quiet_hours.end),
+    },
+  };
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+};
+
+// Quiet hours may wrap past midnight (e.g. 22:00 - 07:00)
+export const isQuietTime = (preferences, date = new Date()) => {
+  const quiet = preferences?.quiet_hours;
+  if (!quiet?.enabled) return false;
+  const start = toMinutes(quiet.start);
+  const end = toMinutes(quiet.end);
+  if (start === end) return false;
+  const now = date.getHours() * 60 + date.getMinutes();
+  return start < end ? now >= start && now < end : now >= start || now < end;
+};
+
+// Uncategorized notifications are always allowed
+export const isChannelEnabled = (preferences, notification, channel) => {
+  const category = getNotificationCategory(notification);
+  if (!category || !preferences?.types?.[category]) return true;
+  return preferences.types[category][channel] !== false;
+};
+
+// Bell badge: nothing during quiet hours, and only categories shown in the app.
+// The server's unread count covers every page, so it is used while no category is muted.
+export const getBadgeCount = ({ preferences, notifications, unreadCount }, date = new Date()) => {
+  if (!preferences) return unreadCount;
+  if (isQuietTime(preferences, date)) return 0;
+  const allInApp = NOTIFICATION_CATEGORIES.every((category) => preferences.types[category]?.in_app !== false);
+  if (allInApp) return unreadCount;
+  return (notifications || []).filter((n) => isNotificationUnread(n) && isChannelEnabled(preferences, n, 'in_app')).length;
+};
@@ -0,0 +1,91 @@
+// Notification helpers shared by AuthContext, HeaderBar and NotificationsScreen
+
+// Prefer the explicit `read` flag; older payloads only carry `read_at`
+export const isNotificationUnread = (notification) => {
+  if (!notification) return false;
+  if (notification.read !== undefined && notification.read !== null) {
+    return notification.read === false || notification.read === 0;
+  }
+  return notification.read_at == null;
+};
+
+export const getNotificationText = (notification) =>
+  notification?.title || notification?.message || notification?.text || '';
+
+// Extra payload may come as an object or as a JSON string
+const getPayload = (notification) => {
+  const data = notification?.data;
+  if (typeof data === 'string') {
+    try {
+      return JSON.parse(data) || {};
+    } catch {
+      return {};
+    }
+  }
+  return data && typeof data === 'object' ? data : {};
+};
+
+// e.g. "post_commented" or a class name such as "App\Notifications\EventCancelled"
+const getTypeString = (notification, payload, data) =>
+  [data.target_type, data.subject_type, payload.type, notification?.type]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+
+// What a notification points at: { kind: 'post' | 'user' | 'poll' | 'event', id } or null
+export const getNotificationTarget = (notification) => {
+  const payload = getPayload(notification);
+  const data = { ...payload, ...notification };
+  const type = getTypeString(notification, payload, data);
+  const genericId = data.target_id ?? data.subject_id;
+
+  const postId = data.garbage_post_id ?? data.post_id ?? (/post/.test(type) ? genericId : null);
+  if (postId != null) return { kind: 'post', id: postId };
+  const eventId = data.event_id ?? (/event/.test(type) ? genericId : null);
+  if (eventId != null) return { kind: 'event', id: eventId };
+  const pollId = data.poll_id ?? (/poll/.test(type) ? genericId : null);
+  if (pollId != null) return { kind: 'poll', id: pollId };
+  const userId = data.actor_id ?? data.from_user_id ?? (/user|follow/.test(type) ? genericId : null);
+  if (userId != null) return { kind: 'user', id: userId };
+  return null;
+};
+
+// Preference category a notification belongs to (see utils/notificationPreferences), or null
+export const getNotificationCategory = (notification) => {
+  const payload = getPayload(notification);
+  const data = { ...payload, ...notification };
+  const type = getTypeString(notification, payload, data);
+  if (/repl/.test(type)) return 'comment_reply';
+  if (/comment/.test(type)) return 'post_comment';
+  if (/event/.test(type)) return 'event_reminder';
+  if (/poll/.test(type)) return 'new_poll';
+  if (/rank/.test(type)) return 'rank_change';
+  return null;
+};
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+
+// SectionList sections, newest day first: [{ key, title, data }]
+export const groupNotificationsByDay = (notifications, t) => {
+  const today = startOfDay(new Date());
+  const yesterday = today - 24 * 60 * 60 * 1000;
+  const sections = [];
+  const byKey = {};
+
+  notifications.forEach((notification) => {
+    const created = notification?.created_at ? new Date(String(notification.created_at).replace(' ', 'T')) : null;
+    const valid = created && !isNaN(created.getTime());
+    const day = valid ? startOfDay(created) : 0;
+    if (!byKey[day]) {
+      let title = t('notifications_page.earlier');
+      if (day === today) title = t('notifications_page.today');
+      else if (day === yesterday) title = t('notifications_page.yesterday');
+      else if (valid) title = created.toLocaleDateString(undefined, { weekday: 'long', day: 'numeric', month: 'long' });
+      byKey[day] = { key: String(day), title, data: [] };
+      sections.push(byKey[day]);
+    }
+    byKey[day].data.push(notification);
+  });
+
+  return sections.sort((a, b) => Number(b.key) - Number(a.key));
+};
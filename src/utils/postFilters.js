@@ -0,0 +1,126 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getPostStatus } from './postStatus';
+import { getDistanceKm, getPostCoordinates } from './geo';
+
+// Home feed filters. They are sent to /api/garbage-posts as query params and
+// persisted so the feed looks the same next time the app opens.
+const FILTERS_KEY = '@berllog_post_filters';
+
+export const POST_SORTS = ['newest', 'oldest', 'most_reactions', 'most_comments'];
+// Only offered (and kept) while "near me" is on
+export const NEAREST_SORT = 'nearest';
+export const POST_STATUSES = ['all', 'open', 'cleaned'];
+// Same keys (and labels) as the ranking periods
+export const POST_PERIODS = ['all_time', '24h', 'last_week', 'last_30_days'];
+
+const PERIOD_DAYS = { '24h': 1, last_week: 7, last_30_days: 30 };
+
+// "Near me" radius choices in km
+export const POST_RADII_KM = [1, 5, 10, 25, 50];
+
+export const DEFAULT_POST_FILTERS = {
+  sort: 'newest',
+  status: 'all',
+  period: 'all_time',
+  country: '',
+  city: '',
+  nearMe: false,
+  radiusKm: 5,
+};
+
+const pickOption = (value, options, fallback) => (options.includes(value) ? value : fallback);
+
+export const normalizePostFilters = (filters) => {
+  const nearMe = filters?.nearMe === true;
+  return {
+    sort: pickOption(filters?.sort, nearMe ? [...POST_SORTS, NEAREST_SORT] : POST_SORTS, DEFAULT_POST_FILTERS.sort),
+    status: pickOption(filters?.status, POST_STATUSES, DEFAULT_POST_FILTERS.status),
+    period: pickOption(filters?.period, POST_PERIODS, DEFAULT_POST_FILTERS.period),
+    country: typeof filters?.country === 'string' ? filters.country.trim() : '',
+    city: typeof filters?.city === 'string' ? filters.city.trim() : '',
+    nearMe,
+    radiusKm: pickOption(Number(filters?.radiusKm), POST_RADII_KM, DEFAULT_POST_FILTERS.radiusKm),
+  };
+};
+
+export const loadPostFilters = async () => {
+  try {
+    const raw = await AsyncStorage.getItem(FILTERS_KEY);
+    return normalizePostFilters(raw ? JSON.parse(raw) : null);
+  } catch {
+    return { ...DEFAULT_POST_FILTERS };
+  }
+};
+
+export const savePostFilters = (filters) =>
+  AsyncStorage.setItem(FILTERS_KEY, JSON.stringify(normalizePostFilters(filters))).catch(() => {});
+
+// Number of filters that differ from the defaults, for the filter button badge.
+// The radius only counts as part of "near me".
+export const countActiveFilters = (filters) =>
+  Object.keys(DEFAULT_POST_FILTERS)
+    .filter((key) => key !== 'radiusKm')
+    .filter((key) => (filters?.[key] ?? '') !== DEFAULT_POST_FILTERS[key]).length;
+
+// Distance in km from `location` to a post, or null when either is unknown
+export const getPostDistanceKm = (post, location) => {
+  const coords = getPostCoordinates(post);
+  if (!coords || !location) return null;
+  return getDistanceKm(location.latitude, location.longitude, coords.latitude, coords.longitude);
+};
+
+// "0.4" / "3.2" / "12" for the km_away label
+export const formatDistanceKm = (km) => (km < 10 ? km.toFixed(1) : String(Math.round(km)));
+
+const periodStart = (period, now) => {
+  const days = PERIOD_DAYS[period];
+  if (!days) return null;
+  return new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+};
+
+// Query params understood by /api/garbage-posts; defaults are left out.
+// `range` takes the same values as the leaderboard's. "Near me" needs `location`; the
+// coordinates are rounded (~100 m) so small GPS updates don't reload the feed.
+export const toPostQueryParams = (filters, location) => {
+  const f = normalizePostFilters(filters);
+  const params = {};
+  if (f.nearMe && location) {
+    params.lat = Number(location.latitude.toFixed(3));
+    params.lng = Number(location.longitude.toFixed(3));
+    params.radius = f.radiusKm;
+  }
+  if (f.sort === NEAREST_SORT) {
+    if (params.lat !== undefined) params.sort = 'distance';
+  } else if (f.sort !== DEFAULT_POST_FILTERS.sort) {
+    params.sort = f.sort;
+  }
+  if (f.status !== 'all') params.status = f.status;
+  if (f.period !== 'all_time') params.range = f.period === '24h' ? 'last24h' : f.period;
+  if (f.country) params.country = f.country;
+  if (f.city) params.city = f.city;
+  return params;
+};
+
+const includesText = (values, needle) => {
+  const query = needle.toLowerCase();
+  return values.some((value) => typeof value === 'string' && value.toLowerCase().includes(query));
+};
+
+// Client-side check for backends that ignore some of the params
+export const matchesPostFilters = (post, filters, location, now = new Date()) => {
+  const f = normalizePostFilters(filters);
+  if (f.nearMe && location) {
+    const distance = getPostDistanceKm(post, location);
+    if (distance !== null && distance > f.radiusKm) return false;
+  }
+  if (f.status !== 'all' && getPostStatus(post) !== f.status) return false;
+  const since = periodStart(f.period, now);
+  if (since && post?.created_at) {
+    const created = new Date(String(post.created_at).replace(' ', 'T'));
+    if (!Number.isNaN(created.getTime()) && created < since) return false;
+  }
+  const place = [post?.country, post?.city, post?.location, post?.address];
+  if (f.country && place.some(Boolean) && !includesText(place, f.country)) return false;
+  if (f.city && place.some(Boolean) && !includesText(place, f.city)) return false;
+  return true;
+};
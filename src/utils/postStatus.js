@@ -0,0 +1,38 @@
+// Post lifecycle helpers shared by HomeScreen, MapScreen and PostDetailsScreen
+
+export const POST_STATUS = {
+  OPEN: 'open',
+  CLEANED: 'cleaned',
+};
+
+// Roles that may close out any report, not only their own
+const CLEANER_ROLES = ['admin', 'moderator', 'cleaner', 'volunteer'];
+
+const hasAfterImage = (post) =>
+  Array.isArray(post?.images) && post.images.some((img) => img?.type === 'after');
+
+// Badge and marker color for cleaned posts, shared so the screens stay in sync
+export const CLEANED_COLOR = '#2E7D32';
+
+// A post counts as cleaned when the API says so or it already carries an "after" photo
+export const isPostCleaned = (post) => {
+  if (!post) return false;
+  const status = String(post.status || '').toLowerCase();
+  if (status === POST_STATUS.CLEANED) return true;
+  if (post.cleaned_at || post.is_cleaned) return true;
+  return hasAfterImage(post) || !!post.afterPicture;
+};
+
+export const getPostStatus = (post) =>
+  isPostCleaned(post) ? POST_STATUS.CLEANED : POST_STATUS.OPEN;
+
+// Author or anyone the backend allows to clean may mark a post as cleaned
+export const canMarkCleaned = (post, user) => {
+  if (!post || !user || isPostCleaned(post)) return false;
+  if (post.can_clean === true || user.can_clean === true) return true;
+  const authorId = post.user_id ?? post.user?.id;
+  if (authorId != null && user.id != null && String(authorId) === String(user.id)) return true;
+  const roles = [user.role, ...(Array.isArray(user.roles) ? user.roles : [])]
+    .map((r) => String(r?.name ?? r ?? '').toLowerCase());
+  return roles.some((r) => CLEANER_ROLES.includes(r));
+};
@@ -0,0 +1,83 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { api, unwrapList, NetworkError } from '../api/client';
+
+export const REACTION_TYPES_PATH = '/api/reaction-types';
+const CATALOG_STORAGE_KEY = '@berllog_reaction_types';
+
+// The catalog rarely changes: load it once per app session and share it between screens.
+// A persisted copy keeps the reaction picker usable offline.
+let catalogPromise = null;
+
+export const fetchReactionTypes = ({ force = false } = {}) => {
+  if (!catalogPromise || force) {
+    catalogPromise = api.get(REACTION_TYPES_PATH)
+      .then((data) => {
+        const types = unwrapList(data, 'types');
+        AsyncStorage.setItem(CATALOG_STORAGE_KEY, JSON.stringify(types)).catch(() => {});
+        return types;
+      })
+      .catch(async (err) => {
+        catalogPromise = null;
+        if (err instanceof NetworkError) {
+          const raw = await AsyncStorage.getItem(CATALOG_STORAGE_KEY).catch(() => null);
+          if (raw) return JSON.parse(raw);
+        }
+        throw err;
+      });
+  }
+  return catalogPromise;
+};
+
+export const isNegativeReaction = (item) => (item?.type || '').toLowerCase() === 'negative';
+
+// Localized name for a reaction type (the two built-in types have translations).
+// Matched by name or slug, since ids differ between backends.
+export const getReactionName = (t, item) => {
+  const keys = [item?.slug, item?.name].map((value) => String(value || '').toLowerCase());
+  if (keys.includes('upvote')) return t('reaction_type.upvote');
+  if (keys.includes('downvote')) return t('reaction_type.downvote');
+  return item?.name || '—';
+};
+
+// Parents and their `children` in one list; children inherit the parent's polarity
+export const flattenReactionTypes = (types) => {
+  const out = [];
+  (Array.isArray(types) ? types : []).forEach((parent) => {
+    out.push(parent);
+    (Array.isArray(parent?.children) ? parent.children : []).forEach((child) => {
+      out.push({ ...child, type: child?.type || parent?.type, parent_id: child?.parent_id ?? parent?.id });
+    });
+  });
+  return out;
+};
+
+export const findReactionType = (types, id) => {
+  if (id == null) return null;
+  return flattenReactionTypes(types).find((item) => String(item?.id) === String(id)) || null;
+};
+
+// The signed-in user's reaction as returned with a post, in any of the shapes the API uses
+export const getUserReaction = (post) => {
+  const reaction = post?.user_reaction ?? post?.my_reaction ?? post?.current_user_reaction ?? null;
+  if (!reaction) return null;
+  if (typeof reaction !== 'object') return { reaction_type_id: reaction };
+  const typeId = reaction.reaction_type_id ?? reaction.reaction_type?.id;
+  return typeId != null ? { ...reaction, reaction_type_id: typeId } : null;
+};
+
+// Positive/negative counts after switching from one reaction type to another (either may be null)
+export const applyReactionChange = (counts, previous, next) => {
+  const result = {
+    positive: Number(counts?.positive) || 0,
+    negative: Number(counts?.negative) || 0,
+  };
+  if (previous) {
+    const key = isNegativeReaction(previous) ? 'negative' : 'positive';
+    result[key] = Math.max(0, result[key] - 1);
+  }
+  if (next) {
+    const key = isNegativeReaction(next) ? 'negative' : 'positive';
+    result[key] += 1;
+  }
+  return result;
+};
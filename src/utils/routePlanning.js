@@ -0,0 +1,122 @@
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import { getDistanceKm, getPostCoordinates } from './geo';
+
+// Enough for a day of cleanups; keeps the 2-opt pass instant on older phones
+export const MAX_ROUTE_STOPS = 25;
+const MAX_IMPROVEMENT_PASSES = 50;
+
+const distanceBetween = (a, b) => getDistanceKm(a.latitude, a.longitude, b.latitude, b.longitude) ?? 0;
+
+// Visiting order for `stops` (posts) starting at `start` ({ latitude, longitude } or null).
+// Nearest neighbour gives a first tour, then 2-opt undoes crossings. The tour is open: it ends
+// at the last stop. Without a start the first stop is free too, which a zero-distance virtual
+// start models. Returns { start, stops, legsKm, totalKm }.
+export const planRoute = (start, stops, { getCoordinates = getPostCoordinates } = {}) => {
+  const items = (Array.isArray(stops) ? stops : [])
+    .map((item) => ({ item, coords: getCoordinates(item) }))
+    .filter((entry) => entry.coords);
+  if (items.length === 0) return { start, stops: [], legsKm: [], totalKm: 0 };
+
+  // Node 0 is the start, nodes 1..n the stops
+  const points = [start, ...items.map((entry) => entry.coords)];
+  const n = points.length;
+  const dist = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (__, j) => {
+    if (i === j || ((i === 0 || j === 0) && !start)) return 0;
+    return distanceBetween(points[i], points[j]);
+  }));
+
+  // Nearest neighbour from the start
+  const tour = [0];
+  const visited = new Set([0]);
+  while (tour.length < n) {
+    const last = tour[tour.length - 1];
+    let best = -1;
+    for (let k = 1; k < n; k++) {
+      if (!visited.has(k) && (best === -1 || dist[last][k] < dist[last][best])) best = k;
+    }
+    tour.push(best);
+    visited.add(best);
+  }
+
+  // 2-opt: reverse tour[i..j] while it shortens the path. The start stays first
+  // and the end is open, so there is no edge after the last stop.
+  for (let pass = 0, improved = true; improved && pass < MAX_IMPROVEMENT_PASSES; pass++) {
+    improved = false;
+    for (let i = 1; i < n - 1; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const before = dist[tour[i - 1]][tour[i]] + (j + 1 < n ? dist[tour[j]][tour[j + 1]] : 0);
+        const after = dist[tour[i - 1]][tour[j]] + (j + 1 < n ? dist[tour[i]][tour[j + 1]] : 0);
+        if (after + 1e-9 < before) {
+          for (let a = i, b = j; a < b; a++, b--) [tour[a], tour[b]] = [tour[b], tour[a]];
+          improved = true;
+        }
+      }
+    }
+  }
+
+  const legsKm = tour.slice(1).map((node, index) => dist[tour[index]][node]);
+  return {
+    start,
+    stops: tour.slice(1).map((node) => items[node - 1].item),
+    legsKm,
+    totalKm: legsKm.reduce((sum, km) => sum + km, 0),
+  };
+};
+
+// Polyline points: the start (when known) followed by every stop
+export const getRouteCoordinates = (route, { getCoordinates = getPostCoordinates } = {}) => [
+  ...(route?.start ? [route.start] : []),
+  ...(route?.stops || []).map(getCoordinates).filter(Boolean),
+];
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// GPX 1.1 route that GPS and hiking apps (OsmAnd, Organic Maps, Garmin...) can import
+export const buildRouteGpx = (route, { name = 'Berllog route', getLabel = (post) => post?.description } = {}) => {
+  const points = [];
+  if (route?.start) {
+    points.push(`    <rtept lat="${route.start.latitude}" lon="${route.start.longitude}"><name>Start</name></rtept>`);
+  }
+  (route?.stops || []).forEach((post, index) => {
+    const coords = getPostCoordinates(post);
+    if (!coords) return;
+    const label = getLabel(post);
+    points.push([
+      `    <rtept lat="${coords.latitude}" lon="${coords.longitude}">`,
+      `<name>${index + 1}</name>`,
+      label ? `<desc>${escapeXml(label)}</desc>` : '',
+      '</rtept>',
+    ].join(''));
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Berllog" xmlns="http://www.topografix.com/GPX/1/1">',
+    '  <rte>',
+    `    <name>${escapeXml(name)}</name>`,
+    ...points,
+    '  </rte>',
+    '</gpx>',
+  ].join('\n');
+};
+
+// Write the route to a temporary .gpx file and hand it to the share sheet.
+// Resolves false when sharing is unavailable.
+export const shareRouteGpx = async (route, options) => {
+  if (!(await Sharing.isAvailableAsync())) return false;
+  const uri = `${FileSystem.cacheDirectory}berllog-route-${Date.now()}.gpx`;
+  await FileSystem.writeAsStringAsync(uri, buildRouteGpx(route, options), {
+    encoding: FileSystem.EncodingType.UTF8,
+  });
+  await Sharing.shareAsync(uri, {
+    mimeType: 'application/gpx+xml',
+    UTI: 'com.topografix.gpx',
+    dialogTitle: options?.name,
+  });
+  return true;
+};
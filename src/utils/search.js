@@ -0,0 +1,60 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { api } from '../api/client';
+
+// Global search across posts, users, events and polls.
+// GET /api/search?q=&limit= answers { posts, users, events, polls } (optionally inside `data`).
+export const SEARCH_TYPES = ['posts', 'users', 'events', 'polls'];
+export const MIN_QUERY_LENGTH = 2;
+const RESULTS_PER_TYPE = 10;
+
+const RECENT_SEARCHES_KEY = '@berllog_recent_searches';
+const MAX_RECENT_SEARCHES = 10;
+
+const pickList = (body, ...keys) => {
+  for (const key of keys) {
+    const value = body?.[key];
+    if (Array.isArray(value)) return value;
+    if (Array.isArray(value?.data)) return value.data;
+  }
+  return [];
+};
+
+// Pass `signal` so a newer query can cancel this one
+export const searchAll = async (query, { signal } = {}) => {
+  const data = await api.get('/api/search', { params: { q: query, limit: RESULTS_PER_TYPE }, signal });
+  const body = data?.data && !Array.isArray(data.data) ? data.data : data;
+  return {
+    posts: pickList(body, 'posts', 'garbagePosts', 'garbage_posts'),
+    users: pickList(body, 'users'),
+    events: pickList(body, 'events'),
+    polls: pickList(body, 'polls'),
+  };
+};
+
+export const loadRecentSearches = async () => {
+  try {
+    const raw = await AsyncStorage.getItem(RECENT_SEARCHES_KEY);
+    const list = raw ? JSON.parse(raw) : [];
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+};
+
+// Most recent first, without duplicates (case-insensitive)
+export const addRecentSearch = async (query) => {
+  const value = String(query || '').trim();
+  if (value.length < MIN_QUERY_LENGTH) return loadRecentSearches();
+  const current = await loadRecentSearches();
+  const next = [value, ...current.filter((q) => q.toLowerCase() !== value.toLowerCase())].slice(0, MAX_RECENT_SEARCHES);
+  await AsyncStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(next)).catch(() => {});
+  return next;
+};
+
+export const removeRecentSearch = async (query) => {
+  const next = (await loadRecentSearches()).filter((q) => q !== query);
+  await AsyncStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(next)).catch(() => {});
+  return next;
+};
+
+export const clearRecentSearches = () => AsyncStorage.removeItem(RECENT_SEARCHES_KEY).catch(() => {});